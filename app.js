@@ -4,12 +4,16 @@ const session = require("express-session");
 const open = require("open");
 const bodyParser = require("body-parser");
 const path = require("path");
-const fs = require("fs").promises;
 const crypto = require("crypto");
+const { productCatalog } = require("./lib/productCatalog");
+const { loadJson } = require("./lib/dataLoader");
+const { claimManager } = require("./lib/claimManager");
+const { roleManager } = require("./lib/roleManager");
+const { auditLog } = require("./lib/auditLog");
+const { ledgerManager } = require("./lib/ledgerManager");
 
 const app = express();
 const PORT = process.env.PORT || 9011;
-const ADMIN_PASS = process.env.ADMIN_PASS || "Konfirmasi"; // .env
 
 // ================== SETUP ==================
 app.set("view engine", "ejs");
@@ -39,10 +43,18 @@ app.use('/promo', require('./routes/promo'));
 app.use('/produk', require('./routes/produk'));
 app.use('/claim', require('./routes/claim'));
 app.use('/moderator', require('./routes/moderator'));
+app.use('/account', require('./routes/account'));
+app.use('/audit', require('./routes/audit'));
+app.use('/bot', require('./routes/bot'));
+app.use('/broadcast', require('./routes/broadcast'));
+app.use('/handoff', require('./routes/handoff'));
+app.use('/ledger', require('./routes/ledger'));
+app.use('/loyalty', require('./routes/loyalty'));
+app.use('/vouchers', require('./routes/vouchers'));
 
 // ================== API ENDPOINTS ==================
 // Dashboard Orders API
-app.get('/api/dashboard-orders', requireLogin, async (req, res) => {
+app.get('/api/dashboard-orders', roleManager.requirePermission('orders', 'view'), async (req, res) => {
   try {
     const [buyers, claims] = await Promise.all([
       loadJson("buyers.json"),
@@ -70,9 +82,18 @@ app.get('/api/dashboard-orders', requireLogin, async (req, res) => {
       orderCounts.push(dayOrders);
     }
     
+    // Omzet & margin harian dari ledger (hanya untuk role yang boleh melihat ledger)
+    const finance = {};
+    if (res.locals.can('ledger', 'view')) {
+      const report = await ledgerManager.getReport({ days: 7, months: 1 });
+      finance.revenue = report.daily.map(day => day.revenue);
+      finance.margin = report.daily.map(day => day.margin);
+    }
+
     res.json({
       labels: last7Days,
-      orders: orderCounts
+      orders: orderCounts,
+      ...finance
     });
   } catch (error) {
     console.error('Dashboard orders API error:', error);
@@ -84,7 +105,7 @@ app.get('/api/dashboard-orders', requireLogin, async (req, res) => {
 });
 
 // Learning Stats API
-app.get('/api/learning-stats', requireLogin, async (req, res) => {
+app.get('/api/learning-stats', roleManager.requirePermission('learning', 'view'), async (req, res) => {
   try {
     const { learningManager } = require('./lib/learningManager');
     const stats = await learningManager.getStats();
@@ -96,7 +117,7 @@ app.get('/api/learning-stats', requireLogin, async (req, res) => {
 });
 
 // Analytics routes
-app.get('/analytics/:category', requireLogin, async (req, res) => {
+app.get('/analytics/:category', roleManager.requirePermission('analytics', 'view'), async (req, res) => {
   try {
     const category = req.params.category;
     const validCategories = ['traffic', 'users', 'products', 'claims', 'business', 'marketing', 'technical', 'security', 'intelligence', 'customer_service'];
@@ -120,7 +141,7 @@ app.get('/analytics/:category', requireLogin, async (req, res) => {
 });
 
 // API endpoint for analytics data
-app.get('/api/analytics/:category', requireLogin, async (req, res) => {
+app.get('/api/analytics/:category', roleManager.requirePermission('analytics', 'view'), async (req, res) => {
   try {
     const category = req.params.category;
     const validCategories = ['traffic', 'users', 'products', 'claims', 'business', 'marketing', 'technical', 'security', 'intelligence', 'customer_service'];
@@ -134,7 +155,7 @@ app.get('/api/analytics/:category', requireLogin, async (req, res) => {
     try {
       const { analyticsManager } = require('./lib/analyticsManager');
       if (analyticsManager && analyticsManager.getAnalyticsByCategory) {
-        analytics = analyticsManager.getAnalyticsByCategory(category);
+        analytics = await analyticsManager.getAnalyticsByCategory(category);
       } else {
         analytics = { message: 'Analytics data is being collected', category: category };
       }
@@ -151,67 +172,18 @@ app.get('/api/analytics/:category', requireLogin, async (req, res) => {
 });
 
 // ================== HELPERS ==================
-// --- Helper: login required ---
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
-
 // --- Helper: show toast ---
 function setToast(req, type, msg) {
   req.session.toast = { type, msg };
 }
 
-// --- Helper: load JSON file ---
-async function loadJson(file) {
-  try {
-    const content = await fs.readFile(path.join(__dirname, "data", file), "utf8");
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`Error loading ${file}:`, error.message);
-    return [];
-  }
-}
-
-// --- Helper: save JSON file ---
-async function saveJson(file, data) {
-  try {
-    await fs.writeFile(path.join(__dirname, "data", file), JSON.stringify(data, null, 2), "utf8");
-    return true;
-  } catch (error) {
-    console.error(`Error saving ${file}:`, error.message);
-    return false;
-  }
-}
-
 // --- Helper: produk ---
-const produkDir = path.join(__dirname, "data/produk");
 async function listProdukFiles() {
   try {
-    const files = await fs.readdir(produkDir);
-    return files.filter(f => f.endsWith(".txt")).map(f => f.replace(".txt", ""));
-  } catch (error) {
-    console.error('Error listing produk files:', error);
-    return [];
-  }
-}
-
-async function loadProdukData() {
-  try {
-    const files = await listProdukFiles();
-    const produk = [];
-    for (let name of files) {
-      let content = "";
-      try {
-        content = await fs.readFile(path.join(produkDir, name + ".txt"), "utf8");
-      } catch (error) {
-        console.error(`Error reading ${name}.txt:`, error);
-      }
-      produk.push({ name, content });
-    }
-    return produk;
+    const products = await productCatalog.getProducts();
+    return products.map(p => p.id);
   } catch (error) {
-    console.error('Error loading produk data:', error);
+    console.error('Error listing produk catalog:', error);
     return [];
   }
 }
@@ -219,7 +191,7 @@ async function loadProdukData() {
 // ================== MAIN ROUTES ==================
 
 // --- DASHBOARD ---
-app.get(["/dashboard"], requireLogin, async (req, res) => {
+app.get(["/dashboard"], roleManager.requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     // Basic file stats
     const [produk, promo, faq, sop, claim] = await Promise.all([
@@ -252,87 +224,92 @@ app.get(["/dashboard"], requireLogin, async (req, res) => {
     delete req.session.toast;
     
     // Support both old and new auth system
-    const user = req.session.user || { username: 'Admin', role: 'admin' };
+    const user = req.session.user || { username: 'Admin', role: 'owner' };
     
     res.render("dashboard", { stats, toast, user });
   } catch (error) {
     console.error('Error loading dashboard:', error);
     const toast = { type: "error", msg: "Gagal memuat dashboard" };
-    const user = req.session.user || { username: 'Admin', role: 'admin' };
+    const user = req.session.user || { username: 'Admin', role: 'owner' };
     res.render("dashboard", { stats: {}, toast, user });
   }
 });
 
 // --- CLAIM REPLACE ---
-app.get("/claims-replace", requireLogin, async (req, res) => {
+app.get("/claims-replace", roleManager.requirePermission('claims', 'view'), async (req, res) => {
+  const moderators = await loadModerators();
   try {
-    let claimsReplace = await loadJson("claimsReplace.json");
-    if (!Array.isArray(claimsReplace)) claimsReplace = [];
+    await claimManager.ensureTickets();
+    const claimsReplace = claimManager.sortByPriority(
+      (await claimManager.loadClaims("replace")).map(c => ({ ...c, type: "replace" })));
     const toast = req.session.toast || null;
     delete req.session.toast;
-    res.render("claims_replace", { claimsReplace, toast });
+    res.render("claims_replace", { claimsReplace, toast, claimManager, moderators });
   } catch (error) {
     console.error('Error loading claims replace:', error);
     const toast = { type: "error", msg: "Gagal memuat data claims replace" };
-    res.render("claims_replace", { claimsReplace: [], toast });
-  }
-});
-
-app.post("/claims-replace/resolve", requireLogin, async (req, res) => {
-  try {
-    const { index } = req.body;
-    let claimsReplace = await loadJson("claimsReplace.json");
-    if (!Array.isArray(claimsReplace)) claimsReplace = [];
-    if (claimsReplace[index]) {
-      claimsReplace[index].status = "RESOLVED";
-      await saveJson("claimsReplace.json", claimsReplace);
-      setToast(req, "success", "Claim ditandai selesai.");
-    } else {
-      setToast(req, "error", "Claim tidak ditemukan.");
-    }
-    res.redirect("/claims-replace");
-  } catch (error) {
-    console.error('Error resolving claims replace:', error);
-    setToast(req, "error", "Gagal memproses claim.");
-    res.redirect("/claims-replace");
+    res.render("claims_replace", { claimsReplace: [], toast, claimManager, moderators });
   }
 });
 
 // --- CLAIM RESET ---
-app.get("/claims-reset", requireLogin, async (req, res) => {
+app.get("/claims-reset", roleManager.requirePermission('claims', 'view'), async (req, res) => {
+  const moderators = await loadModerators();
   try {
-    let claimsReset = await loadJson("claimsReset.json");
-    if (!Array.isArray(claimsReset)) claimsReset = [];
+    await claimManager.ensureTickets();
+    const claimsReset = claimManager.sortByPriority(
+      (await claimManager.loadClaims("reset")).map(c => ({ ...c, type: "reset" })));
     const toast = req.session.toast || null;
     delete req.session.toast;
-    res.render("claims_reset", { claimsReset, toast });
+    res.render("claims_reset", { claimsReset, toast, claimManager, moderators });
   } catch (error) {
     console.error('Error loading claims reset:', error);
     const toast = { type: "error", msg: "Gagal memuat data claims reset" };
-    res.render("claims_reset", { claimsReset: [], toast });
+    res.render("claims_reset", { claimsReset: [], toast, claimManager, moderators });
   }
 });
 
-app.post("/claims-reset/mark", requireLogin, async (req, res) => {
+// --- CLAIM LIFECYCLE (customer dikabari lewat outbox bot) ---
+app.post("/claims/:ticket/status", roleManager.requirePermission('claims', 'edit'), async (req, res) => {
+  const { status, note, assignee, email, password, pin } = req.body;
+  const actor = (req.session.user && (req.session.user.number || req.session.user.username)) || "admin";
+  let back = "/claims-replace";
+
   try {
-    const { index } = req.body;
-    let claimsReset = await loadJson("claimsReset.json");
-    if (!Array.isArray(claimsReset)) claimsReset = [];
-    if (claimsReset[index]) {
-      claimsReset[index].done = true;
-      await saveJson("claimsReset.json", claimsReset);
-      setToast(req, "success", "Reset ditandai selesai.");
-    } else {
-      setToast(req, "error", "Reset tidak ditemukan.");
+    const claim = await claimManager.getClaim(req.params.ticket);
+    if (claim && claim.type === "reset") back = "/claims-reset";
+
+    const result = await claimManager.applyStatus(req.params.ticket, status, {
+      actor,
+      note: (note || "").trim(),
+      assignee: assignee || undefined,
+      email: (email || "").trim() || undefined,
+      password: (password || "").trim(),
+      pin: (pin || "").trim()
+    });
+    if (result.success) {
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: status,
+        resource: 'claims',
+        target: req.params.ticket,
+        before: claim,
+        after: await claimManager.getClaim(req.params.ticket)
+      });
     }
-    res.redirect("/claims-reset");
+    setToast(req, result.success ? "success" : "error", result.message);
   } catch (error) {
-    console.error('Error marking claims reset:', error);
-    setToast(req, "error", "Gagal memproses reset.");
-    res.redirect("/claims-reset");
+    console.error('Error updating claim status:', error);
+    setToast(req, "error", "Gagal memproses claim.");
   }
+  res.redirect(back);
 });
 
+async function loadModerators() {
+  const moderators = await loadJson("moderators.json");
+  return Array.isArray(moderators) ? moderators.filter(mod => mod.active) : [];
+}
+
 // ========== 404 ==========
 app.use((req, res) => {
   res.status(404).render("404");
@@ -345,15 +322,21 @@ app.use((error, req, res, next) => {
 });
 
 // ========== START ==========
-(async () => {
+// Dipanggil langsung (node app.js) atau dari index.js saat RUN_MODE=single
+function startPanel(port = PORT) {
   try {
-    await fs.mkdir(produkDir, { recursive: true });
-    app.listen(PORT, () => {
-      console.log(`Admin Panel running on http://localhost:${PORT}/login`);
-      // open(`http://localhost:${PORT}/login`); // Boleh dihapus kalau di VPS
+    return app.listen(port, () => {
+      console.log(`Admin Panel running on http://localhost:${port}/login`);
+      // open(`http://localhost:${port}/login`); // Boleh dihapus kalau di VPS
     });
   } catch (error) {
     console.error('Error starting server:', error);
     process.exit(1);
   }
-})();
+}
+
+if (require.main === module) {
+  startPanel();
+}
+
+module.exports = { app, startPanel };
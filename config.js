@@ -44,6 +44,77 @@ const config = {
     owner_number        : process.env.OWNER_NUMBER || '6289512822345',
     owner_website       : process.env.OWNER_WEBSITE || 'profil.boldstore.my.id',
     
+    // Order & Payment (dipakai order flow di chat)
+    admin_contact       : process.env.ADMIN_CONTACT || '6289630375723',
+    payment_methods     : (process.env.PAYMENT_METHODS || 'DANA / GoPay: 081323903800|BCA: 7830598949').split('|'),
+    order_payment_timeout_hours: parseInt(process.env.ORDER_PAYMENT_TIMEOUT_HOURS) || 24, // order belum dibayar dibatalkan otomatis
+    
+    // Renewal Reminder (buyer yang akunnya akan expired)
+    reminder_days_before: parseInt(process.env.REMINDER_DAYS_BEFORE) || 3,
+    reminder_time       : process.env.REMINDER_TIME || '09:00', // WIB
+    reminder_opt_out    : process.env.REMINDER_OPT_OUT || 'stop reminder',
+    reminder_opt_in     : process.env.REMINDER_OPT_IN || 'start reminder',
+    
+    // Broadcast dari panel: jeda minimal antar pesan (ms, ditambah acak s/d 2x), batas pesan per jam, keyword opt-out/opt-in
+    broadcast_delay_ms    : parseInt(process.env.BROADCAST_DELAY_MS) || 5000,
+    broadcast_hourly_limit: parseInt(process.env.BROADCAST_HOURLY_LIMIT) || 150,
+    broadcast_opt_out     : process.env.BROADCAST_OPT_OUT || 'stop promo',
+    broadcast_opt_in      : process.env.BROADCAST_OPT_IN || 'start promo',
+    
+    // OCR screenshot customer (tesseract.js lokal, model bahasa dari npm, tanpa jaringan)
+    ocr_enabled   : process.env.OCR_ENABLED !== 'false',
+    ocr_languages : process.env.OCR_LANGUAGES || 'ind+eng',
+    
+    // Live chat handoff: bot kembali membalas otomatis setelah sekian menit tanpa aktivitas
+    handoff_timeout_minutes: parseInt(process.env.HANDOFF_TIMEOUT_MINUTES) || 30,
+    
+    // Survey kepuasan setelah order dikirim / klaim ditutup: jeda kirim (menit) dan batas jawab (jam)
+    csat_delay_minutes: parseInt(process.env.CSAT_DELAY_MINUTES) || 60,
+    csat_expire_hours : parseInt(process.env.CSAT_EXPIRE_HOURS) || 24,
+    
+    // Klaim garansi: batas waktu respon (OPEN -> IN_PROGRESS) dan penyelesaian (-> REPLACED/RESET)
+    claim_sla_response_hours  : parseFloat(process.env.CLAIM_SLA_RESPONSE_HOURS) || 2,
+    claim_sla_resolution_hours: parseFloat(process.env.CLAIM_SLA_RESOLUTION_HOURS) || 24,
+    
+    // Blacklist otomatis dari deteksi spam/intrusi securityManager
+    blacklist_spam_strikes: parseInt(process.env.BLACKLIST_SPAM_STRIKES) || 3, // spam per jam sebelum diblokir
+    blacklist_auto_hours  : parseInt(process.env.BLACKLIST_AUTO_HOURS) || 24,
+    
+    // Penyimpanan data (lib/storage): json = file data/*.json, sqlite = data/storage.db (butuh better-sqlite3)
+    storage             : {
+        backend         : process.env.STORAGE_BACKEND || 'json',
+        sqlite_path     : process.env.STORAGE_SQLITE_PATH || 'data/storage.db'
+    },
+    
+    // split = bot (index.js) dan panel (app.js) dua proses; single = index.js sekaligus menjalankan panel
+    run_mode            : (process.env.RUN_MODE || 'split').toLowerCase(),
+    
+    // LLM provider (gemini | openai | mock), bisa beda per peran: chat = balasan umum, fallback = smartFallback
+    llm                 : {
+        roles           : {
+            chat        : process.env.LLM_PROVIDER_CHAT || process.env.LLM_PROVIDER || 'gemini',
+            fallback    : process.env.LLM_PROVIDER_FALLBACK || process.env.LLM_PROVIDER || 'gemini'
+        },
+        providers       : {
+            gemini      : {
+                type        : 'gemini',
+                apiKey      : process.env.GEMINI_API_KEY || '',
+                model       : process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+                timeout     : parseInt(process.env.GEMINI_TIMEOUT) || 30000, // ms
+                retries     : process.env.GEMINI_RETRIES ? parseInt(process.env.GEMINI_RETRIES) : 2
+            },
+            openai      : {
+                type        : 'openai',
+                baseUrl     : process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', // Ollama: http://localhost:11434/v1
+                apiKey      : process.env.OPENAI_API_KEY || '',
+                model       : process.env.OPENAI_MODEL || 'gpt-4o-mini',
+                timeout     : parseInt(process.env.OPENAI_TIMEOUT) || 60000,
+                retries     : process.env.OPENAI_RETRIES ? parseInt(process.env.OPENAI_RETRIES) : 2
+            },
+            mock        : { type: 'mock' }
+        }
+    },
+    
     // System Settings
     version             : global.version,
     rate_limit          : parseInt(process.env.RATE_LIMIT) || (isProduction ? 1000 : 300), // ms
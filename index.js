@@ -45,6 +45,38 @@ const store = {
 
 clearDirectory('./tmp');
 
+// Akun stock yang expired dikeluarkan otomatis (dan katalog ikut di-update)
+require('./lib/stockManager').startAutoReset();
+
+// Pengingat perpanjangan ke buyer (H-N dan hari expired)
+require('./lib/renewalReminder').renewalReminder.start();
+
+// Pesan titipan dari panel (update klaim dll) + alert SLA klaim
+require('./lib/outbox').outbox.start();
+require('./lib/claimManager').claimManager.startSlaMonitor();
+
+// Broadcast yang dijadwalkan dari panel (dikirim bertahap)
+require('./lib/broadcastManager').broadcastManager.start();
+
+// Live chat handoff: bot membalas otomatis lagi setelah timeout tanpa aktivitas
+require('./lib/handoffManager').handoffManager.start();
+
+// Order yang tidak dibayar dibatalkan otomatis (kuota voucher dikembalikan), pengiriman yang terhenti dilepas
+require('./lib/orderManager').orderManager.start();
+
+// Survey kepuasan setelah order dikirim / klaim ditutup
+require('./lib/surveyManager').surveyManager.start();
+
+// Tier member dihitung ulang dari riwayat buyers (notifikasi naik level)
+require('./lib/loyaltyManager').loyaltyManager.start();
+
+// Status koneksi + statistik untuk panel; RUN_MODE=single menjalankan panel di proses ini juga
+const { botBridge } = require('./lib/botBridge');
+botBridge.attach();
+if (config.run_mode === 'single') {
+    require('./app').startPanel();
+}
+
 
 
 async function checkAndUpdate() {
@@ -84,6 +116,7 @@ async function connectToWhatsApp() {
         const code = await sock.requestPairingCode(phoneNumber.trim());
         console.log(chalk.blue('PHONE NUMBER: '), chalk.yellow(phoneNumber));
         console.log(chalk.blue('CODE PAIRING: '), chalk.yellow(code));
+        botBridge.setConnection('pairing', { pairingCode: code });
     }
 
     sock.ev.on('creds.update', saveCreds);
@@ -192,9 +225,9 @@ async function connectToWhatsApp() {
 
             // Cek Users with validation
             try {
-                const userReady = getUser(sender);
+                const userReady = await getUser(sender);
                 if (!userReady) {
-                    addUser(sender, -1);
+                    await addUser(sender, -1);
                 }
             } catch (userError) {
                 console.warn('Error handling user:', userError.message);
@@ -231,9 +264,14 @@ async function connectToWhatsApp() {
 
     sock.ev.on("connection.update", async (update) => {
         const { connection, lastDisconnect, qr } = update;
+
+        if (connection === 'connecting') {
+            botBridge.setConnection('connecting');
+        }
     
         // Tampilkan QR jika tipe koneksi menggunakan QR
         if (qr != null && config.type_connection.toLowerCase() === 'qr') {
+            botBridge.setConnection('qr', { qr });
             console.log(chalk.yellowBright(`Menampilkan QR`));
             qrcode.generate(qr, { small: true }, (qrcodeStr) => {
                 console.log(qrcodeStr);
@@ -244,6 +282,7 @@ async function connectToWhatsApp() {
         if (connection === 'open') {
 
             global.sock = sock; 
+            botBridge.setConnection('open', { user: sock.user ? sock.user.id : null });
             
             await new Promise(resolve => setTimeout(resolve, 1000));
             await sock.sendMessage(`${config.phone_number_bot}@s.whatsapp.net`, { text: "Bot Connected" });
@@ -257,6 +296,7 @@ async function connectToWhatsApp() {
             const statusCode = lastDisconnect?.error?.output?.statusCode;
             const reason = new Boom(lastDisconnect?.error)?.output?.statusCode;
             const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+            botBridge.setConnection('close', { lastDisconnect: { reason, at: new Date().toISOString() } });
     
             switch (reason) {
                 case DisconnectReason.badSession:
@@ -0,0 +1,421 @@
+/**
+ * ACCOUNT MANAGER
+ * Akun login panel per orang (data/accounts.json), pengganti password bersama ADMIN_PASS.
+ *
+ * - Password disimpan sebagai hash scrypt bergaram: "scrypt$N$r$p$salt$hash"
+ * - TOTP (RFC 6238, 30 detik, 6 digit) sebagai faktor kedua opsional
+ * - Kode login / reset sekali pakai dikirim lewat koneksi WhatsApp bot (outbox)
+ *   ke nomor yang terdaftar di akun
+ *
+ * Role akun yang punya nomor WhatsApp mengikuti roleManager.getRoleForNumber
+ * (owner_number / moderators.json), jadi menonaktifkan moderator juga menutup
+ * akses panelnya. Akun tanpa nomor memakai field `role`.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const { loadJson, updateJson } = require('./dataLoader');
+const { roleManager } = require('./roleManager');
+const { outbox } = require('./outbox');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCOUNTS_FILE = 'accounts.json';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const PASSWORD_MIN_LENGTH = 8;
+
+const CODE_TTL = 5 * 60 * 1000;
+const CODE_MAX_ATTEMPTS = 5;
+
+const TOTP_STEP = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class AccountManager {
+    constructor() {
+        // username -> { hash, purpose, expiresAt, attempts }; hanya di memori proses panel
+        this.codes = new Map();
+    }
+
+    /**
+     * STORAGE
+     */
+    async loadAccounts() {
+        const accounts = await loadJson(ACCOUNTS_FILE);
+        if (Array.isArray(accounts) && accounts.length > 0) return accounts;
+
+        // Pertama kali: akun owner "admin" dari ADMIN_PASS lama, wajib ganti password saat login
+        const legacyPassword = process.env.ADMIN_PASS || (config.isProduction ? null : 'Konfirmasi');
+        const owner = {
+            username: 'admin',
+            name: 'Owner',
+            number: config.owner_number,
+            role: 'owner',
+            passwordHash: legacyPassword ? await this.hashPassword(legacyPassword) : null,
+            mustChangePassword: true,
+            totpSecret: null,
+            active: true,
+            createdAt: new Date().toISOString(),
+            lastLogin: null
+        };
+        // Panel dan bot bisa sama-sama membuat file ini; yang kalah memakai isi yang sudah ada
+        return await updateJson(ACCOUNTS_FILE, (current, tx) => {
+            if (Array.isArray(current) && current.length > 0) return current;
+            tx.data = [owner];
+            console.log('👤 data/accounts.json dibuat dengan akun owner "admin" (wajib ganti password)');
+            return tx.data;
+        });
+    }
+
+    async updateAccount(username, updates) {
+        await this.loadAccounts();
+        return await updateJson(ACCOUNTS_FILE, accounts => {
+            const account = accounts.find(acc => acc.username === username);
+            if (!account) return null;
+
+            Object.assign(account, updates);
+            return account;
+        });
+    }
+
+    // Tambah akun kalau username/nomor belum dipakai; return false kalau bentrok
+    async insertAccount(account) {
+        await this.loadAccounts();
+        return await updateJson(ACCOUNTS_FILE, accounts => {
+            if (accounts.some(acc => acc.username === account.username || (account.number && acc.number === account.number))) {
+                return false;
+            }
+            accounts.push(account);
+            return true;
+        });
+    }
+
+    /**
+     * Cari akun dari username atau nomor WhatsApp. Moderator aktif yang belum punya
+     * akun dibuatkan akun tanpa password (masuk lewat kode WhatsApp, lalu set password).
+     */
+    async findAccount(login) {
+        const key = String(login || '').trim().toLowerCase();
+        if (!key) return null;
+
+        const accounts = await this.loadAccounts();
+        const isNumber = /^\d+$/.test(key);
+        const found = accounts.find(acc => acc.username.toLowerCase() === key || (isNumber && acc.number === key));
+        if (found) return found;
+
+        if (!isNumber) return null;
+        const moderators = await loadJson('moderators.json');
+        const moderator = Array.isArray(moderators) ? moderators.find(mod => mod.number === key && mod.active) : null;
+        if (!moderator) return null;
+
+        const account = {
+            username: moderator.number,
+            name: moderator.name,
+            number: moderator.number,
+            role: null,
+            passwordHash: null,
+            mustChangePassword: false,
+            totpSecret: null,
+            active: true,
+            createdAt: new Date().toISOString(),
+            lastLogin: null
+        };
+        // Request login bersamaan: akun yang lebih dulu tersimpan yang dipakai
+        if (!(await this.insertAccount(account))) return this.findAccount(key);
+        return account;
+    }
+
+    async resolveRole(account) {
+        if (!account || account.active === false) return null;
+        if (account.number) return await roleManager.getRoleForNumber(account.number);
+        return roleManager.normalizeRole(account.role);
+    }
+
+    /**
+     * PASSWORD
+     */
+    async hashPassword(password) {
+        const { N, r, p, keyLength } = SCRYPT_PARAMS;
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(String(password), salt, keyLength, { N, r, p });
+        return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        if (!stored || typeof stored !== 'string') return false;
+        const [scheme, N, r, p, salt, hash] = stored.split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'base64');
+        const actual = await scrypt(String(password || ''), Buffer.from(salt, 'base64'), expected.length, {
+            N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10)
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    validatePassword(password) {
+        if (!password || password.length < PASSWORD_MIN_LENGTH) {
+            return `Password minimal ${PASSWORD_MIN_LENGTH} karakter.`;
+        }
+        if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+            return 'Password harus berisi huruf dan angka.';
+        }
+        return null;
+    }
+
+    /**
+     * Login dengan password. Return { success, account, role, message }
+     */
+    async authenticate(login, password) {
+        const account = await this.findAccount(login);
+        let valid = false;
+        if (account && account.passwordHash) {
+            valid = await this.verifyPassword(password, account.passwordHash);
+        } else {
+            // Tetap hitung hash walau akun tidak ada, supaya waktu respon tidak membocorkan username
+            await this.hashPassword(password || '');
+        }
+
+        if (!valid) return { success: false, message: 'Username atau password salah!' };
+
+        const role = await this.resolveRole(account);
+        if (!role) return { success: false, message: 'Akun tidak aktif atau tidak punya akses panel.' };
+
+        return { success: true, account, role };
+    }
+
+    async changePassword(username, currentPassword, newPassword) {
+        const account = await this.findAccount(username);
+        if (!account) return { success: false, message: 'Akun tidak ditemukan.' };
+
+        // Akun tanpa password (masuk lewat kode WhatsApp) boleh langsung set password
+        if (account.passwordHash && !await this.verifyPassword(currentPassword, account.passwordHash)) {
+            return { success: false, message: 'Password lama salah.' };
+        }
+        if (currentPassword && currentPassword === newPassword) {
+            return { success: false, message: 'Password baru harus berbeda dari password lama.' };
+        }
+        return await this.setPassword(account.username, newPassword);
+    }
+
+    async setPassword(username, newPassword, { mustChange = false } = {}) {
+        const invalid = this.validatePassword(newPassword);
+        if (invalid) return { success: false, message: invalid };
+
+        await this.updateAccount(username, {
+            passwordHash: await this.hashPassword(newPassword),
+            mustChangePassword: mustChange,
+            passwordChangedAt: new Date().toISOString()
+        });
+        return { success: true, message: 'Password berhasil disimpan.' };
+    }
+
+    async recordLogin(username) {
+        await this.updateAccount(username, { lastLogin: new Date().toISOString() });
+    }
+
+    /**
+     * KODE SEKALI PAKAI VIA WHATSAPP (purpose: login / reset)
+     */
+    async sendCode(account, purpose = 'login') {
+        if (!account || account.active === false || !account.number) {
+            return { success: false, message: 'Akun ini tidak punya nomor WhatsApp terdaftar.' };
+        }
+
+        const code = String(crypto.randomInt(0, 10 ** 6)).padStart(6, '0');
+        this.codes.set(account.username, {
+            hash: crypto.createHash('sha256').update(code).digest('hex'),
+            purpose,
+            expiresAt: Date.now() + CODE_TTL,
+            attempts: 0
+        });
+
+        const label = purpose === 'reset' ? 'reset password' : 'login';
+        await outbox.enqueue(account.number,
+            `🔐 Kode ${label} panel: *${code}*\n\n` +
+            `Berlaku ${CODE_TTL / 60000} menit. Jangan berikan kode ini ke siapa pun.\n` +
+            `Abaikan pesan ini kalau kamu tidak sedang ${label}.`,
+            { type: 'login_code', purpose }
+        );
+        console.log(`🔐 Kode ${label} untuk ${account.username} dititipkan ke outbox`);
+        return { success: true };
+    }
+
+    verifyCode(username, code, purpose = 'login') {
+        const entry = this.codes.get(username);
+        if (!entry || entry.purpose !== purpose) return false;
+
+        if (Date.now() > entry.expiresAt || entry.attempts >= CODE_MAX_ATTEMPTS) {
+            this.codes.delete(username);
+            return false;
+        }
+
+        entry.attempts++;
+        const hash = crypto.createHash('sha256').update(String(code || '').trim()).digest('hex');
+        if (!crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(entry.hash))) return false;
+
+        this.codes.delete(username);
+        return true;
+    }
+
+    /**
+     * TOTP (Google Authenticator, Authy, dll.)
+     */
+    base32Encode(buffer) {
+        let bits = '';
+        for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    }
+
+    base32Decode(text) {
+        let bits = '';
+        for (const char of String(text).toUpperCase().replace(/[^A-Z2-7]/g, '')) {
+            bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+        }
+
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) {
+            bytes.push(parseInt(bits.slice(i, i + 8), 2));
+        }
+        return Buffer.from(bytes);
+    }
+
+    generateTotpSecret() {
+        return this.base32Encode(crypto.randomBytes(20));
+    }
+
+    getTotpUri(account, secret) {
+        const label = encodeURIComponent(`Resbot:${account.username}`);
+        return `otpauth://totp/${label}?secret=${secret}&issuer=Resbot&digits=${TOTP_DIGITS}&period=${TOTP_STEP}`;
+    }
+
+    totpAt(secret, counter) {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+        return String(value).padStart(TOTP_DIGITS, '0');
+    }
+
+    // Toleransi satu langkah sebelum/sesudah untuk jam HP yang sedikit meleset
+    verifyTotp(secret, code) {
+        const token = String(code || '').replace(/\s/g, '');
+        if (!secret || !/^\d{6}$/.test(token)) return false;
+
+        const counter = Math.floor(Date.now() / 1000 / TOTP_STEP);
+        return [-1, 0, 1].some(drift =>
+            crypto.timingSafeEqual(Buffer.from(this.totpAt(secret, counter + drift)), Buffer.from(token))
+        );
+    }
+
+    async enableTotp(username, secret, code) {
+        if (!this.verifyTotp(secret, code)) {
+            return { success: false, message: 'Kode authenticator salah. Pastikan jam HP sudah benar.' };
+        }
+        await this.updateAccount(username, { totpSecret: secret });
+        return { success: true, message: 'Verifikasi 2 langkah (TOTP) aktif.' };
+    }
+
+    async disableTotp(username, code) {
+        const account = await this.findAccount(username);
+        if (!account || !account.totpSecret) return { success: false, message: 'TOTP belum aktif.' };
+        if (!this.verifyTotp(account.totpSecret, code)) {
+            return { success: false, message: 'Kode authenticator salah.' };
+        }
+        await this.updateAccount(username, { totpSecret: null });
+        return { success: true, message: 'Verifikasi 2 langkah (TOTP) dimatikan.' };
+    }
+
+    /**
+     * KELOLA AKUN (owner)
+     */
+    async listAccounts() {
+        const accounts = await this.loadAccounts();
+        return Promise.all(accounts.map(async account => ({
+            username: account.username,
+            name: account.name,
+            number: account.number || null,
+            role: await this.resolveRole(account),
+            active: account.active !== false,
+            hasPassword: Boolean(account.passwordHash),
+            totp: Boolean(account.totpSecret),
+            mustChangePassword: Boolean(account.mustChangePassword),
+            lastLogin: account.lastLogin
+        })));
+    }
+
+    async createAccount({ username, name, number, role, password }) {
+        const cleanUsername = String(username || '').trim().toLowerCase();
+        const cleanNumber = String(number || '').replace(/\D/g, '');
+
+        if (!/^[a-z0-9._-]{3,32}$/.test(cleanUsername)) {
+            return { success: false, message: 'Username 3-32 karakter: huruf kecil, angka, titik, strip.' };
+        }
+        if (!cleanNumber && !roleManager.normalizeRole(role)) {
+            return { success: false, message: 'Akun tanpa nomor WhatsApp wajib punya role (admin/viewer).' };
+        }
+        if (roleManager.normalizeRole(role) === 'owner') {
+            return { success: false, message: 'Role owner tidak bisa dibuat dari panel.' };
+        }
+
+        const accounts = await this.loadAccounts();
+        if (accounts.some(acc => acc.username === cleanUsername || (cleanNumber && acc.number === cleanNumber))) {
+            return { success: false, message: 'Username atau nomor sudah dipakai akun lain.' };
+        }
+
+        const invalid = this.validatePassword(password);
+        if (invalid) return { success: false, message: invalid };
+
+        const created = await this.insertAccount({
+            username: cleanUsername,
+            name: String(name || cleanUsername).trim(),
+            number: cleanNumber || null,
+            role: cleanNumber ? null : roleManager.normalizeRole(role),
+            passwordHash: await this.hashPassword(password),
+            mustChangePassword: true,
+            totpSecret: null,
+            active: true,
+            createdAt: new Date().toISOString(),
+            lastLogin: null
+        });
+        if (!created) {
+            return { success: false, message: 'Username atau nomor sudah dipakai akun lain.' };
+        }
+        return { success: true, message: `Akun ${cleanUsername} dibuat. Password wajib diganti saat login pertama.` };
+    }
+
+    async setActive(username, active) {
+        const account = await this.updateAccount(username, { active });
+        if (!account) return { success: false, message: 'Akun tidak ditemukan.' };
+        return { success: true, message: `Akun ${username} ${active ? 'diaktifkan' : 'dinonaktifkan'}.` };
+    }
+
+    /**
+     * Reset oleh owner: password sementara (wajib diganti) + TOTP dilepas
+     */
+    async adminResetPassword(username) {
+        const account = await this.findAccount(username);
+        if (!account) return { success: false, message: 'Akun tidak ditemukan.' };
+
+        const temporary = `Rb${crypto.randomInt(10 ** 5, 10 ** 6)}${crypto.randomBytes(3).toString('hex')}`;
+        await this.setPassword(account.username, temporary, { mustChange: true });
+        await this.updateAccount(account.username, { totpSecret: null });
+        return {
+            success: true,
+            message: `Password sementara ${account.username}: ${temporary} (wajib diganti saat login, TOTP dilepas).`
+        };
+    }
+}
+
+// Create singleton
+const accountManager = new AccountManager();
+
+module.exports = { AccountManager, accountManager, PASSWORD_MIN_LENGTH };
@@ -6,22 +6,14 @@
  * untuk menjawab pertanyaan user dengan natural language
  */
 
-const { loadProdukTxt, loadFAQ, loadSOP, loadJson } = require('./dataLoader');
+const { loadFAQ, loadSOP, loadJson } = require('./dataLoader');
+const { productCatalog } = require('./productCatalog');
 const natural = require('natural');
 
 class AdvancedContentReader {
     constructor() {
-        // Knowledge base untuk mapping produk ke kategori
-        this.productCategories = {
-            streaming: ['netflix', 'disney', 'youtube', 'iqiyi', 'viu', 'wetv', 'vision+', 'vidio', 'prime', 'hbo', 'bstation'],
-            aplikasi: ['capcut', 'alightmotion', 'chatgpt']
-        };
-        
-        // Garansi rules berdasarkan FAQ
-        this.garansiRules = {
-            streaming: { durasi: 30, unit: 'hari' },
-            aplikasi: { durasi: 7, unit: 'hari' }
-        };
+        // Produk, kategori dan garansi dibaca dari katalog (data/catalog.json)
+        this.catalog = productCatalog;
     }
 
     /**
@@ -29,7 +21,7 @@ class AdvancedContentReader {
      */
     async readAndAnswer(query) {
         try {
-            const analysis = this.analyzeUserQuery(query);
+            const analysis = await this.analyzeUserQuery(query);
             console.log(`🧠 Query analysis:`, analysis);
             
             if (!analysis.isSpecific) {
@@ -53,18 +45,12 @@ class AdvancedContentReader {
     /**
      * ANALYZE USER QUERY - Understand what user is asking
      */
-    analyzeUserQuery(query) {
+    async analyzeUserQuery(query) {
         const lowerQuery = query.toLowerCase();
         
-        // Extract mentioned products
-        const mentionedProducts = [];
-        for (const [category, products] of Object.entries(this.productCategories)) {
-            for (const product of products) {
-                if (lowerQuery.includes(product)) {
-                    mentionedProducts.push({ name: product, category: category });
-                }
-            }
-        }
+        // Extract mentioned products (id, nama, alias dari katalog)
+        const mentionedProducts = (await this.catalog.findProductsInText(lowerQuery))
+            .map(product => ({ name: product.id, category: product.category, product: product }));
         
         // Detect what specific info is being asked
         const infoType = this.detectSpecificInfoType(lowerQuery);
@@ -136,20 +122,13 @@ class AdvancedContentReader {
             sop: null
         };
         
-        // Read product files
+        // Read structured product data
         for (const productInfo of analysis.mentionedProducts) {
-            try {
-                const productData = await loadProdukTxt(productInfo.name);
-                if (productData) {
-                    content.products[productInfo.name] = {
-                        rawData: productData,
-                        category: productInfo.category,
-                        parsedInfo: this.parseProductContent(productData, productInfo.name)
-                    };
-                }
-            } catch (error) {
-                console.warn(`Error loading ${productInfo.name}:`, error);
-            }
+            content.products[productInfo.name] = {
+                product: productInfo.product,
+                category: productInfo.category,
+                parsedInfo: this.parseProductContent(productInfo.product)
+            };
         }
         
         // Read FAQ for general policies
@@ -164,102 +143,25 @@ class AdvancedContentReader {
     }
 
     /**
-     * PARSE PRODUCT CONTENT - Extract structured info from raw text
+     * PARSE PRODUCT CONTENT - Ambil info terstruktur dari katalog
      */
-    parseProductContent(rawData, productName) {
-        const parsed = {
-            prices: this.extractPrices(rawData),
-            features: this.extractFeatures(rawData),
-            garansi: this.extractGaransiInfo(rawData),
-            packages: this.extractPackages(rawData)
-        };
-        
-        return parsed;
-    }
-
-    extractPrices(text) {
-        const pricePatterns = [
-            /rp\s*(\d+[\d\.,]*)\s*k?\s*[\/]?\s*(bulan|hari|tahun)?/gi,
-            /(\d+)\s*k\s*[\/=:]\s*(bulan|hari)?/gi,
-            /:\s*rp\s*(\d+[\d\.,]*)/gi
-        ];
-        
-        const prices = [];
-        for (const pattern of pricePatterns) {
-            const matches = [...text.matchAll(pattern)];
-            for (const match of matches) {
-                prices.push({
-                    amount: match[1],
-                    unit: match[2] || 'bulan',
-                    context: this.getContext(text, match.index, 30)
-                });
-            }
-        }
-        
-        return prices;
-    }
-
-    extractFeatures(text) {
-        const featurePatterns = [
-            /✅\s*([^✅\r\n]+)/g,
-            /•\s*([^•\r\n]+)/g,
-            /_([^_\r\n]+)_/g
-        ];
-        
-        const features = [];
-        for (const pattern of featurePatterns) {
-            const matches = [...text.matchAll(pattern)];
-            for (const match of matches) {
-                const feature = match[1].trim();
-                if (feature.length > 3 && !feature.match(/^\d+/)) {
-                    features.push(feature);
-                }
-            }
-        }
+    parseProductContent(product) {
+        const packages = this.catalog.getPackages(product);
         
-        return features;
-    }
-
-    extractGaransiInfo(text) {
-        // Look for specific garansi mentions
-        const garansiPatterns = [
-            /garansi\s*(\d+)\s*(hari|day)/gi,
-            /(\d+)\s*(hari|day)\s*garansi/gi,
-            /full\s*garansi/gi,
-            /garansi\s*penuh/gi
-        ];
-        
-        for (const pattern of garansiPatterns) {
-            const match = pattern.exec(text);
-            if (match) {
-                if (match[1]) {
-                    return { durasi: match[1], unit: match[2] || 'hari' };
-                } else {
-                    return { durasi: 'full', unit: 'garansi' };
-                }
-            }
-        }
-        
-        return null;
-    }
-
-    extractPackages(text) {
-        const lines = text.split('\n');
-        const packages = [];
-        
-        for (const line of lines) {
-            if (line.includes('Bulan') && line.includes('Rp')) {
-                packages.push(line.trim());
+        return {
+            packages: packages,
+            prices: packages.filter(pkg => pkg.available),
+            features: [
+                ...(product.features || []),
+                ...(product.variants || []).flatMap(variant => variant.features || []),
+                ...(product.notes || [])
+            ],
+            garansi: {
+                durasi: this.catalog.getWarrantyDays(product),
+                unit: 'hari',
+                hasNoGaransiOption: this.catalog.hasNoWarrantyOption(product)
             }
-        }
-        
-        return packages;
-    }
-
-    getContext(text, index, length = 30) {
-        const start = Math.max(0, index - length);
-        const end = Math.min(text.length, index + length);
-        return text.substring(start, end).trim();
+        };
     }
 
     /**
@@ -280,36 +182,37 @@ class AdvancedContentReader {
     }
 
     generateSingleProductAnswer(productInfo, infoType, content, analysis) {
-        const productName = productInfo.name.charAt(0).toUpperCase() + productInfo.name.slice(1);
         const productContent = content.products[productInfo.name];
         
         if (!productContent) {
             return null;
         }
         
+        const productName = productContent.product.name;
+        const garansi = productContent.parsedInfo.garansi;
+        const garansiText = this.catalog.formatWarranty(garansi.durasi);
+        
         switch (infoType) {
             case 'garansi':
-                // Baca dari knowledge base garansi rules
-                const garansiRule = this.garansiRules[productInfo.category];
-                if (garansiRule) {
-                    return `Garansi ${productName} adalah ${garansiRule.durasi} ${garansiRule.unit}, Kak! Karena ${productName} termasuk kategori ${productInfo.category === 'streaming' ? 'akun streaming' : 'aplikasi premium'}. Jadi kalau ada kendala dalam ${garansiRule.durasi} ${garansiRule.unit} pertama, bisa langsung claim ke admin ya 😊`;
+                if (!garansi.durasi) {
+                    return `${productName} tidak termasuk garansi ya, Kak. Kalau mau yang aman, bisa tanya produk lain yang bergaransi 😊`;
                 }
-                break;
+                if (garansi.hasNoGaransiOption) {
+                    return `Garansi ${productName} adalah ${garansiText}, Kak! Berlaku untuk paket FULL GARANSI ya, paket NO GARANSI tidak bisa claim. Kalau ada kendala dalam ${garansiText} pertama, bisa langsung claim ke admin 😊`;
+                }
+                return `Garansi ${productName} adalah ${garansiText}, Kak! Karena ${productName} termasuk kategori ${productInfo.category === 'streaming' ? 'akun streaming' : 'aplikasi premium'}. Jadi kalau ada kendala dalam ${garansiText} pertama, bisa langsung claim ke admin ya 😊`;
                 
             case 'harga_spesifik':
                 const prices = productContent.parsedInfo.prices;
                 if (prices.length > 0) {
                     // Find cheapest price
-                    const cheapest = prices.reduce((min, price) => 
-                        parseInt(price.amount.replace(/\D/g, '')) < parseInt(min.amount.replace(/\D/g, '')) ? price : min
-                    );
-                    
-                    const garansiInfo = this.garansiRules[productInfo.category];
+                    const cheapest = prices.reduce((min, pkg) => pkg.price < min.price ? pkg : min);
+                    const cheapestGaransi = cheapest.warrantyDays ? `garansi ${this.catalog.formatWarranty(cheapest.warrantyDays)}` : 'no garansi';
                     
                     if (analysis.originalQuery.includes('murah') || analysis.originalQuery.includes('termurah')) {
-                        return `${productName} yang paling murah Rp ${cheapest.amount}k, Kak! Itu untuk paket ${cheapest.unit}an dengan garansi ${garansiInfo?.durasi} ${garansiInfo?.unit}. Worth it banget! Mau order? 😊`;
+                        return `${productName} yang paling murah ${this.catalog.formatPrice(cheapest.price)}, Kak! Itu untuk paket ${cheapest.variantName} ${cheapest.label} ${cheapestGaransi}. Worth it banget! Mau order? 😊`;
                     } else {
-                        return `Harga ${productName} mulai dari Rp ${cheapest.amount}k per ${cheapest.unit}, Kak! Sudah include garansi ${garansiInfo?.durasi} ${garansiInfo?.unit} juga. Ada beberapa paket, mau lihat yang mana? 😊`;
+                        return `Harga ${productName} mulai dari ${this.catalog.formatPrice(cheapest.price)} (${cheapest.label}), Kak! Ada ${prices.length} pilihan paket, mau lihat yang mana? 😊`;
                     }
                 }
                 break;
@@ -331,11 +234,8 @@ class AdvancedContentReader {
             let response = `Garansi produk yang Kak tanya:\n\n`;
             
             for (const productInfo of products) {
-                const garansiRule = this.garansiRules[productInfo.category];
-                if (garansiRule) {
-                    const productName = productInfo.name.charAt(0).toUpperCase() + productInfo.name.slice(1);
-                    response += `🔸 ${productName}: ${garansiRule.durasi} ${garansiRule.unit}\n`;
-                }
+                const garansi = content.products[productInfo.name].parsedInfo.garansi;
+                response += `🔸 ${productInfo.product.name}: ${this.catalog.formatWarranty(garansi.durasi)}${garansi.hasNoGaransiOption ? ' (kecuali paket NO GARANSI)' : ''}\n`;
             }
             
             response += `\nSemua produk bergaransi penuh sesuai kategorinya ya, Kak! Ada yang mau diorder? 😊`;
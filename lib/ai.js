@@ -4,12 +4,16 @@ const { checkLimit, getUser } = require("./users");
 const { displayMenu } = require('./utils');
 const { GEMINI_TEXT } = require("./gemini");
 const { handleUserMessage } = require('./hybridHandler');
-const { loadJson, saveJson } = require('./dataLoader');
+const { loadJson } = require('./dataLoader');
 const { learningManager } = require('./learningManager');
 const { imageHandler } = require('./imageHandler');
 const { botLaws } = require('./botLaws');
 const { responseRouter } = require('./responseRouter');
 const { interactiveAdminCommands } = require('./interactiveAdminCommands');
+const { roleManager } = require('./roleManager');
+const { blacklistManager } = require('./blacklistManager');
+const { securityManager } = require('./securityManager');
+const { handoffManager } = require('./handoffManager');
 
 // Helper validasi JID (opsional, jika mau kirim pesan manual ke JID WA)
 function isValidJid(jid) {
@@ -38,330 +42,60 @@ async function isAdmin(sender) {
   return isOwner(sender) || await isModerator(sender);
 }
 
-// Handler untuk admin commands
-async function handleAdminCommands(content, sock, sender, remoteJid, message) {
-  const lowerContent = content.toLowerCase().trim();
-  const args = content.split(' ');
-  
-  // Command: Add Buyer Report (format yang diperbaiki)
-  if (lowerContent.startsWith('addbuyer ')) {
-    if (args.length < 8) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `Format: addbuyer [user] [apk] [email] [durasi] [dateGiven] [exp] [invite]\nContoh: addbuyer John netflix john@mail.com 30 2025-08-15 2025-09-15 INV123\n\nAPK tersedia: netflix, spotify, canva, capcut, disney, youtube, iqiyi, viu, wetv, vision+, vidio, prime, hbo, bstation, alightmotion, chatgpt, remini, picsart` 
-      }, { quoted: message });
-    }
-    
-    const [, user, apk, email, durasi, dateGiven, exp, invite] = args;
-    
-    // Validasi APK (sesuai dengan file produk yang ada)
-    const VALID_APK = [
-      "netflix", "spotify", "canva", "capcut", "disney", "youtube", "iqiyi", "viu", "wetv", 
-      "vision+", "vidio", "prime", "hbo", "bstation", "alightmotion", "chatgpt", "remini", "picsart"
-    ];
-    
-    const apkNorm = apk.trim().toLowerCase();
-    if (!VALID_APK.includes(apkNorm)) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `❌ APK tidak valid!\n\nAPK yang tersedia:\n${VALID_APK.join(', ')}` 
-      }, { quoted: message });
-    }
-    
-    try {
-      // Load buyers data sesuai struktur yang ada
-      let buyersData = await loadJson("buyers.json");
-      if (!Array.isArray(buyersData)) buyersData = [];
-      
-      // Cari user existing
-      let userIndex = buyersData.findIndex(b => b.user === user);
-      
-      // Data transaksi baru
-      const transaksi = {
-        apk: apkNorm,
-        email,
-        durasi: durasi + " hari", // Format durasi dalam hari
-        dateGiven,
-        exp,
-        invite
-      };
-      
-      if (userIndex === -1) {
-        // User baru
-        buyersData.push({
-          user,
-          statistik: {
-            [apkNorm]: {
-              total: 1,
-              rincian: { [transaksi.durasi]: 1 }
-            }
-          },
-          data: [transaksi]
-        });
-      } else {
-        // User sudah ada
-        buyersData[userIndex].data.push(transaksi);
-        
-        // Update statistik
-        if (!buyersData[userIndex].statistik[apkNorm]) {
-          buyersData[userIndex].statistik[apkNorm] = { total: 0, rincian: {} };
-        }
-        buyersData[userIndex].statistik[apkNorm].total += 1;
-        if (!buyersData[userIndex].statistik[apkNorm].rincian[transaksi.durasi]) {
-          buyersData[userIndex].statistik[apkNorm].rincian[transaksi.durasi] = 0;
-        }
-        buyersData[userIndex].statistik[apkNorm].rincian[transaksi.durasi] += 1;
-      }
-      
-      // Simpan data
-      await saveJson("buyers.json", buyersData);
-      
-      return await sock.sendMessage(remoteJid, { 
-        text: `✅ *Buyer berhasil ditambahkan!*\n\n👤 *User:* ${user}\n📱 *APK:* ${apkNorm}\n📧 *Email:* ${email}\n⏰ *Durasi:* ${transaksi.durasi}\n📅 *Diberikan:* ${dateGiven}\n⚠️ *Expired:* ${exp}\n🎫 *Invite:* ${invite}` 
-      }, { quoted: message });
-      
-    } catch (error) {
-      console.error('Error adding buyer:', error);
-      return await sock.sendMessage(remoteJid, { 
-        text: `❌ Gagal menambahkan buyer: ${error.message}` 
-      }, { quoted: message });
-    }
-  }
-  
-  // Command: Add Claim Garansi (format yang diperbaiki)
-  if (lowerContent.startsWith('addclaim ')) {
-    if (args.length < 5) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `Format: addclaim [user] [apk] [masalah] [replace|reset]\nContoh: addclaim John netflix "tidak bisa login" replace` 
-      }, { quoted: message });
-    }
-    
-    const [, user, apk, ...rest] = args;
-    const lastArg = rest[rest.length - 1];
-    const type = lastArg.toLowerCase();
-    const masalah = rest.slice(0, -1).join(' ').replace(/"/g, '');
-    
-    if (!['replace', 'reset'].includes(type)) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `❌ Type claim harus 'replace' atau 'reset'!` 
-      }, { quoted: message });
-    }
-    
-    try {
-      const fileName = type === 'replace' ? 'claimsReplace.json' : 'claimsReset.json';
-      let claimsData = await loadJson(fileName);
-      if (!Array.isArray(claimsData)) claimsData = [];
-      
-      const newClaim = {
-        user,
-        apk: apk.toLowerCase(),
-        masalah,
-        tanggal: new Date().toISOString().split('T')[0],
-        status: type === 'replace' ? 'PENDING' : undefined,
-        done: type === 'reset' ? false : undefined
-      };
-      
-      claimsData.push(newClaim);
-      await saveJson(fileName, claimsData);
-      
-      // Log ke claim history
-      let logClaim = await loadJson('log_claim.json');
-      if (!Array.isArray(logClaim)) logClaim = [];
-      logClaim.push({
-        ...newClaim,
-        id: Date.now(),
-        admin: sender.split('@')[0],
-        type: type
-      });
-      await saveJson('log_claim.json', logClaim);
-      
-      return await sock.sendMessage(remoteJid, { 
-        text: `✅ *Claim ${type} berhasil ditambahkan!*\n\n👤 *User:* ${user}\n📱 *APK:* ${apk}\n❗ *Masalah:* ${masalah}\n📅 *Tanggal:* ${newClaim.tanggal}\n🔄 *Type:* ${type.toUpperCase()}` 
-      }, { quoted: message });
-      
-    } catch (error) {
-      console.error('Error adding claim:', error);
-      return await sock.sendMessage(remoteJid, { 
-        text: `❌ Gagal menambahkan claim: ${error.message}` 
-      }, { quoted: message });
-    }
-  }
-  
-  // Command: Add Moderator (Owner only)
-  if (lowerContent.startsWith('addmod ') && isOwner(sender)) {
-    if (args.length < 3) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `Format: addmod [nomor] [nama]\nContoh: addmod 628123456789 "Admin John"` 
-      }, { quoted: message });
-    }
-    
-    const nomor = args[1];
-    const nama = args.slice(2).join(' ').replace(/"/g, '');
-    
-    try {
-      let moderators = await loadJson('moderators.json');
-      if (!Array.isArray(moderators)) moderators = [];
-      
-      // Cek apakah sudah ada
-      const exists = moderators.some(mod => mod.number === nomor);
-      if (exists) {
-        return await sock.sendMessage(remoteJid, { 
-          text: `❌ Moderator dengan nomor ${nomor} sudah ada!` 
-        }, { quoted: message });
-      }
-      
-      const newMod = {
-        id: Date.now(),
-        number: nomor,
-        name: nama,
-        addedBy: sender.split('@')[0],
-        addedDate: new Date().toISOString(),
-        active: true
-      };
-      
-      moderators.push(newMod);
-      await saveJson('moderators.json', moderators);
-      
-      return await sock.sendMessage(remoteJid, { 
-        text: `✅ Moderator berhasil ditambahkan:\n📱 Nomor: ${nomor}\n👤 Nama: ${nama}\n📅 Tanggal: ${new Date().toLocaleDateString('id-ID')}` 
-      }, { quoted: message });
-    } catch (error) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `❌ Gagal menambahkan moderator: ${error.message}` 
-      }, { quoted: message });
-    }
-  }
-  
-  // Command: List Moderators (Owner only)
-  if (lowerContent === 'listmod' && isOwner(sender)) {
-    try {
-      const moderators = await loadJson('moderators.json');
-      if (!Array.isArray(moderators) || moderators.length === 0) {
-        return await sock.sendMessage(remoteJid, { 
-          text: `📋 *DAFTAR MODERATOR*\n\nBelum ada moderator yang terdaftar.` 
-        }, { quoted: message });
-      }
-      
-      let modList = `📋 *DAFTAR MODERATOR*\n\n`;
-      moderators.forEach((mod, index) => {
-        const status = mod.active ? '🟢 Aktif' : '🔴 Nonaktif';
-        const addedDate = new Date(mod.addedDate).toLocaleDateString('id-ID');
-        modList += `${index + 1}. *${mod.name}*\n`;
-        modList += `   📱 ${mod.number}\n`;
-        modList += `   ${status}\n`;
-        modList += `   📅 ${addedDate}\n\n`;
-      });
-      
-      modList += `Total: ${moderators.length} moderator`;
-      
-      return await sock.sendMessage(remoteJid, { text: modList }, { quoted: message });
-    } catch (error) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `❌ Gagal memuat daftar moderator: ${error.message}` 
-      }, { quoted: message });
-    }
-  }
-  
-  // Command: Remove Moderator (Owner only)
-  if (lowerContent.startsWith('delmod ') && isOwner(sender)) {
-    if (args.length < 2) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `Format: delmod [nomor]\nContoh: delmod 628123456789` 
-      }, { quoted: message });
-    }
-    
-    const nomor = args[1];
-    
-    try {
-      let moderators = await loadJson('moderators.json');
-      if (!Array.isArray(moderators)) moderators = [];
-      
-      const index = moderators.findIndex(mod => mod.number === nomor);
-      if (index === -1) {
-        return await sock.sendMessage(remoteJid, { 
-          text: `❌ Moderator dengan nomor ${nomor} tidak ditemukan!` 
-        }, { quoted: message });
-      }
-      
-      const removed = moderators.splice(index, 1)[0];
-      await saveJson('moderators.json', moderators);
-      
-      return await sock.sendMessage(remoteJid, { 
-        text: `✅ Moderator berhasil dihapus:\n👤 ${removed.name}\n📱 ${removed.number}` 
-      }, { quoted: message });
-    } catch (error) {
-      return await sock.sendMessage(remoteJid, { 
-        text: `❌ Gagal menghapus moderator: ${error.message}` 
-      }, { quoted: message });
-    }
-  }
-  
-  // Command: List Admin Commands
-  if (lowerContent === 'adminhelp' || lowerContent === 'adminmenu') {
-    const adminMenu = `
-🔧 *ADMIN COMMANDS*
-
-📊 *Data Management:*
-• addbuyer [user] [apk] [email] [durasi] [dateGiven] [exp] [invite]
-• addclaim [user] [apk] [masalah] [replace/reset]
-
-👥 *User Management:* ${isOwner(sender) ? `
-• addmod [nomor] [nama]
-• listmod
-• delmod [nomor]` : ''}
-
-🧠 *Learning Commands:*
-• learning stats - Statistik pembelajaran bot
-• learning help - Cara mengajari bot
-
-📋 *Info Commands:*
-• adminhelp - Menu ini
-
-💡 *Contoh:*
-• addbuyer John netflix john@mail.com 30 2025-08-15 2025-09-15 INV123
-• addclaim Jane spotify "error login" replace
-${isOwner(sender) ? '• addmod 628123456789 "Admin Sarah"' : ''}
-
-📱 *APK yang tersedia:*
-netflix, spotify, canva, capcut, disney, youtube, iqiyi, viu, wetv, vision+, vidio, prime, hbo, bstation, alightmotion, chatgpt, remini, picsart
-
-🎓 *Cara mengajari bot:*
-"jangan nanya balik saat ada yang tanya cara bayar, bilang pembayaran via QRIS, Dana, OVO"
-    `;
-    
-    return await sock.sendMessage(remoteJid, { text: adminMenu.trim() }, { quoted: message });
-  }
-  
-  return null; // Tidak ada command yang cocok
-}
-
-
 // --- Handler utama processMessage ---
 async function processMessage(content, sock, sender, remoteJid, message, messageType, pushName, isQuoted) {
   // Step 1: Basic validations
-  const user = getUser(sender);
+  const user = await getUser(sender);
   const userLimit = checkLimit(user);
   const isUserAdmin = await isAdmin(sender);
-  const isUserOwner = isOwner(sender);
-  const isUserModerator = await isModerator(sender);
 
-  // Step 2: Check user limits (unless admin)
+  // Step 2: Blacklist (admin tidak pernah diblokir) + deteksi spam untuk blacklist otomatis
+  if (!isUserAdmin) {
+    const blacklist = await blacklistManager.check(sender, 'message');
+    if (blacklist.blocked) {
+      console.log(`⛔ Pesan dari ${sender.split('@')[0]} tidak dilayani (blacklist: ${blacklist.entry.reason})`);
+      responseRouter.recordTrace(remoteJid, { route: 'blacklist', source: blacklist.entry.scope });
+      if (blacklist.silent) return null;
+      return await sock.sendMessage(remoteJid, { text: blacklist.message }, { quoted: message });
+    }
+    
+    if (content) {
+      securityManager.detectSpam(content, sender);
+    }
+
+    // Live chat handoff: chat sedang dipegang admin, bot tidak membalas (pesan diteruskan ke admin)
+    if (await handoffManager.isActive(remoteJid)) {
+      responseRouter.recordTrace(remoteJid, { route: 'handoff', source: 'handoff' });
+      // Gambar (bukti transfer, screenshot error) ikut diteruskan beserta teks OCR-nya
+      const image = messageType === 'imageMessage' ? await imageHandler.readForHandoff(message, sock) : null;
+      await handoffManager.handleCustomerMessage(remoteJid, content || '', sock, pushName, image);
+      return null;
+    }
+  }
+
+  // Step 3: Check user limits (unless admin)
   if (!userLimit && !isUserAdmin) {
+    responseRouter.recordTrace(remoteJid, { route: 'limit', source: 'limit' });
     return await sock.sendMessage(remoteJid, { text: config.notification.limit }, { quoted: message });
   }
 
-  // Step 3: Handle session reset
+  // Step 4: Handle session reset
   if (content.toLowerCase().trim() === 'reset') {
     resetSession(sender);
+    responseRouter.recordTrace(remoteJid, { route: 'reset', source: 'reset' });
     return await sock.sendMessage(remoteJid, { text: config.notification.reset }, { quoted: message });
   }
 
-  // Step 4: Handle Interactive Admin Commands (for admins only)
+  // Step 5: Handle Interactive Admin Commands (for admins only)
   if (isUserAdmin) {
     try {
+      const adminRole = await roleManager.getRoleForNumber(sender);
       const adminResponse = await interactiveAdminCommands.handleCommand(
-        content, sock, sender, remoteJid, message, isUserOwner, isUserModerator
+        content, sock, sender, remoteJid, message, adminRole
       );
       
       if (adminResponse) {
+        responseRouter.recordTrace(remoteJid, { route: 'interactiveAdmin', source: 'interactiveAdmin' });
         return adminResponse; // Admin command handled
       }
     } catch (adminError) {
@@ -370,7 +104,7 @@ async function processMessage(content, sock, sender, remoteJid, message, message
     }
   }
 
-  // Step 5: Route through Unified Response Router
+  // Step 6: Route through Unified Response Router
   console.log(`🎯 Routing message: "${content.substring(0, 50)}..." from ${sender.split('@')[0]}`);
   
   try {
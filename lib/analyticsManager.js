@@ -9,6 +9,9 @@ const { loadJson, saveJson } = require('./dataLoader');
 const { responseRouter } = require('./responseRouter');
 const { learningManager } = require('./learningManager');
 const { botLaws } = require('./botLaws');
+const { surveyManager } = require('./surveyManager');
+const { ledgerManager } = require('./ledgerManager');
+const { voucherManager } = require('./voucherManager');
 
 class AnalyticsManager {
     constructor() {
@@ -97,6 +100,7 @@ class AnalyticsManager {
             // 🎯 MARKETING & ENGAGEMENT
             marketing: {
                 promoCodeUsage: {},
+                voucherRedemptions: { daily: {}, byCode: {} },
                 campaignPerformance: {},
                 referralSources: {},
                 socialMediaMentions: {},
@@ -149,7 +153,8 @@ class AnalyticsManager {
                 avgResolutionTime: 0,
                 firstContactResolution: 0,
                 escalationRate: 0,
-                customerSatisfactionScore: 0,
+                customerSatisfactionScore: 0, // rata-rata nilai survey 1-5 sejak bot jalan
+                surveyResponses: 0,
                 responseAccuracy: 0,
                 serviceQuality: {},
                 commonQuestions: {},
@@ -498,9 +503,37 @@ class AnalyticsManager {
     }
 
     // 🎯 MARKETING TRACKING
+    /**
+     * Pemakaian voucher di order (lib/orderFlow). Order yang batal/kedaluwarsa
+     * mengurangi hitungan lagi lewat untrackVoucherRedemption (lib/orderManager).
+     * redemption: { code, discount }
+     */
+    trackVoucherRedemption(redemption) {
+        this.countVoucherRedemption(redemption, new Date().toISOString(), 1);
+    }
+
+    // redemption: { code, discount, at } - at = waktu voucher dipakai, supaya hari yang sama dikurangi
+    untrackVoucherRedemption(redemption) {
+        this.countVoucherRedemption(redemption, redemption.at || new Date().toISOString(), -1);
+    }
+
+    countVoucherRedemption(redemption, at, delta) {
+        const day = at.split('T')[0];
+        // metrics.json lama belum punya voucherRedemptions
+        const redemptions = this.metrics.marketing.voucherRedemptions =
+            this.metrics.marketing.voucherRedemptions || { daily: {}, byCode: {} };
+        const byCode = redemptions.byCode[redemption.code] || { count: 0, discount: 0 };
+
+        redemptions.daily[day] = Math.max(0, (redemptions.daily[day] || 0) + delta);
+        redemptions.byCode[redemption.code] = {
+            count: Math.max(0, byCode.count + delta),
+            discount: Math.max(0, byCode.discount + delta * (redemption.discount || 0))
+        };
+    }
+
     trackMarketingMetrics(content, source = 'organic') {
         const lowerContent = content.toLowerCase();
-        
+
         // Track promo code usage
         const promoPattern = /promo|diskon|kode|voucher/i;
         if (promoPattern.test(content)) {
@@ -643,25 +676,32 @@ class AnalyticsManager {
         }
     }
 
+    /**
+     * Jawaban survey kepuasan (lib/surveyManager): { rating 1-5, comment }.
+     * String biasa dianggap komentar tanpa nilai.
+     */
     trackUserFeedback(feedback) {
-        // Simplified user satisfaction tracking
-        // In real implementation, this could analyze sentiment of user responses
+        const { rating = null, comment = '' } = typeof feedback === 'string' ? { comment: feedback } : feedback;
+        const service = this.metrics.customerService;
+        
+        if (rating) {
+            service.surveyResponses = (service.surveyResponses || 0) + 1;
+            service.customerSatisfactionScore =
+                (service.customerSatisfactionScore || 0) + (rating - (service.customerSatisfactionScore || 0)) / service.surveyResponses;
+        }
+        if (!comment) return;
+        
+        // Sentimen komentar
         const positiveWords = ['terima kasih', 'makasih', 'thanks', 'mantap', 'bagus', 'cepat'];
         const negativeWords = ['lama', 'lambat', 'error', 'salah', 'gak bisa', 'tidak membantu'];
         
-        const lowerFeedback = feedback.toLowerCase();
+        const lowerFeedback = comment.toLowerCase();
         const hasPositive = positiveWords.some(word => lowerFeedback.includes(word));
         const hasNegative = negativeWords.some(word => lowerFeedback.includes(word));
+        const sentiment = hasPositive && !hasNegative ? 'positive' : (hasNegative && !hasPositive ? 'negative' : 'neutral');
         
-        if (hasPositive && !hasNegative) {
-            this.metrics.quality.userSatisfactionScore += 1;
-        } else if (hasNegative && !hasPositive) {
-            this.metrics.quality.userSatisfactionScore -= 1;
-        }
-        
-        // Normalize to 0-100 scale
-        this.metrics.quality.userSatisfactionScore = Math.max(0, 
-            Math.min(100, this.metrics.quality.userSatisfactionScore));
+        service.serviceQuality = service.serviceQuality || {};
+        service.serviceQuality[sentiment] = (service.serviceQuality[sentiment] || 0) + 1;
     }
 
     // REAL-TIME MONITORING
@@ -893,7 +933,7 @@ class AnalyticsManager {
     /**
      * GET ANALYTICS BY CATEGORY
      */
-    getAnalyticsByCategory(category) {
+    async getAnalyticsByCategory(category) {
         switch (category) {
             case 'traffic':
                 return {
@@ -935,18 +975,33 @@ class AnalyticsManager {
                     topIssue: this.getTopClaimIssue()
                 };
                 
-            case 'business':
+            case 'business': {
+                // Omzet & margin dari data/ledger.json (bot dan panel sama-sama mencatat ke sana)
+                const ledger = await ledgerManager.getReport({ days: 30, months: 12 });
+                const { totals } = ledger;
                 return {
                     salesFunnel: this.metrics.business.salesFunnelSteps,
                     conversionRate: this.calculateConversionRate(),
-                    revenue: this.metrics.business.revenue,
+                    revenue: totals.revenue,
+                    cost: totals.cost,
+                    grossMargin: totals.margin,
+                    marginRate: totals.marginRate,
+                    averageOrderValue: totals.sales > 0 ? Math.round(totals.revenue / totals.sales) : 0,
+                    outstandingRefunds: totals.outstandingRefunds,
+                    dailyRevenue: ledger.daily,
+                    monthlyRevenue: ledger.monthly,
+                    marginByProduct: ledger.byProduct,
                     customerValue: this.metrics.business.customerLifetimeValue,
-                    transactions: this.metrics.business.transactions,
+                    transactions: totals.sales,
                     roi: this.metrics.business.roi
                 };
+            }
                 
             case 'marketing':
                 return {
+                    // Pemakaian voucher dari data/vouchers.json (sama di proses bot dan panel)
+                    vouchers: await voucherManager.getStats(),
+                    voucherRedemptions: this.metrics.marketing.voucherRedemptions || { daily: {}, byCode: {} },
                     brandSentiment: this.metrics.marketing.brandSentiment,
                     campaigns: this.metrics.marketing.campaignPerformance,
                     engagement: this.metrics.marketing.socialEngagement,
@@ -985,15 +1040,26 @@ class AnalyticsManager {
                     userSatisfaction: this.metrics.intelligence.userSatisfactionScore
                 };
                 
-            case 'customer_service':
+            case 'customer_service': {
+                // Dari data/feedback.json: panel dan bot melihat angka yang sama
+                const csat = await surveyManager.getStats();
                 return {
-                    satisfaction: this.metrics.customerService.customerSatisfaction,
-                    responseTime: this.metrics.customerService.avgFirstResponseTime,
+                    satisfaction: csat.csat,
+                    nps: csat.nps,
+                    averageScore: csat.averageScore,
+                    responses: csat.responses,
+                    surveysSent: csat.surveysSent,
+                    responseRate: csat.responseRate,
+                    pendingSurveys: csat.pending,
+                    distribution: csat.distribution,
+                    trend: csat.trend,
+                    bySource: csat.bySource,
+                    byModerator: csat.byModerator,
+                    recentComments: csat.recentComments,
                     resolutionTime: this.metrics.customerService.avgResolutionTime,
-                    escalations: this.metrics.customerService.escalationRate,
-                    tickets: this.metrics.customerService.ticketVolume,
-                    feedback: this.metrics.customerService.feedbackScore
+                    escalations: this.metrics.customerService.escalationRate
                 };
+            }
                 
             default:
                 return {
@@ -1321,6 +1387,12 @@ ${Object.entries(claims.claimsDaily)
 🎫 *Promo Performance:*
 • Today's Usage: ${this.getTodayPromoUsage()}
 • Weekly Promo Queries: ${Object.values(marketing.promoCodeUsage).reduce((a, b) => a + b, 0)}
+• Voucher Redeemed Today: ${(marketing.voucherRedemptions && marketing.voucherRedemptions.daily[today]) || 0}
+${Object.entries((marketing.voucherRedemptions && marketing.voucherRedemptions.byCode) || {})
+    .sort(([,a], [,b]) => b.count - a.count)
+    .slice(0, 5)
+    .map(([code, stats]) => `• ${code}: ${stats.count}x (Rp ${stats.discount.toLocaleString('id-ID')})`)
+    .join('\n') || '• No voucher redemptions'}
 
 📱 *Referral Sources:*
 ${Object.entries(marketing.referralSources)
@@ -0,0 +1,191 @@
+/**
+ * AUDIT LOG
+ * Jejak append-only setiap aksi admin / moderator, dari panel web maupun perintah WhatsApp.
+ *
+ * Disimpan di data/audit_log.jsonl (satu baris JSON per aksi, file hanya ditambah,
+ * tidak pernah ditulis ulang). Tiap entri: siapa (actor), lewat mana (panel/whatsapp),
+ * action, resource, target, diff before/after dan waktu. Dibaca halaman /audit dan
+ * diekspor ke CSV.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { toCsv } = require('./csv');
+
+const AUDIT_FILE = path.join(__dirname, '../data/audit_log.jsonl');
+
+// Field yang tidak boleh ikut tercatat apa adanya
+const SECRET_FIELDS = /^(password|passwordHash|pin|totpSecret|secret|token)$/i;
+const REDACTED = '[disembunyikan]';
+
+class AuditLog {
+    constructor() {
+        // Antrian tulis supaya baris dari request yang bersamaan tidak saling menimpa
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * ACTOR
+     */
+    panelActor(req) {
+        const user = (req.session && req.session.user) || {};
+        return { via: 'panel', id: user.username || 'unknown', role: user.role || null, ip: req.ip };
+    }
+
+    whatsappActor(sender, role = null) {
+        return { via: 'whatsapp', id: String(sender || '').split('@')[0], role };
+    }
+
+    // Salinan data sebelum diubah di tempat (buyers/stock diubah langsung di array hasil loadJson)
+    snapshot(value) {
+        return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * DIFF - field yang berubah antara before dan after (nested object jadi path "a.b")
+     */
+    redact(value) {
+        if (Array.isArray(value)) return value.map(item => this.redact(item));
+        if (!value || typeof value !== 'object') return value;
+
+        const clean = {};
+        for (const [key, item] of Object.entries(value)) {
+            clean[key] = SECRET_FIELDS.test(key) && item ? REDACTED : this.redact(item);
+        }
+        return clean;
+    }
+
+    diff(before, after, prefix = '') {
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(before) || !isObject(after)) {
+            return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ field: prefix || '*', from: before, to: after }];
+        }
+
+        const changes = [];
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const field = prefix ? `${prefix}.${key}` : key;
+            if (isObject(before[key]) && isObject(after[key])) {
+                changes.push(...this.diff(before[key], after[key], field));
+            } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                changes.push({ field, from: before[key], to: after[key] });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * RECORD - { actor, action, resource, target, before, after, note }
+     * Gagal menulis audit tidak boleh menggagalkan aksi utamanya.
+     */
+    async record({ actor, action, resource, target = null, before = null, after = null, note = '' }) {
+        const cleanBefore = this.redact(before);
+        const cleanAfter = this.redact(after);
+        // Diff dihitung dari data asli supaya ganti password tetap terlihat, nilainya yang disamarkan
+        const changes = before !== null || after !== null
+            ? this.diff(before || {}, after || {}).map(change => {
+                const secret = SECRET_FIELDS.test(change.field.split('.').pop());
+                return {
+                    field: change.field,
+                    from: secret && change.from ? REDACTED : this.redact(change.from),
+                    to: secret && change.to ? REDACTED : this.redact(change.to)
+                };
+            })
+            : [];
+        const entry = {
+            id: `AUD-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            at: new Date().toISOString(),
+            actor: actor || { via: 'system', id: 'system' },
+            action,
+            resource,
+            target: target === null || target === undefined ? null : String(target),
+            changes,
+            before: cleanBefore,
+            after: cleanAfter,
+            ...(note ? { note } : {})
+        };
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.appendFile(AUDIT_FILE, `${JSON.stringify(entry)}\n`, 'utf8'))
+            .catch(error => console.error('Error writing audit log:', error.message));
+        await this.writeQueue;
+        return entry;
+    }
+
+    /**
+     * QUERY - filter: { actor, via, resource, action, q, from, to, limit }, terbaru dulu
+     */
+    async readAll() {
+        try {
+            const content = await fs.readFile(AUDIT_FILE, 'utf8');
+            return content.split('\n').filter(Boolean).map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null; // baris terpotong (mis. proses mati saat menulis)
+                }
+            }).filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async query({ actor, via, resource, action, q, from, to, limit = 500 } = {}) {
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+        const needle = (q || '').toLowerCase().trim();
+
+        return (await this.readAll())
+            .filter(entry => {
+                const time = new Date(entry.at).getTime();
+                if (actor && !String(entry.actor.id).toLowerCase().includes(actor.toLowerCase().trim())) return false;
+                if (via && entry.actor.via !== via) return false;
+                if (resource && entry.resource !== resource) return false;
+                if (action && entry.action !== action) return false;
+                if (fromTime && time < fromTime) return false;
+                if (toTime && time > toTime) return false;
+                if (needle && !JSON.stringify(entry).toLowerCase().includes(needle)) return false;
+                return true;
+            })
+            .reverse()
+            .slice(0, limit);
+    }
+
+    async getFacets() {
+        const entries = await this.readAll();
+        return {
+            resources: [...new Set(entries.map(entry => entry.resource))].sort(),
+            actions: [...new Set(entries.map(entry => entry.action))].sort()
+        };
+    }
+
+    /**
+     * CSV EXPORT
+     */
+    formatChanges(entry) {
+        const show = value => value === undefined ? '-' : JSON.stringify(value);
+        return (entry.changes || [])
+            .map(change => `${change.field}: ${show(change.from)} -> ${show(change.to)}`)
+            .join('; ');
+    }
+
+    toCsv(entries) {
+        const header = ['waktu', 'via', 'actor', 'role', 'action', 'resource', 'target', 'perubahan', 'catatan'];
+        const rows = entries.map(entry => [
+            entry.at,
+            entry.actor.via,
+            entry.actor.id,
+            entry.actor.role || '',
+            entry.action,
+            entry.resource,
+            entry.target || '',
+            this.formatChanges(entry),
+            entry.note || ''
+        ]);
+        return toCsv(header, rows);
+    }
+}
+
+// Create singleton
+const auditLog = new AuditLog();
+
+module.exports = { AuditLog, auditLog };
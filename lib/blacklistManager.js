@@ -0,0 +1,211 @@
+/**
+ * BLACKLIST MANAGER
+ * Nomor yang diblokir dari bot (data/blacklist.json)
+ *
+ * Entry: { user, reason, date, expiresAt, scope, silent, addedBy, source }
+ * - scope full      : semua pesan tidak dilayani
+ * - scope no_orders : masih bisa chat, tapi tidak bisa order
+ * - scope no_claims : masih bisa chat, tapi tidak bisa klaim garansi
+ * - silent          : pesan diabaikan tanpa balasan (kalau tidak, dibalas sopan)
+ *
+ * Setiap tambah/hapus dicatat di data/blacklist_audit.json.
+ */
+
+const config = require('../config');
+const { loadJson, updateJson } = require('./dataLoader');
+const { isAdmin } = require('./moderatorManager');
+
+const BLACKLIST_FILE = 'blacklist.json';
+const AUDIT_FILE = 'blacklist_audit.json';
+
+const BLACKLIST_SCOPE = {
+    FULL: 'full',
+    NO_ORDERS: 'no_orders',
+    NO_CLAIMS: 'no_claims'
+};
+
+// Aksi customer -> scope yang memblokirnya
+const BLOCKING_SCOPES = {
+    message: [BLACKLIST_SCOPE.FULL],
+    order: [BLACKLIST_SCOPE.FULL, BLACKLIST_SCOPE.NO_ORDERS],
+    claim: [BLACKLIST_SCOPE.FULL, BLACKLIST_SCOPE.NO_CLAIMS]
+};
+
+const REFUSAL_MESSAGES = {
+    message: 'Mohon maaf Kak, nomor ini sedang dibatasi dan belum dapat dilayani bot. Untuk info lebih lanjut silakan hubungi admin 🙏',
+    order: 'Mohon maaf Kak, nomor ini sedang belum dapat melakukan order. Untuk info lebih lanjut silakan hubungi admin 🙏',
+    claim: 'Mohon maaf Kak, pengajuan klaim garansi untuk nomor ini sedang dibatasi. Untuk info lebih lanjut silakan hubungi admin 🙏'
+};
+
+class BlacklistManager {
+    constructor() {
+        // Pelanggaran dari securityManager per nomor (di memori, jendela 1 jam)
+        this.strikes = new Map();
+        this.strikeWindow = 60 * 60 * 1000;
+
+        // Nomor full block cukup dibalas sekali per jam, sisanya diabaikan
+        this.lastRefusal = new Map();
+    }
+
+    normalizeNumber(value) {
+        const digits = String(value || '').split('@')[0].replace(/\D/g, '');
+        return digits.startsWith('0') ? `62${digits.slice(1)}` : digits;
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return !!entry.expiresAt && new Date(entry.expiresAt).getTime() <= now;
+    }
+
+    async getEntries() {
+        const list = await loadJson(BLACKLIST_FILE);
+        return Array.isArray(list) ? list : [];
+    }
+
+    /**
+     * Entry aktif untuk nomor ini (entry lama tanpa scope = full block)
+     */
+    async getEntry(sender) {
+        const number = this.normalizeNumber(sender);
+        if (!number) return null;
+
+        const entries = await this.getEntries();
+        const entry = entries.find(e => this.normalizeNumber(e.user) === number && !this.isExpired(e));
+        return entry ? { ...entry, scope: entry.scope || BLACKLIST_SCOPE.FULL } : null;
+    }
+
+    /**
+     * Cek apakah aksi (message | order | claim) diblokir.
+     * Return { blocked, silent, message, entry }
+     */
+    async check(sender, action = 'message') {
+        const entry = await this.getEntry(sender);
+        if (!entry || !BLOCKING_SCOPES[action].includes(entry.scope)) {
+            return { blocked: false };
+        }
+
+        let silent = !!entry.silent;
+        if (!silent && action === 'message') {
+            const number = this.normalizeNumber(sender);
+            const last = this.lastRefusal.get(number) || 0;
+            silent = Date.now() - last < this.strikeWindow;
+            if (!silent) this.lastRefusal.set(number, Date.now());
+        }
+
+        return {
+            blocked: true,
+            silent,
+            message: REFUSAL_MESSAGES[action],
+            entry
+        };
+    }
+
+    /**
+     * TAMBAH / HAPUS (dengan audit trail)
+     */
+    async add({ number, reason, expiresAt = null, scope = BLACKLIST_SCOPE.FULL, silent = false, by, source = 'panel' }) {
+        const normalized = this.normalizeNumber(number);
+        if (!normalized) {
+            return { success: false, message: 'Nomor tidak valid.' };
+        }
+        if (!Object.values(BLACKLIST_SCOPE).includes(scope)) {
+            return { success: false, message: `Scope harus salah satu dari: ${Object.values(BLACKLIST_SCOPE).join(', ')}` };
+        }
+
+        const entry = {
+            user: normalized,
+            reason: (reason || '').trim() || '-',
+            date: new Date().toISOString(),
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            scope,
+            silent: !!silent,
+            addedBy: by || 'admin',
+            source
+        };
+
+        // Entri lama nomor yang sama diganti
+        await updateJson(BLACKLIST_FILE, (entries, tx) => {
+            tx.data = [...(Array.isArray(entries) ? entries : []).filter(e => this.normalizeNumber(e.user) !== normalized), entry];
+        });
+        await this.audit('add', entry, by);
+
+        console.log(`⛔ ${normalized} di-blacklist (${scope}) oleh ${entry.addedBy}: ${entry.reason}`);
+        return { success: true, message: `${normalized} di-blacklist (${scope}).`, entry };
+    }
+
+    async remove(number, by) {
+        const normalized = this.normalizeNumber(number);
+        const removed = await updateJson(BLACKLIST_FILE, (entries, tx) => {
+            if (!Array.isArray(entries)) return [];
+            tx.data = entries.filter(e => this.normalizeNumber(e.user) !== normalized);
+            return entries.filter(e => this.normalizeNumber(e.user) === normalized);
+        });
+        if (removed.length === 0) {
+            return { success: false, message: `${number} tidak ada di blacklist.` };
+        }
+
+        for (const entry of removed) {
+            await this.audit('remove', entry, by);
+        }
+
+        return { success: true, message: `${normalized} dihapus dari blacklist.` };
+    }
+
+    async audit(action, entry, by) {
+        await updateJson(AUDIT_FILE, (log, tx) => {
+            if (!Array.isArray(log)) tx.data = log = [];
+            log.push({
+                action,
+                number: entry.user,
+                scope: entry.scope || BLACKLIST_SCOPE.FULL,
+                reason: entry.reason,
+                expiresAt: entry.expiresAt || null,
+                by: by || 'admin',
+                at: new Date().toISOString()
+            });
+        });
+    }
+
+    async getAudit(limit = 100) {
+        const log = await loadJson(AUDIT_FILE);
+        return Array.isArray(log) ? log.slice(-limit).reverse() : [];
+    }
+
+    /**
+     * BLACKLIST OTOMATIS dari deteksi securityManager
+     */
+    async recordViolation(sender, kind, detail = '') {
+        // Sumber deteksi bisa juga IP/username panel, hanya nomor WhatsApp yang diblokir
+        if (!/^\+?\d{8,15}$/.test(String(sender || '').split('@')[0])) return null;
+
+        const number = this.normalizeNumber(sender);
+        if (await isAdmin(number)) return null;
+
+        const now = Date.now();
+        const recent = (this.strikes.get(number) || []).filter(time => now - time < this.strikeWindow);
+        recent.push(now);
+        this.strikes.set(number, recent);
+
+        // Intrusi langsung diblokir, spam setelah beberapa kali dalam satu jam
+        const threshold = kind === 'intrusion' ? 1 : config.blacklist_spam_strikes;
+        if (recent.length < threshold) return null;
+
+        const existing = await this.getEntry(number);
+        if (existing) return null;
+
+        this.strikes.delete(number);
+        return await this.add({
+            number,
+            reason: `Otomatis: ${kind}${detail ? ` (${detail})` : ''}`,
+            expiresAt: new Date(now + config.blacklist_auto_hours * 60 * 60 * 1000),
+            scope: BLACKLIST_SCOPE.FULL,
+            silent: false,
+            by: 'system',
+            source: 'securityManager'
+        });
+    }
+}
+
+// Create singleton
+const blacklistManager = new BlacklistManager();
+
+module.exports = { BlacklistManager, blacklistManager, BLACKLIST_SCOPE };
@@ -0,0 +1,176 @@
+/**
+ * BOT BRIDGE
+ * Status bot WhatsApp untuk panel web + kirim pesan dari panel.
+ *
+ * RUN_MODE=single (npm run start:single): index.js ikut menjalankan panel di proses
+ * yang sama. Panel membaca koneksi, routing stats, alert monitoring dan metrik
+ * analytics langsung dari manager di memori, dan pesan dikirim lewat global.sock.
+ *
+ * RUN_MODE=split (default, npm start = dua proses): bot menulis snapshot ke
+ * data/bot_status.json setiap 30 detik / saat koneksi berubah, panel membacanya,
+ * dan pesan dari panel dititipkan ke outbox.
+ */
+
+const config = require('../config');
+const { storage } = require('./storage');
+const { outbox } = require('./outbox');
+
+const STATUS_FILE = 'bot_status.json';
+const SNAPSHOT_INTERVAL = 30 * 1000;
+const MAX_ALERTS = 20;
+
+class BotBridge {
+    constructor() {
+        // true kalau bot berjalan di proses ini (dipanggil attach() dari index.js)
+        this.attached = false;
+        this.startedAt = null;
+        this.connection = {
+            status: 'offline', // offline | connecting | qr | pairing | open | close
+            since: null,
+            user: null,
+            qr: null,
+            pairingCode: null,
+            lastDisconnect: null
+        };
+        this.timer = null;
+    }
+
+    get mode() {
+        return config.run_mode === 'single' ? 'single' : 'split';
+    }
+
+    /**
+     * BOT SIDE
+     */
+    attach() {
+        if (this.attached) return;
+        this.attached = true;
+        this.startedAt = new Date().toISOString();
+        this.timer = setInterval(() => this.writeSnapshot(), SNAPSHOT_INTERVAL);
+    }
+
+    setConnection(status, info = {}) {
+        const changed = status !== this.connection.status;
+        this.connection = {
+            ...this.connection,
+            ...info,
+            status,
+            since: changed ? new Date().toISOString() : this.connection.since
+        };
+        if (status !== 'qr') this.connection.qr = null;
+        if (status !== 'pairing') this.connection.pairingCode = null;
+        if (changed) this.writeSnapshot();
+    }
+
+    isConnected() {
+        const sock = global.sock;
+        return this.attached && this.connection.status === 'open' && !!(sock && sock.user);
+    }
+
+    // Manager di bawah sudah dimuat bot (lewat lib/ai), jadi require di sini tidak membuat instance baru
+    collectStats() {
+        const { responseRouter } = require('./responseRouter');
+        const { analyticsManager } = require('./analyticsManager');
+        const { monitoringManager } = require('./monitoringManager');
+
+        return {
+            routing: responseRouter.getStats(),
+            analytics: analyticsManager.getDashboardStats(),
+            alerts: monitoringManager.alerts.active.slice(-MAX_ALERTS)
+        };
+    }
+
+    async writeSnapshot() {
+        if (!this.attached) return;
+        try {
+            // QR / kode pairing tidak ikut ditulis ke file, hanya tersedia di mode single
+            const { qr, pairingCode, ...connection } = this.connection;
+            await storage.write(STATUS_FILE, {
+                pid: process.pid,
+                mode: this.mode,
+                startedAt: this.startedAt,
+                connection: { ...connection, waitingForScan: !!(qr || pairingCode) },
+                ...this.collectStats(),
+                updatedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error writing bot status snapshot:', error.message);
+        }
+    }
+
+    /**
+     * PANEL SIDE
+     * live = data langsung dari memori proses bot; kalau tidak, snapshot terakhir dari file
+     */
+    async getStatus() {
+        const pendingMessages = await this.countPendingMessages();
+
+        if (this.attached) {
+            return {
+                live: true,
+                mode: this.mode,
+                pid: process.pid,
+                startedAt: this.startedAt,
+                connection: { ...this.connection },
+                ...this.collectStats(),
+                pendingMessages,
+                updatedAt: new Date().toISOString()
+            };
+        }
+
+        const snapshot = await storage.read(STATUS_FILE, null);
+        if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+            return { live: false, mode: this.mode, connection: { status: 'offline' }, routing: null, analytics: null, alerts: [], pendingMessages, updatedAt: null };
+        }
+
+        const age = Date.now() - new Date(snapshot.updatedAt).getTime();
+        return {
+            ...snapshot,
+            live: false,
+            mode: this.mode,
+            // Bot tidak menulis snapshot lagi (mati / hang): anggap offline
+            stale: !(age < SNAPSHOT_INTERVAL * 3),
+            pendingMessages
+        };
+    }
+
+    async countPendingMessages() {
+        try {
+            return (await outbox.load()).filter(entry => !entry.sentAt).length;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Kirim teks ke customer. Bot di proses ini dan terhubung: langsung lewat socket,
+     * selain itu (atau kalau gagal) dititipkan ke outbox supaya dikirim bot nanti.
+     * Return { delivered, queued, id }
+     */
+    async sendText(to, text, meta = {}) {
+        if (this.isConnected()) {
+            try {
+                await global.sock.sendMessage(outbox.toJid(to), { text });
+                return { delivered: true, queued: false, id: null };
+            } catch (error) {
+                console.warn(`BotBridge: gagal kirim langsung ke ${to}, dititipkan ke outbox:`, error.message);
+            }
+        }
+
+        const entry = await outbox.enqueue(to, text, meta);
+        return { delivered: false, queued: !!entry, id: entry ? entry.id : null };
+    }
+
+    resolveAlert(alertId) {
+        if (!this.attached) return false;
+        const { monitoringManager } = require('./monitoringManager');
+        const exists = monitoringManager.alerts.active.some(alert => alert.id === alertId);
+        if (exists) monitoringManager.resolveAlert(alertId);
+        return exists;
+    }
+}
+
+// Create singleton
+const botBridge = new BotBridge();
+
+module.exports = { BotBridge, botBridge };
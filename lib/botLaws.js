@@ -234,7 +234,8 @@ class BotLaws {
         // Check illegal/piracy mentions
         const illegalTerms = ['bajakan', 'crack', 'mod', 'ilegal', 'piracy'];
         for (const term of illegalTerms) {
-            if (content.includes(term)) {
+            // Kata utuh: "mod" tidak boleh kena di "moderator", "modal", "addmod"
+            if (new RegExp(`\\b${term}\\b`).test(content)) {
                 violation.violated = true;
                 violation.rule = 'NO_ILLEGAL_CONTENT';
                 violation.reason = `Mentions illegal/piracy content: "${term}"`;
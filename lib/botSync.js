@@ -116,8 +116,9 @@ class BotSync {
         royal: buyers?.filter(b => b.loyalty?.level === 'Royal').length || 0
       },
       stock: {
-        total: stock?.length || 0,
-        expired: stock?.filter(s => s.expired && new Date(s.expired) <= now).length || 0
+        total: stock?.reduce((total, account) =>
+          total + (account.slots || []).filter(slot => slot.status === 'available').length, 0) || 0,
+        expired: stock?.filter(account => account.exp && new Date(account.exp) <= now).length || 0
       },
       claims: {
         total: claims?.length || 0,
@@ -129,7 +130,7 @@ class BotSync {
       title: 'Daily Summary',
       body: `📊 Summary ${today}:\n` +
             `• Buyers: ${summary.buyers.total} (VIP: ${summary.buyers.vip}, Royal: ${summary.buyers.royal})\n` +
-            `• Stock: ${summary.stock.total} items (${summary.stock.expired} expired)\n` +
+            `• Stock: ${summary.stock.total} slot tersedia (${summary.stock.expired} akun expired)\n` +
             `• Claims: ${summary.claims.total} (${summary.claims.pending} pending)`
     };
 
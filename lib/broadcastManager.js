@@ -0,0 +1,380 @@
+/**
+ * BROADCAST MANAGER
+ * Pesan massal dari panel ke segmen buyer (data/buyers.json) atau user bot (database/users.json).
+ *
+ * Broadcast disimpan di data/broadcasts.json. Panel hanya membuat / menjadwalkan /
+ * membatalkan; proses bot mengecek setiap 15 detik, menyusun daftar penerima saat
+ * broadcast mulai, lalu mengirim satu per satu dengan jeda acak dan batas per jam
+ * supaya nomor bot tidak dianggap spam. Status tiap penerima (sent / failed /
+ * skipped) ditulis balik setelah setiap kirim.
+ *
+ * Customer yang membalas "stop promo" masuk data/broadcast_optout.json dan tidak
+ * dikirimi broadcast lagi; nomor di blacklist penuh juga dilewati.
+ */
+
+const moment = require('moment-timezone');
+const config = require('../config');
+const { loadJson, updateJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { isPremiumUser } = require('./users');
+const { blacklistManager, BLACKLIST_SCOPE } = require('./blacklistManager');
+
+const TIMEZONE = 'Asia/Jakarta';
+const BROADCASTS_FILE = 'broadcasts.json';
+const OPT_OUT_FILE = 'broadcast_optout.json';
+
+const BROADCAST_STATUS = {
+    SCHEDULED: 'scheduled',
+    SENDING: 'sending',
+    DONE: 'done',
+    CANCELLED: 'cancelled'
+};
+
+const RECIPIENT_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+};
+
+class BroadcastManager {
+    constructor() {
+        this.broadcasts = storage.collection(BROADCASTS_FILE);
+        this.timer = null;
+        this.running = false;
+        this.tickInterval = 15 * 1000;
+    }
+
+    normalizeNumber(value) {
+        return blacklistManager.normalizeNumber(value);
+    }
+
+    /**
+     * SEGMENTS
+     * { source: 'buyers', products: [apk], royalOnly, subscription: all|active|expired, purchasedFrom, purchasedTo }
+     * { source: 'users', premiumOnly }
+     */
+    async getSegmentOptions() {
+        const buyers = await storage.collection('buyers.json').all();
+        const products = new Set();
+        for (const buyer of buyers) {
+            for (const transaksi of buyer.data || []) {
+                if (transaksi.apk) products.add(transaksi.apk);
+            }
+        }
+        return { products: [...products].sort() };
+    }
+
+    matchesBuyer(buyer, segment, today) {
+        // Royal = centang manual atau tier member tertinggi (loyaltyManager)
+        if (segment.royalOnly && !buyer.isRoyal && !(buyer.loyalty && buyer.loyalty.top)) return false;
+
+        const products = segment.products || [];
+        const transactions = (buyer.data || []).filter(transaksi =>
+            products.length === 0 || products.includes(transaksi.apk)
+        );
+        if (transactions.length === 0) return false;
+
+        // Pembelian terakhir (di produk yang dipilih) harus masuk rentang tanggal
+        const lastPurchase = transactions.map(transaksi => transaksi.dateGiven || '').sort().pop();
+        if (segment.purchasedFrom && (!lastPurchase || lastPurchase < segment.purchasedFrom)) return false;
+        if (segment.purchasedTo && (!lastPurchase || lastPurchase > segment.purchasedTo)) return false;
+
+        // Aktif = masih ada langganan yang belum lewat exp; expired = semuanya sudah lewat
+        const active = transactions.some(transaksi => transaksi.exp && transaksi.exp >= today);
+        if (segment.subscription === 'active' && !active) return false;
+        if (segment.subscription === 'expired' && active) return false;
+
+        return true;
+    }
+
+    async findAudience(segment = {}) {
+        const today = moment.tz(TIMEZONE).format('YYYY-MM-DD');
+
+        if (segment.source === 'users') {
+            const users = await storage.collection('../database/users.json').all();
+            return users
+                .filter(user => user.id && !String(user.id).endsWith('@g.us'))
+                .filter(user => !segment.premiumOnly || isPremiumUser(user))
+                .map(user => ({ number: this.normalizeNumber(user.id), name: '', product: '' }));
+        }
+
+        const buyers = await storage.collection('buyers.json').all();
+        return buyers
+            .filter(buyer => buyer.whatsapp && this.matchesBuyer(buyer, segment, today))
+            .map(buyer => {
+                const latest = (buyer.data || []).slice().sort((a, b) => String(a.dateGiven).localeCompare(String(b.dateGiven))).pop();
+                return { number: this.normalizeNumber(buyer.whatsapp), name: buyer.user || '', product: latest ? latest.apk : '' };
+            });
+    }
+
+    /**
+     * Daftar penerima final: unik per nomor, yang opt-out / diblokir tetap dicatat sebagai skipped
+     */
+    async buildRecipients(segment) {
+        const audience = await this.findAudience(segment);
+        const optOut = await this.getOptOutNumbers();
+        const seen = new Set();
+        const recipients = [];
+
+        for (const person of audience) {
+            if (!person.number || seen.has(person.number)) continue;
+            seen.add(person.number);
+
+            let reason = null;
+            if (optOut.has(person.number)) {
+                reason = 'opt-out';
+            } else {
+                const entry = await blacklistManager.getEntry(person.number);
+                if (entry && entry.scope === BLACKLIST_SCOPE.FULL) reason = 'blacklist';
+            }
+
+            recipients.push({
+                ...person,
+                status: reason ? RECIPIENT_STATUS.SKIPPED : RECIPIENT_STATUS.PENDING,
+                ...(reason ? { reason } : {})
+            });
+        }
+        return recipients;
+    }
+
+    async preview(segment) {
+        const recipients = await this.buildRecipients(segment);
+        return {
+            total: recipients.length,
+            pending: recipients.filter(r => r.status === RECIPIENT_STATUS.PENDING).length,
+            skipped: recipients.filter(r => r.status === RECIPIENT_STATUS.SKIPPED).length
+        };
+    }
+
+    /**
+     * BROADCASTS
+     */
+    async list() {
+        const broadcasts = await this.broadcasts.all();
+        return broadcasts
+            .map(broadcast => ({ ...broadcast, stats: this.summarize(broadcast) }))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    async get(id) {
+        const broadcast = await this.broadcasts.get(id);
+        return broadcast ? { ...broadcast, stats: this.summarize(broadcast) } : null;
+    }
+
+    summarize(broadcast) {
+        const stats = { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 };
+        for (const recipient of broadcast.recipients || []) {
+            stats.total++;
+            stats[recipient.status] = (stats[recipient.status] || 0) + 1;
+        }
+        return stats;
+    }
+
+    /**
+     * scheduledAt: ISO string / Date, kosong = kirim secepatnya
+     */
+    async create({ title, text, segment, scheduledAt = null, createdBy = 'admin' }) {
+        if (!text || !text.trim()) {
+            return { success: false, message: 'Isi pesan wajib diisi.' };
+        }
+        if (scheduledAt && isNaN(new Date(scheduledAt).getTime())) {
+            return { success: false, message: 'Jadwal kirim tidak valid.' };
+        }
+
+        const broadcast = await this.broadcasts.insert({
+            title: (title || '').trim() || text.trim().split('\n')[0].slice(0, 40),
+            text: text.trim(),
+            segment,
+            status: BROADCAST_STATUS.SCHEDULED,
+            scheduledAt: new Date(scheduledAt || Date.now()).toISOString(),
+            createdBy,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            recipients: []
+        });
+        return { success: true, message: 'Broadcast dijadwalkan.', broadcast };
+    }
+
+    async cancel(id) {
+        const updated = await this.broadcasts.update(id, broadcast => {
+            if ([BROADCAST_STATUS.SCHEDULED, BROADCAST_STATUS.SENDING].includes(broadcast.status)) {
+                broadcast.status = BROADCAST_STATUS.CANCELLED;
+                broadcast.finishedAt = new Date().toISOString();
+            }
+        });
+        if (!updated) return { success: false, message: 'Broadcast tidak ditemukan.' };
+        if (updated.after.status !== BROADCAST_STATUS.CANCELLED || updated.before.status === BROADCAST_STATUS.CANCELLED) {
+            return { success: false, message: `Broadcast sudah ${updated.before.status}, tidak bisa dibatalkan.` };
+        }
+        return { success: true, message: 'Broadcast dibatalkan.', ...updated };
+    }
+
+    /**
+     * SENDING (proses bot)
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    async tick(sock = global.sock) {
+        if (this.running || !sock || !sock.user) return;
+        this.running = true;
+
+        try {
+            const now = Date.now();
+            const broadcasts = await this.broadcasts.all();
+            const due = broadcasts.find(b => b.status === BROADCAST_STATUS.SENDING) ||
+                broadcasts
+                    .filter(b => b.status === BROADCAST_STATUS.SCHEDULED && new Date(b.scheduledAt).getTime() <= now)
+                    .sort((a, b) => String(a.scheduledAt).localeCompare(String(b.scheduledAt)))[0];
+            if (!due) return;
+
+            if (due.status === BROADCAST_STATUS.SCHEDULED) {
+                const recipients = await this.buildRecipients(due.segment || {});
+                const started = await this.broadcasts.update(due.id, broadcast => {
+                    if (broadcast.status !== BROADCAST_STATUS.SCHEDULED) return;
+                    broadcast.status = BROADCAST_STATUS.SENDING;
+                    broadcast.startedAt = new Date().toISOString();
+                    broadcast.recipients = recipients;
+                });
+                if (!started || started.after.status !== BROADCAST_STATUS.SENDING) return;
+                console.log(`📣 Broadcast ${due.id} mulai: ${recipients.length} penerima`);
+            }
+
+            await this.sendPending(due.id, sock);
+        } catch (error) {
+            console.error('Error running broadcast:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Jumlah pesan broadcast terkirim dalam 1 jam terakhir (dari data, jadi tetap benar setelah restart)
+    async countSentLastHour() {
+        const since = Date.now() - 60 * 60 * 1000;
+        let count = 0;
+        for (const broadcast of await this.broadcasts.all()) {
+            for (const recipient of broadcast.recipients || []) {
+                if (recipient.sentAt && new Date(recipient.sentAt).getTime() >= since) count++;
+            }
+        }
+        return count;
+    }
+
+    async sendPending(id, sock) {
+        let budget = config.broadcast_hourly_limit - await this.countSentLastHour();
+
+        while (budget > 0 && sock.user) {
+            const broadcast = await this.broadcasts.get(id);
+            if (!broadcast || broadcast.status !== BROADCAST_STATUS.SENDING) return;
+
+            const recipient = broadcast.recipients.find(r => r.status === RECIPIENT_STATUS.PENDING);
+            if (!recipient) {
+                await this.broadcasts.update(id, latest => {
+                    if (latest.status !== BROADCAST_STATUS.SENDING) return;
+                    latest.status = BROADCAST_STATUS.DONE;
+                    latest.finishedAt = new Date().toISOString();
+                });
+                const stats = this.summarize(broadcast);
+                console.log(`📣 Broadcast ${id} selesai: ${stats.sent} terkirim, ${stats.failed} gagal, ${stats.skipped} dilewati`);
+                return;
+            }
+
+            // Daftar opt-out dibaca ulang tiap penerima: "stop promo" yang masuk di tengah
+            // pengiriman (bisa berjalan puluhan menit) tetap dihormati
+            const optOut = await this.getOptOutNumbers();
+            let result;
+            if (optOut.has(recipient.number)) {
+                result = { status: RECIPIENT_STATUS.SKIPPED, reason: 'opt-out' };
+            } else {
+                try {
+                    await sock.sendMessage(`${recipient.number}@s.whatsapp.net`, { text: this.render(broadcast.text, recipient) });
+                    result = { status: RECIPIENT_STATUS.SENT, sentAt: new Date().toISOString() };
+                    budget--;
+                } catch (error) {
+                    result = { status: RECIPIENT_STATUS.FAILED, error: error.message, failedAt: new Date().toISOString() };
+                    console.warn(`Broadcast ${id}: gagal kirim ke ${recipient.number}:`, error.message);
+                }
+            }
+
+            await this.broadcasts.update(id, latest => {
+                const target = (latest.recipients || []).find(r => r.number === recipient.number);
+                if (target) Object.assign(target, result);
+            });
+
+            if (result.status !== RECIPIENT_STATUS.SKIPPED) await this.pause();
+        }
+
+        if (budget <= 0) {
+            console.log(`📣 Broadcast ${id}: batas ${config.broadcast_hourly_limit} pesan/jam tercapai, dilanjutkan nanti`);
+        }
+    }
+
+    // Jeda acak (delay s/d 2x delay) supaya pola kirim tidak seragam
+    pause() {
+        const delay = config.broadcast_delay_ms * (1 + Math.random());
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    render(text, recipient) {
+        const values = {
+            nama: recipient.name || 'Kak',
+            produk: recipient.product || '',
+            optout: config.broadcast_opt_out
+        };
+        const body = text.replace(/\{(\w+)\}/g, (match, key) =>
+            values[key] !== undefined ? String(values[key]) : match
+        );
+
+        // Setiap broadcast wajib menyebut cara berhenti
+        return text.includes('{optout}')
+            ? body
+            : `${body}\n\n_Ketik "${config.broadcast_opt_out}" jika tidak ingin menerima promo._`;
+    }
+
+    /**
+     * OPT-OUT
+     */
+    isOptCommand(lowerInput) {
+        return lowerInput === config.broadcast_opt_out.toLowerCase() ||
+               lowerInput === config.broadcast_opt_in.toLowerCase();
+    }
+
+    async getOptOutList() {
+        const list = await loadJson(OPT_OUT_FILE);
+        return Array.isArray(list) ? list : [];
+    }
+
+    async getOptOutNumbers() {
+        return new Set((await this.getOptOutList()).map(entry => entry.number));
+    }
+
+    async setOptOut(number, optingOut, source = 'whatsapp') {
+        const normalized = this.normalizeNumber(number);
+        if (!normalized) return false;
+
+        await updateJson(OPT_OUT_FILE, (list, tx) => {
+            tx.data = (Array.isArray(list) ? list : []).filter(entry => entry.number !== normalized);
+            if (optingOut) tx.data.push({ number: normalized, source, at: new Date().toISOString() });
+        });
+        return true;
+    }
+
+    async handleOptCommand(lowerInput, sender) {
+        const optingOut = lowerInput === config.broadcast_opt_out.toLowerCase();
+        await this.setOptOut(sender, optingOut);
+
+        if (optingOut) {
+            return `Oke Kak, Kakak tidak akan menerima pesan promo lagi 🙏\nKetik *${config.broadcast_opt_in}* kalau mau menerima promo lagi.`;
+        }
+        return `Siap Kak, Kakak akan menerima info promo lagi 😊`;
+    }
+}
+
+// Create singleton
+const broadcastManager = new BroadcastManager();
+
+module.exports = { BroadcastManager, broadcastManager, BROADCAST_STATUS, RECIPIENT_STATUS };
@@ -0,0 +1,269 @@
+/**
+ * CLAIM FLOW
+ * Klaim garansi oleh customer di chat WhatsApp:
+ * pilih pembelian -> cek masa garansi -> jelaskan kendala -> kirim screenshot -> tiket CLM
+ *
+ * State disimpan di lib/session.js (action 'claim:*'), sama seperti order flow.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getSession, updateSession, resetSession } = require('./session');
+const { claimManager, STATUS_LABELS } = require('./claimManager');
+const { productCatalog } = require('./productCatalog');
+const { getAdminJids } = require('./moderatorManager');
+
+const CLAIM_ACTIONS = {
+    PICK_PURCHASE: 'claim:purchase',
+    DESCRIBE: 'claim:describe',
+    SCREENSHOT: 'claim:screenshot'
+};
+
+const CLAIM_SESSION_TIMEOUT = 10 * 60;
+
+class ClaimFlow {
+    constructor() {
+        this.triggers = ['klaim garansi', 'claim garansi', 'ajukan klaim', 'mau klaim', 'mau claim', 'klaim akun'];
+        this.cancelWords = ['batal', 'cancel', 'stop', 'gak jadi', 'ga jadi', 'tidak jadi'];
+        this.screenshotDir = path.join(process.cwd(), 'uploads', 'claim_screenshots');
+    }
+
+    /**
+     * ROUTING HELPERS
+     */
+    isActive(remoteJid) {
+        const session = getSession(remoteJid);
+        return !!(session && typeof session.action === 'string' && session.action.startsWith('claim:'));
+    }
+
+    isAwaitingScreenshot(remoteJid) {
+        const session = getSession(remoteJid);
+        return !!(session && session.action === CLAIM_ACTIONS.SCREENSHOT);
+    }
+
+    isClaimTrigger(input) {
+        const lower = input.toLowerCase().trim();
+        return this.isStatusCommand(lower) || this.triggers.some(trigger => lower.startsWith(trigger));
+    }
+
+    isStatusCommand(lower) {
+        return lower.startsWith('cek klaim') || lower.startsWith('cek claim') || lower.startsWith('status klaim');
+    }
+
+    /**
+     * MAIN HANDLER - return teks balasan
+     */
+    async handle(input, sender, remoteJid, pushName) {
+        const lower = input.toLowerCase().trim();
+        const customer = sender.split('@')[0];
+
+        if (this.isStatusCommand(lower)) {
+            return await this.showClaimStatus(input, customer);
+        }
+
+        const active = this.isActive(remoteJid);
+
+        if (active && this.cancelWords.includes(lower)) {
+            resetSession(remoteJid);
+            return "Oke Kak, pengajuan klaim dibatalkan. Ketik *klaim garansi* kalau mau mengajukan lagi ya 🙏";
+        }
+
+        if (!active) {
+            return await this.start(input, customer, remoteJid);
+        }
+
+        const session = getSession(remoteJid);
+        switch (session.action) {
+            case CLAIM_ACTIONS.PICK_PURCHASE:
+                return await this.handlePurchaseStep(input, remoteJid, session);
+            case CLAIM_ACTIONS.DESCRIBE:
+                return this.handleDescribeStep(input, remoteJid);
+            case CLAIM_ACTIONS.SCREENSHOT:
+                return "Kirim *screenshot* kendalanya dalam bentuk gambar ya, Kak. Ketik *batal* untuk membatalkan.";
+            default:
+                resetSession(remoteJid);
+                return await this.start(input, customer, remoteJid);
+        }
+    }
+
+    /**
+     * STEP 1: PILIH PEMBELIAN
+     */
+    async start(input, customer, remoteJid) {
+        const purchases = await claimManager.getPurchases(customer);
+
+        if (purchases.length === 0) {
+            return `Maaf Kak, nomor ini belum tercatat sebagai pembeli di Vylozzone 🙏\n\n` +
+                   `Kalau order lewat nomor lain, chat admin dengan *nomor order* dan *screenshot* kendalanya untuk klaim garansi ya.`;
+        }
+
+        const [mentioned] = await productCatalog.findProductsInText(input);
+        const match = mentioned && purchases.find(p => p.transaksi.apk === mentioned.id);
+        if (match || purchases.length === 1) {
+            return await this.selectPurchase(match || purchases[0], remoteJid);
+        }
+
+        updateSession(remoteJid, CLAIM_ACTIONS.PICK_PURCHASE, { purchases }, CLAIM_SESSION_TIMEOUT);
+
+        const list = purchases.map((purchase, index) =>
+            `${index + 1}. ${purchase.transaksi.apk} - ${purchase.transaksi.email} (exp ${purchase.transaksi.exp})`
+        ).join('\n');
+
+        return `🛡️ *KLAIM GARANSI*\n\nAkun mana yang mau diklaim, Kak?\n\n${list}\n\n` +
+               `Balas dengan *nomornya* ya. Ketik *batal* untuk membatalkan.`;
+    }
+
+    async handlePurchaseStep(input, remoteJid, session) {
+        const purchases = (session.data && session.data.purchases) || [];
+        const trimmed = input.trim();
+        const choice = /^\d+$/.test(trimmed) ? parseInt(trimmed, 10) : NaN;
+
+        if (isNaN(choice) || choice < 1 || choice > purchases.length) {
+            return `Balas dengan nomor 1-${purchases.length} ya, Kak. Ketik *batal* untuk membatalkan.`;
+        }
+
+        return await this.selectPurchase(purchases[choice - 1], remoteJid);
+    }
+
+    async selectPurchase(purchase, remoteJid) {
+        const activeClaim = await claimManager.getActiveClaimFor(purchase);
+        if (activeClaim) {
+            resetSession(remoteJid);
+            return this.formatActiveClaim(activeClaim);
+        }
+
+        const warranty = await claimManager.checkWarranty(purchase.transaksi, {
+            customer: remoteJid.split('@')[0],
+            user: purchase.user
+        });
+
+        if (!warranty.eligible) {
+            resetSession(remoteJid);
+            return `Mohon maaf Kak, akun ${purchase.transaksi.apk} (${purchase.transaksi.email}) belum bisa diklaim garansi 🙏\n` +
+                   `${warranty.reason}\n\nKetik *order* kalau mau beli paket baru ya.`;
+        }
+
+        updateSession(remoteJid, CLAIM_ACTIONS.DESCRIBE, { purchase, warrantyEnd: warranty.warrantyEnd }, CLAIM_SESSION_TIMEOUT);
+
+        const bonus = warranty.bonusDays ? ` (termasuk bonus member +${warranty.bonusDays} hari)` : '';
+        return `✅ Akun *${purchase.transaksi.apk}* (${purchase.transaksi.email}) masih dalam masa garansi sampai ${warranty.warrantyEnd}${bonus}.\n\n` +
+               `Ceritakan kendalanya ya, Kak. Contoh: "tidak bisa login", "profil dihapus", "PIN berubah".`;
+    }
+
+    /**
+     * STEP 2: DESKRIPSI KENDALA
+     */
+    handleDescribeStep(input, remoteJid) {
+        const masalah = input.trim();
+        if (masalah.length < 5) {
+            return "Boleh dijelaskan lebih detail kendalanya, Kak? Supaya klaim garansi bisa langsung dibantu admin 🙏";
+        }
+
+        updateSession(remoteJid, CLAIM_ACTIONS.SCREENSHOT, { masalah }, CLAIM_SESSION_TIMEOUT);
+
+        return `Noted, Kak 📝\n\nSekarang kirim *screenshot* kendalanya (gambar) supaya klaim garansi bisa langsung diproses.`;
+    }
+
+    /**
+     * STEP 3: SCREENSHOT -> FILE KLAIM (dipanggil dari imageHandler)
+     */
+    async handleScreenshot(sock, sender, remoteJid, imagePath) {
+        const session = getSession(remoteJid);
+        const { purchase, masalah } = session.data;
+        const customer = sender.split('@')[0];
+
+        const screenshot = await this.storeScreenshot(customer, imagePath);
+        resetSession(remoteJid);
+
+        const claim = await claimManager.fileClaim({
+            customer,
+            user: purchase.user,
+            transaksi: purchase.transaksi,
+            masalah,
+            screenshot
+        });
+
+        // Klaim untuk akun yang sama dibuka dari chat lain selagi customer mengisi flow ini
+        if (claim.duplicate) {
+            return this.formatActiveClaim(claim);
+        }
+
+        await this.notifyAdmins(sock, claim, screenshot);
+
+        return `✅ *KLAIM GARANSI DITERIMA!*\n\n` +
+               `${claimManager.formatClaim(claim)}\n\n` +
+               `Simpan nomor tiket ini ya, Kak. Cek perkembangannya dengan ketik *cek klaim ${claim.ticket}* 🙏`;
+    }
+
+    formatActiveClaim(claim) {
+        return `Akun *${claim.apk}*${claim.email ? ` (${claim.email})` : ''} masih punya klaim garansi yang sedang diproses: ` +
+               `*${claim.ticket}* (${STATUS_LABELS[claimManager.getStatus(claim)]}).\n\n` +
+               `Cek perkembangannya dengan ketik *cek klaim ${claim.ticket}* ya, Kak 🙏`;
+    }
+
+    async storeScreenshot(customer, imagePath) {
+        try {
+            await fs.mkdir(this.screenshotDir, { recursive: true });
+            const target = path.join(this.screenshotDir, `${customer}_${Date.now()}${path.extname(imagePath) || '.jpg'}`);
+            await fs.copyFile(imagePath, target);
+            return path.relative(process.cwd(), target);
+        } catch (error) {
+            console.error('Error storing claim screenshot:', error);
+            return null;
+        }
+    }
+
+    async notifyAdmins(sock, claim, screenshot) {
+        const text = `🛡️ *KLAIM GARANSI BARU ${claim.ticket}*\n\n` +
+                     (claim.priority ? `⭐ *PRIORITAS - member ${claim.tier}*\n` : '') +
+                     `👤 ${claim.user} (${claim.customer})\n` +
+                     `📱 ${claim.apk} - ${claim.email}\n` +
+                     (claim.orderId ? `🧾 Order: ${claim.orderId}\n` : '') +
+                     `❗ ${claim.masalah}\n` +
+                     `🔄 Jenis: ${claim.type.toUpperCase()}\n\n` +
+                     `Ketik: claim ${claim.ticket} proses`;
+
+        for (const jid of await getAdminJids()) {
+            try {
+                if (screenshot) {
+                    await sock.sendMessage(jid, { image: { url: path.join(process.cwd(), screenshot) }, caption: text });
+                } else {
+                    await sock.sendMessage(jid, { text });
+                }
+            } catch (error) {
+                console.warn(`Gagal kirim notifikasi klaim ke ${jid}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * STATUS KLAIM CUSTOMER
+     */
+    async showClaimStatus(input, customer) {
+        const ticketMatch = input.toUpperCase().match(/CLM-\d+/);
+
+        if (!ticketMatch) {
+            const claims = (await claimManager.getAllClaims())
+                .filter(claim => claim.customer === customer)
+                .slice(-5);
+
+            if (claims.length === 0) {
+                return "Kakak belum punya klaim garansi. Ketik *klaim garansi* untuk mengajukan ya 😊";
+            }
+            return `🛡️ *KLAIM GARANSI KAKAK*\n\n` +
+                   claims.map(claim => `• *${claim.ticket}* - ${claim.apk}: ${claimManager.getStatusLabel(claim)}`).join('\n');
+        }
+
+        const claim = await claimManager.getClaim(ticketMatch[0]);
+        if (!claim || claim.customer !== customer) {
+            return `Tiket klaim garansi ${ticketMatch[0]} tidak ditemukan untuk nomor ini, Kak 🙏`;
+        }
+
+        return `Status klaim garansi Kakak:\n\n${claimManager.formatClaim(claim)}`;
+    }
+}
+
+// Create singleton
+const claimFlow = new ClaimFlow();
+
+module.exports = { ClaimFlow, claimFlow, CLAIM_ACTIONS };
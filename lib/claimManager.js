@@ -0,0 +1,690 @@
+/**
+ * CLAIM MANAGER
+ * Klaim garansi: pengajuan customer, lifecycle, SLA, notifikasi customer
+ *
+ * Klaim tetap disimpan di claimsReplace.json / claimsReset.json (format sama
+ * dengan klaim dari admin) ditambah nomor tiket CLM-NNN untuk dicek customer.
+ *
+ * Lifecycle: OPEN -> IN_PROGRESS -> REPLACED/RESET -> CLOSED (atau REJECTED).
+ * Setiap perubahan status dicatat di history dan dikabarkan ke customer lewat
+ * outbox, jadi bisa dipanggil dari bot maupun panel.
+ */
+
+const moment = require('moment-timezone');
+const config = require('../config');
+const { loadJson, updateJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { productCatalog } = require('./productCatalog');
+const { orderManager } = require('./orderManager');
+const { outbox } = require('./outbox');
+const { surveyManager } = require('./surveyManager');
+const { ledgerManager, ENTRY_TYPES } = require('./ledgerManager');
+const stockManager = require('./stockManager');
+const { loyaltyManager } = require('./loyaltyManager');
+
+const TIMEZONE = 'Asia/Jakarta';
+const CLAIM_FILES = {
+    replace: 'claimsReplace.json',
+    reset: 'claimsReset.json'
+};
+
+const CLAIM_STATUS = {
+    OPEN: 'OPEN',
+    IN_PROGRESS: 'IN_PROGRESS',
+    REPLACED: 'REPLACED',
+    RESET: 'RESET',
+    CLOSED: 'CLOSED',
+    REJECTED: 'REJECTED'
+};
+
+const STATUS_LABELS = {
+    OPEN: '📥 Diterima',
+    IN_PROGRESS: '🛠️ Sedang diproses',
+    REPLACED: '✅ Akun sudah diganti',
+    RESET: '✅ Akun sudah diperbaiki',
+    CLOSED: '📁 Selesai',
+    REJECTED: '❌ Ditolak'
+};
+
+const TRANSITIONS = {
+    OPEN: ['IN_PROGRESS', 'REPLACED', 'RESET', 'REJECTED'],
+    IN_PROGRESS: ['REPLACED', 'RESET', 'REJECTED'],
+    REPLACED: ['CLOSED'],
+    RESET: ['CLOSED'],
+    CLOSED: [],
+    REJECTED: []
+};
+
+// Status penyelesaian sesuai jenis klaim
+const RESOLUTION_STATUS = {
+    replace: CLAIM_STATUS.REPLACED,
+    reset: CLAIM_STATUS.RESET
+};
+
+// Klaim prioritas (tier member dengan priorityClaims) mendapat SLA separuh dari normal
+const PRIORITY_SLA_FACTOR = 0.5;
+
+// Masalah yang cukup diperbaiki di akun yang sama (selain itu: ganti akun)
+const RESET_KEYWORDS = ['pin', 'profil', 'profile', 'perangkat', 'device', 'logout', 'keluar sendiri', 'reset', 'limit'];
+
+class ClaimManager {
+    constructor() {
+        this.slaTimer = null;
+        this.slaInterval = 5 * 60 * 1000;
+    }
+
+    /**
+     * PEMBELIAN CUSTOMER (buyers.json, dicari lewat nomor WhatsApp)
+     */
+    async getPurchases(customer) {
+        const buyersData = await loadJson('buyers.json');
+        if (!Array.isArray(buyersData)) return [];
+
+        const buyer = buyersData.find(b => b.whatsapp === customer);
+        if (!buyer) return [];
+
+        // Transaksi terbaru per produk
+        const latest = {};
+        for (const transaksi of buyer.data || []) {
+            if (!transaksi.apk || !transaksi.exp) continue;
+            if (!latest[transaksi.apk] || transaksi.exp > latest[transaksi.apk].exp) {
+                latest[transaksi.apk] = transaksi;
+            }
+        }
+
+        return Object.values(latest).map(transaksi => ({ user: buyer.user, transaksi }));
+    }
+
+    /**
+     * Garansi berlaku sejak dateGiven selama masa garansi produk/varian,
+     * (ditambah bonus hari tier member pembeli), dan tidak lebih dari tanggal expired akun
+     */
+    async checkWarranty(transaksi, { customer = null, user = null } = {}) {
+        const product = await productCatalog.getProduct(transaksi.apk) ||
+                        (await productCatalog.findProductsInText(transaksi.apk))[0] || null;
+
+        let warrantyDays = product ? productCatalog.getWarrantyDays(product) : 0;
+        if (transaksi.orderId) {
+            const order = await orderManager.getOrder(transaksi.orderId);
+            if (order && Number.isInteger(order.warrantyDays)) {
+                warrantyDays = order.warrantyDays;
+            }
+        }
+
+        // Bonus tier hanya memperpanjang garansi, paket No Garansi tetap tanpa garansi
+        let bonusDays = 0;
+        if (warrantyDays > 0 && (customer || user)) {
+            const tier = await loyaltyManager.getTierFor({ customer, user }).catch(() => null);
+            bonusDays = tier ? tier.warrantyBonusDays : 0;
+        }
+
+        const today = moment.tz(TIMEZONE).startOf('day');
+        const given = moment.tz(transaksi.dateGiven, 'YYYY-MM-DD', TIMEZONE);
+        const exp = moment.tz(transaksi.exp, 'YYYY-MM-DD', TIMEZONE);
+        const warrantyEnd = moment.min(given.clone().add(warrantyDays + bonusDays, 'days'), exp);
+
+        let reason = null;
+        if (warrantyDays === 0) {
+            reason = 'Paket ini tidak termasuk garansi (No Garansi).';
+        } else if (!given.isValid() || !exp.isValid()) {
+            reason = 'Data tanggal transaksi tidak lengkap, admin perlu cek manual.';
+        } else if (today.isAfter(warrantyEnd)) {
+            reason = `Masa garansi sudah berakhir pada ${warrantyEnd.format('DD/MM/YYYY')}.`;
+        }
+
+        return {
+            eligible: reason === null,
+            reason,
+            product,
+            warrantyDays,
+            bonusDays,
+            warrantyEnd: warrantyEnd.isValid() ? warrantyEnd.format('YYYY-MM-DD') : null
+        };
+    }
+
+    classifyClaimType(masalah) {
+        const lower = masalah.toLowerCase();
+        return RESET_KEYWORDS.some(keyword => lower.includes(keyword)) ? 'reset' : 'replace';
+    }
+
+    /**
+     * TIKET
+     */
+    async loadClaims(type) {
+        const data = await loadJson(CLAIM_FILES[type]);
+        return Array.isArray(data) ? data : [];
+    }
+
+    // Baca-ubah-tulis file klaim dalam satu transaksi; work(claims) mengubah array di tempat
+    async updateClaims(type, work) {
+        return updateJson(CLAIM_FILES[type], (claims, tx) => {
+            if (!Array.isArray(claims)) tx.data = claims = [];
+            return work(claims);
+        });
+    }
+
+    async getAllClaims() {
+        const claims = [];
+        for (const type of Object.keys(CLAIM_FILES)) {
+            const data = await this.loadClaims(type);
+            claims.push(...data.map(claim => ({ ...claim, type: claim.type || type })));
+        }
+        return claims;
+    }
+
+    async generateTicket() {
+        return this.nextTicket(await this.getAllClaims());
+    }
+
+    nextTicket(claims) {
+        const numbers = claims
+            .map(claim => /^CLM-(\d+)$/.exec(claim.ticket || ''))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10));
+
+        const next = (numbers.length > 0 ? Math.max(...numbers) : 0) + 1;
+        return `CLM-${String(next).padStart(3, '0')}`;
+    }
+
+    /**
+     * Klaim lama (sebelum ada tiket) diberi nomor supaya bisa diproses
+     * dengan lifecycle yang sama
+     */
+    async ensureTickets() {
+        const all = await this.getAllClaims();
+        for (const type of Object.keys(CLAIM_FILES)) {
+            await this.updateClaims(type, claims => {
+                for (const claim of claims.filter(c => !c.ticket)) {
+                    claim.ticket = this.nextTicket(all);
+                    all.push(claim);
+                }
+            });
+        }
+    }
+
+    async getClaim(ticket) {
+        if (!ticket) return null;
+
+        const claims = await this.getAllClaims();
+        return claims.find(claim => claim.ticket === ticket.trim().toUpperCase()) || null;
+    }
+
+    async findClaimRecord(ticket) {
+        const normalized = String(ticket || '').trim().toUpperCase();
+        for (const type of Object.keys(CLAIM_FILES)) {
+            const claims = await this.loadClaims(type);
+            const claim = claims.find(c => c.ticket === normalized);
+            if (claim) return { type, claims, claim };
+        }
+        return null;
+    }
+
+    // Ubah satu klaim di dalam transaksi file-nya; work(claim) boleh return hasil sendiri
+    async updateClaim(ticket, work) {
+        const found = await this.findClaimRecord(ticket);
+        if (!found) return null;
+
+        return this.updateClaims(found.type, claims => {
+            const claim = claims.find(c => c.ticket === found.claim.ticket);
+            return claim ? work(claim, found.type) : null;
+        });
+    }
+
+    /**
+     * Klaim yang masih aktif (OPEN / IN_PROGRESS) untuk pembelian yang sama: nomor order,
+     * email akun, atau nama buyer kalau salah satu klaim dicatat admin tanpa email
+     */
+    findActiveClaim(claims, { user, transaksi }) {
+        return claims.find(claim => this.isActive(claim) && claim.apk === transaksi.apk && (
+            (transaksi.orderId && claim.orderId === transaksi.orderId) ||
+            (transaksi.email && claim.email === transaksi.email) ||
+            ((!transaksi.email || !claim.email) && claim.user === user)
+        )) || null;
+    }
+
+    async getActiveClaimFor(purchase) {
+        return this.findActiveClaim(await this.getAllClaims(), purchase);
+    }
+
+    /**
+     * Kalau pembelian ini masih punya klaim aktif, tiket itu yang dikembalikan
+     * (duplicate: true) dan tidak ada tiket baru.
+     */
+    async fileClaim({ customer = null, user, transaksi, masalah, screenshot = null, type, source = 'customer', actor }) {
+        type = type || this.classifyClaimType(masalah);
+        const tier = await loyaltyManager.getTierFor({ customer, user }).catch(() => null);
+        const otherClaims = (await this.getAllClaims()).filter(claim => claim.type !== type);
+        const now = new Date().toISOString();
+
+        const newClaim = {
+            ticket: null,
+            user,
+            customer,
+            apk: transaksi.apk,
+            email: transaksi.email,
+            orderId: transaksi.orderId || null,
+            stockId: transaksi.stockId || null,
+            masalah,
+            screenshot,
+            dateGiven: transaksi.dateGiven,
+            exp: transaksi.exp,
+            tanggal: now.split('T')[0],
+            timestamp: Date.now(),
+            status: CLAIM_STATUS.OPEN,
+            done: type === 'reset' ? false : undefined,
+            assignee: null,
+            openedAt: now,
+            history: [{ status: CLAIM_STATUS.OPEN, at: now, by: actor || customer }],
+            source,
+            ...(tier && tier.priorityClaims ? { priority: true, tier: tier.name } : {})
+        };
+
+        // Nomor tiket diambil (dan klaim aktif dicek) di dalam transaksi supaya klaim bersamaan tidak bentrok
+        const existing = await this.updateClaims(type, claimsData => {
+            const active = this.findActiveClaim([...otherClaims, ...claimsData], { user, transaksi });
+            if (active) return active;
+
+            newClaim.ticket = this.nextTicket([...otherClaims, ...claimsData]);
+            claimsData.push(newClaim);
+            return null;
+        });
+        if (existing) {
+            console.log(`🛡️ Klaim baru ${transaksi.apk} (${user}) tidak dibuat: masih ada klaim aktif ${existing.ticket}`);
+            return { ...existing, type: existing.type || type, duplicate: true };
+        }
+        const ticket = newClaim.ticket;
+
+        // Log ke claim history (sama seperti klaim dari admin)
+        await storage.collection('log_claim.json').insert({
+            ...newClaim,
+            id: Date.now(),
+            admin: actor || 'customer',
+            type
+        });
+
+        console.log(`🛡️ Klaim ${ticket} (${type}) dibuat oleh ${actor || customer}${newClaim.priority ? ' [PRIORITAS]' : ''}`);
+        return { ...newClaim, type };
+    }
+
+    /**
+     * LIFECYCLE
+     */
+
+    // Klaim lama memakai PENDING/RESOLVED (replace) atau done (reset)
+    getStatus(claim) {
+        if (CLAIM_STATUS[claim.status]) return claim.status;
+        if (claim.status === 'RESOLVED' || claim.done === true) return CLAIM_STATUS.CLOSED;
+        return CLAIM_STATUS.OPEN;
+    }
+
+    getAllowedTransitions(claim) {
+        const resolution = RESOLUTION_STATUS[claim.type || 'replace'];
+        return TRANSITIONS[this.getStatus(claim)].filter(status =>
+            status === resolution || !Object.values(RESOLUTION_STATUS).includes(status)
+        );
+    }
+
+    isActive(claim) {
+        return [CLAIM_STATUS.OPEN, CLAIM_STATUS.IN_PROGRESS].includes(this.getStatus(claim));
+    }
+
+    /**
+     * Ubah status klaim. Return { success, message, claim }.
+     * options: { actor, note, assignee, replacement }
+     */
+    async transition(ticket, status, { actor = 'admin', note = '', assignee, replacement } = {}) {
+        // Validasi ulang di dalam transaksi: status bisa sudah diubah proses lain
+        const result = await this.updateClaim(ticket, (claim, type) => {
+            const from = this.getStatus(claim);
+            if (!this.getAllowedTransitions({ ...claim, type }).includes(status)) {
+                return { success: false, message: `Klaim ${claim.ticket} tidak bisa diubah dari ${from} ke ${status}.` };
+            }
+            if (status === CLAIM_STATUS.REJECTED && !note) {
+                return { success: false, message: 'Alasan penolakan wajib diisi.' };
+            }
+
+            const now = new Date().toISOString();
+            claim.status = status;
+            claim.updatedAt = now;
+            if (type === 'reset') {
+                claim.done = [CLAIM_STATUS.RESET, CLAIM_STATUS.CLOSED, CLAIM_STATUS.REJECTED].includes(status);
+            }
+            if (assignee || (status === CLAIM_STATUS.IN_PROGRESS && !claim.assignee)) {
+                claim.assignee = assignee || actor;
+            }
+            if (replacement) {
+                claim.replacement = replacement;
+            }
+            if (note) {
+                claim.note = note;
+            }
+
+            claim.history = claim.history || [];
+            claim.history.push({ status, at: now, by: actor, ...(note ? { note } : {}) });
+            return { success: true, from, claim: { ...claim, type } };
+        });
+
+        if (!result) {
+            return { success: false, message: `Klaim ${ticket} tidak ditemukan.` };
+        }
+        if (!result.success) return result;
+
+        const { from, claim } = result;
+        await this.notifyCustomer(claim, status, note);
+        if (status === CLAIM_STATUS.CLOSED) {
+            await this.scheduleSurvey(claim, actor);
+        }
+
+        console.log(`🛡️ Klaim ${claim.ticket}: ${from} -> ${status} oleh ${actor}`);
+        return { success: true, message: `Klaim ${claim.ticket} sekarang ${status}.`, claim };
+    }
+
+    /**
+     * Satu pintu untuk form panel: REPLACED lewat replaceAccount (butuh akun
+     * pengganti), status lain langsung transition
+     */
+    async applyStatus(ticket, status, { actor, note = '', assignee, email, password, pin } = {}) {
+        if (status === CLAIM_STATUS.REPLACED) {
+            if (assignee) await this.assign(ticket, assignee, actor);
+            return await this.replaceAccount(ticket, { actor, email, password, pin, note });
+        }
+        return await this.transition(ticket, status, { actor, note, assignee });
+    }
+
+    async assign(ticket, assignee, actor = 'admin') {
+        const claim = await this.updateClaim(ticket, (record, type) => {
+            const now = new Date().toISOString();
+            record.assignee = assignee || null;
+            record.updatedAt = now;
+            record.history = record.history || [];
+            record.history.push({ status: this.getStatus(record), at: now, by: actor, note: `PIC: ${assignee || '-'}` });
+            return { ...record, type };
+        });
+
+        if (!claim) {
+            return { success: false, message: `Klaim ${ticket} tidak ditemukan.` };
+        }
+        return { success: true, message: `Klaim ${claim.ticket} ditangani ${assignee || '-'}.`, claim };
+    }
+
+    /**
+     * Ganti akun: kredensial manual (email) atau satu slot dari stock
+     * varian yang sama, lalu transaksi buyer dipindah ke akun baru
+     */
+    async replaceAccount(ticket, { actor = 'admin', email, password = '', pin = '', note = '' } = {}) {
+        const claim = await this.getClaim(ticket);
+        if (!claim) {
+            return { success: false, message: `Klaim ${ticket} tidak ditemukan.` };
+        }
+        if (!this.getAllowedTransitions(claim).includes(CLAIM_STATUS.REPLACED)) {
+            return { success: false, message: `Klaim ${claim.ticket} tidak bisa ganti akun (status ${this.getStatus(claim)}).` };
+        }
+
+        let credential = null;
+        if (!email) {
+            const source = await this.getStockSource(claim);
+            if (!source) {
+                return { success: false, message: `Varian akun klaim ${claim.ticket} tidak diketahui, isi email pengganti manual.` };
+            }
+
+            const today = moment.tz(TIMEZONE).startOf('day');
+            credential = await stockManager.reserveSlot({
+                id: claim.ticket,
+                customer: claim.customer,
+                productId: source.productId,
+                variantId: source.variantId,
+                days: Math.max(moment.tz(claim.exp, 'YYYY-MM-DD', TIMEZONE).diff(today, 'days'), 0) || 0
+            });
+            if (!credential) {
+                return { success: false, message: `Stock ${source.productId}/${source.variantId} habis, isi email pengganti manual.` };
+            }
+        }
+
+        const replacement = credential
+            ? { email: credential.email, password: credential.password, pin: credential.pin, slot: credential.slot, stockId: credential.stockId }
+            : { email, password, pin };
+
+        const result = await this.transition(claim.ticket, CLAIM_STATUS.REPLACED, { actor, note, replacement });
+        if (!result.success) {
+            if (credential) await stockManager.releaseSlot(credential);
+            return result;
+        }
+
+        if (credential) {
+            await stockManager.markDelivered(credential, {
+                durasi: `klaim ${claim.ticket}`,
+                dateGiven: new Date().toISOString().split('T')[0],
+                exp: claim.exp
+            });
+        }
+        await this.updateBuyerAccount(claim, replacement);
+
+        // Ganti akun tidak menambah omzet, tapi modal slot pengganti mengurangi margin produk
+        await ledgerManager.record({
+            type: ENTRY_TYPES.REPLACE,
+            cost: credential ? credential.cost : 0,
+            orderId: claim.orderId || null,
+            ticket: claim.ticket,
+            buyer: claim.user || '',
+            customer: claim.customer || null,
+            productId: claim.apk,
+            item: `Ganti akun ${claim.email || ''}`.trim(),
+            stockId: replacement.stockId || null,
+            by: actor
+        }).catch(error => console.error('Error recording replacement in ledger:', error.message));
+
+        return result;
+    }
+
+    async getStockSource(claim) {
+        if (claim.orderId) {
+            const order = await orderManager.getOrder(claim.orderId);
+            if (order) return { productId: order.productId, variantId: order.variantId };
+        }
+        if (claim.stockId) {
+            const stock = await stockManager.loadStock();
+            const account = stock.find(a => a.id === claim.stockId);
+            if (account) return { productId: account.productId, variantId: account.variantId };
+        }
+        return null;
+    }
+
+    async updateBuyerAccount(claim, replacement) {
+        await storage.collection('buyers.json').mutate(buyersData => {
+            for (const buyer of buyersData) {
+                const transaksi = (buyer.data || []).find(t =>
+                    (claim.orderId && t.orderId === claim.orderId) || (t.apk === claim.apk && t.email === claim.email)
+                );
+                if (!transaksi) continue;
+
+                transaksi.previousEmail = transaksi.email;
+                transaksi.email = replacement.email;
+                transaksi.replacedBy = claim.ticket;
+                if (replacement.stockId) {
+                    transaksi.stockId = replacement.stockId;
+                    transaksi.slot = replacement.slot;
+                }
+                return;
+            }
+        });
+    }
+
+    /**
+     * NOTIFIKASI CUSTOMER (lewat outbox, dikirim oleh bot)
+     */
+    async getCustomerNumber(claim) {
+        if (claim.customer) return claim.customer;
+
+        // Klaim dari admin hanya punya nama buyer
+        const buyersData = await loadJson('buyers.json');
+        const buyer = Array.isArray(buyersData) && buyersData.find(b => b.user === claim.user && b.whatsapp);
+        return buyer ? buyer.whatsapp : null;
+    }
+
+    async notifyCustomer(claim, status, note) {
+        const number = await this.getCustomerNumber(claim);
+        if (!number) {
+            console.warn(`Klaim ${claim.ticket}: nomor customer tidak diketahui, notifikasi dilewati`);
+            return false;
+        }
+
+        await outbox.enqueue(number, this.buildStatusMessage(claim, status, note), { ticket: claim.ticket, status });
+        return true;
+    }
+
+    // Survey kepuasan untuk klaim yang ditutup, dinilai atas nama PIC klaim
+    async scheduleSurvey(claim, actor) {
+        const number = await this.getCustomerNumber(claim);
+        if (!number) return null;
+
+        return surveyManager.schedule({
+            source: 'claim',
+            customer: number,
+            name: claim.user || '',
+            ticket: claim.ticket,
+            product: claim.apk,
+            handledBy: claim.assignee || actor
+        });
+    }
+
+    buildStatusMessage(claim, status, note) {
+        const header = `🛡️ *Klaim ${claim.ticket}* (${claim.apk})\n\n`;
+
+        switch (status) {
+            case CLAIM_STATUS.IN_PROGRESS:
+                return header + `Klaim Kakak sedang diproses admin. Mohon ditunggu ya, Kak 🙏`;
+            case CLAIM_STATUS.REPLACED: {
+                const r = claim.replacement || {};
+                return header +
+                       `✅ Akun pengganti sudah siap:\n` +
+                       `📧 Email: ${r.email}\n` +
+                       (r.password ? `🔑 Password: ${r.password}\n` : '') +
+                       (r.slot ? `👤 Profil: ${r.slot}${r.pin ? ` (PIN ${r.pin})` : ''}\n` : (r.pin ? `🔢 PIN: ${r.pin}\n` : '')) +
+                       (claim.exp ? `📅 Aktif sampai: ${claim.exp}\n` : '') +
+                       (note ? `📝 ${note}\n` : '') +
+                       `\nSilakan login dengan akun baru di atas ya, Kak 😊`;
+            }
+            case CLAIM_STATUS.RESET:
+                return header + `✅ Akun Kakak sudah diperbaiki admin.` + (note ? `\n📝 ${note}` : '') +
+                       `\n\nSilakan coba login lagi ya, Kak 😊`;
+            case CLAIM_STATUS.CLOSED:
+                return header + `📁 Klaim sudah ditutup. Terima kasih sudah menunggu, Kak! 🙏`;
+            case CLAIM_STATUS.REJECTED:
+                return header + `Mohon maaf Kak, klaim ini belum bisa diproses.\nAlasan: ${note}\n\n` +
+                       `Silakan balas chat ini kalau ada yang perlu ditanyakan 🙏`;
+            default:
+                return header + `Status klaim: ${STATUS_LABELS[status] || status}`;
+        }
+    }
+
+    /**
+     * SLA - dicek berkala di proses bot, pelanggaran jadi alert monitoring
+     */
+    getSlaHours(claim) {
+        const factor = claim.priority ? PRIORITY_SLA_FACTOR : 1;
+        return {
+            response: config.claim_sla_response_hours * factor,
+            resolution: config.claim_sla_resolution_hours * factor
+        };
+    }
+
+    getSlaState(claim, now = Date.now()) {
+        if (!claim.openedAt || !this.isActive(claim)) return null;
+
+        const hours = this.getSlaHours(claim);
+        const opened = new Date(claim.openedAt).getTime();
+        const responseDue = opened + hours.response * 60 * 60 * 1000;
+        const resolutionDue = opened + hours.resolution * 60 * 60 * 1000;
+
+        return {
+            responseDue: new Date(responseDue).toISOString(),
+            resolutionDue: new Date(resolutionDue).toISOString(),
+            responseBreached: this.getStatus(claim) === CLAIM_STATUS.OPEN && now > responseDue,
+            resolutionBreached: now > resolutionDue
+        };
+    }
+
+    async checkSla() {
+        // Di-require di sini: monitoring hanya jalan di proses bot, bukan panel
+        const { monitoringManager } = require('./monitoringManager');
+        const breaches = [];
+
+        for (const type of Object.keys(CLAIM_FILES)) {
+            // Tandai alert di dalam transaksi, kirim alert-nya setelah tersimpan
+            const alerts = await this.updateClaims(type, claims => {
+                const pending = [];
+                for (const claim of claims) {
+                    const sla = this.getSlaState(claim);
+                    if (!sla) continue;
+
+                    claim.slaAlerts = claim.slaAlerts || {};
+                    const pic = claim.assignee ? ` (PIC ${claim.assignee})` : '';
+                    const hours = this.getSlaHours(claim);
+                    const label = claim.priority ? `Klaim prioritas ${claim.tier}` : 'Klaim';
+
+                    if (sla.responseBreached && !claim.slaAlerts.response) {
+                        claim.slaAlerts.response = new Date().toISOString();
+                        pending.push({ ticket: claim.ticket, kind: 'response', level: 'warning',
+                            message: `${label} ${claim.ticket} (${claim.apk}) belum direspon lebih dari ${hours.response} jam${pic}` });
+                    }
+
+                    if (sla.resolutionBreached && !claim.slaAlerts.resolution) {
+                        claim.slaAlerts.resolution = new Date().toISOString();
+                        pending.push({ ticket: claim.ticket, kind: 'resolution', level: 'critical',
+                            message: `${label} ${claim.ticket} (${claim.apk}) belum selesai lebih dari ${hours.resolution} jam${pic}` });
+                    }
+                }
+                return pending;
+            });
+
+            for (const alert of alerts) {
+                monitoringManager.createAlert(alert.level, `claim_sla_${alert.ticket}`, alert.message);
+                breaches.push({ ticket: alert.ticket, kind: alert.kind });
+            }
+        }
+
+        return breaches;
+    }
+
+    startSlaMonitor() {
+        if (this.slaTimer) return;
+
+        const run = async () => {
+            try {
+                await this.checkSla();
+            } catch (error) {
+                console.error('Error checking claim SLA:', error);
+            }
+        };
+
+        this.slaTimer = setInterval(run, this.slaInterval);
+        run();
+    }
+
+    /**
+     * FORMATTING
+     */
+    // Klaim prioritas di atas, urutan lain tidak berubah
+    sortByPriority(claims) {
+        return [...claims].sort((a, b) => (b.priority ? 1 : 0) - (a.priority ? 1 : 0));
+    }
+
+    getStatusLabel(claim) {
+        return STATUS_LABELS[this.getStatus(claim)];
+    }
+
+    formatClaim(claim) {
+        return `🛡️ *Klaim ${claim.ticket}*\n` +
+               `📱 Produk: ${claim.apk}\n` +
+               `❗ Keluhan: ${claim.masalah}\n` +
+               `🔄 Penanganan: ${claim.type === 'reset' ? 'Perbaikan akun' : 'Ganti akun'}\n` +
+               `📅 Tanggal: ${claim.tanggal}\n` +
+               `📌 Status: ${this.getStatusLabel(claim)}` +
+               (this.getStatus(claim) === CLAIM_STATUS.REJECTED && claim.note ? `\n📝 Alasan: ${claim.note}` : '');
+    }
+}
+
+// Create singleton
+const claimManager = new ClaimManager();
+
+module.exports = { ClaimManager, claimManager, CLAIM_FILES, CLAIM_STATUS, STATUS_LABELS };
@@ -15,7 +15,8 @@ const CONFIDENCE_THRESHOLDS = {
     FAQ_MATCH: 0.6,              // FAQ similarity matching
     LEARNING_THRESHOLD: 0.6,     // Minimum for auto-learning
     HYBRID_ROUTING: 0.4,         // Hybrid handler routing
-    AI_AUTO_LEARN: 0.8           // AI response auto-learning
+    AI_AUTO_LEARN: 0.8,          // AI response auto-learning
+    INTENT_MIN_PROBABILITY: 0.2  // Intent classifier: probabilitas minimum per intent
 };
 
 const SYSTEM_LIMITS = {
@@ -48,14 +49,16 @@ const UNAVAILABLE_PRODUCTS = [
     'spotify', 'canva', 'remini', 'picsart'
 ];
 
+// Kata kunci per intent dalam bentuk ternormalisasi ("gk" -> "tidak", "pengen" -> "ingin").
+// Dipakai sebagai data seed intentClassifier dan fallback pencocokan kata kunci.
 const INTENT_PATTERNS = {
     greeting: ['halo', 'hai', 'selamat', 'pagi', 'siang', 'malam'],
-    ordering: ['beli', 'order', 'pesan', 'mau', 'pengen', 'butuh'],
-    problem: ['error', 'masalah', 'gagal', 'tidak', 'gak', 'rusak', 'broken'],
+    ordering: ['beli', 'order', 'pesan', 'mau', 'ingin', 'butuh'],
+    problem: ['error', 'masalah', 'gagal', 'tidak', 'rusak', 'broken', 'login'],
     info: ['info', 'informasi', 'detail', 'spek', 'fitur', 'apa', 'bagaimana'],
     payment: ['bayar', 'transfer', 'dana', 'ovo', 'gopay', 'qris', 'harga'],
     complaint: ['kecewa', 'marah', 'lambat', 'lama', 'buruk', 'jelek'],
-    thanks: ['terima', 'kasih', 'makasih', 'thanks', 'thx'],
+    thanks: ['terima', 'kasih'],
     goodbye: ['bye', 'dadah', 'sampai', 'jumpa']
 };
 
@@ -0,0 +1,17 @@
+/**
+ * CSV
+ * Helper ekspor CSV yang dipakai bersama (audit log, ledger penjualan)
+ */
+
+function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Cegah formula injection saat CSV dibuka di Excel / Sheets (angka negatif tetap angka)
+    if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\n');
+}
+
+module.exports = { escapeCsvValue, toCsv };
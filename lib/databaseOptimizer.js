@@ -1,10 +1,12 @@
 /**
  * DATABASE OPTIMIZER
  * Optimizes JSON file-based database performance with indexing and caching
+ *
+ * Data dibaca/ditulis lewat lib/storage (json atau sqlite). Cache dan index
+ * dibangun ulang saat versi dokumen di storage berubah.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const { storage } = require('./storage');
 const CONSTANTS = require('./constants');
 
 class DatabaseOptimizer {
@@ -31,6 +33,7 @@ class DatabaseOptimizer {
                 fieldName,
                 transformer,
                 index: new Map(),
+                version: null,
                 lastUpdated: 0
             });
         }
@@ -46,43 +49,29 @@ class DatabaseOptimizer {
         if (!indexConfig) return false;
 
         try {
-            const data = await this.loadJsonFile(indexConfig.filename);
+            const { data, version } = await this.loadDocument(indexConfig.filename);
+            const records = Array.isArray(data) ? data : (data && Array.isArray(data.users) ? data.users : []);
             const index = new Map();
             
-            if (Array.isArray(data)) {
-                data.forEach((item, idx) => {
-                    let keyValue = item[indexConfig.fieldName];
-                    
-                    if (indexConfig.transformer) {
-                        keyValue = indexConfig.transformer(keyValue);
-                    }
-                    
-                    if (keyValue !== undefined) {
-                        if (!index.has(keyValue)) {
-                            index.set(keyValue, []);
-                        }
-                        index.get(keyValue).push({ data: item, index: idx });
-                    }
-                });
-            } else if (data.users && Array.isArray(data.users)) {
-                // Handle users.json format
-                data.users.forEach((item, idx) => {
-                    let keyValue = item[indexConfig.fieldName];
-                    
-                    if (indexConfig.transformer) {
-                        keyValue = indexConfig.transformer(keyValue);
-                    }
-                    
-                    if (keyValue !== undefined) {
-                        if (!index.has(keyValue)) {
-                            index.set(keyValue, []);
-                        }
-                        index.get(keyValue).push({ data: item, index: idx });
+            records.forEach((item, idx) => {
+                let keyValue = item[indexConfig.fieldName];
+                
+                if (indexConfig.transformer) {
+                    keyValue = indexConfig.transformer(keyValue);
+                }
+                
+                // Field array (mis. keyword FAQ) diindex per elemen
+                for (const key of Array.isArray(keyValue) ? keyValue : [keyValue]) {
+                    if (key === undefined) continue;
+                    if (!index.has(key)) {
+                        index.set(key, []);
                     }
-                });
-            }
+                    index.get(key).push({ data: item, id: item.id, index: idx });
+                }
+            });
             
             indexConfig.index = index;
+            indexConfig.version = version;
             indexConfig.lastUpdated = Date.now();
             
             console.log(`📊 Index built for ${indexKey}: ${index.size} entries`);
@@ -101,8 +90,8 @@ class DatabaseOptimizer {
         if (!indexConfig) return null;
 
         // Check if index needs rebuilding
-        const fileModTime = await this.getFileModTime(indexConfig.filename);
-        if (fileModTime > indexConfig.lastUpdated) {
+        const version = await this.getVersion(indexConfig.filename);
+        if (version !== indexConfig.version) {
             await this.buildIndex(indexKey);
         }
 
@@ -112,14 +101,17 @@ class DatabaseOptimizer {
     /**
      * CACHED FILE OPERATIONS
      */
+    async loadDocument(filename) {
+        return storage.load(this.storageName(filename), null);
+    }
+
     async loadJsonFile(filename, useCache = true) {
         const cacheKey = `file:${filename}`;
         
         if (useCache && this.cache.has(cacheKey)) {
             const cached = this.cache.get(cacheKey);
-            const fileModTime = await this.getFileModTime(filename);
             
-            if (fileModTime <= cached.timestamp) {
+            if (await this.getVersion(filename) === cached.version) {
                 this.cacheStats.hits++;
                 return cached.data;
             }
@@ -128,18 +120,17 @@ class DatabaseOptimizer {
         this.cacheStats.misses++;
         
         try {
-            const filePath = this.resolveFilePath(filename);
-            const content = await fs.readFile(filePath, 'utf8');
-            const data = JSON.parse(content);
+            const { data, version } = await this.loadDocument(filename);
             
             if (useCache) {
                 this.cache.set(cacheKey, {
                     data: data,
+                    version: version,
                     timestamp: Date.now()
                 });
                 
                 // Cleanup old cache entries
-                if (this.cache.size > CONSTANTS.PERFORMANCE.MAX_CACHE_SIZE) {
+                if (this.cache.size > CONSTANTS.SYSTEM_LIMITS.MAX_CACHE_ENTRIES) {
                     this.cleanupCache();
                 }
             }
@@ -156,8 +147,7 @@ class DatabaseOptimizer {
      */
     async saveJsonFile(filename, data) {
         try {
-            const filePath = this.resolveFilePath(filename);
-            await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+            await storage.write(this.storageName(filename), data);
             
             // Invalidate cache
             const cacheKey = `file:${filename}`;
@@ -166,7 +156,7 @@ class DatabaseOptimizer {
             // Invalidate related indexes
             for (const [indexKey, indexConfig] of this.indexes) {
                 if (indexConfig.filename === filename) {
-                    indexConfig.lastUpdated = 0; // Force rebuild on next access
+                    indexConfig.version = null; // Force rebuild on next access
                 }
             }
             
@@ -219,24 +209,23 @@ class DatabaseOptimizer {
     /**
      * OPTIMIZATION UTILITIES
      */
-    async getFileModTime(filename) {
+    async getVersion(filename) {
         try {
-            const filePath = this.resolveFilePath(filename);
-            const stats = await fs.stat(filePath);
-            return stats.mtime.getTime();
+            return await storage.version(this.storageName(filename));
         } catch {
             return 0;
         }
     }
 
-    resolveFilePath(filename) {
+    // Nama dokumen di storage (relatif ke data/)
+    storageName(filename) {
         // Handle different file locations
         if (filename.includes('/')) {
-            return path.join(__dirname, '..', filename);
+            return `../${filename}`;
         } else if (filename.includes('users.json')) {
-            return path.join(__dirname, '../database', filename);
+            return `../database/${filename}`;
         } else {
-            return path.join(__dirname, '../data', filename);
+            return filename;
         }
     }
 
@@ -303,8 +292,8 @@ class DatabaseOptimizer {
         // Users index by phone number
         this.createIndex('users.json', 'id');
         
-        // Stock index by product name
-        this.createIndex('stock.json', 'produk');
+        // Stock index by product id
+        this.createIndex('stock.json', 'productId');
         
         // FAQ index by keyword
         this.createIndex('faq.json', 'keyword');
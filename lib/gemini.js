@@ -1,5 +1,4 @@
-const config = require('../config');
-const axios = require('axios');
+const { llm } = require('./llmProvider');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -27,8 +26,43 @@ async function loadPrompt(file) {
     return raw.replace('@NOW', getWaktuWIB());
 }
 
-async function GEMINI_TEXT(id_user, prompt, role = 'cs') {
-    // Input validation
+const HISTORY_LIMIT = 20; // 10 percakapan terakhir (user + assistant)
+
+/**
+ * Susun pesan chat: system (context-{role}.txt + instruksi tambahan) + riwayat + pesan user
+ */
+async function buildMessages(id_user, prompt, role, extraSystem) {
+    let initialContext;
+    try {
+        initialContext = await loadPrompt(`context-${role}.txt`);
+    } catch (contextError) {
+        console.error('Error loading context:', contextError.message);
+        initialContext = 'Anda adalah customer service yang membantu pelanggan dengan ramah dan profesional.';
+    }
+
+    // Riwayat lama (format string "User: ..."/"AI: ...") dibuang karena tidak bisa dipetakan ke role
+    const history = (conversationHistories[id_user] || []).filter(entry => entry && typeof entry === 'object');
+
+    return [
+        { role: 'system', content: extraSystem ? `${initialContext}\n\n${extraSystem}` : initialContext },
+        ...history,
+        { role: 'user', content: prompt }
+    ];
+}
+
+function rememberExchange(id_user, prompt, responseText) {
+    try {
+        const history = (conversationHistories[id_user] || []).filter(entry => entry && typeof entry === 'object');
+        history.push({ role: 'user', content: prompt });
+        history.push({ role: 'assistant', content: responseText });
+        conversationHistories[id_user] = history.slice(-HISTORY_LIMIT);
+    } catch (historyError) {
+        console.error('Error updating conversation history:', historyError.message);
+        // Continue without updating history
+    }
+}
+
+function validateInput(id_user, prompt) {
     if (!id_user || typeof id_user !== 'string') {
         console.error('GEMINI_TEXT: Invalid id_user provided');
         return 'Terjadi kesalahan sistem. Silakan coba lagi.';
@@ -39,146 +73,111 @@ async function GEMINI_TEXT(id_user, prompt, role = 'cs') {
         return 'Mohon kirim pesan yang valid.';
     }
 
-    // Check API key
-    if (!config.GEMINI_API_KEY || config.GEMINI_API_KEY.trim() === '') {
-        console.error('GEMINI_TEXT: API key not configured');
-        const panduan = 'https://youtu.be/02oGg3-3a-s?si=ElXoKafRCG9B-7XD';
-        return `API key Gemini belum dikonfigurasi. Silakan setup API key terlebih dahulu.\n\n${panduan}`;
-    }
+    return null;
+}
 
-    const API_URL = `https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent?key=${config.GEMINI_API_KEY}`;
+/**
+ * Terjemahkan LLMError ke pesan untuk user
+ */
+function errorMessage(error) {
+    console.error(`Error generating AI content (${error.provider || 'llm'}):`, error.message || error);
 
-    try {
-        // Initialize conversation history safely
-        if (!global.conversationHistories) {
-            global.conversationHistories = {};
-        }
-        
-        if (!conversationHistories[id_user]) {
-            conversationHistories[id_user] = [];
-        }
+    const panduan = 'https://youtu.be/02oGg3-3a-s?si=ElXoKafRCG9B-7XD';
+    const pesan_ERROR = `Jika melihat error ini, berarti apikey gemini terkena limit karena pengguna yang terlalu banyak. Silakan gunakan apikey gemini pribadi.\n\n${panduan}`;
 
-        // Load context with error handling
-        let initialContext;
-        try {
-            initialContext = await loadPrompt(`context-${role}.txt`);
-        } catch (contextError) {
-            console.error('Error loading context:', contextError.message);
-            initialContext = 'Anda adalah customer service yang membantu pelanggan dengan ramah dan profesional.';
-        }
+    if (error.code === 'NOT_CONFIGURED') {
+        return error.provider === 'gemini'
+            ? `API key Gemini belum dikonfigurasi. Silakan setup API key terlebih dahulu.\n\n${panduan}`
+            : `Provider AI ${error.provider} belum dikonfigurasi. Silakan periksa pengaturan LLM.`;
+    }
 
-        // Sanitize prompt
-        const sanitizedPrompt = prompt.trim().substring(0, 2000); // Limit prompt length
-        const fullPrompt = `${initialContext}\n${conversationHistories[id_user].join('\n')}\nUser: ${sanitizedPrompt}\nAI:`;
-
-        const requestBody = {
-            contents: [
-                {
-                    role: "user",
-                    parts: [{ text: fullPrompt }]
-                }
-            ],
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 1024,
-            }
-        };
-
-        // Add timeout to axios request
-        const response = await axios.post(API_URL, requestBody, {
-            timeout: 30000, // 30 seconds timeout
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        // Validate response structure
-        if (!response.data || !response.data.candidates || !response.data.candidates[0]) {
-            throw new Error('Invalid response structure from Gemini API');
-        }
+    if (error.code === 'SAFETY') {
+        return 'Maaf, saya tidak dapat memproses permintaan tersebut. Mohon ajukan pertanyaan lain.';
+    }
 
-        const candidate = response.data.candidates[0];
-        
-        // Check for content filtering
-        if (candidate.finishReason === 'SAFETY') {
-            console.warn('Content filtered by Gemini safety filters');
-            return 'Maaf, saya tidak dapat memproses permintaan tersebut. Mohon ajukan pertanyaan lain.';
-        }
+    if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
+        return 'Koneksi timeout. Silakan coba lagi dalam beberapa saat.';
+    }
 
-        if (!candidate.content || !candidate.content.parts || !candidate.content.parts[0]) {
-            throw new Error('No content in Gemini response');
+    if (error.status) {
+        switch (error.status) {
+            case 400:
+                return 'Terjadi kesalahan dalam permintaan. Silakan coba lagi.';
+            case 401:
+                return `API key tidak valid. Silakan periksa konfigurasi API key.\n\n${panduan}`;
+            case 403:
+                return `Jika melihat error ini, berarti apikey gemini masih kosong atau kena limit karena pengguna yang terlalu banyak. Silakan gunakan apikey gemini pribadi.\n\n${panduan}`;
+            case 429:
+                return error.provider === 'gemini' ? pesan_ERROR : 'Server AI sedang sibuk. Silakan coba lagi dalam beberapa saat.';
+            case 500:
+            case 502:
+            case 503:
+                return 'Server AI sedang bermasalah. Silakan coba lagi dalam beberapa menit.';
+            default:
+                return `Terjadi kesalahan server (${error.status}). Silakan coba lagi nanti.`;
         }
+    }
 
-        const responseText = candidate.content.parts[0].text;
+    if (error.message?.includes('Network Error') || error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+        return 'Tidak dapat terhubung ke server. Periksa koneksi internet Anda.';
+    }
 
-        if (!responseText || responseText.trim().length === 0) {
-            throw new Error('Empty response from Gemini');
-        }
+    // Generic error fallback
+    return 'Terjadi kesalahan pada sistem AI. Silakan coba lagi nanti atau hubungi admin jika masalah berlanjut.';
+}
 
-        // Update conversation history safely
-        try {
-            conversationHistories[id_user].push('User: ' + sanitizedPrompt);
-            conversationHistories[id_user].push('AI: ' + responseText);
-            
-            // Keep only last 10 exchanges to prevent memory issues
-            if (conversationHistories[id_user].length > 20) {
-                conversationHistories[id_user] = conversationHistories[id_user].slice(-20);
-            }
-        } catch (historyError) {
-            console.error('Error updating conversation history:', historyError.message);
-            // Continue without updating history
-        }
+/**
+ * Balasan AI untuk user (nama lama dipertahankan; provider sebenarnya dipilih di config.llm)
+ * options.llmRole: peran provider ('chat' | 'fallback')
+ * options.system : instruksi system tambahan (mis. konteks bisnis dari smartFallback)
+ */
+async function GEMINI_TEXT(id_user, prompt, role = 'cs', options = {}) {
+    const invalid = validateInput(id_user, prompt);
+    if (invalid) return invalid;
+
+    if (!conversationHistories[id_user]) {
+        conversationHistories[id_user] = [];
+    }
 
-        return responseText.trim();
+    try {
+        const sanitizedPrompt = prompt.trim().substring(0, 2000); // Limit prompt length
+        const messages = await buildMessages(id_user, sanitizedPrompt, role, options.system);
+        const result = await llm.chat(messages, { role: options.llmRole || 'chat' });
 
+        const responseText = result.text.trim();
+        rememberExchange(id_user, sanitizedPrompt, responseText);
+        return responseText;
     } catch (error) {
-        console.error('Error generating AI content:', error.message || error);
-
-        const panduan = 'https://youtu.be/02oGg3-3a-s?si=ElXoKafRCG9B-7XD';
-        const pesan_ERROR = `Jika melihat error ini, berarti apikey gemini terkena limit karena pengguna yang terlalu banyak. Silakan gunakan apikey gemini pribadi.\n\n${panduan}`;
-
-        // Handle specific error types
-        if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
-            return 'Koneksi timeout. Silakan coba lagi dalam beberapa saat.';
-        }
+        return errorMessage(error);
+    }
+}
 
-        if (error.response) {
-            const status = error.response.status;
-            const statusText = error.response.statusText;
-            
-            switch (status) {
-                case 400:
-                    console.error('Bad request to Gemini API:', error.response.data);
-                    return 'Terjadi kesalahan dalam permintaan. Silakan coba lagi.';
-                case 401:
-                    return `API key tidak valid. Silakan periksa konfigurasi API key.\n\n${panduan}`;
-                case 403:
-                    return `Jika melihat error ini, berarti apikey gemini masih kosong atau kena limit karena pengguna yang terlalu banyak. Silakan gunakan apikey gemini pribadi.\n\n${panduan}`;
-                case 429:
-                    return pesan_ERROR;
-                case 500:
-                case 502:
-                case 503:
-                    return 'Server Gemini sedang bermasalah. Silakan coba lagi dalam beberapa menit.';
-                default:
-                    console.error(`Gemini API error ${status}:`, statusText);
-                    return `Terjadi kesalahan server (${status}). Silakan coba lagi nanti.`;
-            }
-        }
+/**
+ * Versi streaming: yield potongan teks, riwayat disimpan setelah selesai
+ */
+async function* GEMINI_STREAM(id_user, prompt, role = 'cs', options = {}) {
+    const invalid = validateInput(id_user, prompt);
+    if (invalid) {
+        yield invalid;
+        return;
+    }
 
-        if (error.message?.includes('Too Many Requests') || error.message?.includes('status code 429')) {
-            return pesan_ERROR;
-        }
+    if (!conversationHistories[id_user]) {
+        conversationHistories[id_user] = [];
+    }
 
-        if (error.message?.includes('Network Error') || error.code === 'ENOTFOUND') {
-            return 'Tidak dapat terhubung ke server. Periksa koneksi internet Anda.';
+    const sanitizedPrompt = prompt.trim().substring(0, 2000);
+    let responseText = '';
+    try {
+        const messages = await buildMessages(id_user, sanitizedPrompt, role, options.system);
+        for await (const chunk of llm.stream(messages, { role: options.llmRole || 'chat' })) {
+            responseText += chunk;
+            yield chunk;
         }
-
-        // Generic error fallback
-        return 'Terjadi kesalahan pada sistem AI. Silakan coba lagi nanti atau hubungi admin jika masalah berlanjut.';
+        rememberExchange(id_user, sanitizedPrompt, responseText.trim());
+    } catch (error) {
+        if (!responseText) yield errorMessage(error);
     }
 }
 
-module.exports = { GEMINI_TEXT };
+module.exports = { GEMINI_TEXT, GEMINI_STREAM };
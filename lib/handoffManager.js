@@ -0,0 +1,346 @@
+/**
+ * HANDOFF MANAGER
+ * Percakapan customer diambil alih admin (live chat) di chat WhatsApp yang sama.
+ *
+ * Handoff dibuka saat customer minta bicara dengan admin, saat jawaban bot diblokir
+ * botLaws / smartFallback menyerah, atau saat moderator mengambil alih dari panel /
+ * perintah "takeover". Selama handoff terbuka bot tidak membalas otomatis JID itu:
+ * pesan customer disimpan di thread (data/handoffs.json) dan diteruskan ke admin.
+ * Admin membalas dari panel (/handoff) atau dari WhatsApp-nya ("reply 628xx ...").
+ *
+ * Bot aktif lagi kalau customer / admin mengetik "selesai" atau tidak ada aktivitas
+ * selama config.handoff_timeout_minutes.
+ */
+
+const config = require('../config');
+const { loadJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { outbox } = require('./outbox');
+const { botBridge } = require('./botBridge');
+const { roleManager } = require('./roleManager');
+
+const HANDOFFS_FILE = 'handoffs.json';
+
+const HANDOFF_STATUS = {
+    OPEN: 'open',
+    CLOSED: 'closed'
+};
+
+// Kalimat customer yang langsung membuka handoff
+const HANDOFF_TRIGGERS = [
+    'hubungi admin', 'chat admin', 'bicara dengan admin', 'ngobrol dengan admin', 'ngobrol sama admin',
+    'minta admin', 'panggil admin', 'mau ke admin', 'cs manusia', 'live chat', 'admin manusia'
+];
+
+const CLOSE_KEYWORD = 'selesai';
+
+// Teks OCR gambar customer yang ikut diteruskan ke admin / disimpan di riwayat
+const MAX_OCR_TEXT = 500;
+
+class HandoffManager {
+    constructor() {
+        this.handoffs = storage.collection(HANDOFFS_FILE);
+        this.timer = null;
+        this.checkInterval = 60 * 1000;
+    }
+
+    normalizeNumber(value) {
+        const digits = String(value || '').split('@')[0].replace(/\D/g, '');
+        return digits.startsWith('0') ? `62${digits.slice(1)}` : digits;
+    }
+
+    isTrigger(lowerInput) {
+        return HANDOFF_TRIGGERS.some(trigger => lowerInput.includes(trigger));
+    }
+
+    /**
+     * THREADS
+     */
+    async list() {
+        const handoffs = await this.handoffs.all();
+        return handoffs.sort((a, b) => String(b.lastActivity).localeCompare(String(a.lastActivity)));
+    }
+
+    async get(id) {
+        return this.handoffs.get(id);
+    }
+
+    // Handoff terbuka untuk JID / nomor ini
+    async getOpen(jidOrNumber) {
+        const number = this.normalizeNumber(jidOrNumber);
+        const open = await this.handoffs.find(h => h.status === HANDOFF_STATUS.OPEN && h.number === number);
+        return open[0] || null;
+    }
+
+    // Handoff terbaru (terbuka / sudah ditutup) untuk nomor ini
+    async getLatest(jidOrNumber) {
+        const number = this.normalizeNumber(jidOrNumber);
+        const handoffs = await this.handoffs.find(h => h.number === number);
+        return handoffs.sort((a, b) => String(b.openedAt).localeCompare(String(a.openedAt)))[0] || null;
+    }
+
+    // Ringkasan untuk audit log (isi percakapan tidak ikut dicatat)
+    summarize(handoff) {
+        if (!handoff) return null;
+        return {
+            id: handoff.id,
+            status: handoff.status,
+            reason: handoff.reason,
+            assignee: handoff.assignee,
+            messages: handoff.messages.length,
+            closeReason: handoff.closeReason
+        };
+    }
+
+    async isActive(remoteJid) {
+        if (!String(remoteJid).endsWith('@s.whatsapp.net')) return false;
+        return !!(await this.getOpen(remoteJid));
+    }
+
+    /**
+     * Buka handoff. reason: request | safety_blocked | fallback | takeover.
+     * Return { handoff, created }; handoff yang sudah terbuka dipakai lagi.
+     */
+    async open(remoteJid, { name = '', reason = 'request', messages = [], openedBy = null } = {}, sock = null) {
+        const number = this.normalizeNumber(remoteJid);
+        const now = new Date().toISOString();
+
+        const result = await this.handoffs.mutate(records => {
+            const existing = records.find(h => h.status === HANDOFF_STATUS.OPEN && h.number === number);
+            if (existing) return { handoff: existing, created: false };
+
+            const handoff = {
+                id: this.handoffs.nextId(),
+                jid: outbox.toJid(remoteJid),
+                number,
+                name,
+                status: HANDOFF_STATUS.OPEN,
+                reason,
+                openedBy,
+                openedAt: now,
+                lastActivity: now,
+                assignee: openedBy,
+                messages: messages.map(entry => ({ ...entry, at: entry.at || now })),
+                closedAt: null,
+                closedBy: null,
+                closeReason: null
+            };
+            records.push(handoff);
+            return { handoff, created: true };
+        });
+
+        if (result.created) {
+            console.log(`🙋 Handoff ${result.handoff.id} dibuka untuk ${number} (${reason})`);
+            const lastMessage = messages.filter(entry => entry.from === 'customer').pop();
+            await this.notifyAgents(result.handoff,
+                `🙋 *HANDOFF* ${number}${name ? ` (${name})` : ''}\n` +
+                `Alasan: ${this.describeReason(reason)}\n` +
+                (lastMessage ? `Pesan: ${lastMessage.text}\n` : '') +
+                `\nBalas: reply ${number} [pesan]\nTutup: selesai ${number}`,
+                sock
+            );
+        }
+        return result;
+    }
+
+    describeReason(reason) {
+        return {
+            request: 'customer minta bicara dengan admin',
+            safety_blocked: 'jawaban bot diblokir bot laws',
+            fallback: 'bot tidak bisa menjawab',
+            takeover: 'diambil alih admin'
+        }[reason] || reason;
+    }
+
+    /**
+     * Teks untuk customer saat handoff dibuka otomatis / atas permintaan
+     */
+    getOpenMessage(reason) {
+        const intro = reason === 'request'
+            ? 'Baik Kak, percakapan ini kami teruskan ke admin 🙋'
+            : 'Maaf Kak, pertanyaan ini perlu dijawab langsung oleh admin 🙏';
+        return `${intro}\nAdmin akan membalas di chat ini, mohon ditunggu ya.\n\n` +
+               `_Ketik *${CLOSE_KEYWORD}* kalau sudah tidak perlu bantuan admin._`;
+    }
+
+    /**
+     * CUSTOMER SIDE - dipanggil lib/ai selama handoff terbuka (bot tidak membalas otomatis)
+     */
+    /**
+     * image: { buffer, ocrText } dari imageHandler.readForHandoff untuk pesan gambar
+     * (text = caption). Gambar diteruskan ke admin di WhatsApp; di riwayat panel
+     * tercatat sebagai "[gambar]" + caption + teks OCR.
+     */
+    async handleCustomerMessage(remoteJid, text, sock, pushName = '', image = null) {
+        if (!image && text.trim().toLowerCase() === CLOSE_KEYWORD) {
+            return this.close(remoteJid, { by: 'customer', reason: 'customer' }, sock);
+        }
+
+        const ocrText = image && image.ocrText ? image.ocrText.substring(0, MAX_OCR_TEXT) : '';
+        const entryText = image ? ['[gambar]', text.trim()].filter(Boolean).join(' ') : text;
+        const handoff = await this.appendMessage(remoteJid, {
+            from: 'customer',
+            by: pushName || null,
+            text: entryText,
+            ...(ocrText ? { ocr: ocrText } : {})
+        });
+        if (!handoff) return null;
+
+        await this.notifyAgents(handoff,
+            `💬 ${handoff.number}${handoff.name ? ` (${handoff.name})` : ''}:\n${entryText}\n` +
+            (ocrText ? `\n📝 Teks di gambar:\n${ocrText}\n` : '') +
+            `\nBalas: reply ${handoff.number} [pesan]`,
+            sock,
+            image && image.buffer
+        );
+        return handoff;
+    }
+
+    async appendMessage(jidOrNumber, entry) {
+        const number = this.normalizeNumber(jidOrNumber);
+        const at = new Date().toISOString();
+        return this.handoffs.mutate(records => {
+            const handoff = records.find(h => h.status === HANDOFF_STATUS.OPEN && h.number === number);
+            if (!handoff) return null;
+            handoff.messages.push({ ...entry, at });
+            handoff.lastActivity = at;
+            if (entry.from === 'agent' && !handoff.assignee) handoff.assignee = entry.by;
+            return handoff;
+        });
+    }
+
+    /**
+     * AGENT SIDE
+     * agent: nomor moderator / username panel
+     */
+    async reply(jidOrNumber, text, agent, sock = null) {
+        if (!text || !text.trim()) {
+            return { success: false, message: 'Isi balasan kosong.' };
+        }
+
+        const handoff = await this.appendMessage(jidOrNumber, { from: 'agent', by: agent, text: text.trim() });
+        if (!handoff) {
+            return { success: false, message: `Tidak ada handoff terbuka untuk ${this.normalizeNumber(jidOrNumber)}.` };
+        }
+
+        const delivery = await this.deliver(handoff.jid, `👤 *Admin:* ${text.trim()}`, sock);
+        return {
+            success: true,
+            message: delivery.delivered ? 'Balasan terkirim.' : 'Bot tidak terhubung, balasan dititipkan ke outbox.',
+            handoff
+        };
+    }
+
+    async takeover(jidOrNumber, agent, sock = null) {
+        const number = this.normalizeNumber(jidOrNumber);
+        if (!/^\d{8,15}$/.test(number)) {
+            return { success: false, message: 'Nomor tidak valid.' };
+        }
+
+        const { handoff, created } = await this.open(number, { reason: 'takeover', openedBy: agent }, sock);
+        if (created) {
+            await this.deliver(handoff.jid,
+                `Halo Kak, admin akan melanjutkan percakapan ini secara langsung 🙋\n` +
+                `_Ketik *${CLOSE_KEYWORD}* kalau sudah tidak perlu bantuan admin._`,
+                sock
+            );
+        }
+        return {
+            success: true,
+            message: created ? `Chat ${number} diambil alih, bot berhenti membalas otomatis.` : `Chat ${number} sudah dalam handoff.`,
+            handoff
+        };
+    }
+
+    /**
+     * Tutup handoff, bot kembali membalas otomatis.
+     * reason: customer | agent | timeout
+     */
+    async close(jidOrNumber, { by = null, reason = 'agent' } = {}, sock = null) {
+        const number = this.normalizeNumber(jidOrNumber);
+        const now = new Date().toISOString();
+
+        const handoff = await this.handoffs.mutate(records => {
+            const open = records.find(h => h.status === HANDOFF_STATUS.OPEN && h.number === number);
+            if (!open) return null;
+            open.status = HANDOFF_STATUS.CLOSED;
+            open.closedAt = now;
+            open.closedBy = by;
+            open.closeReason = reason;
+            return open;
+        });
+        if (!handoff) return null;
+
+        const intro = reason === 'timeout'
+            ? `Belum ada aktivitas selama ${config.handoff_timeout_minutes} menit, percakapan dengan admin kami tutup ya Kak 🙏`
+            : 'Percakapan dengan admin sudah selesai, terima kasih Kak 🙏';
+        await this.deliver(handoff.jid, `${intro}\nBot kembali melayani otomatis, ketik *menu* untuk melihat pilihan.`, sock);
+
+        if (reason !== 'agent') {
+            await this.notifyAgents(handoff, `✅ Handoff ${number} ditutup (${reason === 'timeout' ? 'timeout' : 'oleh customer'}).`, sock);
+        }
+        console.log(`🙋 Handoff ${handoff.id} ditutup (${reason})`);
+        return handoff;
+    }
+
+    /**
+     * TIMEOUT (proses bot)
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.expireIdle().catch(error => console.error('Error expiring handoffs:', error));
+        }, this.checkInterval);
+    }
+
+    async expireIdle(sock = global.sock) {
+        const limit = Date.now() - config.handoff_timeout_minutes * 60 * 1000;
+        const idle = await this.handoffs.find(h =>
+            h.status === HANDOFF_STATUS.OPEN && new Date(h.lastActivity).getTime() < limit
+        );
+        for (const handoff of idle) {
+            await this.close(handoff.number, { by: 'system', reason: 'timeout' }, sock);
+        }
+        return idle.length;
+    }
+
+    /**
+     * DELIVERY
+     * sock ada = dipanggil dari proses bot (kirim langsung); tanpa sock (panel) lewat lib/botBridge
+     */
+    // image (Buffer) hanya bisa dikirim lewat socket bot; lewat outbox yang terkirim teksnya saja
+    async deliver(to, text, sock = null, image = null) {
+        if (sock && sock.sendMessage) {
+            try {
+                await sock.sendMessage(outbox.toJid(to), image ? { image, caption: text } : { text });
+                return { delivered: true };
+            } catch (error) {
+                console.warn(`Handoff: gagal kirim ke ${to}:`, error.message);
+                return { delivered: false };
+            }
+        }
+        return botBridge.sendText(to, text, { source: 'handoff' });
+    }
+
+    // Penerima notifikasi: admin yang memegang handoff, kalau belum ada semua yang berizin handoff.edit
+    async getAgentNumbers(handoff) {
+        if (handoff.assignee && /^\d+$/.test(handoff.assignee)) return [handoff.assignee];
+
+        const moderators = await loadJson('moderators.json');
+        const numbers = (Array.isArray(moderators) ? moderators : [])
+            .filter(mod => mod.active && roleManager.can(roleManager.normalizeRole(mod.role || 'admin'), 'handoff', 'edit'))
+            .map(mod => mod.number);
+        return [...new Set([config.owner_number, ...numbers])].filter(Boolean);
+    }
+
+    async notifyAgents(handoff, text, sock = null, image = null) {
+        for (const number of await this.getAgentNumbers(handoff)) {
+            await this.deliver(number, text, sock, image);
+        }
+    }
+}
+
+// Create singleton
+const handoffManager = new HandoffManager();
+
+module.exports = { HandoffManager, handoffManager, HANDOFF_STATUS, CLOSE_KEYWORD };
@@ -1,20 +1,16 @@
-const fs = require('fs').promises;
-const path = require('path');
 const stringSimilarity = require('string-similarity');
 const { loadProdukTxt, loadFAQ, loadSOP, loadPromo, getProductInfo } = require('./dataLoader');
 const { smartContentAnalyzer } = require('./smartContentAnalyzer');
 const { advancedContentReader } = require('./advancedContentReader');
+const { productCatalog } = require('./productCatalog');
+const { loyaltyManager } = require('./loyaltyManager');
+const { indonesianNlp } = require('./indonesianNlp');
 
 // Deteksi intent untuk produk - lebih fleksibel dan kontekstual
-function detectProductIntent(msg) {
+function detectProductIntent(msg, productKeywords = []) {
   const lower = msg.toLowerCase();
   
-  // Check if specific product is mentioned - ONLY products that actually exist
-  const productKeywords = [
-    'netflix', 'disney', 'youtube', 'iqiyi', 'viu', 'wetv', 'vision+', 'vidio', 
-    'prime', 'hbo', 'bstation', 'alightmotion', 'chatgpt', 'capcut'
-  ];
-  
+  // Check if specific product is mentioned - ONLY products that exist in the catalog
   const hasProductMention = productKeywords.some(product => lower.includes(product));
   if (hasProductMention) {
     // If product is mentioned, always allow - even with problem keywords
@@ -46,11 +42,19 @@ function detectProductIntent(msg) {
 }
 
 // Enhanced fuzzy search dengan smart parsing
-async function fuzzySearchProduk(msg) {
+async function fuzzySearchProduk(msg, pricing = null) {
   const input = msg.toLowerCase();
   
+  let products = [];
+  try {
+    products = await productCatalog.getProducts();
+  } catch {
+    return null;
+  }
+  const produkNames = products.map(p => p.id);
+
   // Step 1: Deteksi intent - apakah user benar-benar ingin info produk?
-  const hasProductIntent = detectProductIntent(msg);
+  const hasProductIntent = detectProductIntent(msg, products.flatMap(p => productCatalog.getMatchTerms(p)));
   
   // Step 2: Deteksi specific info request
   const infoType = detectInfoType(msg);
@@ -59,33 +63,20 @@ async function fuzzySearchProduk(msg) {
   if (process.env.NODE_ENV === 'development') {
     console.log(`[PRODUCT INTENT] "${msg}" -> Intent: ${hasProductIntent}, InfoType: ${infoType}`);
   }
-  
-  const produkDir = path.join(__dirname, '../data/produk');
-  let produkNames = [];
-
-  // Baca nama semua produk (file txt)
-  try {
-    const files = await fs.readdir(produkDir);
-    produkNames = files.filter(f => f.endsWith('.txt')).map(f => f.replace('.txt', ''));
-  } catch {
-    return null;
-  }
 
-  // Step 3: Hard match dengan prioritas tinggi untuk produk yang disebutkan langsung
-  for (const name of produkNames) {
-    if (input.includes(name.toLowerCase())) {
-      // PRIORITAS TINGGI: Jika nama produk disebutkan, langsung return data produk
-      // Tidak peduli intent detection untuk menghindari false negative
-      
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`[PRODUCT MATCH] Hard match found: "${name}" with info type: "${infoType}"`);
-      }
-      
-      // Use smart parser to get specific info
-      const smartResponse = await getProductInfo(name, infoType);
-      if (smartResponse && smartResponse.trim() && !smartResponse.includes('tidak ditemukan')) {
-        return smartResponse;
-      }
+  // Step 3: Hard match dengan prioritas tinggi untuk produk yang disebutkan langsung (id, nama, alias)
+  const [mentioned] = await productCatalog.findProductsInText(input);
+  if (mentioned) {
+    // PRIORITAS TINGGI: Jika nama produk disebutkan, langsung return data produk
+    // Tidak peduli intent detection untuk menghindari false negative
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[PRODUCT MATCH] Hard match found: "${mentioned.id}" with info type: "${infoType}"`);
+    }
+    
+    const smartResponse = await getProductInfo(mentioned.id, infoType, pricing);
+    if (smartResponse && smartResponse.trim() && !smartResponse.includes('tidak ditemukan')) {
+      return smartResponse;
     }
   }
 
@@ -102,7 +93,7 @@ async function fuzzySearchProduk(msg) {
     
     // STANDARDIZED CONFIDENCE THRESHOLD: 0.6 across all modules
     if (isValidMatch && bestMatch.rating > 0.6) {
-      const smartResponse = await getProductInfo(bestMatch.target, infoType);
+      const smartResponse = await getProductInfo(bestMatch.target, infoType, pricing);
       if (smartResponse && smartResponse.trim() && !smartResponse.includes('tidak ditemukan')) {
         return smartResponse;
       }
@@ -124,7 +115,7 @@ async function fuzzySearchProduk(msg) {
       
       // Jika >50% kata produk cocok DAN ada kesamaan karakter, return data produk
       if (wordMatchRatio > 0.5 && hasCharacterSimilarity(input, bestMatch.target)) {
-        const smartResponse = await getProductInfo(bestMatch.target, infoType);
+        const smartResponse = await getProductInfo(bestMatch.target, infoType, pricing);
         if (smartResponse && smartResponse.trim() && !smartResponse.includes('tidak ditemukan')) {
           return smartResponse;
         }
@@ -227,19 +218,22 @@ function hasCharacterSimilarity(input, target) {
   return similarity > 0.4; // Minimal 40% karakter yang sama
 }
 
-// Fuzzy Mood Detector
-const keywordsMood = {
+// Fuzzy Mood Detector (keyword ikut dinormalisasi, jadi "gak dapet" cocok dengan "ga dpt")
+const keywordsMood = Object.fromEntries(Object.entries({
   marah: ["gak dapet", "kecewa", "kesel", "parah", "anjing", "kok lama", "udah nunggu", "masih belum", "gak jelas", "ga kelar2", "bosen", "sampe kapan", "kapan akun", "error terus", "gimana sih", "kok susah", "coba cek lagi", "udah capek", "ngaco", "payah", "tolol"],
   positif: ["makasih", "thanks", "terima kasih", "oke kak", "cepat banget", "mantap", "sip", "lancar", "puas", "good job"],
   oot: ["curhat", "ngopi yuk", "iseng aja", "nongkrong", "gabut", "temenin aku", "ngobrol yuk", "main yuk", "ngomongin lain", "bukan order", "topik lain"]
-};
+}).map(([mood, keywords]) => [mood, keywords.map(keyword => indonesianNlp.normalize(keyword))]));
 
 function detectMood(msg) {
-  const lower = msg.toLowerCase();
+  const analysis = indonesianNlp.analyze(msg);
+  const lower = analysis.normalized;
   for (const mood in keywordsMood) {
     if (keywordsMood[mood].some(k => lower.includes(k))) return mood;
   }
   if (/(kenapa|kok|kapan)/.test(lower) && /(dikirim|masuk|proses|error|gagal|akun)/.test(lower)) return 'marah';
+  // Kalimat dengan sentimen sangat negatif ("penipu", "kecewa banget") diperlakukan sama
+  if (analysis.sentiment.total <= -4) return 'marah';
   return "netral";
 }
 
@@ -261,7 +255,7 @@ function fuzzyMatch(msg, arr, field = 'keyword') {
       return null;
     }
 
-    const input = msg.toLowerCase().trim();
+    const input = indonesianNlp.normalize(msg);
     if (input.length === 0) {
       return null;
     }
@@ -299,7 +293,7 @@ function fuzzyMatch(msg, arr, field = 'keyword') {
           try {
             if (!kw || typeof kw !== 'string') continue;
             
-            const kwLower = kw.toLowerCase().trim();
+            const kwLower = indonesianNlp.normalize(kw);
             if (kwLower.length === 0) continue;
             
             // Hard match first (more reliable)
@@ -332,8 +326,53 @@ function fuzzyMatch(msg, arr, field = 'keyword') {
   }
 }
 
+// Menu produk dari katalog, dikelompokkan per kategori dengan harga mulai
+const CATEGORY_LABELS = {
+  streaming: '📺 *Streaming:*',
+  aplikasi: '🎨 *Aplikasi:*'
+};
+
+async function buildCatalogMenu() {
+  const products = await productCatalog.getProducts();
+  let menu = `🛍️ *PRODUK VYLOZZONE*\n`;
+
+  for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+    const inCategory = products.filter(p => p.category === category);
+    if (inCategory.length === 0) continue;
+
+    menu += `\n${label}\n`;
+    for (const product of inCategory) {
+      const startingPrice = productCatalog.getStartingPrice(product);
+      menu += startingPrice !== null
+        ? `• ${product.name} (mulai ${productCatalog.formatK(startingPrice)}k)\n`
+        : `• ${product.name} (sold out)\n`;
+    }
+  }
+
+  return menu + `\nMau info detail produk mana, Kak? Tinggal ketik nama produknya aja ya! 😊`;
+}
+
+async function buildPriceRangeSummary() {
+  const products = await productCatalog.getProducts();
+  let summary = "Harga produk Vylozzone bervariasi, Kak:\n\n";
+
+  for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+    const prices = products
+      .filter(p => p.category === category)
+      .flatMap(p => productCatalog.getPackages(p))
+      .filter(pkg => pkg.available)
+      .map(pkg => pkg.price);
+    if (prices.length === 0) continue;
+
+    summary += `${label.replace(/\*/g, '').replace(':', '')}: ${productCatalog.formatK(Math.min(...prices))}k - ${productCatalog.formatK(Math.max(...prices))}k\n`;
+  }
+
+  return summary + "\nUntuk harga detail, sebutkan produk spesifik yang diminati ya! Contoh: 'netflix harga' atau 'youtube berapa?' 😊";
+}
+
 // Handler utama dengan prioritas yang lebih cerdas
-async function handleUserMessage(msg, sender) {
+// pricing: diskon member dari loyaltyManager.getPricing, dicari dari sender kalau tidak dikirim
+async function handleUserMessage(msg, sender, pricing) {
   try {
     // Input validation
     if (!msg || typeof msg !== 'string') {
@@ -351,7 +390,14 @@ async function handleUserMessage(msg, sender) {
       return "Mohon kirim pesan yang valid ya, Kak 😊";
     }
 
-    const lowerMsg = trimmedMsg.toLowerCase();
+    // Teks ternormalisasi ("brp" -> "berapa", "gk" -> "tidak") dipakai untuk semua pencocokan di bawah
+    const analysis = indonesianNlp.analyze(trimmedMsg);
+    const lowerMsg = analysis.normalized;
+
+    // Harga produk di jawaban mengikuti tier member customer
+    if (pricing === undefined) {
+      pricing = await loyaltyManager.getPricing(sender);
+    }
 
     // 0. ADVANCED CONTENT READING - HIGHEST PRIORITY for specific info queries
     try {
@@ -377,33 +423,15 @@ async function handleUserMessage(msg, sender) {
     }
 
     // Product catalog inquiry
-    if (lowerMsg.includes('produk apa aja') || lowerMsg.includes('ada produk apa') || lowerMsg.includes('list produk') || lowerMsg === 'menu') {
-      return `🛍️ *PRODUK VYLOZZONE*
-
-📺 *Streaming:*
-• Netflix (mulai 15k)
-• Disney+ (mulai 17k) 
-• YouTube Premium (mulai 5k)
-• Prime Video, HBO Max
-• iQIYI, VIU, WeTV, Vision+, Vidio
-
-🎨 *Aplikasi:*
-• CapCut Pro
-• Alight Motion
-• ChatGPT Plus
-• BStation
-
-Mau info detail produk mana, Kak? Tinggal ketik nama produknya aja ya! 😊`;
-    }
-
-    // General price inquiry - fix product keywords reference
-    const existingProducts = [
-      'netflix', 'disney', 'youtube', 'iqiyi', 'viu', 'wetv', 'vision+', 'vidio', 
-      'prime', 'hbo', 'bstation', 'alightmotion', 'chatgpt', 'capcut'
-    ];
+    if (lowerMsg.includes('produk apa saja') || lowerMsg.includes('ada produk apa') || lowerMsg.includes('list produk') || lowerMsg === 'menu') {
+      return await buildCatalogMenu();
+    }
+
+    // Produk yang disebut user, dicocokkan ke katalog (id, nama, alias)
+    const mentionedProducts = await productCatalog.findProductsInText(lowerMsg);
     
-    if (lowerMsg.includes('harga semua') || lowerMsg.includes('berapa harga semua') || (lowerMsg.includes('harga') && lowerMsg.includes('produk') && !existingProducts.some(p => lowerMsg.includes(p)))) {
-      return "Harga produk Vylozzone bervariasi, Kak:\n\n📺 Streaming: 5k - 150k/bulan\n🎨 Aplikasi: 15k - 50k/bulan\n\nUntuk harga detail, sebutkan produk spesifik yang diminati ya! Contoh: 'netflix harga' atau 'youtube berapa?' 😊";
+    if (lowerMsg.includes('harga semua') || lowerMsg.includes('berapa harga semua') || (lowerMsg.includes('harga') && lowerMsg.includes('produk') && mentionedProducts.length === 0)) {
+      return await buildPriceRangeSummary();
     }
 
     // Handle missing products with natural responses
@@ -426,17 +454,15 @@ Mau info detail produk mana, Kak? Tinggal ketik nama produknya aja ya! 😊`;
     }
 
     // Handle products yang ada tapi mungkin tidak ke-detect di fuzzy search
-    for (const product of existingProducts) {
-      if (lowerMsg.includes(product) && (lowerMsg.includes('harga') || lowerMsg.includes('berapa'))) {
-        // Force product info with natural follow-up
-        try {
-          const productInfo = await getProductInfo(product, 'harga');
-          if (productInfo && !productInfo.includes('tidak ditemukan')) {
-            return productInfo;
-          }
-        } catch (error) {
-          console.warn(`Error loading ${product}:`, error);
+    if (mentionedProducts.length === 1 && (lowerMsg.includes('harga') || lowerMsg.includes('berapa'))) {
+      // Force product info with natural follow-up
+      try {
+        const productInfo = await getProductInfo(mentionedProducts[0].id, 'harga', pricing);
+        if (productInfo && !productInfo.includes('tidak ditemukan')) {
+          return productInfo;
         }
+      } catch (error) {
+        console.warn(`Error loading ${mentionedProducts[0].id}:`, error);
       }
     }
 
@@ -446,19 +472,21 @@ Mau info detail produk mana, Kak? Tinggal ketik nama produknya aja ya! 😊`;
     }
 
     // Handle multiple products in one query
-    const mentionedProducts = existingProducts.filter(product => lowerMsg.includes(product));
     if (mentionedProducts.length > 1) {
       if (lowerMsg.includes('harga') || lowerMsg.includes('berapa')) {
         let multiProductResponse = `📊 *PERBANDINGAN HARGA*\n\n`;
         for (const product of mentionedProducts.slice(0, 3)) { // Limit to 3 products
-          multiProductResponse += `🔸 ${product.toUpperCase()}: Chat admin untuk harga detail\n`;
+          const startingPrice = productCatalog.getStartingPrice(product);
+          multiProductResponse += startingPrice !== null
+            ? `🔸 ${product.name}: mulai ${productCatalog.formatPrice(startingPrice)}\n`
+            : `🔸 ${product.name}: sedang kosong\n`;
         }
-        multiProductResponse += `\nUntuk info lengkap semua produk, chat admin di wa.me/6289630375723 ya! 😊`;
+        multiProductResponse += `\nKetik nama produknya (contoh: '${mentionedProducts[0].id} harga') untuk lihat semua paket ya! 😊`;
         return multiProductResponse;
       }
       
       if (lowerMsg.includes('bagus') || lowerMsg.includes('recommend') || lowerMsg.includes('pilih')) {
-        return `🤔 Mau bandingin ${mentionedProducts.join(', ')}?\n\nSetiap produk punya keunggulan masing-masing. Untuk rekomendasi yang sesuai kebutuhan Kak, langsung chat admin di wa.me/6289630375723 ya! Admin akan kasih saran terbaik 😊`;
+        return `🤔 Mau bandingin ${mentionedProducts.map(p => p.name).join(', ')}?\n\nSetiap produk punya keunggulan masing-masing. Untuk rekomendasi yang sesuai kebutuhan Kak, langsung chat admin di wa.me/6289630375723 ya! Admin akan kasih saran terbaik 😊`;
       }
     }
 
@@ -531,7 +559,9 @@ Mau info detail produk mana, Kak? Tinggal ketik nama produknya aja ya! 😊`;
     // 4. Promo - untuk pertanyaan promo
     try {
       if (trimmedMsg.toLowerCase().includes("promo")) {
-        const promoObj = await loadPromo();
+        // promo.json: array promo dari panel (ambil yang aktif), atau format lama { banner }
+        const promoData = await loadPromo();
+        const promoObj = Array.isArray(promoData) ? promoData.find(item => item && item.active) : promoData;
         if (promoObj && promoObj.banner && typeof promoObj.banner === 'string' && promoObj.banner.trim().length > 0) {
           return promoObj.banner;
         }
@@ -543,7 +573,7 @@ Mau info detail produk mana, Kak? Tinggal ketik nama produknya aja ya! 😊`;
 
     // 5. Produk - dengan intent detection yang ketat
     try {
-      const produkRes = await fuzzySearchProduk(trimmedMsg);
+      const produkRes = await fuzzySearchProduk(lowerMsg, pricing);
       if (produkRes && typeof produkRes === 'string' && produkRes.trim().length > 0) {
         return produkRes;
       }
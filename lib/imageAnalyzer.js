@@ -2,13 +2,31 @@ const tf = require('@tensorflow/tfjs-node');
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
-const { loadJson, saveJson } = require('./dataLoader');
+const { loadJson, saveJson, loadSOP } = require('./dataLoader');
+const { ocrEngine } = require('./ocrEngine');
+const { productCatalog } = require('./productCatalog');
+
+// Kata yang menandai pesan error / bukti bayar di teks hasil OCR (Indonesia + Inggris)
+const ERROR_KEYWORDS = [
+    'error', 'gagal', 'failed', 'failure', 'tidak dapat', 'tidak bisa', "can't", 'cannot', 'unable',
+    'something went wrong', 'terjadi kesalahan', 'incorrect', 'invalid', 'tidak valid', 'salah',
+    'expired', 'kedaluwarsa', 'suspended', 'ditangguhkan', 'diblokir', 'blocked', 'try again',
+    'coba lagi', 'too many', 'terlalu banyak', 'not available', 'tidak tersedia', 'household', 'rumah tangga'
+];
+const RECEIPT_KEYWORDS = [
+    'berhasil', 'sukses', 'successful', 'transfer', 'transaksi', 'pembayaran', 'payment', 'total',
+    'nominal', 'jumlah', 'qris', 'dana', 'ovo', 'gopay', 'shopeepay', 'bca', 'bri', 'bni', 'mandiri',
+    'referensi', 'no. ref', 'penerima', 'recipient'
+];
+const MAX_STORED_TEXT = 1000;
 
 class ImageAnalyzer {
     constructor() {
         this.model = null;
         this.isModelLoaded = false;
         this.analysisHistory = [];
+        // Hasil OCR per file, supaya imageHandler dan analyzeImage tidak membaca gambar yang sama dua kali
+        this.readings = new Map();
         this.loadModel();
         this.loadAnalysisHistory();
     }
@@ -79,7 +97,7 @@ class ImageAnalyzer {
             // Analyze color composition
             const colorAnalysis = await this.analyzeColors(imagePath);
             
-            // Text detection (basic OCR simulation)
+            // Teks di gambar (OCR lokal)
             const hasText = await this.detectText(imagePath);
 
             const analysis = {
@@ -228,38 +246,108 @@ class ImageAnalyzer {
         return 'mixed';
     }
 
+    /**
+     * Baca teks gambar dengan OCR lokal lalu kenali isinya:
+     * { hasText, confidence, text, textType, product, amount, orderId, engine }
+     * textType: payment_receipt | error_message | mobile_app | unknown
+     */
     async detectText(imagePath) {
-        // Basic text detection simulation
+        if (this.readings.has(imagePath)) {
+            return this.readings.get(imagePath);
+        }
+
         try {
-            const imageInfo = await this.getImageInfo(imagePath);
-            const colorAnalysis = await this.analyzeColors(imagePath);
-            
-            // Heuristic: screenshots often contain text
-            // High contrast images might contain text
-            const contrastScore = Math.abs(colorAnalysis.brightness - 128) / 128;
-            const hasTextProbability = contrastScore * 0.6 + (imageInfo.aspectRatio > 1 ? 0.3 : 0.1);
-            
-            return {
-                hasText: hasTextProbability > 0.5,
-                confidence: hasTextProbability,
-                textType: this.guessTextType(imageInfo, colorAnalysis)
+            const ocr = await ocrEngine.recognize(imagePath);
+            if (!ocr) {
+                return { hasText: false, confidence: 0, text: '', textType: 'unknown', engine: 'none' };
+            }
+
+            const reading = {
+                hasText: ocr.text.replace(/\W/g, '').length >= 4,
+                confidence: ocr.confidence,
+                text: ocr.text.substring(0, MAX_STORED_TEXT),
+                textType: this.classifyText(ocr.text),
+                product: null,
+                amount: this.parseAmount(ocr.text),
+                orderId: (ocr.text.toUpperCase().match(/ORD-\d{6}-\d{3,}/) || [null])[0],
+                engine: 'tesseract'
             };
+
+            const [product] = await productCatalog.findProductsInText(ocr.text);
+            if (product) {
+                reading.product = { id: product.id, name: product.name };
+            }
+
+            this.readings.set(imagePath, reading);
+            // File gambar sementara selalu bernama unik, cukup simpan beberapa hasil terakhir
+            if (this.readings.size > 20) {
+                this.readings.delete(this.readings.keys().next().value);
+            }
+            return reading;
         } catch (error) {
-            return { hasText: false, confidence: 0, error: error.message };
+            return { hasText: false, confidence: 0, text: '', textType: 'unknown', error: error.message };
         }
     }
 
-    guessTextType(imageInfo, colorAnalysis) {
-        if (colorAnalysis.isReddish && colorAnalysis.isDark) {
+    // Kata kunci utuh: "salah" tidak ikut cocok dengan "masalah"
+    countKeywords(lowerText, keywords) {
+        return keywords.filter(keyword => {
+            const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`).test(lowerText);
+        }).length;
+    }
+
+    classifyText(text) {
+        const lowerText = (text || '').toLowerCase().replace(/\s+/g, ' ');
+        if (lowerText.replace(/\W/g, '').length < 4) return 'unknown';
+
+        const receiptScore = this.countKeywords(lowerText, RECEIPT_KEYWORDS);
+        if (receiptScore >= 2 && this.parseAmount(text)) {
+            return 'payment_receipt';
+        }
+        if (this.countKeywords(lowerText, ERROR_KEYWORDS) > 0) {
             return 'error_message';
         }
-        if (imageInfo.aspectRatio > 1.5) {
-            return 'mobile_app';
+        return 'mobile_app';
+    }
+
+    /**
+     * Nominal rupiah di teks ("Rp 20.000", "IDR 20,000.00", "Rp20.000,00").
+     * Baris total/nominal/jumlah diutamakan, selain itu nominal terbesar.
+     */
+    parseAmount(text) {
+        const pattern = /(?:rp|idr)\.?\s*([0-9]{1,3}(?:[.,][0-9]{3})+|[0-9]{3,})(?:[.,][0-9]{2}(?![0-9]))?/gi;
+        const amounts = [];
+
+        for (const line of (text || '').split('\n')) {
+            const isTotalLine = /total|nominal|jumlah|amount/i.test(line);
+            for (const match of line.matchAll(pattern)) {
+                const value = parseInt(match[1].replace(/[.,]/g, ''), 10);
+                if (value > 0) amounts.push({ value, isTotalLine });
+            }
         }
-        if (colorAnalysis.dominantColor === 'white') {
-            return 'document';
+
+        if (amounts.length === 0) return null;
+        const total = amounts.find(amount => amount.isTotalLine);
+        return total ? total.value : Math.max(...amounts.map(amount => amount.value));
+    }
+
+    /**
+     * SOP yang punya `errorText` cocok dengan teks error di screenshot.
+     * Return { sop, matched } atau null
+     */
+    async findErrorSop(text) {
+        const lowerText = (text || '').toLowerCase().replace(/\s+/g, ' ');
+        if (!lowerText) return null;
+
+        const sops = await loadSOP();
+        for (const sop of Array.isArray(sops) ? sops : []) {
+            const matched = [].concat(sop.errorText || [])
+                .map(phrase => String(phrase).toLowerCase().trim())
+                .find(phrase => phrase && lowerText.includes(phrase));
+            if (matched) return { sop, matched };
         }
-        return 'unknown';
+        return null;
     }
 
     calculateImageConfidence(imageInfo, screenshotAnalysis, textAnalysis) {
@@ -281,12 +369,13 @@ class ImageAnalyzer {
             if (analysis.isScreenshot.isScreenshot) {
                 category = 'screenshot';
                 
-                if (analysis.colorAnalysis.isReddish) {
-                    responseText = "Saya lihat ini screenshot dengan dominan warna merah. Apakah ini pesan error? Jika iya, mohon jelaskan apa yang terjadi sebelum error ini muncul.";
-                } else if (analysis.hasText.textType === 'error_message') {
-                    responseText = "Sepertinya ini screenshot error message. Bisa tolong jelaskan langkah apa yang dilakukan sebelum error ini muncul?";
+                const appName = analysis.hasText.product ? ` aplikasi *${analysis.hasText.product.name}*` : '';
+                if (analysis.hasText.textType === 'error_message') {
+                    responseText = `Saya baca pesan error di screenshot${appName} ini. Bisa tolong jelaskan langkah apa yang dilakukan sebelum error ini muncul?`;
                 } else if (analysis.hasText.textType === 'mobile_app') {
-                    responseText = "Ini screenshot aplikasi mobile ya. Ada masalah dengan aplikasinya? Mohon dijelaskan kendala yang dialami.";
+                    responseText = `Ini screenshot${appName || ' aplikasi'} ya. Ada masalah dengan aplikasinya? Mohon dijelaskan kendala yang dialami.`;
+                } else if (analysis.colorAnalysis.isReddish) {
+                    responseText = "Saya lihat ini screenshot dengan dominan warna merah. Apakah ini pesan error? Jika iya, mohon jelaskan apa yang terjadi sebelum error ini muncul.";
                 } else {
                     responseText = "Saya lihat screenshot yang Anda kirim. Bisa dijelaskan lebih detail terkait masalah yang dialami?";
                 }
@@ -345,6 +434,17 @@ class ImageAnalyzer {
         }
     }
 
+    // Gambar yang sudah ditangani sebelum analyzeImage (bukti transfer, error SOP) tetap disimpan untuk learning
+    async recordReading(imagePath, reading, context = {}) {
+        await this.saveAnalysis({
+            id: Date.now(),
+            timestamp: new Date().toISOString(),
+            imagePath: path.basename(imagePath),
+            hasText: reading,
+            context: context
+        });
+    }
+
     // Learn from user feedback about image analysis
     async learnFromImageFeedback(analysisId, feedback, correctResponse) {
         try {
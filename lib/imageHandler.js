@@ -2,6 +2,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const { downloadMediaMessage } = require('baileys');
 const { learningManager } = require('./learningManager');
+const { paymentVerification } = require('./paymentVerification');
+const { claimFlow } = require('./claimFlow');
 
 class ImageHandler {
     constructor() {
@@ -17,55 +19,110 @@ class ImageHandler {
         }
     }
 
+    /**
+     * Return teks balasan (dikirim oleh responseRouter)
+     */
     async handleImageMessage(message, sock, sender, remoteJid, pushName) {
+        let imagePath = null;
         try {
             // Download image
-            const imagePath = await this.downloadImage(message, sock);
+            imagePath = await this.downloadImage(message, sock);
             if (!imagePath) {
-                return await sock.sendMessage(remoteJid, { 
-                    text: 'Maaf, gagal memproses gambar yang Anda kirim.' 
-                }, { quoted: message });
+                return 'Maaf, gagal memproses gambar yang Anda kirim.';
             }
 
             // Get caption if any
             const caption = message.message?.imageMessage?.caption || '';
 
+            // Screenshot untuk klaim garansi yang sedang diajukan
+            if (claimFlow.isAwaitingScreenshot(remoteJid)) {
+                return await claimFlow.handleScreenshot(sock, sender, remoteJid, imagePath);
+            }
+
+            // Teks di gambar (OCR lokal): nominal / nomor order di bukti transfer, pesan error aplikasi
+            const imageAnalyzer = learningManager.imageAnalyzer;
+            const reading = await imageAnalyzer.detectText(imagePath);
+            const context = { sender, caption };
+
+            // Bukti transfer untuk order yang masih pending (screenshot error tidak dianggap bukti bayar)
+            if (reading.textType !== 'error_message') {
+                const proofReply = await paymentVerification.handlePaymentProof(
+                    sock, sender, remoteJid, pushName, imagePath, caption, reading
+                );
+                if (proofReply) {
+                    await imageAnalyzer.recordReading(imagePath, reading, { ...context, route: 'payment_proof' });
+                    return proofReply;
+                }
+            }
+
+            if (reading.textType === 'payment_receipt') {
+                await imageAnalyzer.recordReading(imagePath, reading, { ...context, route: 'payment_without_order' });
+                return `Bukti transfer${reading.amount ? ` *Rp ${reading.amount.toLocaleString('id-ID')}*` : ''} sudah kami lihat, Kak, ` +
+                       `tapi belum ada order yang menunggu pembayaran dari nomor ini.\n\n` +
+                       `Kalau belum order, ketik *order* dulu ya. Kalau sudah order dari nomor lain, ketik *hubungi admin* 🙏`;
+            }
+
+            // Pesan error yang sudah dikenal SOP (field errorText)
+            if (reading.textType === 'error_message') {
+                const sopReply = await this.getErrorSopReply(reading);
+                if (sopReply) {
+                    await imageAnalyzer.recordReading(imagePath, reading, { ...context, route: 'error_sop', sop: sopReply.sopId });
+                    return sopReply.text;
+                }
+            }
+
             // Process with learning manager
             const response = await learningManager.processMessage(caption, sender, 'imageMessage', imagePath);
             
-            let replyText = '';
             if (response && response.confidence > 0.5) {
-                replyText = response.text;
-            } else {
-                // Default image response
-                replyText = await this.getDefaultImageResponse(imagePath, caption);
+                return response.text;
             }
 
-            // Send response
-            await sock.sendMessage(remoteJid, { text: replyText }, { quoted: message });
-
-            // Clean up temp file
-            await this.cleanupTempFile(imagePath);
+            // Default image response
+            return await this.getDefaultImageResponse(imagePath, caption);
 
         } catch (error) {
             console.error('Error handling image message:', error);
-            await sock.sendMessage(remoteJid, { 
-                text: 'Maaf, terjadi kesalahan saat memproses gambar. Bisa dijelaskan secara text?' 
-            }, { quoted: message });
+            return 'Maaf, terjadi kesalahan saat memproses gambar. Bisa dijelaskan secara text?';
+        } finally {
+            // Clean up temp file
+            if (imagePath) {
+                await this.cleanupTempFile(imagePath);
+            }
+        }
+    }
+
+    /**
+     * Gambar dari customer saat live chat handoff (bot tidak membalas): isi gambar +
+     * teks OCR-nya diteruskan ke admin. Return { buffer, ocrText }, buffer null kalau gagal diunduh.
+     */
+    async readForHandoff(message, sock) {
+        const imagePath = await this.downloadImage(message, sock);
+        if (!imagePath) return { buffer: null, ocrText: '' };
+
+        try {
+            const buffer = await fs.readFile(imagePath);
+            const reading = await learningManager.imageAnalyzer.detectText(imagePath);
+            return { buffer, ocrText: reading.hasText ? reading.text.trim() : '' };
+        } finally {
+            await this.cleanupTempFile(imagePath);
         }
     }
 
     async downloadImage(message, sock) {
         try {
-            const buffer = await downloadMediaMessage(
-                message,
-                'buffer',
-                {},
-                {
-                    logger: console,
-                    reuploadRequest: sock.updateMediaMessage
-                }
-            );
+            // Socket boleh menyediakan downloader sendiri (fake socket di test/replay)
+            const buffer = typeof sock.downloadMediaMessage === 'function'
+                ? await sock.downloadMediaMessage(message)
+                : await downloadMediaMessage(
+                    message,
+                    'buffer',
+                    {},
+                    {
+                        logger: console,
+                        reuploadRequest: sock.updateMediaMessage
+                    }
+                );
 
             if (!buffer) return null;
 
@@ -85,6 +142,31 @@ class ImageHandler {
         }
     }
 
+    /**
+     * Jawaban SOP untuk teks error yang terbaca di screenshot, null kalau tidak ada yang cocok
+     */
+    async getErrorSopReply(reading) {
+        const match = await learningManager.imageAnalyzer.findErrorSop(reading.text);
+        if (!match) return null;
+
+        const responses = [].concat(match.sop.response || []).filter(response => response && typeof response === 'string');
+        if (responses.length === 0) return null;
+
+        // Baris screenshot yang memuat teks error, dikutip supaya customer tahu apa yang terbaca
+        // (OCR bisa memecah kalimat error ke dua baris, jadi cari juga dari kata pertamanya)
+        const lines = reading.text.split('\n');
+        const quoted = lines.find(line => line.toLowerCase().includes(match.matched)) ||
+                       lines.find(line => line.toLowerCase().includes(match.matched.split(' ')[0])) ||
+                       match.matched;
+        const appName = reading.product ? ` ${reading.product.name}` : '';
+
+        return {
+            sopId: match.sop.id || null,
+            text: `🔍 Terbaca di screenshot${appName}: _"${quoted.trim()}"_\n\n` +
+                  responses[Math.floor(Math.random() * responses.length)]
+        };
+    }
+
     async getDefaultImageResponse(imagePath, caption) {
         try {
             // Try to analyze with image analyzer
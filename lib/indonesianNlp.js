@@ -0,0 +1,365 @@
+/**
+ * INDONESIAN NLP
+ * Pipeline bahasa Indonesia untuk chat customer:
+ * normalisasi slang -> token -> stopword -> stemming -> sentimen -> entitas
+ *
+ * Contoh: "kak akun netflix gk bisa login 3 bln" ->
+ *   normalized "kak akun netflix tidak bisa login 3 bulan"
+ *   entities { products: ['netflix'], durations: [{ value: 3, unit: 'bulan', days: 90 }] }
+ *
+ * Hasil analyze() di-cache per teks, jadi nlpProcessor, hybridHandler dan
+ * responseRouter memakai analisis yang sama untuk satu pesan.
+ */
+
+const { productCatalog } = require('./productCatalog');
+
+// Singkatan & slang chat -> bentuk baku
+const SLANG_MAP = {
+    gk: 'tidak', gak: 'tidak', ga: 'tidak', nggak: 'tidak', ngga: 'tidak', enggak: 'tidak',
+    engga: 'tidak', tdk: 'tidak', tak: 'tidak', kagak: 'tidak', ndak: 'tidak',
+    gabisa: 'tidak bisa', gbs: 'tidak bisa', gabs: 'tidak bisa',
+    bgt: 'banget', bngt: 'banget',
+    ka: 'kak', kk: 'kak', kaka: 'kak', kakak: 'kak', sis: 'kak', gan: 'kak', bang: 'kak',
+    min: 'admin', mimin: 'admin',
+    sy: 'saya', aq: 'aku', gw: 'saya', gue: 'saya',
+    aja: 'saja', aj: 'saja', ae: 'saja',
+    udh: 'sudah', udah: 'sudah', sdh: 'sudah', dah: 'sudah', uda: 'sudah',
+    blm: 'belum', blom: 'belum', lom: 'belum',
+    bs: 'bisa', bsa: 'bisa', bisaa: 'bisa',
+    yg: 'yang', dgn: 'dengan', dg: 'dengan', utk: 'untuk', untk: 'untuk',
+    tp: 'tapi', tpi: 'tapi', klo: 'kalau', kalo: 'kalau', kl: 'kalau', klu: 'kalau',
+    gmn: 'bagaimana', gimana: 'bagaimana', gmana: 'bagaimana',
+    knp: 'kenapa', napa: 'kenapa', ngapa: 'kenapa',
+    brp: 'berapa', brapa: 'berapa',
+    bln: 'bulan', bulanan: 'bulan', thn: 'tahun', th: 'tahun', hr: 'hari', mgg: 'minggu',
+    sebulan: '1 bulan', setahun: '1 tahun', seminggu: '1 minggu', sehari: '1 hari',
+    mksh: 'terima kasih', makasih: 'terima kasih', makasi: 'terima kasih', thx: 'terima kasih',
+    thanks: 'terima kasih', tq: 'terima kasih', trims: 'terima kasih', tengkyu: 'terima kasih',
+    tf: 'transfer', trf: 'transfer', pw: 'password',
+    jd: 'jadi', jdi: 'jadi', lg: 'lagi', lgi: 'lagi', dlu: 'dulu', dl: 'dulu',
+    msh: 'masih', masi: 'masih', trs: 'terus', trus: 'terus', krn: 'karena', karna: 'karena',
+    sm: 'sama', ama: 'sama', org: 'orang', emg: 'memang', emang: 'memang',
+    dapet: 'dapat', dpt: 'dapat', liat: 'lihat', bikin: 'buat', pake: 'pakai', pakek: 'pakai',
+    mo: 'mau', mw: 'mau', pengen: 'ingin', pgn: 'ingin', pingin: 'ingin',
+    gini: 'begini', gitu: 'begitu', gt: 'begitu', kyk: 'seperti', kayak: 'seperti', kaya: 'seperti',
+    skrg: 'sekarang', skrng: 'sekarang', nnti: 'nanti', ntar: 'nanti', ntr: 'nanti',
+    byr: 'bayar', bayarnya: 'bayar', ord: 'order',
+    lemot: 'lambat', lelet: 'lambat', eror: 'error', erorr: 'error', err: 'error',
+    ok: 'oke', okey: 'oke', okay: 'oke', okee: 'oke', sipp: 'sip'
+};
+
+const STOPWORDS = new Set([
+    'yang', 'dan', 'di', 'ke', 'dari', 'ini', 'itu', 'untuk', 'dengan', 'ada', 'pada', 'dalam',
+    'kak', 'admin', 'ya', 'yah', 'saya', 'aku', 'kamu', 'dia', 'kami', 'kita', 'mereka',
+    'dong', 'deh', 'sih', 'nih', 'tuh', 'kah', 'lah', 'pun', 'juga', 'atau', 'kalau', 'jika',
+    'akan', 'sudah', 'lagi', 'saja', 'aja', 'nya', 'banget', 'sangat', 'sekali', 'tapi', 'jadi',
+    'karena', 'sama', 'bisa', 'mau', 'ingin', 'apa', 'apakah', 'begitu', 'begini', 'terus',
+    'oh', 'eh', 'wah', 'hmm', 'dulu', 'masih', 'memang', 'seperti', 'the', 'and', 'is', 'of'
+]);
+
+// Kata yang tidak boleh di-stem (istilah produk/transaksi yang kebetulan berimbuhan)
+const PROTECTED_WORDS = new Set([
+    'bulan', 'tahun', 'harian', 'mingguan', 'pesan', 'akun', 'garansi', 'login', 'jaminan',
+    'layanan', 'pelanggan', 'tagihan', 'langganan', 'pembayaran', 'tayangan', 'saluran',
+    'tanpa', 'perlu', 'berapa', 'belum', 'kenapa', 'bagaimana', 'terima', 'kasih', 'sekarang',
+    'selamat', 'sharing', 'private', 'premium', 'password', 'email', 'admin', 'menu', 'promo',
+    'diskon', 'member', 'perpanjang', 'kendala', 'masalah', 'transfer'
+]);
+
+// Kata dasar yang dipakai untuk memilih hasil peluruhan prefiks (me+kirim -> mengirim)
+const ROOT_WORDS = new Set([
+    'kirim', 'bayar', 'beli', 'pesan', 'tunggu', 'proses', 'ganti', 'tukar', 'pakai', 'coba', 'cek',
+    'tanya', 'jawab', 'bantu', 'buat', 'lihat', 'masuk', 'keluar', 'daftar', 'ubah', 'hapus', 'tolak',
+    'terima', 'harga', 'jual', 'klaim', 'pilih', 'isi', 'tulis', 'baca', 'dengar', 'tonton', 'putar',
+    'sambung', 'hubung', 'perpanjang', 'langgan', 'atur', 'rusak', 'salah', 'lambat', 'cepat', 'kecewa',
+    'puas', 'senang', 'marah', 'kesal', 'tipu', 'bohong', 'janji', 'minta', 'kasih', 'kunci', 'buka',
+    'tutup', 'blokir', 'aktif', 'pulih', 'rekomendasi', 'transfer', 'kembali', 'dapat', 'jelas', 'selesai'
+]);
+
+// Leksikon sentimen (-5..5), kata dasar setelah normalisasi
+const SENTIMENT_LEXICON = {
+    mantap: 3, mantul: 3, bagus: 3, keren: 3, puas: 3, amanah: 4, recommended: 3, rekomendasi: 2,
+    terpercaya: 3, percaya: 2, cepat: 2, lancar: 2, aman: 2, ramah: 2, murah: 2, terbaik: 4,
+    oke: 1, sip: 2, top: 3, senang: 3, suka: 2, terima: 1, kasih: 1, membantu: 2, bantu: 1,
+    alhamdulillah: 2, good: 2, nice: 2, love: 3, worth: 2, berhasil: 2, beres: 2, jos: 3,
+    kecewa: -3, lambat: -2, lama: -1, parah: -3, jelek: -3, buruk: -3, error: -2, gagal: -2,
+    rusak: -2, tipu: -4, penipu: -5, bohong: -4, kesal: -3, kesel: -3, marah: -3, mahal: -1,
+    ribet: -2, susah: -2, payah: -3, ngaco: -3, zonk: -3, hilang: -2, mati: -2, putus: -2,
+    telat: -2, capek: -2, bosan: -1, bosen: -1, anjing: -4, bangsat: -5, tolol: -4, goblok: -4,
+    bodoh: -3, sampah: -4, scam: -5, refund: -1, komplain: -2, kendala: -1, masalah: -1
+};
+
+const NEGATIONS = new Set(['tidak', 'bukan', 'belum', 'jangan', 'kurang']);
+const INTENSIFIERS = new Set(['banget', 'sangat', 'sekali', 'parah', 'amat']);
+
+const DURATION_UNITS = { hari: 1, minggu: 7, bulan: 30, tahun: 365 };
+
+// Harga: "Rp 20.000", "Rp20rb", "27,5k", "46 ribu", "Rp 27,5 k"
+const PRICE_PATTERN = /(?:\b(?:rp|idr)\.?\s*)(\d{1,3}(?:[.,]\d{3})+|\d+(?:[.,]\d+)?)\s*(k|rb|ribu)?\b|\b(\d+(?:[.,]\d+)?)\s*(k|rb|ribu)\b/gi;
+
+class IndonesianNLP {
+    constructor() {
+        this.cache = new Map();
+        this.cacheLimit = 200;
+
+        // Istilah produk dari katalog (refresh berkala, analyze() tetap sinkron)
+        this.productTerms = [];
+        this.productWords = new Set();
+        this.variantIds = new Set();
+        this.catalogLoadedAt = 0;
+        this.catalogTtl = 5 * 60 * 1000;
+        this.refreshCatalog();
+    }
+
+    async refreshCatalog() {
+        try {
+            const products = await productCatalog.getProducts();
+            const terms = [];
+            const variants = new Set();
+            for (const product of products) {
+                for (const term of productCatalog.getMatchTerms(product)) {
+                    terms.push({ term, productId: product.id });
+                }
+                for (const variant of product.variants || []) {
+                    variants.add(String(variant.id).toLowerCase());
+                }
+            }
+
+            // Term terpanjang dulu, sama seperti productCatalog.findProductsInText
+            this.productTerms = terms.sort((a, b) => b.term.length - a.term.length);
+            this.productWords = new Set(terms.flatMap(({ term }) => term.split(/\s+/)));
+            this.variantIds = variants;
+            this.catalogLoadedAt = Date.now();
+            this.cache.clear();
+        } catch (error) {
+            console.error('IndonesianNLP: gagal memuat katalog:', error.message);
+        }
+    }
+
+    /**
+     * NORMALISASI
+     */
+    normalize(text) {
+        const cleaned = String(text || '')
+            .toLowerCase()
+            .replace(/([a-z])\1{2,}/g, '$1')       // "mantappp" -> "mantap"
+            .replace(/\b([a-z]+)2\b/g, '$1 $1')       // "kelar2" -> "kelar kelar" (angka seperti 12 / 2022 tidak)
+            .replace(/[^a-z0-9\s.,/%+-]/g, ' ')     // "+" dipertahankan untuk nama produk seperti vision+
+            .replace(/(^|\s)\++(?=\s|$)/g, ' ')
+            .replace(/(^|\s)[.,/-]+|[.,/-]+(?=\s|$)/g, ' ');
+
+        return cleaned
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => SLANG_MAP[word] || word)
+            .join(' ')
+            .trim();
+    }
+
+    tokenize(normalized) {
+        return normalized
+            .replace(/[.,/%-]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token.length > 0);
+    }
+
+    isStopword(token) {
+        return STOPWORDS.has(token);
+    }
+
+    /**
+     * STEMMING - aturan imbuhan bahasa Indonesia (versi ringkas Nazief-Adriani)
+     */
+    stem(word) {
+        if (word.length <= 4 || /\d/.test(word) || this.isKnownWord(word)) {
+            return word;
+        }
+
+        // Bentuk dasar yang dicoba: kata asli, tanpa partikel, tanpa kata ganti kepemilikan
+        const bases = [word];
+        const withoutParticle = word.replace(/(lah|kah|tah|pun)$/, '');
+        if (withoutParticle.length >= 4) bases.push(withoutParticle);
+        const withoutPossessive = bases[bases.length - 1].replace(/(nya|ku|mu)$/, '');
+        if (withoutPossessive.length >= 4) bases.push(withoutPossessive);
+
+        // Utamakan hasil yang dikenal sebagai kata dasar/istilah
+        for (const base of [...new Set(bases)]) {
+            for (const candidate of [base, this.removeSuffix(base)]) {
+                if (this.isKnownWord(candidate)) return candidate;
+
+                const prefixless = this.removePrefix(candidate);
+                if (this.isKnownWord(prefixless)) return prefixless;
+                if (this.isKnownWord(this.removeSuffix(prefixless))) return this.removeSuffix(prefixless);
+            }
+        }
+
+        // Tidak dikenal: tetap lepas prefiks + sufiks secara aturan ("-i" terlalu sering bagian kata dasar)
+        const fallback = this.removeSuffix(this.removePrefix(bases[bases.length - 1]), ['kan', 'an']);
+        return fallback.length >= 3 ? fallback : word;
+    }
+
+    isKnownWord(word) {
+        return ROOT_WORDS.has(word) || PROTECTED_WORDS.has(word);
+    }
+
+    removeSuffix(word, suffixes = ['kan', 'an', 'i']) {
+        for (const suffix of suffixes) {
+            if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+                return word.slice(0, -suffix.length);
+            }
+        }
+        return word;
+    }
+
+    removePrefix(word) {
+        // Peluruhan: meng+kirim -> mengirim, me+nunggu -> menunggu, pem+bayar -> pembayaran
+        const rules = [
+            [/^(meng|peng)([aiueo].*)$/, rest => ['k' + rest, rest]],
+            [/^(meny|peny)([aiueo].*)$/, rest => ['s' + rest]],
+            [/^(mem|pem)([aiueo].*)$/, rest => ['p' + rest, rest]],
+            [/^(men|pen)([aiueo].*)$/, rest => ['t' + rest, rest]],
+            [/^(ber|ter|per)(.+)$/, rest => [rest]],
+            [/^(meng|peng|mem|pem|men|pen|me|pe|be|te)(.+)$/, rest => [rest]],
+            [/^(di|ke|se)(.+)$/, rest => [rest]]
+        ];
+
+        for (const [pattern, candidates] of rules) {
+            const match = word.match(pattern);
+            if (!match || match[2].length < 3) continue;
+
+            const options = candidates(match[2]);
+            // Pilih bentuk yang dikenal sebagai kata dasar, kalau tidak ada ambil opsi terakhir
+            const known = options.find(option => ROOT_WORDS.has(option) || ROOT_WORDS.has(option.replace(/(kan|an|i)$/, '')));
+            return known || options[options.length - 1];
+        }
+        return word;
+    }
+
+    /**
+     * SENTIMEN - leksikon + negasi + penguat
+     */
+    analyzeSentiment(tokens) {
+        let total = 0;
+        let hits = 0;
+
+        tokens.forEach((token, index) => {
+            const value = SENTIMENT_LEXICON[token] ?? SENTIMENT_LEXICON[this.stem(token)];
+            if (value === undefined) return;
+
+            let score = value;
+            const previous = tokens.slice(Math.max(0, index - 2), index);
+            if (previous.some(word => NEGATIONS.has(word))) score = -score;
+            if (INTENSIFIERS.has(tokens[index + 1]) || previous.some(word => INTENSIFIERS.has(word))) score *= 1.5;
+
+            total += score;
+            hits++;
+        });
+
+        // Skor per token seperti AFINN comparative, label dengan ambang yang sama (±0.1)
+        const score = tokens.length > 0 ? total / tokens.length : 0;
+        let label = 'neutral';
+        if (score > 0.1) label = 'positive';
+        else if (score < -0.1) label = 'negative';
+
+        return { score, total, hits, label };
+    }
+
+    /**
+     * ENTITAS - produk, durasi, varian (1P2U, vvip), harga
+     */
+    extractEntities(normalized) {
+        if (Date.now() - this.catalogLoadedAt > this.catalogTtl) {
+            this.catalogLoadedAt = Date.now();
+            this.refreshCatalog();
+        }
+
+        let remaining = normalized;
+        const products = [];
+        for (const { term, productId } of this.productTerms) {
+            const index = remaining.indexOf(term);
+            if (index === -1) continue;
+            remaining = remaining.slice(0, index) + ' '.repeat(term.length) + remaining.slice(index + term.length);
+            if (!products.includes(productId)) products.push(productId);
+        }
+
+        const durations = [];
+        const durationPattern = /\b(\d+)\s*(hari|minggu|bulan|tahun)\b/g;
+        let match;
+        while ((match = durationPattern.exec(normalized)) !== null) {
+            const value = parseInt(match[1], 10);
+            durations.push({ value, unit: match[2], days: value * DURATION_UNITS[match[2]] });
+        }
+
+        const variants = [];
+        const variantPattern = /\b(\d+)\s*p\s*(\d+)\s*u\b/g;
+        while ((match = variantPattern.exec(normalized)) !== null) {
+            variants.push({ code: `${match[1]}p${match[2]}u`, profiles: parseInt(match[1], 10), users: parseInt(match[2], 10) });
+        }
+        for (const token of this.tokenize(normalized)) {
+            if (this.variantIds.has(token) && !variants.some(v => v.code === token)) {
+                variants.push({ code: token });
+            }
+        }
+
+        return { products, durations, variants, prices: this.extractPrices(normalized) };
+    }
+
+    extractPrices(text) {
+        const prices = [];
+        const pattern = new RegExp(PRICE_PATTERN.source, 'gi');
+        let match;
+
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            const raw = match[1] || match[3];
+            const suffix = (match[2] || match[4] || '').toLowerCase();
+
+            let value;
+            if (suffix) {
+                value = parseFloat(raw.replace(/\./g, '').replace(',', '.')) * 1000;
+            } else if (/^\d{1,3}([.,]\d{3})+$/.test(raw)) {
+                value = parseInt(raw.replace(/[.,]/g, ''), 10);
+            } else {
+                value = parseFloat(raw.replace(',', '.'));
+                if (value < 1000) value *= 1000; // "Rp 20" = 20 ribu
+            }
+
+            if (value > 0) prices.push({ text: match[0].trim(), value: Math.round(value) });
+        }
+        return prices;
+    }
+
+    /**
+     * ANALYZE - satu analisis lengkap per pesan (di-cache)
+     */
+    analyze(text) {
+        const key = String(text || '');
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const normalized = this.normalize(key);
+        const tokens = this.tokenize(normalized);
+        const keywords = tokens.filter(token => !this.isStopword(token));
+        const stems = keywords.map(token => this.stem(token));
+
+        const analysis = {
+            original: key,
+            normalized,
+            tokens,
+            keywords,
+            stems,
+            entities: this.extractEntities(normalized),
+            sentiment: this.analyzeSentiment(tokens),
+            isQuestion: key.includes('?') || /\b(apa|apakah|siapa|dimana|kapan|kenapa|mengapa|bagaimana|berapa)\b/.test(normalized)
+        };
+
+        if (this.cache.size >= this.cacheLimit) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, analysis);
+        return analysis;
+    }
+}
+
+// Create singleton
+const indonesianNlp = new IndonesianNLP();
+
+module.exports = { IndonesianNLP, indonesianNlp, SLANG_MAP, STOPWORDS };
@@ -0,0 +1,328 @@
+/**
+ * INTENT CLASSIFIER
+ * Naive Bayes (natural) untuk intent pesan customer, dilatih lokal dari:
+ * - seed    : kata kunci CONSTANTS.INTENT_PATTERNS (supaya langsung jalan tanpa data)
+ * - owner   : contoh berlabel dari owner (learning/intent_examples.json)
+ * - percakapan di learning/conversations.json yang sudah diberi field `intent`
+ *
+ * Fitur = kata dasar dari indonesianNlp. Model disimpan di learning/intent_model.json.
+ * evaluate() membagi contoh berlabel (bukan seed) jadi train/test secara deterministik
+ * dan menghitung precision/recall per intent; dipakai oleh scripts/evaluateIntents.js.
+ */
+
+const natural = require('natural');
+const { loadJson, saveJson } = require('./dataLoader');
+const { indonesianNlp } = require('./indonesianNlp');
+const { INTENT_PATTERNS, CONFIDENCE_THRESHOLDS } = require('./constants');
+
+const EXAMPLES_FILE = '../learning/intent_examples.json';
+const CONVERSATIONS_FILE = '../learning/conversations.json';
+const MODEL_FILE = '../learning/intent_model.json';
+const REPORT_FILE = '../learning/intent_eval.json';
+
+const INTENTS = Object.keys(INTENT_PATTERNS);
+
+class IntentClassifier {
+    constructor() {
+        this.classifier = null;
+        this.vocabulary = new Set();
+        this.trainedAt = null;
+        this.exampleCount = 0;
+        this.ready = this.load();
+    }
+
+    /**
+     * FEATURES
+     */
+    features(text) {
+        const analysis = indonesianNlp.analyze(text);
+        // Kata dasar tanpa stopword; pesan sangat pendek ("hai", "apa") pakai token asli
+        const words = analysis.stems.length > 0 ? analysis.stems : analysis.tokens;
+
+        // Nama produk, varian dan angka bukan petunjuk intent ("netflix error" = problem, bukan "netflix")
+        return words.filter(word =>
+            !indonesianNlp.productWords.has(word) && !indonesianNlp.variantIds.has(word) && !/^\d/.test(word)
+        );
+    }
+
+    /**
+     * DATA
+     */
+    getSeedExamples() {
+        const examples = [];
+        for (const [intent, keywords] of Object.entries(INTENT_PATTERNS)) {
+            for (const keyword of keywords) {
+                examples.push({ text: keyword, intent, source: 'seed' });
+            }
+        }
+        return examples;
+    }
+
+    async getLabelledExamples() {
+        const owner = (await loadJson(EXAMPLES_FILE) || [])
+            .filter(example => example && example.text && INTENTS.includes(example.intent))
+            .map(example => ({ text: example.text, intent: example.intent, source: example.source || 'owner' }));
+
+        const conversations = (await loadJson(CONVERSATIONS_FILE) || [])
+            .filter(conv => conv && typeof conv.message === 'string' && conv.message.trim() && INTENTS.includes(conv.intent))
+            .map(conv => ({ text: conv.message, intent: conv.intent, source: 'conversation' }));
+
+        // Teks yang sama cukup sekali (label owner menang atas label percakapan)
+        const seen = new Set();
+        return [...owner, ...conversations].filter(example => {
+            const key = indonesianNlp.normalize(example.text);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    async addExample(text, intent, by = 'owner') {
+        if (!INTENTS.includes(intent)) {
+            return { success: false, message: `Intent tidak dikenal. Pilihan: ${INTENTS.join(', ')}` };
+        }
+        if (!text || !text.trim()) {
+            return { success: false, message: 'Teks contoh kosong.' };
+        }
+
+        const examples = await loadJson(EXAMPLES_FILE) || [];
+        const normalized = indonesianNlp.normalize(text);
+        const filtered = examples.filter(example => indonesianNlp.normalize(example.text) !== normalized);
+        filtered.push({
+            id: Date.now(),
+            text: text.trim(),
+            intent,
+            source: 'owner',
+            by,
+            at: new Date().toISOString()
+        });
+        await saveJson(EXAMPLES_FILE, filtered);
+
+        await this.train();
+        return { success: true, message: `Contoh "${text.trim()}" -> ${intent} disimpan, model dilatih ulang (${this.exampleCount} contoh).` };
+    }
+
+    /**
+     * Beri label intent ke percakapan yang tersimpan (id dari learning/conversations.json)
+     */
+    async tagConversation(conversationId, intent) {
+        if (!INTENTS.includes(intent)) {
+            return { success: false, message: `Intent tidak dikenal. Pilihan: ${INTENTS.join(', ')}` };
+        }
+
+        const conversations = await loadJson(CONVERSATIONS_FILE) || [];
+        const conversation = conversations.find(conv => String(conv.id) === String(conversationId));
+        if (!conversation) {
+            return { success: false, message: `Percakapan ${conversationId} tidak ditemukan.` };
+        }
+
+        conversation.intent = intent;
+        await saveJson(CONVERSATIONS_FILE, conversations);
+        await this.train();
+        return { success: true, message: `Percakapan ${conversationId} diberi label ${intent}.` };
+    }
+
+    async getUntaggedConversations(limit = 10) {
+        const conversations = await loadJson(CONVERSATIONS_FILE) || [];
+        return conversations
+            .filter(conv => conv && typeof conv.message === 'string' && conv.message.trim() && !conv.intent)
+            .slice(-limit);
+    }
+
+    /**
+     * TRAINING
+     */
+    buildModel(examples) {
+        // Dipanggil setelah katalog dimuat (train/evaluate), supaya nama produk tersaring konsisten
+        const classifier = new natural.BayesClassifier();
+        const vocabulary = new Set();
+
+        for (const example of examples) {
+            const features = this.features(example.text);
+            if (features.length === 0) continue;
+            features.forEach(feature => vocabulary.add(feature));
+            classifier.addDocument(features, example.intent);
+        }
+
+        classifier.train();
+        return { classifier, vocabulary };
+    }
+
+    async train() {
+        await indonesianNlp.refreshCatalog();
+        const examples = [...this.getSeedExamples(), ...await this.getLabelledExamples()];
+        const { classifier, vocabulary } = this.buildModel(examples);
+
+        this.classifier = classifier;
+        this.vocabulary = vocabulary;
+        this.trainedAt = new Date().toISOString();
+        this.exampleCount = examples.length;
+
+        await saveJson(MODEL_FILE, {
+            trainedAt: this.trainedAt,
+            exampleCount: this.exampleCount,
+            vocabulary: [...vocabulary],
+            classifier: JSON.parse(JSON.stringify(classifier))
+        });
+
+        console.log(`🎯 Intent classifier dilatih: ${examples.length} contoh, ${vocabulary.size} fitur`);
+        return { examples: examples.length, features: vocabulary.size };
+    }
+
+    async load() {
+        try {
+            const model = await loadJson(MODEL_FILE);
+            if (model && model.classifier) {
+                this.classifier = natural.BayesClassifier.restore(model.classifier);
+                this.vocabulary = new Set(model.vocabulary || []);
+                this.trainedAt = model.trainedAt;
+                this.exampleCount = model.exampleCount || 0;
+                return true;
+            }
+            await this.train();
+            return true;
+        } catch (error) {
+            console.error('Error loading intent classifier:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * CLASSIFY - return [{ type, confidence }] urut dari yang paling mungkin
+     */
+    scoreWith(model, text) {
+        const features = this.features(text).filter(feature => model.vocabulary.has(feature));
+        // Tidak ada kata yang pernah dilihat: jangan tebak dari prior saja
+        if (features.length === 0) return [];
+
+        const classifications = model.classifier.getClassifications(features);
+        const total = classifications.reduce((sum, item) => sum + item.value, 0);
+        if (!total) return [];
+
+        return classifications
+            .map(item => ({ type: item.label, confidence: item.value / total }))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    classify(text) {
+        if (!this.classifier) return this.keywordIntents(text);
+
+        return this.scoreWith(this, text)
+            .filter(item => item.confidence >= CONFIDENCE_THRESHOLDS.INTENT_MIN_PROBABILITY)
+            .map(item => ({ ...item, source: 'classifier' }));
+    }
+
+    /**
+     * Pencocokan kata kunci lama (fallback saat model belum siap, baseline evaluasi)
+     */
+    keywordIntents(text) {
+        const analysis = indonesianNlp.analyze(text);
+        const tokens = [...new Set([...analysis.tokens, ...analysis.stems])];
+
+        // Token pendek ("ya", "di") hanya boleh cocok persis, supaya "ya" tidak terbaca "bayar"
+        const matchesKeyword = (token, keyword) =>
+            token === keyword || (token.length >= 4 && (token.includes(keyword) || keyword.includes(token)));
+
+        const intents = [];
+        for (const [intent, keywords] of Object.entries(INTENT_PATTERNS)) {
+            const matches = keywords.filter(keyword => tokens.some(token => matchesKeyword(token, keyword)));
+            if (matches.length > 0) {
+                intents.push({ type: intent, confidence: matches.length / keywords.length, keywords: matches, source: 'keywords' });
+            }
+        }
+        return intents.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * EVALUATION
+     */
+    isTestExample(text, testRatio) {
+        // Hash teks ternormalisasi -> pembagian train/test sama di setiap run
+        const key = indonesianNlp.normalize(text);
+        let hash = 0;
+        for (let i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+        }
+        return (hash % 1000) / 1000 < testRatio;
+    }
+
+    computeMetrics(pairs) {
+        const perIntent = {};
+        for (const intent of INTENTS) {
+            const tp = pairs.filter(p => p.expected === intent && p.predicted === intent).length;
+            const fp = pairs.filter(p => p.expected !== intent && p.predicted === intent).length;
+            const fn = pairs.filter(p => p.expected === intent && p.predicted !== intent).length;
+            const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+            const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+            perIntent[intent] = {
+                support: tp + fn,
+                precision,
+                recall,
+                f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0
+            };
+        }
+
+        const withSupport = Object.values(perIntent).filter(metric => metric.support > 0);
+        return {
+            accuracy: pairs.length > 0 ? pairs.filter(p => p.expected === p.predicted).length / pairs.length : 0,
+            macroF1: withSupport.length > 0 ? withSupport.reduce((sum, m) => sum + m.f1, 0) / withSupport.length : 0,
+            perIntent
+        };
+    }
+
+    async evaluate({ testRatio = 0.2, save = false } = {}) {
+        await indonesianNlp.refreshCatalog();
+        const labelled = await this.getLabelledExamples();
+        const test = labelled.filter(example => this.isTestExample(example.text, testRatio));
+        const train = [...this.getSeedExamples(), ...labelled.filter(example => !this.isTestExample(example.text, testRatio))];
+
+        const model = this.buildModel(train);
+        const predict = text => {
+            const [top] = this.scoreWith(model, text)
+                .filter(item => item.confidence >= CONFIDENCE_THRESHOLDS.INTENT_MIN_PROBABILITY);
+            return top ? top.type : 'none';
+        };
+        const predictKeywords = text => {
+            const [top] = this.keywordIntents(text);
+            return top ? top.type : 'none';
+        };
+
+        const pairs = test.map(example => ({ text: example.text, expected: example.intent, predicted: predict(example.text) }));
+        const baselinePairs = test.map(example => ({ text: example.text, expected: example.intent, predicted: predictKeywords(example.text) }));
+
+        const report = {
+            evaluatedAt: new Date().toISOString(),
+            testRatio,
+            trainSize: train.length,
+            testSize: test.length,
+            classifier: this.computeMetrics(pairs),
+            keywordBaseline: this.computeMetrics(baselinePairs),
+            errors: pairs.filter(p => p.expected !== p.predicted).slice(0, 20)
+        };
+
+        const previous = await loadJson(REPORT_FILE);
+        report.previous = previous && previous.classifier
+            ? { evaluatedAt: previous.evaluatedAt, accuracy: previous.classifier.accuracy, macroF1: previous.classifier.macroF1 }
+            : null;
+
+        if (save) {
+            const { previous: _, ...toSave } = report;
+            await saveJson(REPORT_FILE, toSave);
+        }
+        return report;
+    }
+
+    getStats() {
+        return {
+            trainedAt: this.trainedAt,
+            examples: this.exampleCount,
+            features: this.vocabulary.size,
+            intents: INTENTS
+        };
+    }
+}
+
+// Create singleton
+const intentClassifier = new IntentClassifier();
+
+module.exports = { IntentClassifier, intentClassifier, INTENTS };
@@ -9,24 +9,57 @@
  * - Error handling yang informatif
  */
 
-const { loadJson, saveJson } = require('./dataLoader');
+const config = require('../config');
+const { loadJson, updateJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { orderManager, ORDER_STATUS } = require('./orderManager');
+const stockManager = require('./stockManager');
+const { renewalReminder, DEFAULT_TEMPLATES } = require('./renewalReminder');
+const { claimManager, CLAIM_STATUS, STATUS_LABELS } = require('./claimManager');
+const { outbox } = require('./outbox');
+const { roleManager } = require('./roleManager');
+const { auditLog } = require('./auditLog');
+const { handoffManager } = require('./handoffManager');
+const { surveyManager } = require('./surveyManager');
+const { productCatalog } = require('./productCatalog');
+
+// Izin tiap perintah (model yang sama dengan panel web, lihat lib/roleManager).
+// Urutan penting: pola pertama yang cocok yang dipakai.
+const COMMAND_PERMISSIONS = [
+    { pattern: /^add ?buyer$/, resource: 'buyers', action: 'edit' },
+    { pattern: /^list ?buyers$/, resource: 'buyers', action: 'view' },
+    { pattern: /^add ?claim$/, resource: 'claims', action: 'edit' },
+    { pattern: /^list ?claims$/, resource: 'claims', action: 'view' },
+    { pattern: /^claim\s+clm-\d+\s*$/, resource: 'claims', action: 'view' },
+    { pattern: /^claim\s+clm-\d+/, resource: 'claims', action: 'edit' },
+    { pattern: /^list ?orders$/, resource: 'orders', action: 'view' },
+    { pattern: /^(fulfill|approve|reject|cancel order) /, resource: 'orders', action: 'edit' },
+    { pattern: /^add ?mod$/, resource: 'moderators', action: 'edit' },
+    { pattern: /^set role /, resource: 'moderators', action: 'edit' },
+    { pattern: /^del ?mod\b/, resource: 'moderators', action: 'edit' },
+    { pattern: /^reminder templates$/, resource: 'reminders', action: 'view' },
+    { pattern: /^(set reminder |run reminder$)/, resource: 'reminders', action: 'edit' },
+    { pattern: /^list ?handoff$/, resource: 'handoff', action: 'view' },
+    { pattern: /^(reply|balas|selesai|takeover)\s+\+?\d/, resource: 'handoff', action: 'edit' },
+    { pattern: /^(admin ?menu|stats|statistik|help admin|admin help)$/, resource: 'dashboard', action: 'view' }
+];
 
 class InteractiveAdminCommands {
     constructor() {
         // Session storage untuk multi-step commands
         this.activeSessions = new Map();
-        
-        // Valid APK list (sync dengan yang ada di files)
-        this.validAPK = [
-            'netflix', 'disney', 'youtube', 'iqiyi', 'viu', 'wetv', 'vision+', 'vidio', 
-            'prime', 'hbo', 'bstation', 'alightmotion', 'chatgpt', 'capcut'
-        ];
+    }
+
+    // Daftar produk untuk pilihan admin, selalu dari katalog (data/catalog.json)
+    async listProductIds() {
+        const products = await productCatalog.getProducts();
+        return products.map(product => product.id).join(', ');
     }
 
     /**
      * HANDLE INTERACTIVE ADMIN COMMANDS
      */
-    async handleCommand(content, sock, sender, remoteJid, message, isOwner, isModerator) {
+    async handleCommand(content, sock, sender, remoteJid, message, role) {
         const lowerContent = content.toLowerCase().trim();
         const sessionKey = `${sender}_${remoteJid}`;
         
@@ -35,6 +68,44 @@ class InteractiveAdminCommands {
             return await this.handleSessionInput(content, sock, sender, remoteJid, message, sessionKey);
         }
         
+        const permission = this.getCommandPermission(lowerContent);
+        if (!permission) {
+            return null; // Not an admin command
+        }
+        
+        if (!roleManager.can(role, permission.resource, permission.action)) {
+            console.warn(`⛔ ${sender.split('@')[0]} (${role}) ditolak: ${permission.resource}.${permission.action} "${lowerContent}"`);
+            return await sock.sendMessage(remoteJid, { 
+                text: `❗ Perintah ini butuh izin *${permission.resource}.${permission.action}*.\n` +
+                      `Role kamu: ${roleManager.getRoleName(role)}.`
+            }, { quoted: message });
+        }
+        
+        // Perintah yang mengubah data dicatat ke audit log beserta before/after subjeknya
+        // (flow add buyer/claim/mod dicatat saat datanya disimpan)
+        const subject = permission.action === 'view' ? null : this.getAuditSubject(content);
+        const before = subject ? await subject.load() : null;
+        
+        const reply = await this.dispatchCommand(lowerContent, content, sock, sender, remoteJid, message, sessionKey, role);
+        
+        if (subject) {
+            const after = await subject.load();
+            if (subject.always || JSON.stringify(before) !== JSON.stringify(after)) {
+                await auditLog.record({
+                    actor: auditLog.whatsappActor(sender, role),
+                    action: subject.action,
+                    resource: permission.resource,
+                    target: subject.target,
+                    before,
+                    after,
+                    note: subject.note || content.trim()
+                });
+            }
+        }
+        return reply;
+    }
+
+    async dispatchCommand(lowerContent, content, sock, sender, remoteJid, message, sessionKey, role) {
         // Start new interactive commands
         if (lowerContent === 'add buyer' || lowerContent === 'addbuyer') {
             return await this.startAddBuyerFlow(sock, sender, remoteJid, message, sessionKey);
@@ -45,14 +116,17 @@ class InteractiveAdminCommands {
         }
         
         if (lowerContent === 'add mod' || lowerContent === 'addmod') {
-            if (!isOwner) {
-                return await sock.sendMessage(remoteJid, { 
-                    text: "❗ Perintah ini hanya bisa digunakan oleh Owner!" 
-                }, { quoted: message });
-            }
             return await this.startAddModFlow(sock, sender, remoteJid, message, sessionKey);
         }
         
+        if (lowerContent.startsWith('set role ')) {
+            return await this.handleSetRole(content, sock, sender, remoteJid, message);
+        }
+        
+        if (/^del ?mod\b/.test(lowerContent)) {
+            return await this.handleDeleteMod(content, sock, sender, remoteJid, message);
+        }
+        
         // Quick commands (no session needed)
         if (lowerContent === 'list buyers' || lowerContent === 'listbuyers') {
             return await this.showBuyersList(sock, sender, remoteJid, message);
@@ -62,8 +136,43 @@ class InteractiveAdminCommands {
             return await this.showClaimsList(sock, sender, remoteJid, message);
         }
         
+        if (/^claim\s+clm-\d+/.test(lowerContent)) {
+            return await this.handleClaimCommand(content, sock, sender, remoteJid, message);
+        }
+        
+        // Order commands
+        if (lowerContent === 'list orders' || lowerContent === 'listorders') {
+            return await this.showPendingOrders(sock, sender, remoteJid, message);
+        }
+        
+        if (lowerContent.startsWith('fulfill ')) {
+            return await this.handleFulfillOrder(content, sock, sender, remoteJid, message);
+        }
+        
+        if (lowerContent.startsWith('cancel order ')) {
+            return await this.handleCancelOrder(content, sock, sender, remoteJid, message);
+        }
+        
+        if (lowerContent.startsWith('approve ')) {
+            return await this.handleApprovePayment(content, sock, sender, remoteJid, message);
+        }
+        
+        if (lowerContent.startsWith('reject ')) {
+            return await this.handleRejectPayment(content, sock, sender, remoteJid, message);
+        }
+        
+        // Renewal reminder
+        if (lowerContent === 'reminder templates' || lowerContent.startsWith('set reminder ') || lowerContent === 'run reminder') {
+            return await this.handleReminderCommand(content, sock, sender, remoteJid, message);
+        }
+        
+        // Live chat handoff
+        if (lowerContent === 'list handoff' || lowerContent === 'listhandoff' || /^(reply|balas|selesai|takeover)\s+\+?\d/.test(lowerContent)) {
+            return await this.handleHandoffCommand(content, sock, sender, remoteJid, message);
+        }
+        
         if (lowerContent === 'admin menu' || lowerContent === 'adminmenu') {
-            return await this.showInteractiveAdminMenu(sock, sender, remoteJid, message, isOwner);
+            return await this.showInteractiveAdminMenu(sock, sender, remoteJid, message, role);
         }
         
         // Quick stats commands
@@ -72,12 +181,88 @@ class InteractiveAdminCommands {
         }
         
         if (lowerContent === 'help admin' || lowerContent === 'admin help') {
-            return await this.showAdminHelp(sock, sender, remoteJid, message, isOwner);
+            return await this.showAdminHelp(sock, sender, remoteJid, message, role);
         }
         
         return null; // Not an admin command
     }
 
+    /**
+     * Izin yang dibutuhkan perintah, null kalau bukan perintah admin
+     */
+    getCommandPermission(lowerContent) {
+        return COMMAND_PERMISSIONS.find(command => command.pattern.test(lowerContent)) || null;
+    }
+
+    // Flow interaktif tidak menyimpan role di session, jadi role dibaca ulang saat data disimpan
+    async recordFlowAudit(sender, entry) {
+        const role = await roleManager.getRoleForNumber(sender);
+        return auditLog.record({ actor: auditLog.whatsappActor(sender, role), ...entry });
+    }
+
+    /**
+     * Subjek audit perintah yang mengubah data: { action, target, load, note, always }.
+     * load() dipanggil sebelum dan sesudah perintah; entri hanya dicatat kalau datanya berubah.
+     */
+    getAuditSubject(content) {
+        const words = content.trim().split(/\s+/);
+        const lower = words.map(word => word.toLowerCase());
+        const findModerator = async number => {
+            const moderators = await loadJson('moderators.json');
+            return (Array.isArray(moderators) && moderators.find(mod => mod.number === number)) || null;
+        };
+        
+        if (['fulfill', 'approve', 'reject'].includes(lower[0]) || (lower[0] === 'cancel' && lower[1] === 'order')) {
+            const orderId = lower[0] === 'cancel' ? words[2] : words[1];
+            return { action: lower[0], target: orderId, load: () => orderManager.getOrder(orderId) };
+        }
+        
+        if (lower[0] === 'claim') {
+            return {
+                action: lower[2],
+                target: words[1].toUpperCase(),
+                load: () => claimManager.getClaim(words[1]),
+                // Kredensial pengganti tidak ikut masuk catatan
+                note: lower[2] === 'ganti' ? `claim ${words[1]} ganti` : null
+            };
+        }
+        
+        if (lower[0] === 'set' && lower[1] === 'role') {
+            return { action: 'set_role', target: words[2], load: () => findModerator(words[2]) };
+        }
+        
+        const delMod = content.trim().match(/^del\s?mod\s+(\S+)/i);
+        if (delMod) {
+            return { action: 'delete', target: delMod[1], load: () => findModerator(delMod[1]) };
+        }
+        
+        if (lower[0] === 'set' && lower[1] === 'reminder') {
+            const productId = lower[2];
+            return {
+                action: 'set_template',
+                target: `${productId}.${lower[3]}`,
+                load: async () => (await renewalReminder.getTemplates())[productId] || null
+            };
+        }
+        
+        if (lower[0] === 'run' && lower[1] === 'reminder') {
+            return { action: 'run', target: null, load: async () => null, always: true };
+        }
+        
+        if (['reply', 'balas', 'selesai', 'takeover'].includes(lower[0])) {
+            const number = handoffManager.normalizeNumber(words[1]);
+            return {
+                action: { balas: 'reply', selesai: 'close' }[lower[0]] || lower[0],
+                target: number,
+                load: async () => handoffManager.summarize(await handoffManager.getLatest(number)),
+                // Isi balasan tetap di thread handoff, tidak disalin ke audit log
+                note: ['reply', 'balas'].includes(lower[0]) ? `reply ${number}` : null
+            };
+        }
+        
+        return null;
+    }
+
     /**
      * INTERACTIVE ADD BUYER FLOW
      */
@@ -306,24 +491,24 @@ class InteractiveAdminCommands {
                           `📝 *Step 2/7: Produk APK*\n` +
                           `Produk apa yang dibeli?\n\n` +
                           `🎯 *Produk tersedia:*\n` +
-                          `${this.validAPK.join(', ')}\n\n` +
+                          `${await this.listProductIds()}\n\n` +
                           `Ketik: nama produk`
                 }, { quoted: message });
                 
-            case 2: // APK
-                const apkNorm = input.toLowerCase();
-                if (!this.validAPK.includes(apkNorm)) {
+            case 2: // APK (id, nama atau alias produk katalog)
+                const product = await productCatalog.getProduct(input);
+                if (!product) {
                     return await sock.sendMessage(remoteJid, {
                         text: `❌ Produk tidak valid!\n\n` +
-                              `Produk tersedia:\n${this.validAPK.join(', ')}\n\n` +
+                              `Produk tersedia:\n${await this.listProductIds()}\n\n` +
                               `Ketik ulang nama produk:`
                     }, { quoted: message });
                 }
-                session.data.apk = apkNorm;
+                session.data.apk = product.id;
                 session.step = 3;
                 
                 return await sock.sendMessage(remoteJid, {
-                    text: `✅ Produk: ${apkNorm}\n\n` +
+                    text: `✅ Produk: ${product.name}\n\n` +
                           `📝 *Step 3/7: Email*\n` +
                           `Email akun yang diberikan ke buyer?\n\n` +
                           `Contoh: john@gmail.com\n` +
@@ -434,9 +619,6 @@ class InteractiveAdminCommands {
     async saveBuyerData(data, sock, sender, remoteJid, message, sessionKey) {
         try {
             // Load existing buyers data
-            let buyersData = await loadJson("buyers.json");
-            if (!Array.isArray(buyersData)) buyersData = [];
-            
             // Create transaction object
             const transaksi = {
                 apk: data.apk,
@@ -447,38 +629,52 @@ class InteractiveAdminCommands {
                 invite: data.invite
             };
             
-            // Find existing user or create new
-            let userIndex = buyersData.findIndex(b => b.user === data.user);
-            
-            if (userIndex === -1) {
-                // New user
-                buyersData.push({
-                    user: data.user,
-                    statistik: {
-                        [data.apk]: {
-                            total: 1,
-                            rincian: { [transaksi.durasi]: 1 }
-                        }
-                    },
-                    data: [transaksi]
-                });
-            } else {
+            // Find existing user or create new (satu transaksi buyers.json)
+            const buyers = storage.collection("buyers.json");
+            const { before, after } = await buyers.mutate(buyersData => {
+                const buyer = buyersData.find(b => b.user === data.user);
+                
+                if (!buyer) {
+                    // New user
+                    const created = {
+                        id: buyers.nextId(),
+                        user: data.user,
+                        statistik: {
+                            [data.apk]: {
+                                total: 1,
+                                rincian: { [transaksi.durasi]: 1 }
+                            }
+                        },
+                        data: [transaksi]
+                    };
+                    buyersData.push(created);
+                    return { before: null, after: created };
+                }
+                
                 // Existing user
-                buyersData[userIndex].data.push(transaksi);
+                const snapshot = auditLog.snapshot(buyer);
+                buyer.data.push(transaksi);
                 
                 // Update statistics
-                if (!buyersData[userIndex].statistik[data.apk]) {
-                    buyersData[userIndex].statistik[data.apk] = { total: 0, rincian: {} };
+                if (!buyer.statistik[data.apk]) {
+                    buyer.statistik[data.apk] = { total: 0, rincian: {} };
                 }
-                buyersData[userIndex].statistik[data.apk].total += 1;
-                if (!buyersData[userIndex].statistik[data.apk].rincian[transaksi.durasi]) {
-                    buyersData[userIndex].statistik[data.apk].rincian[transaksi.durasi] = 0;
+                buyer.statistik[data.apk].total += 1;
+                if (!buyer.statistik[data.apk].rincian[transaksi.durasi]) {
+                    buyer.statistik[data.apk].rincian[transaksi.durasi] = 0;
                 }
-                buyersData[userIndex].statistik[data.apk].rincian[transaksi.durasi] += 1;
-            }
+                buyer.statistik[data.apk].rincian[transaksi.durasi] += 1;
+                return { before: snapshot, after: buyer };
+            });
             
-            // Save data
-            await saveJson("buyers.json", buyersData);
+            await this.recordFlowAudit(sender, {
+                action: before ? 'update' : 'create',
+                resource: 'buyers',
+                target: data.user,
+                before,
+                after,
+                note: `add buyer ${data.apk}`
+            });
             
             // Clear session
             this.activeSessions.delete(sessionKey);
@@ -508,18 +704,47 @@ class InteractiveAdminCommands {
     /**
      * SHOW INTERACTIVE ADMIN MENU
      */
-    async showInteractiveAdminMenu(sock, sender, remoteJid, message, isOwner) {
-        const menu = `🔧 *ADMIN COMMANDS (INTERACTIVE)*\n\n` +
+    async showInteractiveAdminMenu(sock, sender, remoteJid, message, role) {
+        const menu = `🔧 *ADMIN COMMANDS (INTERACTIVE)*\n` +
+                    `👤 Role: ${roleManager.getRoleName(role)}\n\n` +
+                    (role === 'viewer' ? `🔒 Role Viewer hanya bisa perintah lihat: list buyers/claims/orders, claim [tiket], stats\n\n` : '') +
                     `📊 *Data Management:*\n` +
                     `• add buyer - Tambah buyer baru (step-by-step)\n` +
                     `• add claim - Tambah claim garansi (guided)\n` +
                     `• list buyers - Lihat daftar buyers\n` +
                     `• list claims - Lihat daftar claims\n\n` +
                     
-                    (isOwner ? `👥 *User Management (Owner Only):*\n` +
+                    `🧾 *Order:*\n` +
+                    `• list orders - Order yang menunggu pembayaran\n` +
+                    `• fulfill [ID] [email] [invite] - Selesaikan order\n` +
+                    `• approve [ID] - Terima bukti transfer, akun dari stock\n` +
+                    `• approve [ID] [email] [invite] - Terima + kirim akun manual\n` +
+                    `• reject [ID] [alasan] - Tolak bukti transfer\n` +
+                    `• cancel order [ID] [alasan] - Batalkan order\n\n` +
+                    
+                    `🛡️ *Claim:*\n` +
+                    `• claim [tiket] - Detail, SLA & riwayat claim\n` +
+                    `• claim [tiket] proses [nomor PIC] - Mulai proses\n` +
+                    `• claim [tiket] ganti [email] [password] [pin] - Kirim akun pengganti (tanpa email = dari stock)\n` +
+                    `• claim [tiket] reset [catatan] - Akun sudah diperbaiki\n` +
+                    `• claim [tiket] close / reject [alasan]\n\n` +
+                    
+                    (roleManager.can(role, 'reminders', 'edit') ? `⏰ *Reminder:*\n` +
+                    `• reminder templates - Lihat template\n` +
+                    `• set reminder [produk] [before|expiry] [teks]\n` +
+                    `• run reminder - Kirim reminder sekarang\n\n` : '') +
+                    
+                    (roleManager.can(role, 'handoff', 'edit') ? `🙋 *Live Chat:*\n` +
+                    `• list handoff - Chat yang sedang dipegang admin\n` +
+                    `• reply [nomor] [pesan] - Balas customer\n` +
+                    `• takeover [nomor] - Ambil alih chat, bot berhenti membalas\n` +
+                    `• selesai [nomor] - Tutup, bot membalas otomatis lagi\n\n` : '') +
+                    
+                    (roleManager.can(role, 'moderators', 'edit') ? `👥 *User Management:*\n` +
                               `• add mod - Tambah moderator baru\n` +
+                              `• set role [nomor] [admin|viewer] - Ubah role moderator\n` +
                               `• list mod - Lihat daftar moderator\n` +
-                              `• del mod - Hapus moderator\n\n` : '') +
+                              `• del mod [nomor] - Hapus moderator\n\n` : '') +
                     
                     `🧠 *Learning Commands:*\n` +
                     `• learning stats - Statistik pembelajaran\n` +
@@ -560,16 +785,22 @@ class InteractiveAdminCommands {
         }
     }
 
-    async showAdminHelp(sock, sender, remoteJid, message, isOwner) {
+    async showAdminHelp(sock, sender, remoteJid, message, role) {
         const help = `🆘 *ADMIN HELP*\n\n` +
                     `🎯 *Quick Commands:*\n` +
                     `• admin menu - Menu lengkap\n` +
                     `• stats - Statistik cepat\n` +
                     `• add buyer - Tambah buyer (interactive)\n` +
                     `• add claim - Tambah claim (interactive)\n` +
-                    (isOwner ? `• add mod - Tambah moderator\n` : '') +
+                    (roleManager.can(role, 'moderators', 'edit') ? `• add mod - Tambah moderator\n` +
+                                                                  `• set role [nomor] [admin|viewer] - Ubah role moderator\n` +
+                                                                  `• del mod [nomor] - Hapus moderator\n` : '') +
                     `• list buyers - Daftar buyers\n` +
-                    `• list claims - Daftar claims\n\n` +
+                    `• list claims - Daftar claims\n` +
+                    `• list orders - Order pending\n` +
+                    `• fulfill [ID] [email] - Selesaikan order\n` +
+                    `• approve / reject [ID] - Verifikasi pembayaran\n` +
+                    `• claim [tiket] - Proses claim garansi\n\n` +
                     
                     `💡 *Tips:*\n` +
                     `• Semua command interactive dan mudah\n` +
@@ -587,34 +818,23 @@ class InteractiveAdminCommands {
 
     async saveClaimData(data, sock, sender, remoteJid, message, sessionKey) {
         try {
-            const fileName = data.type === 'replace' ? 'claimsReplace.json' : 'claimsReset.json';
-            let claimsData = await loadJson(fileName);
-            if (!Array.isArray(claimsData)) claimsData = [];
-            
-            const newClaim = {
+            const newClaim = await claimManager.fileClaim({
                 user: data.user,
-                apk: data.apk,
+                transaksi: { apk: data.apk },
                 masalah: data.masalah,
-                tanggal: new Date().toISOString().split('T')[0],
-                status: data.type === 'replace' ? 'PENDING' : undefined,
-                done: data.type === 'reset' ? false : undefined
-            };
-            
-            claimsData.push(newClaim);
-            await saveJson(fileName, claimsData);
-            
-            // Log to claim history
-            let logClaim = await loadJson('log_claim.json');
-            if (!Array.isArray(logClaim)) logClaim = [];
-            logClaim.push({
-                ...newClaim,
-                id: Date.now(),
-                admin: sender.split('@')[0],
-                type: data.type
+                type: data.type,
+                source: 'admin',
+                actor: sender.split('@')[0]
             });
-            await saveJson('log_claim.json', logClaim);
-            
             this.activeSessions.delete(sessionKey);
+
+            if (newClaim.duplicate) {
+                return await sock.sendMessage(remoteJid, {
+                    text: `⚠️ ${data.user} masih punya claim aktif untuk ${data.apk}: *${newClaim.ticket}* (${STATUS_LABELS[claimManager.getStatus(newClaim)]}).\n\n` +
+                          `Claim baru tidak dibuat. Proses lewat: claim ${newClaim.ticket}`
+                }, { quoted: message });
+            }
+            await this.recordFlowAudit(sender, { action: 'create', resource: 'claims', target: newClaim.ticket, after: newClaim });
             
             return await sock.sendMessage(remoteJid, {
                 text: `✅ *CLAIM ${data.type.toUpperCase()} BERHASIL DITAMBAHKAN!*\n\n` +
@@ -622,7 +842,8 @@ class InteractiveAdminCommands {
                       `📱 *Produk:* ${data.apk}\n` +
                       `❗ *Masalah:* ${data.masalah}\n` +
                       `📅 *Tanggal:* ${newClaim.tanggal}\n` +
-                      `🔄 *Jenis:* ${data.type.toUpperCase()}\n\n` +
+                      `🔄 *Jenis:* ${data.type.toUpperCase()}\n` +
+                      `🎫 *Tiket:* ${newClaim.ticket}\n\n` +
                       `Claim sudah tercatat dan akan diproses! 🎉`
             }, { quoted: message });
             
@@ -638,29 +859,31 @@ class InteractiveAdminCommands {
 
     async saveModeratorData(data, sock, sender, remoteJid, message, sessionKey) {
         try {
-            let moderators = await loadJson('moderators.json');
-            if (!Array.isArray(moderators)) moderators = [];
-            
-            // Check if already exists
-            const exists = moderators.some(mod => mod.number === data.nomor);
-            if (exists) {
-                this.activeSessions.delete(sessionKey);
-                return await sock.sendMessage(remoteJid, {
-                    text: `❌ Moderator dengan nomor ${data.nomor} sudah ada!`
-                }, { quoted: message });
-            }
-            
             const newMod = {
                 id: Date.now(),
                 number: data.nomor,
                 name: data.nama,
                 addedBy: sender.split('@')[0],
                 addedDate: new Date().toISOString(),
+                role: 'admin',
                 active: true
             };
             
-            moderators.push(newMod);
-            await saveJson('moderators.json', moderators);
+            // Check if already exists (di dalam transaksi moderators.json)
+            const added = await updateJson('moderators.json', (moderators, tx) => {
+                if (!Array.isArray(moderators)) tx.data = moderators = [];
+                if (moderators.some(mod => mod.number === data.nomor)) return false;
+                moderators.push(newMod);
+                return true;
+            });
+            if (!added) {
+                this.activeSessions.delete(sessionKey);
+                return await sock.sendMessage(remoteJid, {
+                    text: `❌ Moderator dengan nomor ${data.nomor} sudah ada!`
+                }, { quoted: message });
+            }
+            
+            await this.recordFlowAudit(sender, { action: 'create', resource: 'moderators', target: newMod.number, after: newMod });
             
             this.activeSessions.delete(sessionKey);
             
@@ -682,6 +905,522 @@ class InteractiveAdminCommands {
         }
     }
 
+    /**
+     * SET ROLE - set role [nomor] [admin|viewer]
+     */
+    async handleSetRole(content, sock, sender, remoteJid, message) {
+        const [, , number, roleInput] = content.trim().split(/\s+/);
+        const role = roleManager.normalizeRole((roleInput || '').toLowerCase());
+        
+        if (!number || !role || role === 'owner') {
+            return await sock.sendMessage(remoteJid, {
+                text: "Format: set role [nomor] [admin|viewer]\n\n" +
+                      "• admin - kelola buyers, order, claim, stock\n" +
+                      "• viewer - hanya bisa melihat data"
+            }, { quoted: message });
+        }
+        
+        const moderator = await updateJson('moderators.json', moderators => {
+            const found = Array.isArray(moderators) ? moderators.find(mod => mod.number === number) : null;
+            if (found) found.role = role;
+            return found;
+        });
+        if (!moderator) {
+            return await sock.sendMessage(remoteJid, {
+                text: `❌ Moderator ${number} tidak ditemukan. Tambah dulu dengan 'add mod'.`
+            }, { quoted: message });
+        }
+        
+        console.log(`👥 Role ${number} diubah ke ${role} oleh ${sender.split('@')[0]}`);
+        
+        return await sock.sendMessage(remoteJid, {
+            text: `✅ Role ${moderator.name} (${number}) sekarang *${roleManager.getRoleName(role)}*.\n` +
+                  `Berlaku untuk perintah WhatsApp dan login panel berikutnya.`
+        }, { quoted: message });
+    }
+
+    /**
+     * DEL MOD - del mod [nomor]
+     */
+    async handleDeleteMod(content, sock, sender, remoteJid, message) {
+        const number = content.trim().replace(/^del\s?mod/i, '').trim();
+        
+        if (!number) {
+            return await sock.sendMessage(remoteJid, {
+                text: "Format: del mod [nomor]\nContoh: del mod 628123456789"
+            }, { quoted: message });
+        }
+        
+        const removed = await updateJson('moderators.json', moderators => {
+            const index = Array.isArray(moderators) ? moderators.findIndex(mod => mod.number === number) : -1;
+            return index === -1 ? null : moderators.splice(index, 1)[0];
+        });
+        if (!removed) {
+            return await sock.sendMessage(remoteJid, {
+                text: `❌ Moderator dengan nomor ${number} tidak ditemukan!`
+            }, { quoted: message });
+        }
+        
+        console.log(`👥 Moderator ${number} dihapus oleh ${sender.split('@')[0]}`);
+        
+        return await sock.sendMessage(remoteJid, {
+            text: `✅ Moderator berhasil dihapus:\n👤 ${removed.name}\n📱 ${removed.number}`
+        }, { quoted: message });
+    }
+
+    /**
+     * ORDER COMMANDS
+     */
+    async showPendingOrders(sock, sender, remoteJid, message) {
+        try {
+            const orders = [
+                ...await orderManager.getOrdersByStatus(ORDER_STATUS.FULFILLING),
+                ...await orderManager.getOrdersByStatus(ORDER_STATUS.AWAITING_VERIFICATION),
+                ...await orderManager.getOrdersByStatus(ORDER_STATUS.PENDING_PAYMENT)
+            ];
+            
+            if (orders.length === 0) {
+                return await sock.sendMessage(remoteJid, {
+                    text: "✅ Tidak ada order yang menunggu pembayaran."
+                }, { quoted: message });
+            }
+            
+            const statusLine = order => {
+                if (order.status === ORDER_STATUS.FULFILLING) {
+                    const since = new Date(order.fulfillingAt || order.updatedAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+                    return `🛠️ Sedang dikirim sejak ${since} (dilepas otomatis kalau terhenti)`;
+                }
+                return order.status === ORDER_STATUS.AWAITING_VERIFICATION ? '💳 Bukti transfer masuk' : '⏳ Belum bayar';
+            };
+            const list = orders.slice(0, 15).map(order =>
+                `• *${order.id}* - ${order.customerName} (${order.customer})\n` +
+                `  ${order.productName} ${order.variantName} ${order.label} - ${orderManager.formatPrice(order.price)}\n` +
+                `  ${statusLine(order)}`
+            ).join('\n');
+            
+            return await sock.sendMessage(remoteJid, {
+                text: `🧾 *ORDER PENDING (${orders.length})*\n\n${list}\n\n` +
+                      `Ketik: approve [ID] / reject [ID] [alasan]`
+            }, { quoted: message });
+        } catch (error) {
+            console.error('Error listing orders:', error);
+            return await sock.sendMessage(remoteJid, {
+                text: "❌ Gagal memuat daftar order. Coba lagi nanti."
+            }, { quoted: message });
+        }
+    }
+
+    async handleFulfillOrder(content, sock, sender, remoteJid, message) {
+        const [, orderId, email, invite] = content.trim().split(/\s+/);
+        
+        if (!orderId || (email && !this.isValidEmail(email))) {
+            return await sock.sendMessage(remoteJid, {
+                text: `Format: fulfill [ID] [email] [invite]\nTanpa email = akun diambil dari stock\nContoh: fulfill ORD-250830-001 john@gmail.com INV123`
+            }, { quoted: message });
+        }
+        
+        return await this.deliverOrder(orderId, { email, invite }, sock, sender, remoteJid, message);
+    }
+
+    /**
+     * Catat transaksi buyers + kirim akun ke customer (dipakai fulfill & approve).
+     * Order diklaim dulu supaya perintah ganda tidak mengambil slot kedua;
+     * tanpa email, satu slot diambil dari inventory stock.
+     */
+    async deliverOrder(orderId, { email, invite, from, rejectText }, sock, sender, remoteJid, message) {
+        const actor = sender.split('@')[0];
+        const claim = await orderManager.claimForFulfillment(orderId, actor, from);
+        if (!claim.success) {
+            return await sock.sendMessage(remoteJid, { text: `❌ ${rejectText || claim.message}` }, { quoted: message });
+        }
+        
+        let credential = null;
+        let fulfilled = false;
+        try {
+            if (!email) {
+                credential = await stockManager.reserveSlot(claim.order);
+                if (!credential) {
+                    await orderManager.releaseFulfillment(claim.order.id, actor, 'Stock habis');
+                    return await sock.sendMessage(remoteJid, {
+                        text: `❌ Stock ${claim.order.productName} ${claim.order.variantName} habis.\n` +
+                              `Isi stock di panel atau kirim manual: fulfill ${claim.order.id} [email] [invite]`
+                    }, { quoted: message });
+                }
+                email = credential.email;
+            }
+            
+            const result = await orderManager.fulfillOrder(claim.order.id, {
+                email,
+                invite: invite || '-',
+                actor,
+                credential
+            });
+            
+            if (!result.success) {
+                if (credential) await stockManager.releaseSlot(credential);
+                await orderManager.releaseFulfillment(claim.order.id, actor, result.message);
+                return await sock.sendMessage(remoteJid, { text: `❌ ${result.message}` }, { quoted: message });
+            }
+            fulfilled = true;
+            
+            const { order, transaksi, recordError } = result;
+            if (credential) {
+                await stockManager.markDelivered(credential, transaksi);
+            }
+            
+            // Kabari customer
+            try {
+                await sock.sendMessage(order.remoteJid || `${order.customer}@s.whatsapp.net`, {
+                    text: `🎉 *ORDER ${order.id} SELESAI!*\n\n` +
+                          `📱 ${order.productName} - ${order.variantName} ${order.label}\n` +
+                          `📧 Email akun: ${transaksi.email}\n` +
+                          (credential && credential.password ? `🔑 Password: ${credential.password}\n` : '') +
+                          (credential ? `👤 Profil: ${credential.slot}${credential.pin ? ` (PIN ${credential.pin})` : ''}\n` : '') +
+                          (transaksi.invite && transaksi.invite !== '-' ? `🎫 Invite: ${transaksi.invite}\n` : '') +
+                          `📅 Aktif sampai: ${transaksi.exp}\n\n` +
+                          `Pakai profil sesuai nomor di atas ya, Kak. Simpan nomor order ini untuk claim garansi. Terima kasih sudah order di Vylozzone! 😊`
+                });
+            } catch (notifyError) {
+                console.warn(`Gagal kirim notifikasi order ${order.id}:`, notifyError.message);
+            }
+            
+            // Survey kepuasan dikirim bot setelah customer sempat mencoba akunnya
+            await surveyManager.schedule({
+                source: 'order',
+                customer: order.customer,
+                name: order.customerName,
+                orderId: order.id,
+                product: `${order.productName} ${order.variantName}`,
+                handledBy: actor
+            });
+            
+            return await sock.sendMessage(remoteJid, {
+                text: `✅ *ORDER ${order.id} DIPENUHI!*\n\n` +
+                      `👤 *Customer:* ${order.customerName} (${order.customer})\n` +
+                      `📱 *Produk:* ${order.productName} ${order.variantName} ${order.label}\n` +
+                      `📧 *Email:* ${transaksi.email}\n` +
+                      (credential ? `📦 *Stock:* ${credential.stockId} slot ${credential.slot}\n` : '') +
+                      `💰 *Omzet:* ${orderManager.formatPrice(transaksi.amount)}` +
+                      ` (modal ${orderManager.formatPrice(transaksi.cost)}, via ${transaksi.paymentMethod || 'metode tidak terbaca'})\n` +
+                      `⚠️ *Expired:* ${transaksi.exp}\n\n` +
+                      (recordError
+                          ? `⚠️ Transaksi buyers gagal dicatat (${recordError}), tambahkan manual di panel buyers.`
+                          : `Transaksi sudah tercatat di buyers dengan nomor order ini 🎉`)
+            }, { quoted: message });
+        } catch (error) {
+            console.error('Error fulfilling order:', error);
+            // Order yang sudah tercatat selesai tetap memakai slotnya
+            if (!fulfilled) {
+                if (credential) await stockManager.releaseSlot(credential);
+                await orderManager.releaseFulfillment(orderId, actor, error.message);
+            }
+            return await sock.sendMessage(remoteJid, {
+                text: `❌ Gagal memproses order: ${error.message}`
+            }, { quoted: message });
+        }
+    }
+
+    async handleApprovePayment(content, sock, sender, remoteJid, message) {
+        const [, orderId, email, invite] = content.trim().split(/\s+/);
+        
+        if (!orderId || (email && !this.isValidEmail(email))) {
+            return await sock.sendMessage(remoteJid, {
+                text: `Format: approve [ID] [email] [invite]\nTanpa email = akun diambil dari stock\nContoh: approve ORD-250830-001`
+            }, { quoted: message });
+        }
+        
+        // Status dicek di klaim order (deliverOrder), bukan di sini, supaya approve ganda tertolak
+        return await this.deliverOrder(orderId, {
+            email,
+            invite,
+            from: [ORDER_STATUS.AWAITING_VERIFICATION],
+            rejectText: `Order ${orderId} tidak sedang menunggu verifikasi pembayaran.`
+        }, sock, sender, remoteJid, message);
+    }
+
+    async handleRejectPayment(content, sock, sender, remoteJid, message) {
+        const [, orderId, ...reasonParts] = content.trim().split(/\s+/);
+        const reason = reasonParts.join(' ');
+        
+        if (!orderId || !reason) {
+            return await sock.sendMessage(remoteJid, {
+                text: `Format: reject [ID] [alasan]\nContoh: reject ORD-250830-001 nominal transfer kurang`
+            }, { quoted: message });
+        }
+        
+        const order = await orderManager.rejectPayment(orderId, sender.split('@')[0], reason);
+        if (!order) {
+            return await sock.sendMessage(remoteJid, {
+                text: `❌ Order ${orderId} tidak sedang menunggu verifikasi pembayaran.`
+            }, { quoted: message });
+        }
+        
+        try {
+            await sock.sendMessage(order.remoteJid || `${order.customer}@s.whatsapp.net`, {
+                text: `Mohon maaf Kak, bukti transfer untuk order *${order.id}* belum bisa kami terima.\n` +
+                      `Alasan: ${reason}\n\n` +
+                      `Silakan kirim ulang bukti transfer yang benar di chat ini ya, Kak 🙏`
+            });
+        } catch (notifyError) {
+            console.warn(`Gagal kirim notifikasi penolakan ${order.id}:`, notifyError.message);
+        }
+        
+        return await sock.sendMessage(remoteJid, {
+            text: `✅ Bukti transfer order ${order.id} ditolak, customer sudah dikabari.`
+        }, { quoted: message });
+    }
+
+    async handleCancelOrder(content, sock, sender, remoteJid, message) {
+        const [, , orderId, ...reasonParts] = content.trim().split(/\s+/);
+        const reason = reasonParts.join(' ');
+        
+        if (!orderId) {
+            return await sock.sendMessage(remoteJid, {
+                text: `Format: cancel order [ID] [alasan]\nContoh: cancel order ORD-250830-001 stok habis`
+            }, { quoted: message });
+        }
+        
+        const order = await orderManager.cancelOrder(orderId, sender.split('@')[0], reason);
+        if (!order) {
+            return await sock.sendMessage(remoteJid, {
+                text: `❌ Order ${orderId} tidak ditemukan atau sudah selesai.`
+            }, { quoted: message });
+        }
+        
+        try {
+            await sock.sendMessage(order.remoteJid || `${order.customer}@s.whatsapp.net`, {
+                text: `Mohon maaf Kak, order *${order.id}* (${order.productName} ${order.label}) dibatalkan admin.` +
+                      (reason ? `\nAlasan: ${reason}` : '') +
+                      `\n\nKetik *order* untuk order ulang atau chat admin jika ada pertanyaan 🙏`
+            });
+        } catch (notifyError) {
+            console.warn(`Gagal kirim notifikasi pembatalan ${order.id}:`, notifyError.message);
+        }
+        
+        return await sock.sendMessage(remoteJid, {
+            text: `✅ Order ${order.id} dibatalkan.`
+        }, { quoted: message });
+    }
+
+    /**
+     * CLAIM LIFECYCLE COMMANDS
+     */
+    async showClaimsList(sock, sender, remoteJid, message) {
+        try {
+            await claimManager.ensureTickets();
+            const claims = claimManager.sortByPriority(
+                (await claimManager.getAllClaims()).filter(claim => claimManager.isActive(claim)));
+            
+            if (claims.length === 0) {
+                return await sock.sendMessage(remoteJid, {
+                    text: "✅ Tidak ada claim yang masih terbuka."
+                }, { quoted: message });
+            }
+            
+            const list = claims.slice(0, 15).map(claim => {
+                const sla = claimManager.getSlaState(claim);
+                const late = sla && (sla.responseBreached || sla.resolutionBreached) ? ' ⚠️ SLA' : '';
+                const priority = claim.priority ? ` ⭐ ${claim.tier}` : '';
+                return `• *${claim.ticket}*${priority} - ${claim.user} (${claim.apk}, ${claim.type})\n` +
+                       `  ${STATUS_LABELS[claimManager.getStatus(claim)]}${claim.assignee ? ` - PIC ${claim.assignee}` : ''}${late}\n` +
+                       `  ${claim.masalah}`;
+            }).join('\n');
+            
+            return await sock.sendMessage(remoteJid, {
+                text: `🛡️ *CLAIM TERBUKA (${claims.length})*\n\n${list}\n\n` +
+                      `Ketik: claim [tiket] untuk detail & perintah`
+            }, { quoted: message });
+        } catch (error) {
+            console.error('Error listing claims:', error);
+            return await sock.sendMessage(remoteJid, {
+                text: "❌ Gagal memuat daftar claim. Coba lagi nanti."
+            }, { quoted: message });
+        }
+    }
+
+    /**
+     * claim [tiket] [proses|assign|ganti|reset|close|reject] ...
+     */
+    async handleClaimCommand(content, sock, sender, remoteJid, message) {
+        const [, ticket, action, ...rest] = content.trim().split(/\s+/);
+        const actor = sender.split('@')[0];
+        const note = rest.join(' ');
+        let result;
+        
+        switch ((action || '').toLowerCase()) {
+            case '':
+                return await this.showClaimDetail(ticket, sock, remoteJid, message);
+            case 'proses':
+                result = await claimManager.transition(ticket, CLAIM_STATUS.IN_PROGRESS, { actor, assignee: rest[0] || actor });
+                break;
+            case 'assign':
+                if (!rest[0]) {
+                    return await sock.sendMessage(remoteJid, { text: `Format: claim ${ticket} assign [nomor moderator]` }, { quoted: message });
+                }
+                result = await claimManager.assign(ticket, rest[0], actor);
+                break;
+            case 'ganti': {
+                const [email, password, pin] = rest;
+                if (email && !this.isValidEmail(email)) {
+                    return await sock.sendMessage(remoteJid, {
+                        text: `Format: claim ${ticket} ganti [email] [password] [pin]\nTanpa email = akun pengganti diambil dari stock`
+                    }, { quoted: message });
+                }
+                result = await claimManager.replaceAccount(ticket, { actor, email, password, pin });
+                break;
+            }
+            case 'reset':
+                result = await claimManager.transition(ticket, CLAIM_STATUS.RESET, { actor, note });
+                break;
+            case 'close':
+                result = await claimManager.transition(ticket, CLAIM_STATUS.CLOSED, { actor, note });
+                break;
+            case 'reject':
+                result = await claimManager.transition(ticket, CLAIM_STATUS.REJECTED, { actor, note });
+                break;
+            default:
+                return await sock.sendMessage(remoteJid, {
+                    text: `Perintah claim: proses, assign, ganti, reset, close, reject\nContoh: claim ${ticket} proses`
+                }, { quoted: message });
+        }
+        
+        // Kirim notifikasi customer sekarang, tidak perlu menunggu interval outbox
+        if (result.success) {
+            await outbox.flush(sock);
+        }
+        
+        return await sock.sendMessage(remoteJid, {
+            text: `${result.success ? '✅' : '❌'} ${result.message}` +
+                  (result.success && result.claim.replacement ? `\n📧 Akun pengganti: ${result.claim.replacement.email}` : '')
+        }, { quoted: message });
+    }
+
+    async showClaimDetail(ticket, sock, remoteJid, message) {
+        const claim = await claimManager.getClaim(ticket);
+        if (!claim) {
+            return await sock.sendMessage(remoteJid, { text: `❌ Klaim ${ticket} tidak ditemukan.` }, { quoted: message });
+        }
+        
+        const sla = claimManager.getSlaState(claim);
+        const history = (claim.history || []).map(entry =>
+            `• ${new Date(entry.at).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })} ${entry.status} (${entry.by})${entry.note ? ` - ${entry.note}` : ''}`
+        ).join('\n');
+        const next = claimManager.getAllowedTransitions(claim);
+        
+        return await sock.sendMessage(remoteJid, {
+            text: `${claimManager.formatClaim(claim)}\n` +
+                  `👤 Customer: ${claim.user}${claim.customer ? ` (${claim.customer})` : ''}\n` +
+                  `🧑‍💼 PIC: ${claim.assignee || '-'}\n` +
+                  (claim.priority ? `⭐ Prioritas: member ${claim.tier} (SLA dipercepat)\n` : '') +
+                  (sla ? `⏱️ Batas respon: ${new Date(sla.responseDue).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}\n` +
+                         `⏱️ Batas selesai: ${new Date(sla.resolutionDue).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}\n` : '') +
+                  (history ? `\n📜 *Riwayat:*\n${history}\n` : '') +
+                  (next.length > 0 ? `\nStatus berikutnya: ${next.join(', ')}\n` +
+                                     `Perintah: claim ${claim.ticket} [proses|assign|ganti|reset|close|reject]` : '')
+        }, { quoted: message });
+    }
+
+    /**
+     * RENEWAL REMINDER COMMANDS
+     */
+    async handleReminderCommand(content, sock, sender, remoteJid, message) {
+        const lowerContent = content.toLowerCase().trim();
+        
+        if (lowerContent === 'run reminder') {
+            const result = await renewalReminder.runReminders(sock);
+            return await sock.sendMessage(remoteJid, {
+                text: `⏰ *Reminder terkirim*\n\n` +
+                      `• H-${config.reminder_days_before}: ${result.before}\n` +
+                      `• Hari expired: ${result.expiry}\n` +
+                      `• Sudah dikirim sebelumnya: ${result.skipped}`
+            }, { quoted: message });
+        }
+        
+        if (lowerContent === 'reminder templates') {
+            const templates = await renewalReminder.getTemplates();
+            const keys = Object.keys(templates);
+            const list = keys.length > 0
+                ? keys.map(key => `• *${key}*: ${Object.keys(templates[key]).join(', ')}`).join('\n')
+                : '• Belum ada, memakai template bawaan';
+            
+            return await sock.sendMessage(remoteJid, {
+                text: `⏰ *TEMPLATE REMINDER*\n\n${list}\n\n` +
+                      `*Template bawaan (before):*\n${DEFAULT_TEMPLATES.before}\n\n` +
+                      `*Placeholder:* {nama} {produk} {paket} {harga} {exp} {hari} {kapan} {perintah} {optout} {order}\n` +
+                      `_{kapan} = "hari ini", atau "N hari lalu" kalau reminder expiry terkirim terlambat (bot sempat offline). ` +
+                      `Pakai {kapan} di template expiry, jangan tulis "hari ini" langsung._\n\n` +
+                      `Ubah: set reminder [produk|default] [before|expiry] [teks]`
+            }, { quoted: message });
+        }
+        
+        const match = content.trim().match(/^set reminder\s+(\S+)\s+(before|expiry)\s+([\s\S]+)$/i);
+        if (!match) {
+            return await sock.sendMessage(remoteJid, {
+                text: `Format: set reminder [produk|default] [before|expiry] [teks]\n` +
+                      `Contoh: set reminder netflix before Halo Kak {nama}, Netflix Kakak habis {exp}. Ketik {perintah} ya!\n` +
+                      `Contoh expiry: set reminder netflix expiry Netflix Kakak berakhir {kapan} ({exp}). Ketik {perintah} ya!`
+            }, { quoted: message });
+        }
+        
+        const result = await renewalReminder.setTemplate(match[1].toLowerCase(), match[2].toLowerCase(), match[3].trim());
+        return await sock.sendMessage(remoteJid, {
+            text: `${result.success ? '✅' : '❌'} ${result.message}`
+        }, { quoted: message });
+    }
+
+    /**
+     * LIVE CHAT HANDOFF COMMANDS
+     * list handoff | reply [nomor] [pesan] | takeover [nomor] | selesai [nomor]
+     */
+    async handleHandoffCommand(content, sock, sender, remoteJid, message) {
+        const [command, number, ...rest] = content.trim().split(/\s+/);
+        const agent = sender.split('@')[0];
+        
+        switch (command.toLowerCase()) {
+            case 'reply':
+            case 'balas': {
+                // Pertahankan baris baru di isi balasan
+                const text = content.trim().replace(/^\S+\s+\S+\s*/, '');
+                if (!text) {
+                    return await sock.sendMessage(remoteJid, { text: `Format: reply [nomor] [pesan]` }, { quoted: message });
+                }
+                const result = await handoffManager.reply(number, text, agent, sock);
+                return await sock.sendMessage(remoteJid, {
+                    text: result.success ? `✅ Terkirim ke ${result.handoff.number}` : `❌ ${result.message}`
+                }, { quoted: message });
+            }
+            case 'takeover': {
+                const result = await handoffManager.takeover(number, agent, sock);
+                return await sock.sendMessage(remoteJid, {
+                    text: `${result.success ? '✅' : '❌'} ${result.message}` +
+                          (result.success ? `\nBalas: reply ${result.handoff.number} [pesan]` : '')
+                }, { quoted: message });
+            }
+            case 'selesai': {
+                const closed = await handoffManager.close(number, { by: agent, reason: 'agent' }, sock);
+                return await sock.sendMessage(remoteJid, {
+                    text: closed
+                        ? `✅ Handoff ${closed.number} ditutup, bot membalas otomatis lagi.`
+                        : `❌ Tidak ada handoff terbuka untuk ${handoffManager.normalizeNumber(number)}.`
+                }, { quoted: message });
+            }
+            default: {
+                const open = (await handoffManager.list()).filter(h => h.status === 'open');
+                const list = open.map(h => {
+                    const last = h.messages[h.messages.length - 1];
+                    return `• *${h.number}*${h.name ? ` (${h.name})` : ''} - ${handoffManager.describeReason(h.reason)}\n` +
+                           `  PIC: ${h.assignee || '-'} | ${new Date(h.lastActivity).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}` +
+                           (last ? `\n  "${last.text.substring(0, 60)}"` : '');
+                }).join('\n');
+                
+                return await sock.sendMessage(remoteJid, {
+                    text: `🙋 *LIVE CHAT HANDOFF* (${open.length})\n\n${list || 'Tidak ada chat yang sedang dipegang admin.'}` +
+                          (open.length > 0 ? `\n\nBalas: reply [nomor] [pesan]\nTutup: selesai [nomor]` : '')
+                }, { quoted: message });
+            }
+        }
+    }
+
     /**
      * UTILITY FUNCTIONS
      */
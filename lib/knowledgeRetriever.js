@@ -0,0 +1,270 @@
+/**
+ * KNOWLEDGE RETRIEVER
+ * Indeks BM25 lokal (tanpa jaringan) atas FAQ, SOP, katalog produk dan
+ * knowledge base yang sudah diverifikasi. Dipakai sebelum memanggil LLM supaya
+ * jawaban berdasar data toko, lengkap dengan nomor referensi [n].
+ *
+ * Setelah LLM menjawab, checkPrices() memastikan setiap harga yang disebut
+ * memang ada di data/catalog.json.
+ */
+
+const { loadJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { productCatalog } = require('./productCatalog');
+const { indonesianNlp } = require('./indonesianNlp');
+
+// Dokumen sumber di lib/storage; indeks dibangun ulang kalau versi salah satunya berubah
+// (versi ikut berubah juga di backend sqlite, tempat panel menulis tanpa menyentuh file)
+const SOURCE_DOCUMENTS = ['faq.json', 'sop.json', 'catalog.json', '../learning/knowledge_base.json'];
+
+// Selisih yang masih dianggap sama (harga per bulan di katalog dibulatkan ke 100)
+const PRICE_TOLERANCE = 100;
+
+class KnowledgeRetriever {
+    constructor() {
+        this.documents = [];
+        this.docFreq = new Map();
+        this.avgLength = 0;
+        this.signature = null;
+
+        // Parameter BM25
+        this.k1 = 1.2;
+        this.b = 0.75;
+        this.maxPassageLength = 1500;
+    }
+
+    /**
+     * TOKENIZER - normalisasi slang + stopword + kata dasar (indonesianNlp)
+     */
+    tokenize(text) {
+        const normalized = indonesianNlp.normalize(text);
+        return indonesianNlp.tokenize(normalized)
+            .filter(token => token.length > 1 && !indonesianNlp.isStopword(token))
+            .map(token => indonesianNlp.stem(token));
+    }
+
+    /**
+     * SOURCES - kumpulkan dokumen dari semua sumber
+     */
+    async collectDocuments() {
+        const documents = [];
+
+        const faq = await loadJson('faq.json') || [];
+        faq.forEach((item, index) => {
+            if (!item || !item.question) return;
+            const answer = item.answer || (Array.isArray(item.response) ? item.response[0] : item.response) || '';
+            documents.push({
+                id: `faq:${index + 1}`,
+                source: 'FAQ',
+                title: item.question,
+                text: `${item.question}\n${answer}`,
+                keywords: Array.isArray(item.keyword) ? item.keyword.join(' ') : (item.keyword || '')
+            });
+        });
+
+        const sop = await loadJson('sop.json') || [];
+        sop.forEach((item, index) => {
+            if (!item || !item.response) return;
+            const responses = Array.isArray(item.response) ? item.response : [item.response];
+            const triggers = Array.isArray(item.trigger) ? item.trigger : [item.trigger || ''];
+            documents.push({
+                id: `sop:${item.id || index + 1}`,
+                source: 'SOP',
+                title: item.kasus || item.id || `SOP ${index + 1}`,
+                text: responses.join('\n'),
+                keywords: `${(item.kasus || '').replace(/_/g, ' ')} ${triggers.join(' ')}`
+            });
+        });
+
+        for (const product of await productCatalog.getProducts()) {
+            documents.push({
+                id: `produk:${product.id}`,
+                source: 'Produk',
+                title: product.name,
+                text: productCatalog.renderProduct(product),
+                keywords: productCatalog.getMatchTerms(product).join(' '),
+                productId: product.id
+            });
+        }
+
+        // Knowledge base: hanya yang diverifikasi / diajarkan owner, seed FAQ/SOP sudah terindeks di atas
+        const knowledge = await loadJson('../learning/knowledge_base.json') || [];
+        knowledge.forEach((item, index) => {
+            if (!item || !item.input || !item.response) return;
+            if (['faq_seed', 'sop_seed'].includes(item.source)) return;
+            if (item.verified !== true && item.source !== 'owner_teaching') return;
+            documents.push({
+                id: `kb:${item.id || index + 1}`,
+                source: 'Knowledge',
+                title: item.input,
+                text: `${item.input}\n${item.response}`,
+                keywords: ''
+            });
+        });
+
+        return documents;
+    }
+
+    /**
+     * INDEX
+     */
+    async getSignature() {
+        const versions = await Promise.all(SOURCE_DOCUMENTS.map(name => storage.version(name)));
+        return SOURCE_DOCUMENTS.map((name, index) => `${name}:${versions[index]}`).join('|');
+    }
+
+    async ensureIndex() {
+        const signature = await this.getSignature();
+        if (signature === this.signature) return;
+
+        const documents = await this.collectDocuments();
+        this.docFreq = new Map();
+
+        for (const doc of documents) {
+            doc.tokens = this.tokenize(`${doc.title} ${doc.keywords} ${doc.text}`);
+            doc.termFreq = new Map();
+            for (const token of doc.tokens) {
+                doc.termFreq.set(token, (doc.termFreq.get(token) || 0) + 1);
+            }
+            for (const token of doc.termFreq.keys()) {
+                this.docFreq.set(token, (this.docFreq.get(token) || 0) + 1);
+            }
+        }
+
+        this.documents = documents;
+        this.avgLength = documents.length > 0
+            ? documents.reduce((sum, doc) => sum + doc.tokens.length, 0) / documents.length
+            : 0;
+        this.signature = signature;
+
+        console.log(`🔎 Knowledge index: ${documents.length} dokumen`);
+    }
+
+    /**
+     * SEARCH - skor BM25, return [{ doc, score }]
+     */
+    async search(query, limit = 4) {
+        await this.ensureIndex();
+
+        const terms = [...new Set(this.tokenize(query))];
+        if (terms.length === 0 || this.documents.length === 0) return [];
+
+        const total = this.documents.length;
+        const results = [];
+
+        for (const doc of this.documents) {
+            let score = 0;
+            for (const term of terms) {
+                const tf = doc.termFreq.get(term);
+                if (!tf) continue;
+
+                const df = this.docFreq.get(term) || 0;
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                const norm = tf + this.k1 * (1 - this.b + this.b * (doc.tokens.length / (this.avgLength || 1)));
+                score += idf * (tf * (this.k1 + 1)) / norm;
+            }
+            if (score > 0) results.push({ doc, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * PROMPT CONTEXT - passage bernomor untuk system prompt + daftar sitasi
+     */
+    async buildContext(query, limit = 4) {
+        const results = await this.search(query, limit);
+        const citations = results.map((result, index) => ({
+            ref: index + 1,
+            id: result.doc.id,
+            source: result.doc.source,
+            title: result.doc.title,
+            score: Math.round(result.score * 100) / 100
+        }));
+
+        if (results.length === 0) {
+            return {
+                system: 'REFERENSI: tidak ada data toko yang relevan. Jangan menyebut harga atau masa garansi; arahkan customer untuk ketik *harga [nama produk]* atau hubungi admin.',
+                citations
+            };
+        }
+
+        const passages = results.map((result, index) => {
+            const text = result.doc.text.length > this.maxPassageLength
+                ? `${result.doc.text.substring(0, this.maxPassageLength)}...`
+                : result.doc.text;
+            return `[${index + 1}] ${result.doc.source} - ${result.doc.title}\n${text}`;
+        }).join('\n\n');
+
+        const system = `REFERENSI DATA TOKO (satu-satunya sumber fakta):\n\n${passages}\n\n` +
+            `ATURAN MENJAWAB:\n` +
+            `• Jawab hanya berdasarkan referensi di atas dan tandai sumbernya dengan [nomor], contoh: "Garansi 30 hari [2]".\n` +
+            `• Harga dan masa garansi HARUS persis seperti di referensi. Kalau tidak ada di referensi, jangan menebak; arahkan ke admin.`;
+
+        return { system, citations };
+    }
+
+    /**
+     * Buang penanda [n] dari jawaban, return teks + sitasi yang benar-benar dipakai
+     */
+    applyCitations(text, citations) {
+        const used = new Set();
+        const cleaned = String(text || '')
+            .replace(/\s?\[(\d+)\]/g, (match, ref) => {
+                used.add(parseInt(ref, 10));
+                return '';
+            })
+            .trim();
+
+        return {
+            text: cleaned,
+            citations: citations.filter(citation => used.has(citation.ref))
+        };
+    }
+
+    /**
+     * PRICE CHECK
+     */
+    parsePrices(text) {
+        return indonesianNlp.extractPrices(text);
+    }
+
+    /**
+     * Semua harga yang sah: harga paket, harga coret, dan harga per bulan seperti yang di-render katalog
+     */
+    async getCatalogPrices() {
+        const prices = new Set();
+        for (const product of await productCatalog.getProducts()) {
+            for (const variant of product.variants || []) {
+                for (const duration of variant.durations || []) {
+                    prices.add(duration.price);
+                    if (duration.originalPrice) prices.add(duration.originalPrice);
+
+                    const months = Math.round(duration.days / 30);
+                    if (months >= 2) prices.add(Math.floor(duration.price / months / 100) * 100);
+                }
+            }
+        }
+        return [...prices];
+    }
+
+    /**
+     * Return { valid, prices, invalid } - invalid = harga di jawaban yang tidak ada di katalog
+     */
+    async checkPrices(text) {
+        const prices = this.parsePrices(text);
+        if (prices.length === 0) return { valid: true, prices, invalid: [] };
+
+        const catalogPrices = await this.getCatalogPrices();
+        const invalid = prices.filter(price =>
+            !catalogPrices.some(catalogPrice => Math.abs(catalogPrice - price.value) <= PRICE_TOLERANCE)
+        );
+
+        return { valid: invalid.length === 0, prices, invalid };
+    }
+}
+
+// Create singleton
+const knowledgeRetriever = new KnowledgeRetriever();
+
+module.exports = { KnowledgeRetriever, knowledgeRetriever };
@@ -3,6 +3,8 @@ const { ImageAnalyzer } = require('./imageAnalyzer');
 const { SafetyGuard } = require('./safetyGuard');
 const { loadJson, saveJson } = require('./dataLoader');
 const { handleUserMessage } = require('./hybridHandler');
+const { intentClassifier } = require('./intentClassifier');
+const { auditLog } = require('./auditLog');
 const config = require('../config');
 
 class LearningManager {
@@ -315,6 +317,15 @@ class LearningManager {
                 this.learningStats.safeInputs++;
                 this.learningStats.successfulLearning++;
 
+                // Teaching hanya dari owner (lihat isOwnerTeaching)
+                await auditLog.record({
+                    actor: auditLog.whatsappActor(sender, 'owner'),
+                    action: 'teach',
+                    resource: 'learning',
+                    target: teachingData.input,
+                    after: { input: teachingData.input, response: teachingData.response, method: teachingData.method }
+                });
+
                 return {
                     text: `✅ Berhasil dipelajari dengan aman!\n\n` +
                           `Input: "${teachingData.input}"\n` +
@@ -561,6 +572,10 @@ class LearningManager {
             return '🧠 Learning data telah direset. Bot memulai dari awal.';
         }
 
+        if (lowerCommand.startsWith('intent ')) {
+            return await this.handleIntentCommand(command.trim().substring(7).trim(), sender);
+        }
+
         if (lowerCommand === 'learning help' || lowerCommand === 'teach help') {
             return `🎓 *CARA MENGAJARI BOT*\n\n` +
                    `📝 *Format Teaching (Natural):*\n` +
@@ -573,13 +588,87 @@ class LearningManager {
                    `• unknown cases - Lihat kasus tidak dikenal\n` +
                    `• auto learn - Proses otomatis confidence tinggi\n` +
                    `• approve [id] - Setujui pembelajaran\n` +
-                   `• reject [id] - Tolak pembelajaran\n\n` +
+                   `• reject [id] - Tolak pembelajaran\n` +
+                   `• intent help - Label & evaluasi intent classifier\n\n` +
                    `💡 *Smart Learning:* Bot otomatis belajar dari Gemini response yang berkualitas dan filter template responses.`;
         }
 
         return null; // Not a learning command
     }
 
+    // Owner commands untuk intent classifier: label contoh, tag percakapan, latih, uji, evaluasi
+    async handleIntentCommand(args, sender) {
+        const [action, ...rest] = args.split(/\s+/);
+        const senderNumber = sender.split('@')[0];
+
+        switch ((action || '').toLowerCase()) {
+            case 'label': {
+                // intent label <intent> <teks>
+                const [intent, ...words] = rest;
+                const result = await intentClassifier.addExample(words.join(' '), (intent || '').toLowerCase(), senderNumber);
+                return result.success ? `✅ ${result.message}` : `❌ ${result.message}`;
+            }
+
+            case 'tag': {
+                // intent tag <id percakapan> <intent>
+                const [conversationId, intent] = rest;
+                const result = await intentClassifier.tagConversation(conversationId, (intent || '').toLowerCase());
+                return result.success ? `✅ ${result.message}` : `❌ ${result.message}`;
+            }
+
+            case 'untagged': {
+                const conversations = await intentClassifier.getUntaggedConversations(10);
+                if (conversations.length === 0) return '✅ Semua percakapan sudah berlabel.';
+                return `🏷️ *PERCAKAPAN BELUM BERLABEL*\n\n` +
+                       conversations.map(conv => `• ${conv.id}: "${conv.message.substring(0, 60)}"`).join('\n') +
+                       `\n\nKetik: intent tag [id] [intent]`;
+            }
+
+            case 'train': {
+                const result = await intentClassifier.train();
+                return `🎯 Intent classifier dilatih ulang: ${result.examples} contoh, ${result.features} fitur.`;
+            }
+
+            case 'test': {
+                const text = rest.join(' ');
+                if (!text) return 'Format: intent test [teks]';
+                const intents = intentClassifier.classify(text);
+                if (intents.length === 0) return `🤷 Tidak ada intent terdeteksi untuk "${text}".`;
+                return `🎯 *INTENT: "${text}"*\n\n` +
+                       intents.map(intent => `• ${intent.type}: ${(intent.confidence * 100).toFixed(1)}%`).join('\n');
+            }
+
+            case 'eval': {
+                const report = await intentClassifier.evaluate({ save: true });
+                if (report.testSize === 0) {
+                    return '⚠️ Belum ada contoh berlabel untuk dievaluasi. Tambah dengan: intent label [intent] [teks]';
+                }
+                const lines = Object.entries(report.classifier.perIntent)
+                    .filter(([, metric]) => metric.support > 0)
+                    .map(([intent, metric]) => `• ${intent}: P ${(metric.precision * 100).toFixed(0)}% R ${(metric.recall * 100).toFixed(0)}% (n=${metric.support})`);
+                return `📏 *EVALUASI INTENT* (${report.testSize} contoh uji)\n\n` +
+                       `${lines.join('\n')}\n\n` +
+                       `Akurasi: ${(report.classifier.accuracy * 100).toFixed(1)}% ` +
+                       `(kata kunci: ${(report.keywordBaseline.accuracy * 100).toFixed(1)}%)`;
+            }
+
+            default: {
+                const stats = intentClassifier.getStats();
+                return `🎯 *INTENT CLASSIFIER*\n\n` +
+                       `Model: ${stats.examples} contoh, ${stats.features} fitur` +
+                       `${stats.trainedAt ? `, dilatih ${new Date(stats.trainedAt).toLocaleString('id-ID')}` : ''}\n` +
+                       `Intent: ${stats.intents.join(', ')}\n\n` +
+                       `📊 *Commands:*\n` +
+                       `• intent label [intent] [teks] - Tambah contoh berlabel\n` +
+                       `• intent untagged - Percakapan yang belum berlabel\n` +
+                       `• intent tag [id] [intent] - Label percakapan tersimpan\n` +
+                       `• intent train - Latih ulang model\n` +
+                       `• intent test [teks] - Cek hasil klasifikasi\n` +
+                       `• intent eval - Precision/recall per intent`;
+            }
+        }
+    }
+
     // Initialize knowledge base from existing FAQ/SOP data
     async initializeKnowledgeBase() {
         try {
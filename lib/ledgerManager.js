@@ -0,0 +1,210 @@
+/**
+ * LEDGER MANAGER
+ * Buku kas toko (data/ledger.json): penjualan, ganti akun klaim, upgrade dan refund.
+ *
+ * Setiap entry menyimpan nominal, metode bayar dan modal (cost-of-goods: harga beli
+ * akun stock dibagi jumlah slotnya). Transaksi di buyers.json ikut membawa amount /
+ * paymentMethod / cost dan ledgerId, tetapi laporan omzet dan margin dihitung dari
+ * ledger, jadi refund dan ganti akun (tanpa transaksi buyer baru) tetap tercatat.
+ *
+ * Omzet = sale + upgrade - refund (dicatat di tanggal refund dibuat, lunas atau belum).
+ * Margin kotor = omzet - modal; modal akun pengganti klaim mengurangi margin produknya.
+ */
+
+const moment = require('moment-timezone');
+const config = require('../config');
+const { storage } = require('./storage');
+const { toCsv } = require('./csv');
+
+const TIMEZONE = 'Asia/Jakarta';
+const LEDGER_FILE = 'ledger.json';
+
+const ENTRY_TYPES = {
+    SALE: 'sale',
+    REPLACE: 'replace',
+    UPGRADE: 'upgrade',
+    REFUND: 'refund'
+};
+
+const TYPE_LABELS = {
+    sale: 'Penjualan',
+    replace: 'Ganti akun',
+    upgrade: 'Upgrade',
+    refund: 'Refund'
+};
+
+const REFUND_STATUS = {
+    PENDING: 'pending',
+    PAID: 'paid'
+};
+
+class LedgerManager {
+    constructor() {
+        this.entries = storage.collection(LEDGER_FILE);
+    }
+
+    toAmount(value) {
+        const amount = Math.round(Number(String(value ?? '').replace(/[^\d.-]/g, '')));
+        return Number.isFinite(amount) && amount > 0 ? amount : 0;
+    }
+
+    /**
+     * Metode bayar dari teks bukti transfer (caption / OCR), dicocokkan dengan
+     * config.payment_methods ("DANA / GoPay: 0813..." -> DANA, GoPay)
+     */
+    getPaymentMethods() {
+        return config.payment_methods
+            .flatMap(method => method.split(':')[0].split('/'))
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    detectPaymentMethod(text) {
+        const lower = String(text || '').toLowerCase();
+        if (!lower) return null;
+        return this.getPaymentMethods().find(name => new RegExp(`\\b${name.toLowerCase()}\\b`).test(lower)) || null;
+    }
+
+    /**
+     * CATAT
+     * { type, amount, cost, paymentMethod, orderId, ticket, buyer, customer, productId, item, stockId, note, by }
+     */
+    async record({ type, amount = 0, cost = 0, paymentMethod = null, orderId = null, ticket = null, buyer = '',
+                   customer = null, productId = '', item = '', stockId = null, note = '', by = null, date = null }) {
+        if (!Object.values(ENTRY_TYPES).includes(type)) {
+            throw new Error(`Jenis transaksi ledger tidak dikenal: ${type}`);
+        }
+
+        const now = new Date();
+        const entry = await this.entries.insert({
+            type,
+            date: date || moment.tz(now, TIMEZONE).format('YYYY-MM-DD'),
+            amount: this.toAmount(amount),
+            cost: this.toAmount(cost),
+            paymentMethod: paymentMethod || null,
+            orderId,
+            ticket,
+            buyer,
+            customer,
+            productId: String(productId || '').toLowerCase(),
+            item,
+            stockId,
+            note,
+            by,
+            createdAt: now.toISOString(),
+            ...(type === ENTRY_TYPES.REFUND ? { status: REFUND_STATUS.PENDING, paidAt: null, paidBy: null } : {})
+        });
+
+        console.log(`💰 Ledger ${entry.id}: ${type} ${productId} Rp ${entry.amount.toLocaleString('id-ID')}`);
+        return entry;
+    }
+
+    async markRefundPaid(id, by) {
+        return this.entries.mutate(records => {
+            const entry = records.find(r => r.id === id && r.type === ENTRY_TYPES.REFUND);
+            if (!entry || entry.status === REFUND_STATUS.PAID) return null;
+
+            entry.status = REFUND_STATUS.PAID;
+            entry.paidAt = new Date().toISOString();
+            entry.paidBy = by;
+            return entry;
+        });
+    }
+
+    /**
+     * DAFTAR - filter { from, to (YYYY-MM-DD), type, productId }, terbaru dulu
+     */
+    async list(filters = {}) {
+        const entries = await this.entries.find(entry =>
+            (!filters.from || entry.date >= filters.from) &&
+            (!filters.to || entry.date <= filters.to) &&
+            (!filters.type || entry.type === filters.type) &&
+            (!filters.productId || entry.productId === filters.productId)
+        );
+        return entries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    /**
+     * LAPORAN
+     */
+    // Nilai entry terhadap omzet: refund mengurangi
+    revenueOf(entry) {
+        if (entry.type === ENTRY_TYPES.REFUND) return -entry.amount;
+        return entry.type === ENTRY_TYPES.REPLACE ? 0 : entry.amount;
+    }
+
+    summarize(entries) {
+        const revenue = entries.reduce((sum, entry) => sum + this.revenueOf(entry), 0);
+        const cost = entries.reduce((sum, entry) => sum + (entry.cost || 0), 0);
+        return {
+            revenue,
+            cost,
+            margin: revenue - cost,
+            marginRate: revenue > 0 ? Math.round((revenue - cost) / revenue * 1000) / 10 : 0,
+            sales: entries.filter(entry => entry.type === ENTRY_TYPES.SALE || entry.type === ENTRY_TYPES.UPGRADE).length
+        };
+    }
+
+    async getReport({ days = 30, months = 12 } = {}) {
+        const entries = await this.entries.all();
+        const group = (keyOf, keys) => keys.map(key => ({
+            key,
+            ...this.summarize(entries.filter(entry => keyOf(entry) === key))
+        }));
+
+        const today = moment.tz(TIMEZONE);
+        const dayKeys = Array.from({ length: days }, (_, i) => today.clone().subtract(days - 1 - i, 'days').format('YYYY-MM-DD'));
+        const monthKeys = Array.from({ length: months }, (_, i) => today.clone().subtract(months - 1 - i, 'months').format('YYYY-MM'));
+        const products = [...new Set(entries.map(entry => entry.productId).filter(Boolean))];
+
+        const outstanding = entries
+            .filter(entry => entry.type === ENTRY_TYPES.REFUND && entry.status !== REFUND_STATUS.PAID)
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+        return {
+            totals: {
+                ...this.summarize(entries),
+                outstandingRefunds: outstanding.reduce((sum, entry) => sum + entry.amount, 0)
+            },
+            daily: group(entry => entry.date, dayKeys).map(({ key, ...row }) => ({ date: key, ...row })),
+            monthly: group(entry => String(entry.date).slice(0, 7), monthKeys).map(({ key, ...row }) => ({ month: key, ...row })),
+            byProduct: group(entry => entry.productId, products)
+                .map(({ key, ...row }) => ({ productId: key, ...row }))
+                .sort((a, b) => b.margin - a.margin),
+            outstandingRefunds: outstanding
+        };
+    }
+
+    /**
+     * CSV EXPORT
+     */
+    toCsv(entries) {
+        const header = ['id', 'tanggal', 'jenis', 'produk', 'item', 'order', 'klaim', 'buyer', 'nomor_wa',
+                        'nominal', 'modal', 'margin', 'metode_bayar', 'status_refund', 'oleh', 'catatan'];
+        const rows = entries.map(entry => [
+            entry.id,
+            entry.date,
+            entry.type,
+            entry.productId,
+            entry.item,
+            entry.orderId || '',
+            entry.ticket || '',
+            entry.buyer,
+            entry.customer || '',
+            // Angka polos (refund negatif) supaya bisa langsung dijumlah di spreadsheet
+            this.revenueOf(entry),
+            entry.cost || 0,
+            this.revenueOf(entry) - (entry.cost || 0),
+            entry.paymentMethod || '',
+            entry.status || '',
+            entry.by || '',
+            entry.note || ''
+        ]);
+        return toCsv(header, rows);
+    }
+}
+
+// Create singleton
+const ledgerManager = new LedgerManager();
+
+module.exports = { LedgerManager, ledgerManager, ENTRY_TYPES, TYPE_LABELS, REFUND_STATUS };
@@ -0,0 +1,502 @@
+/**
+ * LLM PROVIDER
+ * Lapisan provider untuk semua panggilan model bahasa (GEMINI_TEXT, smartFallback, responseRouter)
+ *
+ * Provider:
+ * - gemini : Google Generative Language REST API
+ * - openai : endpoint kompatibel OpenAI (/chat/completions), termasuk server lokal llama.cpp / Ollama
+ * - mock   : jawaban deterministik tanpa jaringan, untuk pengujian
+ *
+ * Provider dipilih per peran (chat, fallback) lewat config.llm.roles.
+ * Pesan memakai format chat: [{ role: 'system' | 'user' | 'assistant', content }]
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const { loadJson, saveJson } = require('./dataLoader');
+
+const USAGE_FILE = 'llm_usage.json';
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+class LLMError extends Error {
+    constructor(message, { provider, status = null, code = null } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Perkiraan kasar (~4 karakter per token) kalau provider tidak melaporkan usage
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+class LLMProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model;
+        this.timeout = options.timeout || 30000;
+        this.retries = options.retries ?? 2;
+        this.temperature = options.temperature ?? 0.7;
+        this.maxTokens = options.maxTokens || 1024;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Return { text, usage: { promptTokens, completionTokens }, finishReason }
+     */
+    async chat(messages, options = {}) {
+        throw new LLMError('chat() belum diimplementasikan', { provider: this.name });
+    }
+
+    /**
+     * Async generator potongan teks
+     */
+    async *stream(messages, options = {}) {
+        const result = await this.chat(messages, options);
+        yield result.text;
+    }
+
+    isRetryable(error) {
+        const status = error.response?.status || error.status;
+        if (status) return status === 429 || status >= 500;
+        return RETRYABLE_CODES.includes(error.code) || /timeout/i.test(error.message || '');
+    }
+
+    async withRetry(fn) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                lastError = error;
+                if (attempt === this.retries || !this.isRetryable(error)) break;
+
+                const delay = 1000 * Math.pow(2, attempt);
+                console.warn(`LLM ${this.name}: percobaan ${attempt + 1} gagal (${error.message}), ulang dalam ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+        throw this.toLLMError(lastError);
+    }
+
+    toLLMError(error) {
+        if (error instanceof LLMError) return error;
+        return new LLMError(error.message, {
+            provider: this.name,
+            status: error.response?.status || null,
+            code: error.code || null
+        });
+    }
+
+    /**
+     * Baca respons SSE (data: {...}) dari axios responseType 'stream'
+     */
+    async *readSse(stream) {
+        let buffer = '';
+        for await (const chunk of stream) {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') return;
+                try {
+                    yield JSON.parse(payload);
+                } catch (error) {
+                    // Potongan JSON tidak lengkap, abaikan
+                }
+            }
+        }
+    }
+}
+
+/**
+ * GEMINI
+ */
+class GeminiProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('gemini', options);
+        this.apiKey = options.apiKey;
+        this.baseUrl = options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+    }
+
+    isConfigured() {
+        return !!(this.apiKey && this.apiKey.trim());
+    }
+
+    buildRequest(messages, options) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const contents = messages
+            .filter(m => m.role !== 'system')
+            .map(m => ({
+                role: m.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: m.content }]
+            }));
+
+        const body = {
+            contents,
+            generationConfig: {
+                temperature: options.temperature ?? this.temperature,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: options.maxTokens || this.maxTokens
+            }
+        };
+        if (system) body.systemInstruction = { parts: [{ text: system }] };
+        return body;
+    }
+
+    url(method) {
+        return `${this.baseUrl}/models/${this.model}:${method}?key=${this.apiKey}`;
+    }
+
+    checkCandidate(candidate) {
+        if (!candidate) {
+            throw new LLMError('Invalid response structure from Gemini API', { provider: this.name });
+        }
+        if (candidate.finishReason === 'SAFETY') {
+            throw new LLMError('Content filtered by Gemini safety filters', { provider: this.name, code: 'SAFETY' });
+        }
+    }
+
+    async chat(messages, options = {}) {
+        return await this.withRetry(async () => {
+            const response = await axios.post(this.url('generateContent'), this.buildRequest(messages, options), {
+                timeout: options.timeout || this.timeout,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            const candidate = response.data?.candidates?.[0];
+            this.checkCandidate(candidate);
+
+            const text = (candidate.content?.parts || []).map(part => part.text || '').join('');
+            if (!text.trim()) {
+                throw new LLMError('Empty response from Gemini', { provider: this.name });
+            }
+
+            const usage = response.data.usageMetadata || {};
+            return {
+                text,
+                finishReason: candidate.finishReason,
+                usage: {
+                    promptTokens: usage.promptTokenCount || 0,
+                    completionTokens: usage.candidatesTokenCount || estimateTokens(text)
+                }
+            };
+        });
+    }
+
+    async *stream(messages, options = {}) {
+        const response = await this.withRetry(() => axios.post(
+            `${this.url('streamGenerateContent')}&alt=sse`,
+            this.buildRequest(messages, options),
+            { timeout: options.timeout || this.timeout, responseType: 'stream' }
+        ));
+
+        for await (const event of this.readSse(response.data)) {
+            const candidate = event.candidates?.[0];
+            this.checkCandidate(candidate);
+
+            const text = (candidate.content?.parts || []).map(part => part.text || '').join('');
+            if (text) yield text;
+            if (event.usageMetadata && options.onUsage) {
+                options.onUsage({
+                    promptTokens: event.usageMetadata.promptTokenCount || 0,
+                    completionTokens: event.usageMetadata.candidatesTokenCount || 0
+                });
+            }
+        }
+    }
+}
+
+/**
+ * OPENAI-COMPATIBLE (OpenAI, llama.cpp server, Ollama /v1, dll.)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('openai', options);
+        this.apiKey = options.apiKey;
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    }
+
+    isConfigured() {
+        // Server lokal biasanya tanpa API key, cukup base URL
+        return !!this.baseUrl && !!this.model;
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        return headers;
+    }
+
+    buildRequest(messages, options, stream = false) {
+        return {
+            model: this.model,
+            messages: messages.map(m => ({ role: m.role, content: m.content })),
+            temperature: options.temperature ?? this.temperature,
+            max_tokens: options.maxTokens || this.maxTokens,
+            stream
+        };
+    }
+
+    async chat(messages, options = {}) {
+        return await this.withRetry(async () => {
+            const response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildRequest(messages, options), {
+                timeout: options.timeout || this.timeout,
+                headers: this.headers()
+            });
+
+            const choice = response.data?.choices?.[0];
+            const text = choice?.message?.content || '';
+            if (!text.trim()) {
+                throw new LLMError('Empty response from OpenAI-compatible endpoint', { provider: this.name });
+            }
+            if (choice.finish_reason === 'content_filter') {
+                throw new LLMError('Content filtered by provider', { provider: this.name, code: 'SAFETY' });
+            }
+
+            const usage = response.data.usage || {};
+            return {
+                text,
+                finishReason: choice.finish_reason,
+                usage: {
+                    promptTokens: usage.prompt_tokens || estimateTokens(messages.map(m => m.content).join('\n')),
+                    completionTokens: usage.completion_tokens || estimateTokens(text)
+                }
+            };
+        });
+    }
+
+    async *stream(messages, options = {}) {
+        const response = await this.withRetry(() => axios.post(
+            `${this.baseUrl}/chat/completions`,
+            this.buildRequest(messages, options, true),
+            { timeout: options.timeout || this.timeout, headers: this.headers(), responseType: 'stream' }
+        ));
+
+        for await (const event of this.readSse(response.data)) {
+            const text = event.choices?.[0]?.delta?.content;
+            if (text) yield text;
+            if (event.usage && options.onUsage) {
+                options.onUsage({
+                    promptTokens: event.usage.prompt_tokens || 0,
+                    completionTokens: event.usage.completion_tokens || 0
+                });
+            }
+        }
+    }
+}
+
+/**
+ * MOCK - deterministik, tanpa jaringan
+ */
+class MockProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('mock', { model: 'mock', ...options });
+        // [{ match: 'kata' | RegExp, reply: 'teks' }]
+        this.responses = options.responses || [];
+        this.defaultReply = options.defaultReply || null;
+        this.calls = [];
+    }
+
+    reply(messages) {
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        const input = lastUser ? lastUser.content : '';
+
+        const rule = this.responses.find(r =>
+            r.match instanceof RegExp ? r.match.test(input) : input.toLowerCase().includes(String(r.match).toLowerCase())
+        );
+        if (rule) return rule.reply;
+        return this.defaultReply || `Baik Kak, pesan "${input.substring(0, 100)}" sudah kami terima 🙏`;
+    }
+
+    async chat(messages, options = {}) {
+        this.calls.push({ messages, options });
+        const text = this.reply(messages);
+        return {
+            text,
+            finishReason: 'STOP',
+            usage: {
+                promptTokens: estimateTokens(messages.map(m => m.content).join('\n')),
+                completionTokens: estimateTokens(text)
+            }
+        };
+    }
+
+    async *stream(messages, options = {}) {
+        const { text } = await this.chat(messages, options);
+        for (const word of text.split(/(\s+)/)) {
+            if (word) yield word;
+        }
+    }
+}
+
+const PROVIDER_TYPES = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+/**
+ * MANAGER - pilih provider per peran + catat pemakaian token
+ */
+class LLMManager {
+    constructor(settings = config.llm) {
+        this.settings = settings;
+        this.providers = new Map();
+        this.usage = {};
+        this.saveTimer = null;
+    }
+
+    getProvider(name) {
+        if (!this.providers.has(name)) {
+            const options = this.settings.providers[name];
+            const ProviderClass = options && PROVIDER_TYPES[options.type || name];
+            if (!ProviderClass) {
+                throw new LLMError(`Provider LLM tidak dikenal: ${name}`, { provider: name, code: 'UNKNOWN_PROVIDER' });
+            }
+            this.providers.set(name, new ProviderClass(options));
+        }
+        return this.providers.get(name);
+    }
+
+    /**
+     * Ganti provider secara langsung (mis. MockProvider di pengujian)
+     */
+    setProvider(name, provider) {
+        this.providers.set(name, provider);
+    }
+
+    setRole(role, providerName) {
+        this.settings.roles[role] = providerName;
+    }
+
+    getProviderForRole(role = 'chat') {
+        return this.getProvider(this.settings.roles[role] || this.settings.roles.chat);
+    }
+
+    async chat(messages, { role = 'chat', ...options } = {}) {
+        const provider = this.getProviderForRole(role);
+        if (!provider.isConfigured()) {
+            throw new LLMError(`Provider ${provider.name} belum dikonfigurasi`, { provider: provider.name, code: 'NOT_CONFIGURED' });
+        }
+
+        const startedAt = Date.now();
+        try {
+            const result = await provider.chat(messages, options);
+            this.recordUsage(provider.name, role, result.usage, Date.now() - startedAt);
+            return { ...result, provider: provider.name, model: provider.model };
+        } catch (error) {
+            this.recordUsage(provider.name, role, null, Date.now() - startedAt, true);
+            throw error;
+        }
+    }
+
+    async *stream(messages, { role = 'chat', ...options } = {}) {
+        const provider = this.getProviderForRole(role);
+        if (!provider.isConfigured()) {
+            throw new LLMError(`Provider ${provider.name} belum dikonfigurasi`, { provider: provider.name, code: 'NOT_CONFIGURED' });
+        }
+
+        const startedAt = Date.now();
+        let reported = null;
+        let text = '';
+        try {
+            for await (const chunk of provider.stream(messages, { ...options, onUsage: usage => { reported = usage; } })) {
+                text += chunk;
+                yield chunk;
+            }
+            this.recordUsage(provider.name, role, reported || {
+                promptTokens: estimateTokens(messages.map(m => m.content).join('\n')),
+                completionTokens: estimateTokens(text)
+            }, Date.now() - startedAt);
+        } catch (error) {
+            this.recordUsage(provider.name, role, null, Date.now() - startedAt, true);
+            throw provider.toLLMError(error);
+        }
+    }
+
+    /**
+     * TOKEN ACCOUNTING (per hari, per provider, per peran) -> data/llm_usage.json
+     */
+    recordUsage(providerName, role, usage, durationMs, failed = false) {
+        const day = new Date().toISOString().split('T')[0];
+        const key = `${providerName}:${role}`;
+        this.usage[day] = this.usage[day] || {};
+        const entry = this.usage[day][key] = this.usage[day][key] || {
+            provider: providerName, role, requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalMs: 0
+        };
+
+        entry.requests++;
+        entry.totalMs += durationMs;
+        if (failed) entry.errors++;
+        if (usage) {
+            entry.promptTokens += usage.promptTokens || 0;
+            entry.completionTokens += usage.completionTokens || 0;
+        }
+
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveUsage().catch(error => console.error('Error saving LLM usage:', error));
+        }, 5000);
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    async saveUsage() {
+        let stored = await loadJson(USAGE_FILE);
+        if (!stored || typeof stored !== 'object' || Array.isArray(stored)) stored = {};
+
+        for (const [day, entries] of Object.entries(this.usage)) {
+            stored[day] = stored[day] || {};
+            for (const [key, entry] of Object.entries(entries)) {
+                const saved = stored[day][key] || { provider: entry.provider, role: entry.role, requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalMs: 0 };
+                for (const field of ['requests', 'errors', 'promptTokens', 'completionTokens', 'totalMs']) {
+                    saved[field] += entry[field];
+                }
+                stored[day][key] = saved;
+            }
+        }
+
+        this.usage = {};
+        await saveJson(USAGE_FILE, stored);
+    }
+
+    async getUsage(days = 7) {
+        await this.saveUsage();
+        const stored = (await loadJson(USAGE_FILE)) || {};
+        return Object.keys(stored).sort().slice(-days).map(day => ({
+            day,
+            entries: Object.values(stored[day])
+        }));
+    }
+}
+
+// Create singleton
+const llm = new LLMManager();
+
+module.exports = {
+    LLMError,
+    LLMProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    LLMManager,
+    llm,
+    estimateTokens
+};
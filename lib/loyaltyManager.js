@@ -0,0 +1,331 @@
+/**
+ * LOYALTY MANAGER
+ * Poin dan tier member untuk buyer yang belanja berulang.
+ *
+ * Poin tidak disimpan sebagai saldo, selalu dihitung ulang dari riwayat buyers.json
+ * (nominal transaksi, dikurangi refund order di ledger), jadi transaksi yang diedit /
+ * dihapus dari panel otomatis ikut terhitung. Hasilnya disimpan di buyer.loyalty untuk
+ * panel, segmen broadcast dan deteksi naik level.
+ *
+ * Aturan poin dan daftar tier ada di data/loyalty.json (diubah owner di panel /loyalty).
+ * Perk tier: diskon harga di jawaban bot & order, tambahan hari garansi, klaim prioritas.
+ * Centang "royal" manual di buyers (isRoyal) = minimal tier tertinggi.
+ */
+
+const config = require('../config');
+const { loadJson, saveJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { outbox } = require('./outbox');
+const { ledgerManager, ENTRY_TYPES } = require('./ledgerManager');
+const botSync = require('./botSync');
+
+const LOYALTY_FILE = 'loyalty.json';
+
+const DEFAULT_SETTINGS = {
+    // Rp per 1 poin
+    pointValue: 1000,
+    // Poin untuk transaksi lama yang belum punya nominal
+    legacyPoints: 20,
+    tiers: [
+        { id: 'member', name: 'Member', minPoints: 0, discountPercent: 0, warrantyBonusDays: 0, priorityClaims: false }
+    ]
+};
+
+// Jenis transaksi buyers yang menghasilkan poin (ganti akun / garansi tidak)
+const EARNING_TYPES = ['sale', 'upgrade'];
+
+const COMMANDS = ['poin', 'cek poin', 'poin saya', 'poin member', 'member', 'cek member', 'level member', 'tier member'];
+
+// Recalculate penuh berkala di proses bot (menangkap edit langsung ke file / perubahan aturan)
+const RECALCULATE_INTERVAL = 6 * 60 * 60 * 1000;
+
+class LoyaltyManager {
+    constructor() {
+        this.buyers = storage.collection('buyers.json');
+        this.timer = null;
+    }
+
+    /**
+     * ATURAN
+     */
+    normalizeTier(tier, index) {
+        const toNumber = (value, fallback = 0) => Math.max(Number(value) || fallback, 0);
+        const name = String(tier.name || '').trim() || `Tier ${index + 1}`;
+        return {
+            id: String(tier.id || name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            name,
+            minPoints: Math.round(toNumber(tier.minPoints)),
+            discountPercent: Math.min(toNumber(tier.discountPercent), 90),
+            warrantyBonusDays: Math.round(toNumber(tier.warrantyBonusDays)),
+            priorityClaims: tier.priorityClaims === true || tier.priorityClaims === 'true' || tier.priorityClaims === 'on'
+        };
+    }
+
+    normalizeSettings(data) {
+        const source = data && !Array.isArray(data) ? data : {};
+        const tiers = (Array.isArray(source.tiers) && source.tiers.length > 0 ? source.tiers : DEFAULT_SETTINGS.tiers)
+            .map((tier, index) => this.normalizeTier(tier, index))
+            .sort((a, b) => a.minPoints - b.minPoints);
+
+        // Tier pertama selalu tier awal semua buyer
+        tiers[0].minPoints = 0;
+
+        return {
+            pointValue: Math.max(parseInt(source.pointValue) || DEFAULT_SETTINGS.pointValue, 1),
+            legacyPoints: Math.max(parseInt(source.legacyPoints ?? DEFAULT_SETTINGS.legacyPoints) || 0, 0),
+            tiers
+        };
+    }
+
+    async getSettings() {
+        return this.normalizeSettings(await loadJson(LOYALTY_FILE));
+    }
+
+    async saveSettings(settings) {
+        const normalized = this.normalizeSettings(settings);
+        const ids = normalized.tiers.map(tier => tier.id);
+        if (new Set(ids).size !== ids.length) {
+            return { success: false, message: 'Nama / ID tier tidak boleh sama.' };
+        }
+
+        await saveJson(LOYALTY_FILE, normalized);
+        return { success: true, settings: normalized };
+    }
+
+    /**
+     * POIN & TIER
+     */
+    // Refund per order dari ledger, mengurangi poin order tersebut
+    async getRefundsByOrder() {
+        const refunds = await ledgerManager.list({ type: ENTRY_TYPES.REFUND });
+        const byOrder = new Map();
+        for (const refund of refunds.filter(entry => entry.orderId)) {
+            byOrder.set(refund.orderId, (byOrder.get(refund.orderId) || 0) + refund.amount);
+        }
+        return byOrder;
+    }
+
+    pointsFor(transaksi, settings, refundsByOrder = new Map()) {
+        if (!EARNING_TYPES.includes(transaksi.type || 'sale')) return 0;
+
+        const amount = Number(transaksi.amount);
+        if (!Number.isFinite(amount) || transaksi.amount === undefined || transaksi.amount === null) {
+            return settings.legacyPoints;
+        }
+
+        const refunded = transaksi.orderId ? refundsByOrder.get(transaksi.orderId) || 0 : 0;
+        return Math.floor(Math.max(amount - refunded, 0) / settings.pointValue);
+    }
+
+    computeLoyalty(buyer, settings, refundsByOrder) {
+        const points = (buyer.data || []).reduce((sum, transaksi) => sum + this.pointsFor(transaksi, settings, refundsByOrder), 0);
+        const { tiers } = settings;
+
+        let rank = 0;
+        tiers.forEach((tier, index) => {
+            if (points >= tier.minPoints) rank = index;
+        });
+        if (buyer.isRoyal) rank = tiers.length - 1;
+
+        const tier = tiers[rank];
+        const next = tiers[rank + 1] || null;
+        return {
+            tier: tier.id,
+            level: tier.name,
+            rank,
+            top: rank === tiers.length - 1,
+            points,
+            nextTier: next ? next.name : null,
+            pointsToNext: next ? Math.max(next.minPoints - points, 0) : 0
+        };
+    }
+
+    /**
+     * Hitung ulang tier buyer (semua, atau yang cocok dengan match(buyer)),
+     * simpan ke buyer.loyalty lalu kabari buyer yang naik level
+     */
+    async recalculate(match = null) {
+        const [settings, refundsByOrder] = await Promise.all([this.getSettings(), this.getRefundsByOrder()]);
+        const now = new Date().toISOString();
+
+        const levelUps = await this.buyers.mutate(buyersData => {
+            const changed = [];
+            for (const buyer of buyersData) {
+                if (match && !match(buyer)) continue;
+
+                const previous = buyer.loyalty || null;
+                const loyalty = this.computeLoyalty(buyer, settings, refundsByOrder);
+                buyer.loyalty = { ...loyalty, updatedAt: now };
+
+                // Perhitungan pertama (buyer lama) tidak dianggap naik level
+                if (previous && loyalty.rank > (previous.rank || 0)) {
+                    changed.push({ buyer: { id: buyer.id, user: buyer.user, whatsapp: buyer.whatsapp }, from: previous.level, loyalty });
+                }
+            }
+            return changed;
+        });
+
+        for (const levelUp of levelUps) {
+            await this.notifyLevelUp(levelUp, settings);
+        }
+        return levelUps;
+    }
+
+    // Semua buyer dengan poin & tier terkini (panel), poin terbanyak dulu
+    async getLeaderboard() {
+        const [buyersData, settings, refundsByOrder] = await Promise.all([
+            this.buyers.all(), this.getSettings(), this.getRefundsByOrder()
+        ]);
+
+        return buyersData
+            .map(buyer => ({
+                id: buyer.id,
+                user: buyer.user,
+                whatsapp: buyer.whatsapp || null,
+                isRoyal: !!buyer.isRoyal,
+                totalTransactions: (buyer.data || []).length,
+                ...this.computeLoyalty(buyer, settings, refundsByOrder)
+            }))
+            .sort((a, b) => b.points - a.points);
+    }
+
+    // Setelah transaksi baru / refund: cukup buyer yang bersangkutan
+    async refreshBuyer({ whatsapp, user } = {}) {
+        try {
+            return await this.recalculate(buyer =>
+                (whatsapp && buyer.whatsapp === whatsapp) || (!!user && buyer.user === user));
+        } catch (error) {
+            console.error('Error refreshing buyer loyalty:', error.message);
+            return [];
+        }
+    }
+
+    async notifyLevelUp({ buyer, from, loyalty }, settings) {
+        const tier = settings.tiers[loyalty.rank];
+        console.log(`💎 ${buyer.user} naik level ${from} -> ${tier.name} (${loyalty.points} poin)`);
+
+        if (buyer.whatsapp) {
+            await outbox.enqueue(buyer.whatsapp,
+                `🎉 *Selamat, Kak ${buyer.user}!*\n\n` +
+                `Kakak sekarang member *${tier.name}* Vylozzone (${loyalty.points} poin).\n\n` +
+                `Keuntungan Kakak:\n${this.describePerks(tier)}\n\n` +
+                `Ketik *poin* kapan saja untuk cek poin dan level member ya 😊`,
+                { loyalty: tier.id }
+            ).catch(error => console.error('Error queueing level up message:', error.message));
+        }
+
+        await botSync.syncBuyerLoyalty(buyer.user, from, tier.name, loyalty.points);
+    }
+
+    /**
+     * STATUS CUSTOMER (dihitung langsung dari riwayat, tidak menunggu recalculate)
+     */
+    async getCustomerStatus(customer) {
+        const number = String(customer || '').split('@')[0];
+        const buyer = number ? await this.buyers.find(b => b.whatsapp === number).then(found => found[0] || null) : null;
+        const settings = await this.getSettings();
+        if (!buyer) return { buyer: null, settings, loyalty: null, tier: settings.tiers[0] };
+
+        const loyalty = this.computeLoyalty(buyer, settings, await this.getRefundsByOrder());
+        return { buyer, settings, loyalty, tier: settings.tiers[loyalty.rank] };
+    }
+
+    // Diskon tier untuk price quote / order (lihat productCatalog.applyDiscount), null kalau tidak ada diskon
+    async getPricing(customer) {
+        try {
+            const { tier } = await this.getCustomerStatus(customer);
+            return tier && tier.discountPercent > 0
+                ? { tierId: tier.id, tierName: tier.name, discountPercent: tier.discountPercent }
+                : null;
+        } catch (error) {
+            console.error('Error loading member pricing:', error.message);
+            return null;
+        }
+    }
+
+    // Tier dari nomor WhatsApp, atau nama buyer untuk klaim dari admin
+    async getTierFor({ customer, user } = {}) {
+        if (customer) {
+            const { buyer, tier } = await this.getCustomerStatus(customer);
+            if (buyer) return tier;
+        }
+        if (user) {
+            const [buyer] = await this.buyers.find(b => b.user === user);
+            if (buyer) {
+                const settings = await this.getSettings();
+                return settings.tiers[this.computeLoyalty(buyer, settings, await this.getRefundsByOrder()).rank];
+            }
+        }
+        return null;
+    }
+
+    describePerks(tier) {
+        const perks = [];
+        if (tier.discountPercent) perks.push(`• Diskon ${tier.discountPercent}% semua paket`);
+        if (tier.warrantyBonusDays) perks.push(`• Garansi +${tier.warrantyBonusDays} hari`);
+        if (tier.priorityClaims) perks.push('• Klaim garansi diprioritaskan');
+        return perks.length > 0 ? perks.join('\n') : '• Kumpulkan poin untuk naik level';
+    }
+
+    /**
+     * PERINTAH CHAT CUSTOMER: "poin" / "member"
+     */
+    isCommand(lowerInput) {
+        return COMMANDS.includes(lowerInput.replace(/[?!.]+$/, '').trim());
+    }
+
+    async handleCommand(sender) {
+        const { buyer, settings, loyalty, tier } = await this.getCustomerStatus(sender);
+        const earnRule = `Setiap pembelian dapat 1 poin per Rp ${settings.pointValue.toLocaleString('id-ID')}.`;
+
+        if (!buyer) {
+            const levels = settings.tiers.slice(1)
+                .map(t => `• *${t.name}* (${t.minPoints} poin)\n${this.describePerks(t).replace(/^• /gm, '   - ')}`)
+                .join('\n');
+            return `💎 *MEMBER VYLOZZONE*\n\n` +
+                   `Nomor ini belum punya riwayat pembelian, jadi poinnya masih 0 ya, Kak.\n\n` +
+                   `${earnRule}\n` + (levels ? `\nLevel member:\n${levels}\n` : '') +
+                   `\nKetik *order* untuk mulai belanja 😊`;
+        }
+
+        const next = settings.tiers[loyalty.rank + 1];
+        return `💎 *MEMBER VYLOZZONE*\n\n` +
+               `👤 ${buyer.user}\n` +
+               `🏅 Level: *${tier.name}*\n` +
+               `⭐ Poin: *${loyalty.points}*\n\n` +
+               `Keuntungan Kakak:\n${this.describePerks(tier)}\n\n` +
+               (next
+                   ? `📈 ${loyalty.pointsToNext} poin lagi ke *${next.name}*:\n${this.describePerks(next)}\n\n`
+                   : `👑 Kakak sudah di level tertinggi, terima kasih sudah langganan!\n\n`) +
+               `_${earnRule}_`;
+    }
+
+    /**
+     * TIMER (proses bot)
+     */
+    start() {
+        if (this.timer) return;
+
+        const run = async () => {
+            try {
+                await this.recalculate();
+            } catch (error) {
+                console.error('Error recalculating loyalty tiers:', error);
+            }
+        };
+
+        this.timer = setInterval(run, RECALCULATE_INTERVAL);
+        if (this.timer.unref) this.timer.unref();
+        run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Create singleton
+const loyaltyManager = new LoyaltyManager();
+
+module.exports = { LoyaltyManager, loyaltyManager, DEFAULT_SETTINGS };
@@ -1,4 +1,4 @@
-const { loadJson, saveJson } = require('./dataLoader');
+const { loadJson, updateJson } = require('./dataLoader');
 const config = require('../config');
 
 // Helper untuk cek apakah user adalah owner
@@ -23,12 +23,17 @@ async function isAdmin(sender) {
   return isOwner(sender) || await isModerator(sender);
 }
 
+// Ubah moderators.json dalam satu transaksi (error di dalam work membatalkan perubahan)
+function updateModerators(work) {
+  return updateJson('moderators.json', (moderators, tx) => {
+    if (!Array.isArray(moderators)) tx.data = moderators = [];
+    return work(moderators);
+  });
+}
+
 // Tambah moderator baru (hanya owner)
 async function addModerator(number, name, addedBy) {
-  try {
-    let moderators = await loadJson('moderators.json');
-    if (!Array.isArray(moderators)) moderators = [];
-    
+  return updateModerators(moderators => {
     // Cek apakah sudah ada
     const exists = moderators.some(mod => mod.number === number);
     if (exists) {
@@ -45,12 +50,8 @@ async function addModerator(number, name, addedBy) {
     };
     
     moderators.push(newMod);
-    await saveJson('moderators.json', moderators);
-    
     return newMod;
-  } catch (error) {
-    throw error;
-  }
+  });
 }
 
 // List semua moderator
@@ -65,42 +66,41 @@ async function listModerators() {
 
 // Hapus moderator (hanya owner)
 async function removeModerator(number) {
-  try {
-    let moderators = await loadJson('moderators.json');
-    if (!Array.isArray(moderators)) moderators = [];
-    
+  return updateModerators(moderators => {
     const index = moderators.findIndex(mod => mod.number === number);
     if (index === -1) {
       throw new Error('Moderator tidak ditemukan');
     }
     
-    const removed = moderators.splice(index, 1)[0];
-    await saveJson('moderators.json', moderators);
-    
-    return removed;
-  } catch (error) {
-    throw error;
-  }
+    return moderators.splice(index, 1)[0];
+  });
 }
 
 // Toggle status moderator (hanya owner)
 async function toggleModeratorStatus(number) {
-  try {
-    let moderators = await loadJson('moderators.json');
-    if (!Array.isArray(moderators)) moderators = [];
-    
+  return updateModerators(moderators => {
     const mod = moderators.find(m => m.number === number);
     if (!mod) {
       throw new Error('Moderator tidak ditemukan');
     }
     
     mod.active = !mod.active;
-    await saveJson('moderators.json', moderators);
-    
     return mod;
+  });
+}
+
+// JID owner + moderator aktif (untuk notifikasi order, bukti transfer, klaim)
+async function getAdminJids() {
+  const numbers = [config.owner_number];
+  
+  try {
+    const moderators = await listModerators();
+    numbers.push(...moderators.filter(mod => mod.active).map(mod => mod.number));
   } catch (error) {
-    throw error;
+    console.warn('Gagal memuat moderators.json:', error.message);
   }
+  
+  return [...new Set(numbers.filter(Boolean))].map(number => `${number}@s.whatsapp.net`);
 }
 
 module.exports = {
@@ -110,5 +110,6 @@ module.exports = {
   addModerator,
   listModerators,
   removeModerator,
-  toggleModeratorStatus
+  toggleModeratorStatus,
+  getAdminJids
 };
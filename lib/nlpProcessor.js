@@ -1,13 +1,9 @@
 const natural = require('natural');
-const compromise = require('compromise');
 const { loadJson, saveJson } = require('./dataLoader');
+const { indonesianNlp } = require('./indonesianNlp');
+const { intentClassifier } = require('./intentClassifier');
 const config = require('../config');
 
-// Initialize tokenizer and stemmer
-const tokenizer = new natural.WordTokenizer();
-const stemmer = natural.PorterStemmer;
-const analyzer = new natural.SentimentAnalyzer('English', stemmer, 'afinn');
-
 // TF-IDF for document similarity
 const TfIdf = natural.TfIdf;
 const tfidf = new TfIdf();
@@ -39,94 +35,44 @@ class NLPProcessor {
         }
     }
 
-    // Analyze intent dari message user
+    // Analyze intent dari message user (pipeline bahasa Indonesia, lihat lib/indonesianNlp.js)
     analyzeIntent(message) {
-        const doc = compromise(message);
-        const tokens = tokenizer.tokenize(message.toLowerCase());
-        
-        // Extract entities
-        const entities = {
-            people: doc.people().out('array'),
-            places: doc.places().out('array'),
-            organizations: doc.organizations().out('array'),
-            topics: doc.topics().out('array'),
-            verbs: doc.verbs().out('array'),
-            nouns: doc.nouns().out('array'),
-            adjectives: doc.adjectives().out('array')
-        };
+        const nlp = indonesianNlp.analyze(message);
 
-        // Detect question type
-        const questionWords = ['apa', 'siapa', 'dimana', 'kapan', 'mengapa', 'bagaimana', 'berapa'];
-        const isQuestion = questionWords.some(word => 
-            tokens.includes(word) || message.includes('?')
-        );
+        // Token asli + kata dasar, supaya "pembayarannya" tetap cocok dengan pola "bayar"
+        const tokens = [...new Set([...nlp.tokens, ...nlp.stems])];
+        const entities = nlp.entities;
 
         // Detect intent categories
-        const intents = this.detectIntentCategories(tokens, entities);
-
-        // Sentiment analysis
-        const sentiment = this.analyzeSentiment(tokens);
+        const intents = this.detectIntentCategories(message);
 
         const context = {
-            hasProductMention: entities.nouns.some(noun => 
-                ['netflix', 'spotify', 'disney', 'canva', 'capcut', 'youtube'].includes(noun.toLowerCase())
-            ),
+            hasProductMention: entities.products.length > 0,
             messageLength: message.length
         };
 
         return {
             message: message,
+            normalized: nlp.normalized,
             tokens: tokens,
             entities: entities,
-            isQuestion: isQuestion,
+            isQuestion: nlp.isQuestion,
             intents: intents,
-            sentiment: sentiment,
+            sentiment: nlp.sentiment,
             context: context,
             confidence: this.calculateConfidence(intents, context)
         };
     }
 
-    detectIntentCategories(tokens, entities) {
-        const intents = [];
-
-        // Intent patterns
-        const intentPatterns = {
-            greeting: ['halo', 'hai', 'selamat', 'pagi', 'siang', 'malam'],
-            ordering: ['beli', 'order', 'pesan', 'mau', 'pengen', 'butuh'],
-            problem: ['error', 'masalah', 'gagal', 'tidak', 'gak', 'rusak', 'broken'],
-            info: ['info', 'informasi', 'detail', 'spek', 'fitur', 'apa', 'bagaimana'],
-            payment: ['bayar', 'transfer', 'dana', 'ovo', 'gopay', 'qris', 'harga'],
-            complaint: ['kecewa', 'marah', 'lambat', 'lama', 'buruk', 'jelek'],
-            thanks: ['terima', 'kasih', 'makasih', 'thanks', 'thx'],
-            goodbye: ['bye', 'dadah', 'sampai', 'jumpa']
-        };
-
-        for (const [intent, keywords] of Object.entries(intentPatterns)) {
-            const matches = keywords.filter(keyword => 
-                tokens.some(token => token.includes(keyword) || keyword.includes(token))
-            );
-            
-            if (matches.length > 0) {
-                intents.push({
-                    type: intent,
-                    confidence: matches.length / keywords.length,
-                    keywords: matches
-                });
-            }
-        }
-
-        return intents.sort((a, b) => b.confidence - a.confidence);
+    // Intent dari classifier lokal (lib/intentClassifier.js); pola kata kunci di
+    // CONSTANTS.INTENT_PATTERNS hanya dipakai selama model belum dimuat
+    detectIntentCategories(message) {
+        return intentClassifier.classify(message);
     }
 
     analyzeSentiment(tokens) {
         try {
-            const score = analyzer.getSentiment(tokens);
-            let label = 'neutral';
-            
-            if (score > 0.1) label = 'positive';
-            else if (score < -0.1) label = 'negative';
-            
-            return { score, label };
+            return indonesianNlp.analyzeSentiment(tokens);
         } catch (error) {
             return { score: 0, label: 'neutral' };
         }
@@ -232,14 +178,14 @@ class NLPProcessor {
         // and confidence is lower to encourage learning
         if (topIntent.type === 'greeting' && topIntent.confidence > 0.7) {
             return {
-                response: `Halo! Ada yang bisa saya bantu${entities.nouns.length > 0 ? ' terkait ' + entities.nouns[0] : ''}?`,
+                response: `Halo! Ada yang bisa saya bantu${entities.products.length > 0 ? ' terkait ' + entities.products[0] : ''}?`,
                 confidence: 0.4, // Lower confidence to encourage learning better responses
                 source: 'intent_based_contextual'
             };
         }
         
         if (topIntent.type === 'problem' && topIntent.confidence > 0.7) {
-            const problemContext = entities.nouns.join(', ') || 'masalah ini';
+            const problemContext = entities.products.join(', ') || 'masalah ini';
             return {
                 response: `Saya akan bantu selesaikan masalah ${problemContext}. Bisa dijelaskan lebih detail kronologinya?`,
                 confidence: 0.4,
@@ -0,0 +1,159 @@
+/**
+ * OCR ENGINE
+ * Baca teks dari screenshot customer di mesin sendiri (tesseract.js, WebAssembly).
+ *
+ * Model bahasa ikut terpasang lewat npm (@tesseract.js-data/ind dan /eng) dan disalin
+ * sekali ke tmp/ocr (tesseract.js hanya menerima satu folder model untuk semua bahasa),
+ * jadi tidak ada unduhan saat bot berjalan. Worker baru
+ * dibuat saat gambar pertama masuk dan dihentikan lagi setelah idle supaya memori
+ * (~150 MB per worker) tidak terpakai terus.
+ *
+ * Kalau tesseract.js tidak terpasang / OCR_ENABLED=false, recognize() return null
+ * dan gambar diproses seperti sebelumnya.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+// Model LSTM "best_int": lebih kecil dan cepat, akurasi cukup untuk teks UI aplikasi
+const MODEL_VARIANT = '4.0.0_best_int';
+const MODEL_DIR = path.join(process.cwd(), 'tmp', 'ocr');
+const IDLE_TIMEOUT = 5 * 60 * 1000;
+const RECOGNIZE_TIMEOUT = 60 * 1000;
+// Screenshot kecil diperbesar dulu, teks UI ponsel sering terlalu kecil untuk tesseract
+const MIN_WIDTH = 1000;
+const MAX_WIDTH = 2000;
+
+class OcrEngine {
+    constructor() {
+        this.worker = null;
+        this.starting = null;
+        this.idleTimer = null;
+        this.unavailableReason = null;
+    }
+
+    get languages() {
+        return config.ocr_languages.split('+').map(lang => lang.trim()).filter(Boolean);
+    }
+
+    isEnabled() {
+        return config.ocr_enabled && !this.unavailableReason;
+    }
+
+    // Salin model bawaan paket @tesseract.js-data/<lang> kalau belum ada / ukurannya berubah (paket diupdate)
+    async prepareModels() {
+        await fs.mkdir(MODEL_DIR, { recursive: true });
+        for (const code of this.languages) {
+            const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+            const source = path.join(packageDir, MODEL_VARIANT, `${code}.traineddata.gz`);
+            const target = path.join(MODEL_DIR, `${code}.traineddata.gz`);
+
+            const [sourceStat, targetStat] = await Promise.all([fs.stat(source), fs.stat(target).catch(() => null)]);
+            if (!targetStat || targetStat.size !== sourceStat.size) {
+                await fs.copyFile(source, target);
+            }
+        }
+        return MODEL_DIR;
+    }
+
+    async getWorker() {
+        if (this.worker) return this.worker;
+        if (!this.starting) {
+            this.starting = (async () => {
+                const { createWorker, OEM } = require('tesseract.js');
+                const langPath = await this.prepareModels();
+                // cacheMethod none: tesseract.js tidak menulis salinan model lagi ke folder kerja
+                const worker = await createWorker(this.languages, OEM.LSTM_ONLY, { langPath, gzip: true, cacheMethod: 'none' });
+                console.log(`🔤 OCR siap (${this.languages.join('+')})`);
+                return worker;
+            })();
+        }
+
+        try {
+            this.worker = await this.starting;
+            return this.worker;
+        } catch (error) {
+            // Paket / model tidak ada: jangan dicoba terus untuk setiap gambar
+            if (error.code === 'MODULE_NOT_FOUND' || error.code === 'ENOENT') {
+                this.unavailableReason = error.message;
+                console.warn(`⚠️ OCR tidak tersedia: ${error.message}`);
+            }
+            throw error;
+        } finally {
+            this.starting = null;
+        }
+    }
+
+    scheduleIdleStop() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.stop(), IDLE_TIMEOUT);
+        if (this.idleTimer.unref) this.idleTimer.unref();
+    }
+
+    async stop() {
+        clearTimeout(this.idleTimer);
+        const worker = this.worker;
+        this.worker = null;
+        if (worker) {
+            await worker.terminate().catch(() => {});
+        }
+    }
+
+    // Grayscale + normalisasi kontras + perbesar teks kecil
+    async preprocess(imagePath) {
+        try {
+            const sharp = require('sharp');
+            const image = sharp(await fs.readFile(imagePath));
+            const { width } = await image.metadata();
+            const targetWidth = Math.min(Math.max(width || MIN_WIDTH, MIN_WIDTH), MAX_WIDTH);
+
+            return await image
+                .resize({ width: targetWidth })
+                .grayscale()
+                .normalise()
+                .png()
+                .toBuffer();
+        } catch (error) {
+            // Tanpa preprocessing tesseract tetap bisa membaca file aslinya
+            return imagePath;
+        }
+    }
+
+    /**
+     * Return { text, confidence (0-1), lines } atau null kalau OCR tidak tersedia / gagal
+     */
+    async recognize(imagePath) {
+        if (!this.isEnabled()) return null;
+
+        let timer = null;
+        try {
+            const worker = await this.getWorker();
+            const input = await this.preprocess(imagePath);
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('OCR timeout')), RECOGNIZE_TIMEOUT);
+            });
+            const { data } = await Promise.race([worker.recognize(input), timeout]);
+
+            const text = (data.text || '').replace(/[ \t]+/g, ' ').replace(/\n{2,}/g, '\n').trim();
+            return {
+                text,
+                confidence: Math.round(data.confidence || 0) / 100,
+                lines: text.split('\n').map(line => line.trim()).filter(Boolean)
+            };
+        } catch (error) {
+            console.error('Error reading image text:', error.message);
+            // Worker yang timeout bisa masih sibuk, buat baru untuk gambar berikutnya
+            if (error.message === 'OCR timeout') await this.stop();
+            return null;
+        } finally {
+            clearTimeout(timer);
+            if (this.worker) this.scheduleIdleStop();
+        }
+    }
+}
+
+// Create singleton
+const ocrEngine = new OcrEngine();
+
+module.exports = { OcrEngine, ocrEngine };
@@ -0,0 +1,327 @@
+/**
+ * ORDER FLOW
+ * State machine order di chat WhatsApp:
+ * pilih produk -> pilih paket -> konfirmasi -> instruksi bayar -> order PENDING_PAYMENT
+ *
+ * State disimpan di lib/session.js (action 'order:*'), paket diambil dari katalog.
+ */
+
+const { getSession, updateSession, resetSession } = require('./session');
+const { productCatalog } = require('./productCatalog');
+const { orderManager, STATUS_LABELS } = require('./orderManager');
+const { loyaltyManager } = require('./loyaltyManager');
+const { voucherManager } = require('./voucherManager');
+
+const ORDER_ACTIONS = {
+    PICK_PRODUCT: 'order:product',
+    PICK_PACKAGE: 'order:package',
+    CONFIRM: 'order:confirm'
+};
+
+// Customer punya waktu 10 menit per langkah sebelum flow kedaluwarsa
+const ORDER_SESSION_TIMEOUT = 10 * 60;
+
+class OrderFlow {
+    constructor() {
+        this.cancelWords = ['batal', 'cancel', 'stop', 'gak jadi', 'ga jadi', 'tidak jadi'];
+        this.confirmWords = ['ya', 'iya', 'yes', 'ok', 'oke', 'lanjut', 'gas', 'benar'];
+        this.statusCommands = ['cek order', 'status order', 'order saya', 'cek pesanan'];
+        // "voucher HEMAT10" / "kode HEMAT10" di langkah konfirmasi
+        this.voucherPattern = /^(?:pakai |pake )?(?:kode )?(?:voucher|promo|kode)\s+([a-z0-9_-]+)$/i;
+        this.removeVoucherWords = ['hapus voucher', 'batal voucher', 'tanpa voucher'];
+    }
+
+    /**
+     * ROUTING HELPERS
+     */
+    isActive(remoteJid) {
+        const session = getSession(remoteJid);
+        return !!(session && typeof session.action === 'string' && session.action.startsWith('order:'));
+    }
+
+    async isOrderTrigger(input) {
+        const lower = input.toLowerCase().trim();
+
+        if (this.statusCommands.some(cmd => lower.startsWith(cmd))) {
+            return true;
+        }
+
+        const match = lower.match(/^(?:mau |pengen |ingin |aku mau |saya mau )?(order|beli|pesan|checkout)\b(.*)$/);
+        if (!match) return false;
+
+        // "order"/"checkout" selalu memulai flow; "beli"/"pesan" harus menyebut produk
+        if (match[1] === 'order' || match[1] === 'checkout') return true;
+
+        const products = await productCatalog.findProductsInText(match[2]);
+        return products.length > 0;
+    }
+
+    /**
+     * MAIN HANDLER - return teks balasan
+     */
+    async handle(input, sender, remoteJid, pushName) {
+        const lower = input.toLowerCase().trim();
+        const customer = sender.split('@')[0];
+
+        if (this.statusCommands.some(cmd => lower.startsWith(cmd))) {
+            return await this.showCustomerOrders(customer);
+        }
+
+        const session = getSession(remoteJid);
+        const active = this.isActive(remoteJid);
+        // Diskon tier member customer ini (null = harga normal)
+        const pricing = await loyaltyManager.getPricing(customer);
+
+        if (active && this.cancelWords.includes(lower)) {
+            resetSession(remoteJid);
+            return "Oke Kak, order dibatalkan. Kalau mau order lagi tinggal ketik *order* ya 😊";
+        }
+
+        if (!active) {
+            return await this.start(input, remoteJid, pricing);
+        }
+
+        switch (session.action) {
+            case ORDER_ACTIONS.PICK_PRODUCT:
+                return await this.handleProductStep(input, remoteJid, pricing);
+            case ORDER_ACTIONS.PICK_PACKAGE:
+                return await this.handlePackageStep(input, remoteJid, session, pricing);
+            case ORDER_ACTIONS.CONFIRM:
+                return await this.handleConfirmStep(lower, sender, remoteJid, pushName, session, pricing);
+            default:
+                resetSession(remoteJid);
+                return await this.start(input, remoteJid, pricing);
+        }
+    }
+
+    async start(input, remoteJid, pricing = null) {
+        const [product] = await productCatalog.findProductsInText(input);
+        if (product) {
+            return this.askPackage(product, remoteJid, pricing);
+        }
+        return await this.askProduct(remoteJid);
+    }
+
+    /**
+     * STEP 1: PILIH PRODUK
+     */
+    async askProduct(remoteJid) {
+        const products = (await productCatalog.getProducts())
+            .filter(product => productCatalog.getStartingPrice(product) !== null);
+
+        updateSession(remoteJid, ORDER_ACTIONS.PICK_PRODUCT, {
+            productIds: products.map(product => product.id)
+        }, ORDER_SESSION_TIMEOUT);
+
+        const list = products
+            .map((product, index) => `${index + 1}. ${product.name} (mulai ${productCatalog.formatPrice(productCatalog.getStartingPrice(product))})`)
+            .join('\n');
+
+        return `🛒 *ORDER VYLOZZONE*\n\n` +
+               `Mau order produk apa, Kak?\n\n${list}\n\n` +
+               `Balas dengan *nomor* atau *nama produk*. Ketik *batal* untuk membatalkan.`;
+    }
+
+    async handleProductStep(input, remoteJid, pricing = null) {
+        const session = getSession(remoteJid);
+        const productIds = (session.data && session.data.productIds) || [];
+        const choice = this.parseChoice(input);
+
+        let product = null;
+        if (!isNaN(choice) && choice >= 1 && choice <= productIds.length) {
+            product = await productCatalog.getProduct(productIds[choice - 1]);
+        } else {
+            [product] = await productCatalog.findProductsInText(input);
+        }
+
+        if (!product) {
+            return `Produk belum ketemu nih, Kak 🙏\nBalas dengan nomor 1-${productIds.length} atau nama produknya ya. Ketik *batal* untuk membatalkan.`;
+        }
+
+        return this.askPackage(product, remoteJid, pricing);
+    }
+
+    /**
+     * STEP 2: PILIH PAKET
+     */
+    askPackage(product, remoteJid, pricing = null) {
+        const packages = productCatalog.getPackages(product).filter(pkg => pkg.available);
+
+        if (packages.length === 0) {
+            resetSession(remoteJid);
+            return `Maaf Kak, semua paket ${product.name} sedang kosong 🙏\nCoba produk lain atau chat admin untuk info restock ya.`;
+        }
+
+        updateSession(remoteJid, ORDER_ACTIONS.PICK_PACKAGE, {
+            productId: product.id,
+            packageCodes: packages.map(pkg => pkg.code)
+        }, ORDER_SESSION_TIMEOUT);
+
+        const list = packages.map((pkg, index) => {
+            const garansi = pkg.warrantyDays ? `garansi ${productCatalog.formatWarranty(pkg.warrantyDays)}` : 'no garansi';
+            return `${index + 1}. ${pkg.variantName} - ${pkg.label} : ${productCatalog.formatPriceFor(pkg.price, pricing)} (${garansi})`;
+        }).join('\n');
+
+        const memberNote = pricing ? `💎 Harga sudah termasuk diskon member ${pricing.tierName} ${pricing.discountPercent}%\n\n` : '';
+        return `📦 *PAKET ${product.name.toUpperCase()}*\n\n${list}\n\n${memberNote}` +
+               `Pilih paket dengan balas *nomornya* ya, Kak. Ketik *batal* untuk membatalkan.`;
+    }
+
+    async handlePackageStep(input, remoteJid, session, pricing = null) {
+        const packageCodes = (session.data && session.data.packageCodes) || [];
+        const choice = this.parseChoice(input);
+
+        if (isNaN(choice) || choice < 1 || choice > packageCodes.length) {
+            // Customer bisa ganti produk di tengah jalan
+            const [product] = await productCatalog.findProductsInText(input);
+            if (product && product.id !== session.data.productId) {
+                return this.askPackage(product, remoteJid, pricing);
+            }
+            return `Balas dengan nomor paket 1-${packageCodes.length} ya, Kak. Ketik *batal* untuk membatalkan.`;
+        }
+
+        const pkg = await productCatalog.findPackage(packageCodes[choice - 1]);
+        if (!pkg || !pkg.available) {
+            resetSession(remoteJid);
+            return "Maaf Kak, paket ini baru saja berubah/kosong. Ketik *order* untuk lihat paket terbaru ya 🙏";
+        }
+
+        updateSession(remoteJid, ORDER_ACTIONS.CONFIRM, { packageCode: pkg.code, voucherCode: null }, ORDER_SESSION_TIMEOUT);
+
+        return this.formatConfirmation(pkg, pricing);
+    }
+
+    formatConfirmation(pkg, pricing, voucher = null) {
+        let price = `💰 Harga: ${productCatalog.formatPriceFor(pkg.price, pricing)}\n`;
+        if (voucher) {
+            price = `💰 Harga: ~${productCatalog.formatPrice(pkg.price)}~ *${productCatalog.formatPrice(voucher.price)}*\n` +
+                    `🎟️ Voucher ${voucher.code}: -${productCatalog.formatPrice(voucher.discount)}` +
+                    (voucher.pricing ? ` (setelah diskon member ${voucher.pricing.tierName} ${voucher.pricing.discountPercent}%)` : '') + '\n' +
+                    (voucher.memberDropped ? `_Voucher ini tidak digabung dengan diskon member, dipakai potongan voucher._\n` : '');
+        }
+
+        return `📋 *KONFIRMASI ORDER*\n\n` +
+               `📱 Produk: ${pkg.productName}\n` +
+               `📦 Paket: ${pkg.variantName} - ${pkg.label}\n` +
+               `🛡️ Garansi: ${pkg.warrantyDays ? productCatalog.formatWarranty(pkg.warrantyDays) : 'No Garansi'}\n` +
+               `${price}\n` +
+               (voucher
+                   ? `Ketik *hapus voucher* untuk batal pakai voucher.\n`
+                   : `🎟️ Punya kode voucher? Balas *voucher KODE*.\n`) +
+               `Sudah benar, Kak? Balas *ya* untuk lanjut ke pembayaran atau *batal* untuk membatalkan.`;
+    }
+
+    /**
+     * VOUCHER DI LANGKAH KONFIRMASI (dicek dulu, kuota baru dipakai saat order dibuat)
+     */
+    async handleVoucherInput(lower, customer, remoteJid, session, pricing) {
+        const pkg = await productCatalog.findPackage(session.data.packageCode);
+        if (!pkg || !pkg.available) {
+            resetSession(remoteJid);
+            return "Maaf Kak, paket ini baru saja berubah/kosong. Ketik *order* untuk lihat paket terbaru ya 🙏";
+        }
+
+        if (this.removeVoucherWords.includes(lower)) {
+            updateSession(remoteJid, ORDER_ACTIONS.CONFIRM, { voucherCode: null }, ORDER_SESSION_TIMEOUT);
+            return this.formatConfirmation(pkg, pricing);
+        }
+
+        const [, code] = lower.match(this.voucherPattern);
+        const voucher = await voucherManager.quote(code, { customer, pkg, pricing });
+        if (!voucher.success) {
+            return `❌ ${voucher.message}\n\nBalas *ya* untuk lanjut tanpa voucher, coba kode lain, atau *batal* untuk membatalkan.`;
+        }
+
+        updateSession(remoteJid, ORDER_ACTIONS.CONFIRM, { voucherCode: voucher.code }, ORDER_SESSION_TIMEOUT);
+        return `✅ Voucher *${voucher.code}* dipakai (${voucher.description}).\n\n${this.formatConfirmation(pkg, pricing, voucher)}`;
+    }
+
+    /**
+     * STEP 3: KONFIRMASI -> BUAT ORDER + INSTRUKSI BAYAR
+     */
+    async handleConfirmStep(lower, sender, remoteJid, pushName, session, pricing = null) {
+        const customer = sender.split('@')[0];
+
+        if (this.voucherPattern.test(lower) || this.removeVoucherWords.includes(lower)) {
+            return await this.handleVoucherInput(lower, customer, remoteJid, session, pricing);
+        }
+
+        if (!this.confirmWords.includes(lower)) {
+            return "Balas *ya* untuk konfirmasi order, *voucher KODE* untuk pakai voucher, atau *batal* untuk membatalkan ya, Kak.";
+        }
+
+        const pkg = await productCatalog.findPackage(session.data.packageCode);
+        if (!pkg || !pkg.available) {
+            resetSession(remoteJid);
+            return "Maaf Kak, paket ini baru saja berubah/kosong. Ketik *order* untuk lihat paket terbaru ya 🙏";
+        }
+
+        // Kuota voucher dicek ulang dan dipakai sekarang (bisa habis sejak kode dimasukkan)
+        let voucher = null;
+        if (session.data.voucherCode) {
+            voucher = await voucherManager.redeem(session.data.voucherCode, { customer, pkg, pricing });
+            if (!voucher.success) {
+                updateSession(remoteJid, ORDER_ACTIONS.CONFIRM, { voucherCode: null }, ORDER_SESSION_TIMEOUT);
+                return `❌ ${voucher.message}\n\n${this.formatConfirmation(pkg, pricing)}`;
+            }
+        }
+        resetSession(remoteJid);
+
+        let order;
+        try {
+            order = await orderManager.createOrder({
+                customer: customer,
+                remoteJid: remoteJid,
+                customerName: pushName,
+                pkg: pkg,
+                pricing: pricing,
+                voucher: voucher
+            });
+        } catch (error) {
+            // Order tidak jadi dibuat: kuota voucher yang sudah dicatat dikembalikan
+            if (voucher) {
+                await voucherManager.releaseRedemption(voucher.code, voucher.redemptionId)
+                    .catch(releaseError => console.error('Error releasing voucher:', releaseError.message));
+            }
+            throw error;
+        }
+
+        if (voucher) {
+            await voucherManager.linkOrder(voucher.code, voucher.redemptionId, order.id);
+            // Di-require di sini: analyticsManager ikut memuat responseRouter (yang memuat flow ini)
+            const { analyticsManager } = require('./analyticsManager');
+            analyticsManager.trackVoucherRedemption({ code: voucher.code, discount: voucher.discount });
+        }
+
+        return `✅ *ORDER BERHASIL DIBUAT!*\n\n` +
+               `${orderManager.formatOrderSummary(order)}\n\n` +
+               `${orderManager.getPaymentInstructions(order)}`;
+    }
+
+    parseChoice(input) {
+        const trimmed = input.trim();
+        return /^\d+$/.test(trimmed) ? parseInt(trimmed, 10) : NaN;
+    }
+
+    /**
+     * STATUS ORDER CUSTOMER
+     */
+    async showCustomerOrders(customer) {
+        const orders = (await orderManager.getOrdersByCustomer(customer)).slice(-5).reverse();
+
+        if (orders.length === 0) {
+            return "Kakak belum punya order. Ketik *order* untuk mulai order ya 😊";
+        }
+
+        const list = orders.map(order =>
+            `• *${order.id}* - ${order.productName} ${order.label} (${orderManager.formatPrice(order.price)})\n  ${STATUS_LABELS[order.status] || order.status}`
+        ).join('\n');
+
+        return `🧾 *ORDER KAKAK*\n\n${list}\n\nSebutkan nomor order kalau butuh bantuan admin ya 😊`;
+    }
+}
+
+// Create singleton
+const orderFlow = new OrderFlow();
+
+module.exports = { OrderFlow, orderFlow, ORDER_ACTIONS };
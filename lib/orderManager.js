@@ -0,0 +1,516 @@
+/**
+ * ORDER MANAGER
+ * Penyimpanan dan lifecycle order customer (data/orders.json)
+ *
+ * Setiap order punya ID (ORD-YYMMDD-NNN) yang ikut tercatat di transaksi
+ * buyers.json saat admin memenuhi order, jadi "nomor order" di SOP bisa dilacak.
+ */
+
+const { loadJson, updateJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { ledgerManager, ENTRY_TYPES } = require('./ledgerManager');
+const { loyaltyManager } = require('./loyaltyManager');
+const { productCatalog } = require('./productCatalog');
+const { voucherManager } = require('./voucherManager');
+const { outbox } = require('./outbox');
+const stockManager = require('./stockManager');
+const config = require('../config');
+
+const ORDERS_FILE = 'orders.json';
+
+// Klaim pengiriman (FULFILLING) yang tidak selesai sekian menit dianggap terhenti (proses crash dll)
+const FULFILLING_TIMEOUT_MINUTES = 15;
+
+const ORDER_STATUS = {
+    PENDING_PAYMENT: 'PENDING_PAYMENT',
+    AWAITING_VERIFICATION: 'AWAITING_VERIFICATION',
+    FULFILLING: 'FULFILLING',
+    FULFILLED: 'FULFILLED',
+    CANCELLED: 'CANCELLED'
+};
+
+const STATUS_LABELS = {
+    PENDING_PAYMENT: 'Menunggu pembayaran',
+    AWAITING_VERIFICATION: 'Menunggu verifikasi pembayaran',
+    FULFILLING: 'Sedang diproses admin',
+    FULFILLED: 'Selesai',
+    CANCELLED: 'Dibatalkan'
+};
+
+class OrderManager {
+    constructor() {
+        this.timer = null;
+        this.checkInterval = 10 * 60 * 1000;
+    }
+
+    /**
+     * DATA ACCESS
+     */
+    async getOrders() {
+        const orders = await loadJson(ORDERS_FILE);
+        return Array.isArray(orders) ? orders : [];
+    }
+
+    async getOrder(orderId) {
+        if (!orderId || typeof orderId !== 'string') return null;
+
+        const orders = await this.getOrders();
+        return orders.find(order => order.id === orderId.trim().toUpperCase()) || null;
+    }
+
+    async getOrdersByCustomer(customer) {
+        const orders = await this.getOrders();
+        return orders.filter(order => order.customer === customer);
+    }
+
+    async getOrdersByStatus(status) {
+        const orders = await this.getOrders();
+        return orders.filter(order => order.status === status);
+    }
+
+    /**
+     * Order milik customer yang sedang menunggu pembayaran. Kalau teks menyebut
+     * nomor order, pakai itu; kalau nominal transfer sama dengan total salah satu
+     * order, pakai order itu; kalau tidak, ambil order pending terbaru.
+     */
+    async findPayableOrder(customer, text = '', amount = null) {
+        const orders = (await this.getOrdersByCustomer(customer))
+            .filter(order => order.status === ORDER_STATUS.PENDING_PAYMENT ||
+                             order.status === ORDER_STATUS.AWAITING_VERIFICATION);
+
+        const mentioned = (text || '').toUpperCase().match(/ORD-\d{6}-\d{3,}/);
+        if (mentioned) {
+            return orders.find(order => order.id === mentioned[0]) || null;
+        }
+
+        // Nominal bukti transfer (OCR) sama dengan total order: pilih order itu
+        const sameAmount = amount ? orders.filter(order => order.price === amount) : [];
+        if (sameAmount.length > 0) {
+            return sameAmount[sameAmount.length - 1];
+        }
+        return orders.length > 0 ? orders[orders.length - 1] : null;
+    }
+
+    generateOrderId(orders) {
+        const now = new Date();
+        const datePart = now.toISOString().slice(2, 10).replace(/-/g, '');
+        const prefix = `ORD-${datePart}-`;
+
+        const todaySequence = orders
+            .filter(order => order.id && order.id.startsWith(prefix))
+            .map(order => parseInt(order.id.slice(prefix.length), 10) || 0);
+        const next = (todaySequence.length > 0 ? Math.max(...todaySequence) : 0) + 1;
+
+        return prefix + String(next).padStart(3, '0');
+    }
+
+    /**
+     * LIFECYCLE
+     */
+    /**
+     * pricing: diskon tier member dari loyaltyManager.getPricing (null = harga normal)
+     * voucher: hasil voucherManager.redeem (harga akhir + diskon member yang tetap dipakai)
+     */
+    async createOrder({ customer, remoteJid, customerName, pkg, pricing = null, voucher = null }) {
+        const now = new Date().toISOString();
+        if (voucher) pricing = voucher.pricing;
+        const price = voucher ? voucher.price : productCatalog.applyDiscount(pkg.price, pricing);
+
+        // Nomor urut dihitung di dalam transaksi supaya dua order bersamaan tidak dapat ID sama
+        const order = await updateJson(ORDERS_FILE, (orders, tx) => {
+            if (!Array.isArray(orders)) tx.data = orders = [];
+            const created = {
+                id: this.generateOrderId(orders),
+                customer: customer,
+                remoteJid: remoteJid,
+                customerName: customerName || customer,
+                productId: pkg.productId,
+                productName: pkg.productName,
+                variantId: pkg.variantId,
+                variantName: pkg.variantName,
+                packageCode: pkg.code,
+                label: pkg.label,
+                days: pkg.days,
+                price: price,
+                ...(price !== pkg.price ? { originalPrice: pkg.price } : {}),
+                ...(pricing && pricing.discountPercent ? {
+                    discount: { tier: pricing.tierName, percent: pricing.discountPercent }
+                } : {}),
+                ...(voucher ? { voucher: { code: voucher.code, amount: voucher.discount } } : {}),
+                warrantyDays: pkg.warrantyDays,
+                status: ORDER_STATUS.PENDING_PAYMENT,
+                createdAt: now,
+                updatedAt: now,
+                history: [{ status: ORDER_STATUS.PENDING_PAYMENT, at: now, by: customer }]
+            };
+            orders.push(created);
+            return created;
+        });
+
+        console.log(`🧾 Order ${order.id} dibuat untuk ${customer} (${pkg.code})`);
+        return order;
+    }
+
+    /**
+     * Pindah status secara compare-and-set: status sekarang dicek ulang di dalam
+     * transaksi tulis, jadi dua perintah bersamaan (atau perintah yang terkirim dua kali)
+     * tidak bisa sama-sama lolos. from = daftar status asal yang boleh (null = apa pun),
+     * apply(order) untuk mengubah field lain berdasarkan data terbaru.
+     */
+    async transition(orderId, { from = null, to, actor, note = '', apply = null }) {
+        return updateJson(ORDERS_FILE, orders => {
+            const order = Array.isArray(orders) && orders.find(o => o.id === String(orderId).trim().toUpperCase());
+            if (!order) {
+                return { success: false, order: null, message: `Order ${orderId} tidak ditemukan.` };
+            }
+            if (from && !from.includes(order.status)) {
+                return {
+                    success: false,
+                    order,
+                    message: `Order ${order.id} ${order.status === ORDER_STATUS.FULFILLING ? '' : 'sudah '}` +
+                             `${(STATUS_LABELS[order.status] || order.status).toLowerCase()}.`
+                };
+            }
+
+            const now = new Date().toISOString();
+            if (apply) apply(order);
+            order.status = to;
+            order.updatedAt = now;
+            order.history = order.history || [];
+            order.history.push({ status: to, at: now, by: actor, ...(note ? { note } : {}) });
+            return { success: true, order };
+        });
+    }
+
+    async updateStatus(orderId, status, actor, note = '', extra = {}) {
+        const result = await this.transition(orderId, {
+            to: status, actor, note, apply: order => Object.assign(order, extra)
+        });
+        return result.order;
+    }
+
+    async cancelOrder(orderId, actor, reason = '') {
+        const result = await this.transition(orderId, {
+            from: [ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.AWAITING_VERIFICATION],
+            to: ORDER_STATUS.CANCELLED,
+            actor,
+            note: reason
+        });
+        if (!result.success) return null;
+
+        // Kuota voucher yang dipakai order ini bisa dipakai lagi
+        const cancelled = result.order;
+        if (cancelled.voucher) {
+            const released = await voucherManager.release(cancelled.voucher.code, cancelled.id)
+                .catch(error => console.error('Error releasing voucher:', error.message));
+            if (released) {
+                // Di-require di sini: analyticsManager ikut memuat responseRouter -> orderFlow (yang memuat manager ini)
+                const { analyticsManager } = require('./analyticsManager');
+                analyticsManager.untrackVoucherRedemption({ code: cancelled.voucher.code, discount: released.discount, at: released.at });
+            }
+        }
+        return cancelled;
+    }
+
+    /**
+     * TIMEOUT PEMBAYARAN & PENGIRIMAN (proses bot)
+     * Order yang tidak dibayar dalam order_payment_timeout_hours dibatalkan, jadi kuota
+     * voucher-nya kembali. Dihitung dari perubahan status terakhir (bukti ditolak = mulai lagi).
+     * Klaim pengiriman yang terhenti dilepas releaseStaleFulfillments.
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.expireUnpaid().catch(error => console.error('Error expiring unpaid orders:', error));
+            this.releaseStaleFulfillments().catch(error => console.error('Error releasing stale fulfillments:', error));
+        }, this.checkInterval);
+    }
+
+    async expireUnpaid() {
+        const timeoutMs = config.order_payment_timeout_hours * 60 * 60 * 1000;
+        const limit = Date.now() - timeoutMs;
+        const unpaid = (await this.getOrdersByStatus(ORDER_STATUS.PENDING_PAYMENT))
+            .filter(order => new Date(order.updatedAt || order.createdAt).getTime() < limit);
+
+        let expired = 0;
+        for (const order of unpaid) {
+            const cancelled = await this.cancelOrder(order.id, 'system',
+                `Tidak dibayar dalam ${config.order_payment_timeout_hours} jam`);
+            if (!cancelled) continue;
+
+            expired++;
+            await outbox.enqueue(cancelled.remoteJid || cancelled.customer,
+                `⌛ Order *${cancelled.id}* (${cancelled.label}) dibatalkan otomatis karena belum dibayar ` +
+                `dalam ${config.order_payment_timeout_hours} jam.\n\nKetik *order* kalau masih mau pesan lagi ya, Kak 🙏`,
+                { order: cancelled.id, status: ORDER_STATUS.CANCELLED });
+            console.log(`⌛ Order ${cancelled.id} dibatalkan otomatis (belum dibayar)`);
+        }
+
+        // Pemakaian voucher yang order-nya tidak pernah tercatat ikut dilepas
+        await voucherManager.releaseOrphans(timeoutMs);
+        return expired;
+    }
+
+    /**
+     * VERIFIKASI PEMBAYARAN
+     * Bukti yang datang setelah order selesai/dibatalkan tidak mengubah status lagi (return null)
+     */
+    async attachPaymentProof(orderId, proof) {
+        const order = await this.getOrder(orderId);
+        if (!order) return null;
+
+        const result = await this.transition(order.id, {
+            from: [ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.AWAITING_VERIFICATION],
+            to: ORDER_STATUS.AWAITING_VERIFICATION,
+            actor: order.customer,
+            note: 'Bukti transfer diterima',
+            apply: order => {
+                order.paymentProofs = [...(order.paymentProofs || []), { ...proof, receivedAt: new Date().toISOString() }];
+            }
+        });
+        return result.success ? result.order : null;
+    }
+
+    /**
+     * Bukti ditolak: order kembali ke PENDING_PAYMENT supaya customer bisa kirim ulang
+     */
+    async rejectPayment(orderId, actor, reason) {
+        const result = await this.transition(orderId, {
+            from: [ORDER_STATUS.AWAITING_VERIFICATION],
+            to: ORDER_STATUS.PENDING_PAYMENT,
+            actor,
+            note: `Bukti ditolak: ${reason}`,
+            apply: order => {
+                order.lastRejection = { reason, by: actor, at: new Date().toISOString() };
+            }
+        });
+        return result.success ? result.order : null;
+    }
+
+    /**
+     * FULFILMENT
+     * Order diklaim dulu (FULFILLING) sebelum slot stock diambil. Approve/fulfill kedua
+     * untuk order yang sama gagal di klaim ini, jadi tidak ada slot, entry ledger atau
+     * transaksi buyers ganda.
+     */
+    async claimForFulfillment(orderId, actor, from = [ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.AWAITING_VERIFICATION]) {
+        return this.transition(orderId, {
+            from,
+            to: ORDER_STATUS.FULFILLING,
+            actor,
+            apply: order => {
+                order.fulfillingFrom = order.status;
+                order.fulfillingAt = new Date().toISOString();
+            }
+        });
+    }
+
+    // Pengiriman gagal: order kembali ke status sebelum diklaim
+    async releaseFulfillment(orderId, actor, reason = '') {
+        const order = await this.getOrder(orderId);
+        if (!order || order.status !== ORDER_STATUS.FULFILLING) return null;
+
+        const result = await this.transition(order.id, {
+            from: [ORDER_STATUS.FULFILLING],
+            to: order.fulfillingFrom || ORDER_STATUS.AWAITING_VERIFICATION,
+            actor,
+            note: reason,
+            apply: current => {
+                delete current.fulfillingFrom;
+                delete current.fulfillingAt;
+            }
+        });
+        return result.success ? result.order : null;
+    }
+
+    /**
+     * Klaim yang terhenti (proses mati di tengah pengiriman, atau releaseFulfillment gagal):
+     * slot yang masih direservasi dikembalikan ke stock dan order kembali ke status asalnya,
+     * jadi bisa di-approve ulang, dibatalkan, atau kedaluwarsa seperti biasa.
+     */
+    async releaseStaleFulfillments() {
+        const limit = Date.now() - FULFILLING_TIMEOUT_MINUTES * 60 * 1000;
+        const stale = (await this.getOrdersByStatus(ORDER_STATUS.FULFILLING))
+            .filter(order => new Date(order.fulfillingAt || order.updatedAt).getTime() < limit);
+
+        let released = 0;
+        for (const order of stale) {
+            const restored = await this.releaseFulfillment(order.id, 'system',
+                `Pengiriman tidak selesai dalam ${FULFILLING_TIMEOUT_MINUTES} menit`);
+            if (!restored) continue;
+
+            await stockManager.releaseReservedForOrder(order.id);
+            released++;
+            console.log(`🔓 Order ${order.id} dilepas dari proses pengiriman yang terhenti (kembali ke ${restored.status})`);
+        }
+        return released;
+    }
+
+    /**
+     * Catat transaksi di buyers.json lengkap dengan orderId. Order harus sudah
+     * diklaim lewat claimForFulfillment.
+     */
+    async fulfillOrder(orderId, { email, invite = '-', notes = '', actor, credential = null }) {
+        const order = await this.getOrder(orderId);
+        if (!order) {
+            return { success: false, message: `Order ${orderId} tidak ditemukan.` };
+        }
+        if (order.status !== ORDER_STATUS.FULFILLING) {
+            return { success: false, message: `Order ${order.id} sedang tidak diproses (${(STATUS_LABELS[order.status] || order.status).toLowerCase()}).` };
+        }
+
+        const dateGiven = new Date();
+        const exp = new Date(dateGiven.getTime() + order.days * 24 * 60 * 60 * 1000);
+
+        const transaksi = {
+            orderId: order.id,
+            apk: order.productId,
+            email: email,
+            durasi: `${order.days} hari`,
+            dateGiven: dateGiven.toISOString().split('T')[0],
+            exp: exp.toISOString().split('T')[0],
+            invite: invite,
+            type: 'sale',
+            notes: notes || `${order.variantName} ${order.label}`,
+            timestamp: dateGiven.toISOString()
+        };
+
+        // Slot inventory yang dikirim (lihat stockManager)
+        if (credential) {
+            transaksi.stockId = credential.stockId;
+            transaksi.slot = credential.slot;
+        }
+
+        // Nominal, metode bayar (dari bukti transfer) dan modal slot untuk laporan omzet
+        transaksi.amount = order.price || 0;
+        transaksi.paymentMethod = this.getPaymentMethod(order);
+        transaksi.cost = credential ? credential.cost || 0 : 0;
+
+        // Status dipindah dulu (compare-and-set): kalau gagal, belum ada ledger / buyers yang tercatat
+        const result = await this.transition(order.id, {
+            from: [ORDER_STATUS.FULFILLING],
+            to: ORDER_STATUS.FULFILLED,
+            actor,
+            apply: current => {
+                current.fulfilledAt = transaksi.timestamp;
+                delete current.fulfillingFrom;
+                delete current.fulfillingAt;
+            }
+        });
+        if (!result.success) return result;
+
+        const entry = await ledgerManager.record({
+            type: ENTRY_TYPES.SALE,
+            amount: transaksi.amount,
+            cost: transaksi.cost,
+            paymentMethod: transaksi.paymentMethod,
+            orderId: order.id,
+            buyer: order.customerName,
+            customer: order.customer,
+            productId: order.productId,
+            item: transaksi.notes,
+            stockId: transaksi.stockId || null,
+            by: actor
+        }).catch(error => {
+            // Akun tetap dikirim, entry ledger bisa dicatat manual dari form buyers
+            console.error('Error recording sale in ledger:', error.message);
+            return null;
+        });
+        if (entry) transaksi.ledgerId = entry.id;
+
+        // Order sudah selesai: gagal mencatat buyers tidak membatalkan pengiriman, admin diberi tahu
+        const recordError = await this.recordBuyerTransaction(order, transaksi)
+            .then(() => null, error => {
+                console.error(`Error recording buyer transaction for ${order.id}:`, error.message);
+                return error.message;
+            });
+
+        return { success: true, order: result.order, transaksi, recordError };
+    }
+
+    getPaymentMethod(order) {
+        const proofText = (order.paymentProofs || [])
+            .map(proof => [proof.caption, proof.ocr && proof.ocr.text].filter(Boolean).join(' '))
+            .join(' ');
+        return ledgerManager.detectPaymentMethod(proofText);
+    }
+
+    async recordBuyerTransaction(order, transaksi) {
+        const buyers = storage.collection('buyers.json');
+        await buyers.mutate(buyersData => {
+            // Cari buyer lewat nomor WhatsApp dulu, baru nama
+            let buyer = buyersData.find(b => b.whatsapp === order.customer) ||
+                        buyersData.find(b => b.user === order.customerName);
+
+            if (!buyer) {
+                buyer = {
+                    id: buyers.nextId(),
+                    user: order.customerName,
+                    whatsapp: order.customer,
+                    isRoyal: false,
+                    joinDate: transaksi.dateGiven,
+                    totalTransactions: 0,
+                    statistik: {},
+                    data: []
+                };
+                buyersData.push(buyer);
+            }
+
+            buyer.whatsapp = buyer.whatsapp || order.customer;
+            buyer.data = buyer.data || [];
+            buyer.data.push(transaksi);
+            buyer.totalTransactions = buyer.data.length;
+
+            // Update statistik
+            buyer.statistik = buyer.statistik || {};
+            if (!buyer.statistik[transaksi.apk]) {
+                buyer.statistik[transaksi.apk] = { total: 0, rincian: {} };
+            }
+            buyer.statistik[transaksi.apk].total += 1;
+            buyer.statistik[transaksi.apk].rincian[transaksi.durasi] =
+                (buyer.statistik[transaksi.apk].rincian[transaksi.durasi] || 0) + 1;
+        });
+
+        // Poin dari transaksi baru bisa menaikkan tier buyer
+        await loyaltyManager.refreshBuyer({ whatsapp: order.customer, user: order.customerName });
+    }
+
+    /**
+     * FORMATTING
+     */
+    formatPrice(price) {
+        return `Rp ${Number(price).toLocaleString('id-ID')}`;
+    }
+
+    formatOrderSummary(order) {
+        return `🧾 *Order ${order.id}*\n` +
+               `📱 Produk: ${order.productName}\n` +
+               `📦 Paket: ${order.variantName} - ${order.label}\n` +
+               `🛡️ Garansi: ${order.warrantyDays ? `${order.warrantyDays} hari` : 'No Garansi'}\n` +
+               (order.originalPrice
+                   ? `💰 Total: ~${this.formatPrice(order.originalPrice)}~ *${this.formatPrice(order.price)}* (${this.formatDiscounts(order)})\n`
+                   : `💰 Total: ${this.formatPrice(order.price)}\n`) +
+               `📌 Status: ${STATUS_LABELS[order.status] || order.status}`;
+    }
+
+    formatDiscounts(order) {
+        return [
+            order.discount ? `diskon ${order.discount.tier} ${order.discount.percent}%` : null,
+            order.voucher ? `voucher ${order.voucher.code} -${this.formatPrice(order.voucher.amount)}` : null
+        ].filter(Boolean).join(', ');
+    }
+
+    getPaymentInstructions(order) {
+        const methods = config.payment_methods.map(method => `• ${method}`).join('\n');
+
+        return `💳 *CARA PEMBAYARAN*\n` +
+               `Transfer *${this.formatPrice(order.price)}* ke salah satu:\n${methods}\n\n` +
+               `Setelah transfer, kirim screenshot bukti transfer di chat ini dengan menyebut nomor order *${order.id}* ya, Kak.\n` +
+               `Butuh bantuan? Chat admin di wa.me/${config.admin_contact}`;
+    }
+}
+
+// Create singleton
+const orderManager = new OrderManager();
+
+module.exports = { OrderManager, orderManager, ORDER_STATUS, STATUS_LABELS };
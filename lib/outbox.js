@@ -0,0 +1,113 @@
+/**
+ * OUTBOX
+ * Antrian pesan WhatsApp ke customer (data/outbox.json)
+ *
+ * Panel web jalan di proses terpisah dan tidak punya koneksi WhatsApp, jadi
+ * pesan dari panel (mis. update status klaim) dititipkan di sini lalu
+ * dikirim oleh bot setiap beberapa detik. Di RUN_MODE=single lib/botBridge
+ * mengirim langsung dan hanya memakai outbox kalau bot sedang tidak terhubung.
+ */
+
+const { loadJson, updateJson } = require('./dataLoader');
+
+const OUTBOX_FILE = 'outbox.json';
+const MAX_ATTEMPTS = 5;
+const KEEP_SENT = 200;
+
+class Outbox {
+    constructor() {
+        this.timer = null;
+        this.flushing = false;
+        this.flushInterval = 15 * 1000;
+    }
+
+    async load() {
+        const queue = await loadJson(OUTBOX_FILE);
+        return Array.isArray(queue) ? queue : [];
+    }
+
+    // Nomor (628xx / 08xx) atau JID lengkap -> JID
+    toJid(to) {
+        const value = String(to).trim();
+        if (value.includes('@')) return value;
+        const digits = value.replace(/\D/g, '');
+        return `${digits.startsWith('0') ? `62${digits.slice(1)}` : digits}@s.whatsapp.net`;
+    }
+
+    /**
+     * Titip pesan. `to` boleh nomor (628xx) atau JID lengkap.
+     */
+    async enqueue(to, text, meta = {}) {
+        if (!to || !text) return null;
+
+        const entry = {
+            id: `MSG-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            to: this.toJid(to),
+            text,
+            meta,
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+            sentAt: null
+        };
+
+        await updateJson(OUTBOX_FILE, (queue, tx) => {
+            tx.data = [...(Array.isArray(queue) ? queue : []), entry];
+        });
+        return entry;
+    }
+
+    /**
+     * Kirim semua pesan yang belum terkirim (dipanggil dari proses bot)
+     */
+    async flush(sock = global.sock) {
+        if (this.flushing || !sock || !sock.user) return 0;
+        this.flushing = true;
+
+        let sent = 0;
+        try {
+            const queue = await this.load();
+            const pending = queue.filter(entry => !entry.sentAt && entry.attempts < MAX_ATTEMPTS);
+            if (pending.length === 0) return 0;
+
+            for (const entry of pending) {
+                entry.attempts++;
+                try {
+                    await sock.sendMessage(entry.to, { text: entry.text });
+                    entry.sentAt = new Date().toISOString();
+                    delete entry.error;
+                    sent++;
+                } catch (error) {
+                    entry.error = error.message;
+                    console.warn(`Outbox: gagal kirim ${entry.id} ke ${entry.to}:`, error.message);
+                }
+            }
+
+            // Gabung hasil kirim ke isi terbaru: panel bisa menitip pesan baru selama kirim
+            const results = new Map(pending.map(entry => [entry.id, entry]));
+            await updateJson(OUTBOX_FILE, (current, tx) => {
+                const latest = (Array.isArray(current) ? current : []).map(entry => results.get(entry.id) || entry);
+
+                // Simpan yang belum terkirim + riwayat terkirim terakhir saja
+                const unsent = latest.filter(entry => !entry.sentAt);
+                const delivered = latest.filter(entry => entry.sentAt).slice(-KEEP_SENT);
+                tx.data = [...delivered, ...unsent];
+            });
+        } catch (error) {
+            console.error('Error flushing outbox:', error);
+        } finally {
+            this.flushing = false;
+        }
+
+        return sent;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.flush(), this.flushInterval);
+    }
+}
+
+// Create singleton
+const outbox = new Outbox();
+
+module.exports = { Outbox, outbox };
@@ -0,0 +1,103 @@
+/**
+ * PAYMENT VERIFICATION
+ * Bukti transfer (gambar) dari customer yang punya order pending:
+ * simpan bukti -> order AWAITING_VERIFICATION -> kabari owner & moderator
+ *
+ * Approve/reject dilakukan admin lewat command di interactiveAdminCommands.
+ * Nominal / nomor order hasil OCR (imageAnalyzer.detectText) dipakai mencocokkan order
+ * dan ditampilkan ke admin, keputusan tetap di admin.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { orderManager } = require('./orderManager');
+const { getAdminJids } = require('./moderatorManager');
+
+class PaymentVerification {
+    constructor() {
+        // uploads/ tidak ikut git, dan tidak dibersihkan seperti tmp/images
+        this.proofDir = path.join(process.cwd(), 'uploads', 'payment_proofs');
+    }
+
+    /**
+     * Return teks balasan untuk customer, atau null kalau gambar ini bukan
+     * untuk order manapun (diproses image handler seperti biasa)
+     */
+    async handlePaymentProof(sock, sender, remoteJid, pushName, imagePath, caption = '', reading = null) {
+        const customer = sender.split('@')[0];
+        const ocr = reading && reading.engine === 'tesseract'
+            ? { amount: reading.amount, orderId: reading.orderId, text: reading.text }
+            : null;
+        const order = await orderManager.findPayableOrder(
+            customer, [caption, ocr && ocr.orderId].filter(Boolean).join(' '), ocr ? ocr.amount : null
+        );
+        if (!order) return null;
+
+        const storedPath = await this.storeProof(order.id, imagePath);
+        const updated = await orderManager.attachPaymentProof(order.id, {
+            file: storedPath ? path.relative(process.cwd(), storedPath) : null,
+            caption: caption,
+            ocr: ocr
+        });
+
+        if (!updated) {
+            // Order keburu diproses admin di antara pencarian dan penyimpanan bukti
+            return `Order *${order.id}* sudah diproses admin, Kak. Cek status dengan ketik *cek order* ya 🙏`;
+        }
+
+        await this.notifyAdmins(sock, updated, storedPath, pushName, ocr);
+
+        return `✅ Bukti transfer untuk order *${updated.id}* sudah kami terima, Kak!\n\n` +
+               `${orderManager.formatOrderSummary(updated)}\n\n` +
+               `Admin akan cek pembayaran dulu ya. Akun langsung dikirim di chat ini setelah pembayaran terverifikasi 🙏`;
+    }
+
+    async storeProof(orderId, imagePath) {
+        try {
+            await fs.mkdir(this.proofDir, { recursive: true });
+            const target = path.join(this.proofDir, `${orderId}_${Date.now()}${path.extname(imagePath) || '.jpg'}`);
+            await fs.copyFile(imagePath, target);
+            return target;
+        } catch (error) {
+            console.error('Error storing payment proof:', error);
+            return null;
+        }
+    }
+
+    async notifyAdmins(sock, order, proofPath, pushName, ocr = null) {
+        const text = `💳 *BUKTI TRANSFER MASUK*\n\n` +
+                     `👤 ${pushName || order.customerName} (${order.customer})\n` +
+                     `${orderManager.formatOrderSummary(order)}\n` +
+                     `${this.describeAmount(order, ocr)}\n` +
+                     `Balas dengan:\n` +
+                     `• approve ${order.id} (akun dari stock)\n` +
+                     `• approve ${order.id} [email] [invite]\n` +
+                     `• reject ${order.id} [alasan]`;
+
+        for (const jid of await getAdminJids()) {
+            try {
+                if (proofPath) {
+                    await sock.sendMessage(jid, { image: { url: proofPath }, caption: text });
+                } else {
+                    await sock.sendMessage(jid, { text });
+                }
+            } catch (error) {
+                console.warn(`Gagal kirim notifikasi pembayaran ke ${jid}:`, error.message);
+            }
+        }
+    }
+
+    // Nominal terbaca OCR dibanding total order (cek cepat untuk admin)
+    describeAmount(order, ocr) {
+        if (!ocr || !ocr.amount) return '🔤 Nominal tidak terbaca, cek manual';
+        const amount = orderManager.formatPrice(ocr.amount);
+        return ocr.amount === order.price
+            ? `🔤 Nominal terbaca: ${amount} ✅ sesuai total`
+            : `🔤 Nominal terbaca: ${amount} ⚠️ berbeda dengan total order`;
+    }
+}
+
+// Create singleton
+const paymentVerification = new PaymentVerification();
+
+module.exports = { PaymentVerification, paymentVerification };
@@ -0,0 +1,448 @@
+/**
+ * PRODUCT CATALOG
+ * Sumber tunggal data produk: produk -> varian -> durasi -> harga
+ *
+ * Data disimpan di data/catalog.json (skema: data/catalog.schema.json) dan
+ * di-render ke format teks WhatsApp saat dibutuhkan, jadi harga cukup diubah
+ * sekali dan tidak perlu di-parse ulang dari teks.
+ */
+
+const { loadJson, updateJson } = require('./dataLoader');
+const catalogSchema = require('../data/catalog.schema.json');
+
+const CATALOG_FILE = 'catalog.json';
+
+// Garansi default per kategori (sesuai FAQ)
+const DEFAULT_WARRANTY_DAYS = {
+    streaming: 30,
+    aplikasi: 7
+};
+
+class ProductCatalog {
+    constructor() {
+        this.schema = catalogSchema;
+    }
+
+    /**
+     * DATA ACCESS
+     */
+    async getProducts() {
+        const data = await loadJson(CATALOG_FILE);
+        if (!Array.isArray(data)) {
+            console.warn('Catalog: catalog.json bukan array, diabaikan');
+            return [];
+        }
+        return data.filter(product => product && typeof product === 'object' && product.id);
+    }
+
+    async getProduct(nameOrId) {
+        if (!nameOrId || typeof nameOrId !== 'string') return null;
+
+        const key = nameOrId.toLowerCase().trim();
+        const products = await this.getProducts();
+
+        return products.find(product =>
+            this.getMatchTerms(product).includes(key)
+        ) || null;
+    }
+
+    /**
+     * Semua kata yang dianggap menyebut produk ini (id, nama, alias)
+     */
+    getMatchTerms(product) {
+        const terms = [product.id, product.name, ...(product.aliases || [])]
+            .filter(term => typeof term === 'string' && term.trim())
+            .map(term => term.toLowerCase().trim());
+
+        return [...new Set(terms)];
+    }
+
+    /**
+     * Cari produk yang disebut di dalam teks, urut sesuai posisi kemunculan.
+     * Term terpanjang dicocokkan dulu supaya "prime video" tidak ikut
+     * terbaca sebagai "vidio"/"video".
+     */
+    async findProductsInText(text) {
+        if (!text || typeof text !== 'string') return [];
+
+        const products = await this.getProducts();
+        const candidates = [];
+        for (const product of products) {
+            for (const term of this.getMatchTerms(product)) {
+                candidates.push({ term, product });
+            }
+        }
+        candidates.sort((a, b) => b.term.length - a.term.length);
+
+        let remaining = text.toLowerCase();
+        const found = [];
+
+        for (const { term, product } of candidates) {
+            const index = remaining.indexOf(term);
+            if (index === -1) continue;
+
+            remaining = remaining.slice(0, index) + ' '.repeat(term.length) + remaining.slice(index + term.length);
+            if (!found.some(entry => entry.product.id === product.id)) {
+                found.push({ index, product });
+            }
+        }
+
+        return found.sort((a, b) => a.index - b.index).map(entry => entry.product);
+    }
+
+    /**
+     * PACKAGES - daftar paket datar (varian x durasi) untuk quote/order
+     */
+    getPackages(product) {
+        if (!product || !Array.isArray(product.variants)) return [];
+
+        const packages = [];
+        for (const variant of product.variants) {
+            for (const duration of variant.durations || []) {
+                packages.push({
+                    code: `${product.id}/${variant.id}/${duration.days}`,
+                    productId: product.id,
+                    productName: product.name,
+                    variantId: variant.id,
+                    variantName: variant.name,
+                    type: variant.type,
+                    label: duration.label,
+                    days: duration.days,
+                    price: duration.price,
+                    originalPrice: duration.originalPrice || null,
+                    warrantyDays: this.getWarrantyDays(product, variant),
+                    deviceLimit: variant.deviceLimit || null,
+                    available: duration.available !== false
+                });
+            }
+        }
+        return packages;
+    }
+
+    async findPackage(code) {
+        if (!code || typeof code !== 'string') return null;
+
+        const [productId] = code.split('/');
+        const product = await this.getProduct(productId);
+        if (!product) return null;
+
+        return this.getPackages(product).find(pkg => pkg.code === code) || null;
+    }
+
+    getStartingPrice(product) {
+        const prices = this.getPackages(product)
+            .filter(pkg => pkg.available)
+            .map(pkg => pkg.price);
+
+        return prices.length > 0 ? Math.min(...prices) : null;
+    }
+
+    getWarrantyDays(product, variant = null) {
+        if (variant && Number.isInteger(variant.warrantyDays)) {
+            return variant.warrantyDays;
+        }
+        if (Number.isInteger(product.warrantyDays)) {
+            return product.warrantyDays;
+        }
+        return DEFAULT_WARRANTY_DAYS[product.category] || 0;
+    }
+
+    // Semua durasi kosong (ditandai manual atau oleh stockManager saat slot habis)
+    isVariantSoldOut(variant) {
+        const durations = variant.durations || [];
+        return durations.length > 0 && durations.every(duration => duration.available === false);
+    }
+
+    hasNoWarrantyOption(product) {
+        return (product.variants || []).some(variant => this.getWarrantyDays(product, variant) === 0);
+    }
+
+    /**
+     * FORMATTING
+     */
+    formatK(price) {
+        const thousands = Math.floor((price / 1000) * 10) / 10;
+        return String(thousands).replace('.', ',');
+    }
+
+    formatPrice(price) {
+        return `Rp ${this.formatK(price)} k`;
+    }
+
+    // Harga setelah diskon tier member (loyaltyManager.getPricing), dibulatkan ke bawah per Rp 100
+    applyDiscount(price, pricing) {
+        if (!pricing || !pricing.discountPercent) return price;
+        return Math.floor(price * (100 - pricing.discountPercent) / 100 / 100) * 100;
+    }
+
+    // "Rp 50 k" atau "~Rp 50 k~ Rp 45 k" kalau customer dapat diskon member
+    formatPriceFor(price, pricing) {
+        const discounted = this.applyDiscount(price, pricing);
+        return discounted === price ? this.formatPrice(price) : `~${this.formatPrice(price)}~ ${this.formatPrice(discounted)}`;
+    }
+
+    formatDuration(duration) {
+        const months = Math.round(duration.days / 30);
+        let line = `${duration.label} : `;
+
+        if (months >= 2) {
+            line += `${this.formatPrice(duration.price / months)}/Bulan (${this.formatK(duration.price)} k)`;
+        } else {
+            line += this.formatPrice(duration.price);
+        }
+
+        if (duration.available === false) {
+            line += ' (kosong)';
+        }
+        return line;
+    }
+
+    formatWarranty(days) {
+        if (!days) return 'No Garansi';
+        if (days % 30 === 0 && days >= 60) return `${days / 30} bulan`;
+        return `${days} hari`;
+    }
+
+    getVariantTag(product, variant) {
+        const days = this.getWarrantyDays(product, variant);
+        const hasOverride = Number.isInteger(variant.warrantyDays) && variant.warrantyDays !== product.warrantyDays;
+
+        if (days === 0) return 'NO GARANSI';
+        if (this.hasNoWarrantyOption(product)) return 'FULL GARANSI';
+        if (hasOverride) return `GARANSI ${this.formatWarranty(days).toUpperCase()}`;
+        return null;
+    }
+
+    /**
+     * RENDER - katalog terstruktur -> template teks WhatsApp
+     * pricing (opsional): diskon member, harga paket dicoret dan diganti harga member
+     */
+    renderProduct(product, pricing = null) {
+        if (!product) return '';
+
+        const blocks = [`*${product.title || product.name.toUpperCase()}*`];
+        if (pricing && pricing.discountPercent) {
+            blocks.push(`💎 *Harga member ${pricing.tierName} (diskon ${pricing.discountPercent}%)*`);
+        }
+        if (this.getStartingPrice(product) === null) {
+            blocks.push('*⛔ SOLD OUT - semua paket sedang kosong*');
+        }
+
+        for (const highlight of product.highlights || []) {
+            blocks.push(`*${highlight}*`);
+        }
+
+        for (const variant of product.variants || []) {
+            const tag = this.getVariantTag(product, variant);
+            let heading = `*${variant.name}*`;
+            if (tag) heading += ` ${tag}`;
+            if (variant.badge) heading += ` | ${variant.badge}`;
+            if (this.isVariantSoldOut(variant)) heading += ' | *SOLD OUT*';
+
+            const lines = [heading];
+            if (variant.description) {
+                lines.push(`_(${variant.description})_`);
+            }
+
+            for (const listed of variant.durations || []) {
+                const price = this.applyDiscount(listed.price, pricing);
+                const duration = price === listed.price
+                    ? listed
+                    : { ...listed, price, originalPrice: Math.max(listed.originalPrice || 0, listed.price) };
+                if (duration.originalPrice && duration.originalPrice > duration.price) {
+                    lines.push(`~${this.formatPrice(duration.originalPrice)}~`);
+                }
+                lines.push(`\`${this.formatDuration(duration)}\``);
+            }
+
+            for (const feature of variant.features || []) {
+                lines.push(`- ${feature}`);
+            }
+
+            blocks.push(lines.join('\n'));
+        }
+
+        const notes = [...(product.notes || [])];
+        const warrantyDays = this.getWarrantyDays(product);
+        if (warrantyDays > 0) {
+            notes.push(this.hasNoWarrantyOption(product)
+                ? `Garansi ${this.formatWarranty(warrantyDays)} (kecuali paket NO GARANSI)`
+                : `Garansi ${this.formatWarranty(warrantyDays)}`);
+        }
+        blocks.push(['*note :*', ...notes.map(note => `- ${note}`)].join('\n'));
+
+        if (product.features && product.features.length > 0) {
+            blocks.push(product.features.map(feature => `✅ _${feature}_`).join('\n'));
+        }
+
+        return blocks.join('\n\n');
+    }
+
+    async renderProductById(nameOrId) {
+        const product = await this.getProduct(nameOrId);
+        return product ? this.renderProduct(product) : null;
+    }
+
+    /**
+     * VALIDATION - subset JSON Schema (type, required, enum, pattern, ...)
+     * cukup untuk catalog.schema.json tanpa dependency tambahan
+     */
+    validateValue(value, schema, path, errors) {
+        const type = schema.type;
+        const isType = {
+            array: Array.isArray(value),
+            object: value !== null && typeof value === 'object' && !Array.isArray(value),
+            string: typeof value === 'string',
+            integer: Number.isInteger(value),
+            boolean: typeof value === 'boolean'
+        };
+
+        if (type && !isType[type]) {
+            errors.push(`${path}: harus bertipe ${type}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: harus salah satu dari ${schema.enum.join(', ')}`);
+        }
+        if (type === 'string') {
+            if (schema.minLength && value.trim().length < schema.minLength) {
+                errors.push(`${path}: tidak boleh kosong`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path}: format tidak valid (${schema.pattern})`);
+            }
+        }
+        if (type === 'integer' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: minimal ${schema.minimum}`);
+        }
+        if (type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path}: minimal ${schema.minItems} item`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+        if (type === 'object') {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key}: wajib diisi`);
+                }
+            }
+            for (const [key, child] of Object.entries(value)) {
+                const childSchema = schema.properties && schema.properties[key];
+                if (!childSchema) {
+                    if (schema.additionalProperties === false) {
+                        errors.push(`${path}.${key}: field tidak dikenal`);
+                    }
+                    continue;
+                }
+                this.validateValue(child, childSchema, `${path}.${key}`, errors);
+            }
+        }
+    }
+
+    validateProduct(product) {
+        const errors = [];
+        this.validateValue(product, this.schema.items, product && product.id ? product.id : 'produk', errors);
+
+        if (errors.length === 0) {
+            const variantIds = product.variants.map(variant => variant.id);
+            const duplicates = variantIds.filter((id, index) => variantIds.indexOf(id) !== index);
+            if (duplicates.length > 0) {
+                errors.push(`${product.id}: id varian duplikat (${[...new Set(duplicates)].join(', ')})`);
+            }
+        }
+
+        return errors;
+    }
+
+    validateCatalog(products) {
+        if (!Array.isArray(products)) {
+            return ['catalog: harus berupa array produk'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+        for (const product of products) {
+            errors.push(...this.validateProduct(product));
+            if (product && product.id) {
+                if (ids.has(product.id)) errors.push(`${product.id}: id produk duplikat`);
+                ids.add(product.id);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * MUTATIONS - dipakai panel admin /produk dan stockManager (ketersediaan varian).
+     * Baca-ubah-tulis di dalam satu transaksi catalog.json, jadi simpan dari panel dan
+     * update stok dari bot tidak saling menimpa.
+     */
+    async updateCatalog(work) {
+        return updateJson(CATALOG_FILE, (products, tx) => {
+            if (!Array.isArray(products)) tx.data = products = [];
+            return work(products);
+        });
+    }
+
+    async saveProduct(product, previousId = null) {
+        const errors = this.validateProduct(product);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        try {
+            return await this.updateCatalog(products => {
+                const index = products.findIndex(p => p && p.id === (previousId || product.id));
+                const clash = products.findIndex(p => p && p.id === product.id);
+
+                if (previousId && index === -1) {
+                    return { success: false, errors: [`${previousId}: produk tidak ditemukan`] };
+                }
+                if (clash !== -1 && clash !== index) {
+                    return { success: false, errors: [`${product.id}: id produk sudah dipakai`] };
+                }
+
+                if (index === -1) {
+                    products.push(product);
+                } else {
+                    products[index] = product;
+                }
+                return { success: true, errors: [] };
+            });
+        } catch (error) {
+            console.error('Error saving product:', error.message);
+            return { success: false, errors: ['Gagal menulis catalog.json'] };
+        }
+    }
+
+    // work(product) mengubah produk di tempat, dijalankan pada isi catalog.json terbaru
+    async updateProduct(id, work) {
+        return this.updateCatalog(products => {
+            const product = products.find(p => p && p.id === id);
+            return product ? work(product) : undefined;
+        });
+    }
+
+    async deleteProduct(id) {
+        try {
+            return await this.updateCatalog(products => {
+                const index = products.findIndex(product => product && product.id === id);
+                if (index === -1) return false;
+
+                products.splice(index, 1);
+                return true;
+            });
+        } catch (error) {
+            console.error('Error deleting product:', error.message);
+            return false;
+        }
+    }
+}
+
+// Create singleton
+const productCatalog = new ProductCatalog();
+
+module.exports = { ProductCatalog, productCatalog, DEFAULT_WARRANTY_DAYS };
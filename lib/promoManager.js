@@ -1,7 +1,6 @@
-const fs = require('fs').promises;
-const path = require('path');
 const fuzz = require('fuzzball');
 const CONSTANTS = require('./constants');
+const { loadProdukTxt } = require('./dataLoader');
 
 // Daftar produk & threshold fuzzy
 const produkList = ['netflix', 'disney', 'canva', 'youtube', 'spotify', 'prime', 'vidio'];
@@ -21,13 +20,8 @@ async function searchHargaProdukTXT(message) {
     match = produkList.find(key => msg.includes(key));
   }
   if (match) {
-    const filePath = path.join(__dirname, '../data/produk', `${match}.txt`);
-    try {
-      const content = await fs.readFile(filePath, 'utf8');
-      return content; // Langsung balikin teks yang ada di file!
-    } catch (e) {
-      return `Info produk *${match}* belum tersedia, Kak.`;
-    }
+    const content = await loadProdukTxt(match);
+    return content || `Info produk *${match}* belum tersedia, Kak.`; // Template di-render dari katalog
   }
   return null;
 }
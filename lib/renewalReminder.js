@@ -0,0 +1,290 @@
+/**
+ * RENEWAL REMINDER
+ * Pengingat perpanjangan untuk buyer yang akunnya akan/sudah expired
+ *
+ * Setiap hari (node-schedule) transaksi di buyers.json dicek: H-N dikirim
+ * penawaran perpanjangan paket yang sama, dan di hari expired dikirim
+ * follow-up. Template per produk ada di data/reminder_templates.json.
+ */
+
+const schedule = require('node-schedule');
+const moment = require('moment-timezone');
+const config = require('../config');
+const { loadJson, updateJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { productCatalog } = require('./productCatalog');
+const { orderManager } = require('./orderManager');
+
+const TIMEZONE = 'Asia/Jakarta';
+const TEMPLATES_FILE = 'reminder_templates.json';
+const OPT_OUT_FILE = 'reminder_optout.json';
+
+// Follow-up hari-H masih dikirim kalau terlewat (bot offline), asal expired-nya belum lebih dari ini
+const MISSED_EXPIRY_DAYS = 3;
+
+// Dipakai kalau owner belum membuat template untuk produk tersebut
+const DEFAULT_TEMPLATES = {
+    before: `Halo Kak {nama} 👋\n\n` +
+            `Akun *{produk}* Kakak akan berakhir dalam *{hari} hari* ({exp}).\n\n` +
+            `Perpanjang paket yang sama: *{paket}* - {harga}\n` +
+            `Ketik *{perintah}* untuk perpanjang sekarang 😊\n\n` +
+            `_Ketik "{optout}" jika tidak ingin menerima pengingat._`,
+    expiry: `Halo Kak {nama} 👋\n\n` +
+            `Akun *{produk}* Kakak berakhir *{kapan}* ({exp}).\n\n` +
+            `Biar tetap bisa dipakai, perpanjang *{paket}* cukup {harga}.\n` +
+            `Ketik *{perintah}* untuk order ya, Kak 🙏\n\n` +
+            `_Ketik "{optout}" jika tidak ingin menerima pengingat._`
+};
+
+class RenewalReminder {
+    constructor() {
+        this.job = null;
+        this.sendDelay = 2000; // jeda antar pesan supaya tidak terbaca spam
+    }
+
+    /**
+     * SCHEDULER
+     */
+    start() {
+        if (this.job) return this.job;
+
+        const [hour, minute] = config.reminder_time.split(':').map(Number);
+        this.job = schedule.scheduleJob({ hour, minute, tz: TIMEZONE }, async () => {
+            try {
+                await this.runReminders();
+            } catch (error) {
+                console.error('Error running renewal reminders:', error);
+            }
+        });
+
+        console.log(`⏰ Renewal reminder dijadwalkan setiap hari ${config.reminder_time} WIB (H-${config.reminder_days_before})`);
+        return this.job;
+    }
+
+    async runReminders(sock = global.sock) {
+        const result = { before: 0, expiry: 0, skipped: 0 };
+
+        if (!sock || !sock.user) {
+            console.warn('Renewal reminder: bot belum terkoneksi, dilewati');
+            return result;
+        }
+
+        // Butuh ID buyer supaya tanda reminder bisa ditulis balik setelah pesan terkirim
+        const buyers = storage.collection('buyers.json');
+        await buyers.ensureIds();
+        const buyersData = await buyers.all();
+
+        const optOut = await this.getOptOutNumbers();
+        const today = moment.tz(TIMEZONE).startOf('day');
+        const sent = [];
+
+        for (const buyer of buyersData) {
+            if (!buyer.whatsapp || optOut.has(buyer.whatsapp)) continue;
+
+            for (const transaksi of this.getLatestTransactions(buyer)) {
+                const type = this.getReminderType(transaksi, today);
+                if (!type) continue;
+
+                transaksi.reminders = transaksi.reminders || {};
+                if (transaksi.reminders[type]) {
+                    result.skipped++;
+                    continue;
+                }
+
+                try {
+                    const text = await this.buildMessage(type, buyer, transaksi, today);
+                    await sock.sendMessage(`${buyer.whatsapp}@s.whatsapp.net`, { text });
+
+                    sent.push({ buyerId: buyer.id, index: buyer.data.indexOf(transaksi), email: transaksi.email, type });
+                    result[type]++;
+
+                    await new Promise(resolve => setTimeout(resolve, this.sendDelay));
+                } catch (error) {
+                    console.warn(`Gagal kirim reminder ke ${buyer.whatsapp}:`, error.message);
+                }
+            }
+        }
+
+        // Pengiriman bisa lama: tanda reminder ditulis ke isi buyers.json terbaru
+        if (sent.length > 0) {
+            const date = today.format('YYYY-MM-DD');
+            await buyers.mutate(latest => {
+                for (const item of sent) {
+                    const buyer = latest.find(b => b.id === item.buyerId);
+                    const transaksi = buyer && (buyer.data || [])[item.index];
+                    if (!transaksi || transaksi.email !== item.email) continue;
+                    transaksi.reminders = { ...(transaksi.reminders || {}), [item.type]: date };
+                }
+            });
+        }
+
+        console.log(`⏰ Renewal reminder: ${result.before} H-${config.reminder_days_before}, ${result.expiry} hari-H`);
+        return result;
+    }
+
+    /**
+     * Hanya transaksi terakhir per produk: kalau buyer sudah perpanjang,
+     * transaksi lama tidak perlu diingatkan lagi
+     */
+    getLatestTransactions(buyer) {
+        const latest = {};
+        for (const transaksi of buyer.data || []) {
+            if (!transaksi.exp || !transaksi.apk) continue;
+
+            const current = latest[transaksi.apk];
+            if (!current || transaksi.exp > current.exp) {
+                latest[transaksi.apk] = transaksi;
+            }
+        }
+        return Object.values(latest);
+    }
+
+    /**
+     * Jendela, bukan tanggal pas: hari jadwal yang terlewat (bot offline, jam kirim diubah)
+     * tetap terkirim di run berikutnya. Tiap jenis hanya sekali per transaksi (transaksi.reminders).
+     */
+    getReminderType(transaksi, today) {
+        const exp = moment.tz(transaksi.exp, 'YYYY-MM-DD', TIMEZONE);
+        if (!exp.isValid()) return null;
+
+        const daysLeft = exp.diff(today, 'days');
+        if (daysLeft <= 0) return daysLeft >= -MISSED_EXPIRY_DAYS ? 'expiry' : null;
+        if (daysLeft > config.reminder_days_before) return null;
+
+        // Paket sependek jendela H-N (mis. 7 hari dengan H-7) dibeli di dalam jendelanya:
+        // tidak perlu diingatkan sehari setelah beli
+        const windowStart = exp.clone().subtract(config.reminder_days_before, 'days');
+        const given = moment.tz(transaksi.dateGiven || String(transaksi.timestamp || '').split('T')[0], 'YYYY-MM-DD', TIMEZONE);
+        return !given.isValid() || given.isBefore(windowStart) ? 'before' : null;
+    }
+
+    /**
+     * MESSAGE BUILDING
+     */
+    async buildMessage(type, buyer, transaksi, today) {
+        const offer = await this.getRenewalOffer(transaksi);
+        const templates = await this.getTemplates();
+        const productTemplates = (offer.product && templates[offer.product.id]) || {};
+        const template = productTemplates[type] || (templates.default || {})[type] || DEFAULT_TEMPLATES[type];
+
+        const daysLeft = moment.tz(transaksi.exp, 'YYYY-MM-DD', TIMEZONE).diff(today, 'days');
+        const values = {
+            nama: buyer.user,
+            produk: offer.product ? offer.product.name : transaksi.apk,
+            paket: offer.pkg ? `${offer.pkg.variantName} ${offer.pkg.label}` : transaksi.durasi,
+            harga: offer.pkg ? productCatalog.formatPrice(offer.pkg.price) : 'cek harga terbaru',
+            exp: moment.tz(transaksi.exp, 'YYYY-MM-DD', TIMEZONE).format('DD/MM/YYYY'),
+            hari: daysLeft,
+            kapan: daysLeft < 0 ? `${-daysLeft} hari lalu` : 'hari ini',
+            perintah: `order ${offer.product ? offer.product.name.toLowerCase() : transaksi.apk}`,
+            optout: config.reminder_opt_out,
+            order: transaksi.orderId || '-'
+        };
+
+        return template.replace(/\{(\w+)\}/g, (match, key) =>
+            values[key] !== undefined ? String(values[key]) : match
+        );
+    }
+
+    /**
+     * Paket perpanjangan: paket order sebelumnya kalau ada, kalau tidak
+     * paket produk yang sama dengan durasi yang sama
+     */
+    async getRenewalOffer(transaksi) {
+        if (transaksi.orderId) {
+            const order = await orderManager.getOrder(transaksi.orderId);
+            const pkg = order && await productCatalog.findPackage(order.packageCode);
+            if (pkg && pkg.available) {
+                return { product: await productCatalog.getProduct(pkg.productId), pkg };
+            }
+        }
+
+        const product = await productCatalog.getProduct(transaksi.apk) ||
+                        (await productCatalog.findProductsInText(transaksi.apk))[0];
+        if (!product) return { product: null, pkg: null };
+
+        const days = this.parseDurationDays(transaksi.durasi);
+        const packages = productCatalog.getPackages(product).filter(pkg => pkg.available);
+        const pkg = packages.find(p => p.days === days) ||
+                    packages.sort((a, b) => a.price - b.price)[0] ||
+                    null;
+
+        return { product, pkg };
+    }
+
+    parseDurationDays(durasi) {
+        const match = String(durasi || '').toLowerCase().match(/(\d+)\s*(hari|minggu|bulan|tahun)?/);
+        if (!match) return null;
+
+        const multiplier = { minggu: 7, bulan: 30, tahun: 365 }[match[2]] || 1;
+        return parseInt(match[1], 10) * multiplier;
+    }
+
+    /**
+     * TEMPLATES - { default: {before, expiry}, [productId]: {before, expiry} }
+     */
+    async getTemplates() {
+        const templates = await loadJson(TEMPLATES_FILE);
+        return templates && !Array.isArray(templates) ? templates : {};
+    }
+
+    async setTemplate(productId, type, text) {
+        if (!['before', 'expiry'].includes(type)) {
+            return { success: false, message: 'Tipe template harus before atau expiry.' };
+        }
+
+        let key = 'default';
+        if (productId !== 'default') {
+            const product = await productCatalog.getProduct(productId);
+            if (!product) {
+                return { success: false, message: `Produk ${productId} tidak ada di katalog.` };
+            }
+            key = product.id;
+        }
+
+        // Template lain yang disimpan bersamaan (panel / admin lain) tidak tertimpa
+        try {
+            await updateJson(TEMPLATES_FILE, (templates, tx) => {
+                if (!templates || Array.isArray(templates)) tx.data = templates = {};
+                templates[key] = { ...(templates[key] || {}), [type]: text };
+            }, {});
+        } catch (error) {
+            console.error('Error saving reminder template:', error.message);
+            return { success: false, message: 'Gagal menyimpan template.' };
+        }
+        return { success: true, message: `Template ${type} untuk ${key} disimpan.` };
+    }
+
+    /**
+     * OPT-OUT
+     */
+    isOptCommand(lowerInput) {
+        return lowerInput === config.reminder_opt_out.toLowerCase() ||
+               lowerInput === config.reminder_opt_in.toLowerCase();
+    }
+
+    async getOptOutNumbers() {
+        const list = await loadJson(OPT_OUT_FILE);
+        return new Set((Array.isArray(list) ? list : []).map(entry => entry.number));
+    }
+
+    async handleOptCommand(lowerInput, sender) {
+        const number = sender.split('@')[0];
+        const optingOut = lowerInput === config.reminder_opt_out.toLowerCase();
+
+        await updateJson(OPT_OUT_FILE, (list, tx) => {
+            tx.data = (Array.isArray(list) ? list : []).filter(entry => entry.number !== number);
+            if (optingOut) tx.data.push({ number, at: new Date().toISOString() });
+        });
+
+        if (optingOut) {
+            return `Oke Kak, pengingat masa aktif sudah dimatikan 🙏\nKetik *${config.reminder_opt_in}* kalau mau diaktifkan lagi.`;
+        }
+        return `Siap Kak, pengingat masa aktif sudah diaktifkan lagi 😊`;
+    }
+}
+
+// Create singleton
+const renewalReminder = new RenewalReminder();
+
+module.exports = { RenewalReminder, renewalReminder, DEFAULT_TEMPLATES };
@@ -16,14 +16,38 @@ const { securityManager } = require('./securityManager');
 const { monitoringManager } = require('./monitoringManager');
 const { cleanupManager } = require('./cleanupManager');
 const { backupManager } = require('./backupManager');
+const { orderFlow } = require('./orderFlow');
+const { claimFlow } = require('./claimFlow');
+const { renewalReminder } = require('./renewalReminder');
+const { broadcastManager } = require('./broadcastManager');
+const { handoffManager } = require('./handoffManager');
+const { surveyManager } = require('./surveyManager');
+const { loyaltyManager } = require('./loyaltyManager');
+const { blacklistManager } = require('./blacklistManager');
+const { knowledgeRetriever } = require('./knowledgeRetriever');
+const { indonesianNlp } = require('./indonesianNlp');
+const { intentClassifier } = require('./intentClassifier');
+const { productCatalog } = require('./productCatalog');
+const { resetSession } = require('./session');
+const { auditLog } = require('./auditLog');
 const CONSTANTS = require('./constants');
 
+// Intent yang jawabannya ada di FAQ/SOP/katalog (hybridHandler)
+const HYBRID_INTENTS = ['info', 'payment', 'problem'];
+
 class ResponseRouter {
     constructor() {
         this.routingStats = {
             totalRequests: 0,
             routedTo: {
                 imageHandler: 0,
+                orderFlow: 0,
+                claimFlow: 0,
+                renewalReminder: 0,
+                broadcast: 0,
+                handoff: 0,
+                survey: 0,
+                loyalty: 0,
                 lawCommands: 0,
                 learningCommands: 0,
                 adminCommands: 0,
@@ -38,6 +62,10 @@ class ResponseRouter {
         
         this.responseCache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+
+        // Route + source terakhir per chat (dibaca harness replay di test/replay)
+        this.traces = new Map();
+        this.maxTraces = 500;
     }
 
     /**
@@ -51,22 +79,26 @@ class ResponseRouter {
 
         try {
             // STEP 1: Quick validations and preprocessing
-            const preprocessResult = await this.preprocessMessage(input, sender, messageType);
+            const preprocessResult = await this.preprocessMessage(input, sender, messageType, remoteJid);
             if (preprocessResult.handled) {
                 this.updateStats('preprocessing', startTime);
-                return preprocessResult.response;
+                this.recordTrace(remoteJid, { route: 'preprocessing', source: 'preprocessing' });
+                return await sock.sendMessage(remoteJid, { text: preprocessResult.response }, { quoted: message });
             }
 
-            // STEP 2: Check cache for recent similar queries
+            // STEP 2: Check cache for recent similar queries (skip saat order/klaim flow berjalan,
+            // jawaban "1"/"ya" harus diproses sesuai step, bukan dari cache)
             const cacheKey = this.generateCacheKey(input, sender);
-            const cachedResponse = this.getCachedResponse(cacheKey);
+            const inFlow = orderFlow.isActive(remoteJid) || claimFlow.isActive(remoteJid);
+            const cachedResponse = inFlow ? null : this.getCachedResponse(cacheKey);
             if (cachedResponse) {
                 console.log('📋 Using cached response');
+                this.recordTrace(remoteJid, { route: 'cache', source: 'cache' });
                 return await sock.sendMessage(remoteJid, { text: cachedResponse }, { quoted: message });
             }
 
             // STEP 3: Route to appropriate handler
-            const routingResult = await this.determineRoute(input, sender, messageType, message);
+            const routingResult = await this.determineRoute(input, sender, messageType, message, remoteJid);
             
             // STEP 4: Process through selected route
             const response = await this.processRoute(routingResult, {
@@ -76,6 +108,11 @@ class ResponseRouter {
             // STEP 5: Post-processing and safety checks
             const finalResponse = await this.postProcessResponse(response, input, sender, routingResult.route);
 
+            // STEP 5b: Bot tidak bisa menjawab / customer minta admin: buka live chat handoff
+            if (finalResponse.handoff && remoteJid.endsWith('@s.whatsapp.net')) {
+                await this.openHandoff(finalResponse, input, remoteJid, pushName, sock);
+            }
+
             // STEP 6: Cache response if appropriate
             if (finalResponse.cacheable) {
                 this.cacheResponse(cacheKey, finalResponse.text);
@@ -85,6 +122,11 @@ class ResponseRouter {
             this.updateStats(routingResult.route, startTime);
             analyticsManager.trackMessageProcessing(startTime, routingResult.route, true, sender, input);
             analyticsManager.trackMarketingMetrics(input, 'whatsapp');
+            this.recordTrace(remoteJid, {
+                route: routingResult.route,
+                source: finalResponse.source || routingResult.route,
+                confidence: finalResponse.confidence ?? routingResult.confidence
+            });
             
             return await sock.sendMessage(remoteJid, { text: finalResponse.text }, { quoted: message });
 
@@ -94,6 +136,7 @@ class ResponseRouter {
             // Track error analytics
             this.updateStats('error', startTime);
             analyticsManager.trackMessageProcessing(startTime, 'error', false, sender, input);
+            this.recordTrace(remoteJid, { route: 'error', source: 'error', error: error.message });
             
             // Emergency safe response
             const safeResponse = "Maaf, terjadi kesalahan sistem. Mohon coba lagi atau hubungi admin untuk bantuan.";
@@ -104,7 +147,12 @@ class ResponseRouter {
     /**
      * PREPROCESSING - Handle quick cases
      */
-    async preprocessMessage(input, sender, messageType) {
+    async preprocessMessage(input, sender, messageType, remoteJid = sender) {
+        // Gambar tanpa caption tetap diteruskan ke image handler
+        if (messageType === 'imageMessage') {
+            return { handled: false };
+        }
+
         // Handle empty or invalid input
         if (!input || input.trim().length === 0) {
             return {
@@ -113,8 +161,10 @@ class ResponseRouter {
             };
         }
 
-        // Handle very short inputs (likely typos or accidents)
-        if (input.trim().length < 2) {
+        // Handle very short inputs (likely typos or accidents) - kecuali jawaban "1"/"y" di order/klaim flow
+        // dan nilai survey kepuasan "1"-"5"
+        const inFlow = orderFlow.isActive(remoteJid) || claimFlow.isActive(remoteJid);
+        if (!inFlow && input.trim().length < 2 && !(await surveyManager.getOpen(remoteJid))) {
             return {
                 handled: true,
                 response: "Bisa dijelaskan lebih lengkap, Kak? 😊"
@@ -127,7 +177,7 @@ class ResponseRouter {
     /**
      * ROUTE DETERMINATION - Decide which handler to use
      */
-    async determineRoute(input, sender, messageType, message) {
+    async determineRoute(input, sender, messageType, message, remoteJid = sender) {
         const lowerInput = input.toLowerCase().trim();
 
         // Priority 1: Image messages
@@ -135,6 +185,41 @@ class ResponseRouter {
             return { route: 'imageHandler', priority: 1, confidence: 1.0 };
         }
 
+        // Priority 2: Order flow (step yang sedang berjalan atau perintah order baru)
+        if (orderFlow.isActive(remoteJid) || await orderFlow.isOrderTrigger(input)) {
+            return { route: 'orderFlow', priority: 2, confidence: 1.0 };
+        }
+
+        // Priority 2: Klaim garansi oleh customer (step berjalan, "klaim garansi", "cek klaim")
+        if (claimFlow.isActive(remoteJid) || claimFlow.isClaimTrigger(input)) {
+            return { route: 'claimFlow', priority: 2, confidence: 1.0 };
+        }
+
+        // Priority 2: Opt-out / opt-in pengingat perpanjangan
+        if (renewalReminder.isOptCommand(lowerInput)) {
+            return { route: 'renewalReminder', priority: 2, confidence: 1.0 };
+        }
+
+        // Priority 2: Opt-out / opt-in broadcast promo
+        if (broadcastManager.isOptCommand(lowerInput)) {
+            return { route: 'broadcast', priority: 2, confidence: 1.0 };
+        }
+
+        // Priority 2: Cek poin / level member
+        if (loyaltyManager.isCommand(lowerInput)) {
+            return { route: 'loyalty', priority: 2, confidence: 1.0 };
+        }
+
+        // Priority 2: Customer minta bicara dengan admin (live chat handoff)
+        if (handoffManager.isTrigger(lowerInput)) {
+            return { route: 'handoff', priority: 2, confidence: 1.0 };
+        }
+
+        // Priority 2: Jawaban survey kepuasan yang sedang terbuka (nilai 1-5, lalu komentar)
+        if (!this.isSystemCommand(lowerInput) && await surveyManager.isAwaitingReply(remoteJid, input)) {
+            return { route: 'survey', priority: 2, confidence: 1.0 };
+        }
+
         // Priority 2: Bot laws commands (owner only)
         if (this.isOwnerCommand(sender, lowerInput, ['law status', 'violation log', 'emergency stop', 'emergency resume'])) {
             return { route: 'lawCommands', priority: 2, confidence: 1.0 };
@@ -162,18 +247,18 @@ class ResponseRouter {
 
         // Priority 6: Hybrid handler (FAQ/SOP/Product/Mood) - OPTIMIZED CONFIDENCE
         const hybridConfidence = await this.assessHybridConfidence(input, sender);
-        if (hybridConfidence > 0.4) { // Standardized threshold for better quality
+        if (hybridConfidence > CONSTANTS.CONFIDENCE_THRESHOLDS.HYBRID_ROUTING) {
             return { route: 'hybridHandler', priority: 6, confidence: hybridConfidence };
         }
 
         // Priority 7: Learning system (for learned patterns) - STANDARDIZED
         const learningConfidence = await this.assessLearningConfidence(input, sender);
-        if (learningConfidence > 0.6) { // Consistent with other modules
+        if (learningConfidence > CONSTANTS.CONFIDENCE_THRESHOLDS.LEARNING_THRESHOLD) {
             return { route: 'learningSystem', priority: 7, confidence: learningConfidence };
         }
 
         // Priority 8: Gemini fallback - Enhanced base confidence
-        return { route: 'geminiFallback', priority: 8, confidence: 0.4 };
+        return { route: 'geminiFallback', priority: 8, confidence: CONSTANTS.CONFIDENCE_THRESHOLDS.LOW_CONFIDENCE };
     }
 
     /**
@@ -187,6 +272,10 @@ class ResponseRouter {
                 this.routingStats.routedTo.imageHandler++;
                 return await this.handleImageRoute(message, sock, sender, remoteJid, pushName);
 
+            case 'orderFlow':
+                this.routingStats.routedTo.orderFlow++;
+                return await this.handleOrderRoute(input, sender, remoteJid, pushName);
+
             case 'lawCommands':
                 this.routingStats.routedTo.lawCommands++;
                 return await this.handleLawCommands(input, sender);
@@ -203,6 +292,30 @@ class ResponseRouter {
                 this.routingStats.routedTo.adminCommands++;
                 return await this.handleAdminCommands(input, sock, sender, remoteJid, message);
 
+            case 'claimFlow':
+                this.routingStats.routedTo.claimFlow++;
+                return await this.handleClaimRoute(input, sender, remoteJid, pushName);
+
+            case 'renewalReminder':
+                this.routingStats.routedTo.renewalReminder++;
+                return await this.handleReminderOptRoute(input, sender);
+
+            case 'broadcast':
+                this.routingStats.routedTo.broadcast++;
+                return await this.handleBroadcastOptRoute(input, sender);
+
+            case 'loyalty':
+                this.routingStats.routedTo.loyalty++;
+                return await this.handleLoyaltyRoute(sender);
+
+            case 'handoff':
+                this.routingStats.routedTo.handoff++;
+                return this.handleHandoffRoute();
+
+            case 'survey':
+                this.routingStats.routedTo.survey++;
+                return await this.handleSurveyRoute(input, remoteJid);
+
             case 'systemCommands':
                 return await this.handleSystemCommands(input, sender);
 
@@ -236,8 +349,139 @@ class ResponseRouter {
         };
     }
 
+    async handleOrderRoute(input, sender, remoteJid, pushName) {
+        const blocked = await this.checkBlacklistScope(sender, remoteJid, 'order');
+        if (blocked) return blocked;
+
+        const result = await orderFlow.handle(input, sender, remoteJid, pushName);
+        return {
+            text: result,
+            source: 'orderFlow',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    async handleClaimRoute(input, sender, remoteJid, pushName) {
+        const blocked = await this.checkBlacklistScope(sender, remoteJid, 'claim');
+        if (blocked) return blocked;
+
+        const result = await claimFlow.handle(input, sender, remoteJid, pushName);
+        return {
+            text: result,
+            source: 'claimFlow',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    // Blacklist scope no_orders / no_claims: chat biasa tetap dilayani
+    async checkBlacklistScope(sender, remoteJid, action) {
+        const blacklist = await blacklistManager.check(sender, action);
+        if (!blacklist.blocked) return null;
+
+        resetSession(remoteJid);
+        return {
+            text: blacklist.message,
+            source: 'blacklist',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    async handleReminderOptRoute(input, sender) {
+        const result = await renewalReminder.handleOptCommand(input.toLowerCase().trim(), sender);
+        return {
+            text: result,
+            source: 'renewalReminder',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    async handleBroadcastOptRoute(input, sender) {
+        const result = await broadcastManager.handleOptCommand(input.toLowerCase().trim(), sender);
+        return {
+            text: result,
+            source: 'broadcast',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    async handleLoyaltyRoute(sender) {
+        const result = await loyaltyManager.handleCommand(sender);
+        return {
+            text: result,
+            source: 'loyalty',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    // Handoff dibuka di routeMessage (STEP 5b) setelah lolos post-processing
+    handleHandoffRoute() {
+        return {
+            text: handoffManager.getOpenMessage('request'),
+            source: 'handoff',
+            handoff: 'request',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    async handleSurveyRoute(input, remoteJid) {
+        const result = await surveyManager.handleReply(remoteJid, input);
+        return {
+            text: result,
+            source: 'survey',
+            confidence: 1.0,
+            cacheable: false
+        };
+    }
+
+    /**
+     * Buka handoff untuk chat ini. response.handoff: true (bot menyerah) atau alasan
+     * ('request'); teks jawaban diganti pemberitahuan bahwa admin akan membalas.
+     */
+    async openHandoff(response, input, remoteJid, pushName, sock) {
+        const reason = typeof response.handoff === 'string'
+            ? response.handoff
+            : (response.source === 'safety_blocked' || response.source === 'laws_blocked_fallback' ? 'safety_blocked' : 'fallback');
+
+        try {
+            await handoffManager.open(remoteJid, {
+                name: pushName || '',
+                reason,
+                messages: [
+                    { from: 'customer', by: pushName || null, text: input },
+                    { from: 'system', by: response.source, text: response.text }
+                ]
+            }, sock);
+            response.text = handoffManager.getOpenMessage(reason);
+            response.cacheable = false;
+        } catch (error) {
+            console.error('Error opening handoff:', error);
+        }
+    }
+
     async handleLawCommands(input, sender) {
+        const before = { emergencyStop: botLaws.emergencyStop };
         const result = botLaws.handleOwnerLawCommand(input, sender);
+        const command = input.toLowerCase().trim();
+        
+        // Emergency stop/resume dicatat ke audit log (perintah lain hanya membaca status)
+        if (this.isOwnerCommand(sender, command, ['emergency stop', 'emergency resume']) && /^emergency (stop|resume)$/.test(command)) {
+            await auditLog.record({
+                actor: auditLog.whatsappActor(sender, 'owner'),
+                action: command.replace(' ', '_'),
+                resource: 'laws',
+                target: 'emergencyStop',
+                before,
+                after: { emergencyStop: botLaws.emergencyStop }
+            });
+        }
+        
         return {
             text: result,
             source: 'lawCommands',
@@ -419,7 +663,7 @@ netflix, spotify, canva, capcut, disney, youtube, dll
         }
 
         if (lowerInput === 'limit') {
-            const user = getUser(sender);
+            const user = await getUser(sender);
             const { checkLimit } = require('./users');
             const userLimit = checkLimit(user);
             const limitText = userLimit ? `_Sisa limit harian Anda:_ ${userLimit}` : `_Admin: Unlimited_`;
@@ -453,12 +697,14 @@ netflix, spotify, canva, capcut, disney, youtube, dll
     }
 
     async handleHybridRoute(input, sender) {
-        const result = await handleUserMessage(input, sender);
+        const pricing = await loyaltyManager.getPricing(sender);
+        const result = await handleUserMessage(input, sender, pricing);
         return {
             text: result,
             source: 'hybridHandler',
             confidence: 0.9,
-            cacheable: true
+            // Jawaban berisi harga member tidak boleh terbawa ke customer lain lewat cache
+            cacheable: !pricing
         };
     }
 
@@ -468,20 +714,52 @@ netflix, spotify, canva, capcut, disney, youtube, dll
             text: result.text,
             source: 'learningSystem',
             confidence: result.confidence,
-            cacheable: result.confidence > 0.8
+            cacheable: result.confidence > 0.8,
+            handoff: result.handoff
         };
     }
 
     async handleGeminiRoute(input, sender) {
-        const result = await GEMINI_TEXT(sender, input);
+        // Passage FAQ/SOP/produk yang relevan ikut dikirim sebagai referensi bernomor
+        const { system, citations } = await knowledgeRetriever.buildContext(input);
+        const result = await GEMINI_TEXT(sender, input, 'cs', { llmRole: 'chat', system });
+        const answer = knowledgeRetriever.applyCitations(result, citations);
+
+        if (answer.citations.length > 0) {
+            console.log(`📚 Referensi jawaban: ${answer.citations.map(c => `[${c.ref}] ${c.id}`).join(', ')}`);
+        }
+
+        // Harga di jawaban harus sama dengan katalog, kalau tidak pakai data katalog langsung
+        const priceCheck = await knowledgeRetriever.checkPrices(answer.text);
+        if (!priceCheck.valid) {
+            console.warn(`💸 Harga tidak sesuai katalog di jawaban AI: ${priceCheck.invalid.map(p => p.text).join(', ')}`);
+            return {
+                text: await this.buildCatalogPriceAnswer(input, sender),
+                source: 'catalogPriceGuard',
+                confidence: 0.6,
+                cacheable: false,
+                citations: answer.citations
+            };
+        }
+
         return {
-            text: result,
+            text: answer.text,
             source: 'geminiFallback',
-            confidence: 0.3,
-            cacheable: false
+            confidence: answer.citations.length > 0 ? 0.5 : 0.3,
+            cacheable: false,
+            citations: answer.citations
         };
     }
 
+    async buildCatalogPriceAnswer(input, sender) {
+        const [product] = await productCatalog.findProductsInText(input);
+        if (product) {
+            const pricing = await loyaltyManager.getPricing(sender);
+            return `Berikut info harga ${product.name} terbaru ya Kak 😊\n\n${productCatalog.renderProduct(product, pricing)}\n\nKetik *order ${product.id}* untuk pesan.`;
+        }
+        return "Untuk info harga terbaru, ketik *harga [nama produk]* (contoh: *harga netflix*) atau *order* untuk lihat semua paket ya Kak 😊";
+    }
+
     /**
      * POST-PROCESSING - Final safety checks and improvements
      */
@@ -510,7 +788,8 @@ netflix, spotify, canva, capcut, disney, youtube, dll
                 text: "Maaf, saya perlu bantuan untuk menjawab pertanyaan ini dengan tepat. Mohon hubungi admin untuk bantuan lebih lanjut.",
                 source: 'safety_blocked',
                 confidence: 0.1,
-                cacheable: false
+                cacheable: false,
+                handoff: true
             };
         }
 
@@ -570,6 +849,9 @@ netflix, spotify, canva, capcut, disney, youtube, dll
             'unknown cases', 'cases', 'auto learn', 'approve', 'reject'
         ];
         
+        // intent label/tag/train/test/eval (lihat learningManager.handleIntentCommand)
+        if (input.startsWith('intent ')) return true;
+
         return learningCommands.some(cmd => input.includes(cmd));
     }
 
@@ -621,40 +903,33 @@ netflix, spotify, canva, capcut, disney, youtube, dll
     }
 
     async assessHybridConfidence(input, sender) {
-        const lowerInput = input.toLowerCase();
+        // Analisis yang sama dengan hybridHandler & nlpProcessor (slang sudah dinormalisasi)
+        const analysis = indonesianNlp.analyze(input);
+        const lowerInput = analysis.normalized;
         let confidence = 0;
         
-        // PRIORITAS TINGGI: Product names - jika ada nama produk, confidence langsung tinggi
-        const productNames = [
-            'netflix', 'spotify', 'disney', 'youtube', 'canva', 'capcut', 'chatgpt', 
-            'prime', 'hbo', 'iqiyi', 'viu', 'wetv', 'vision', 'vidio', 'bstation',
-            'alightmotion', 'remini', 'picsart'
+        // PRIORITAS TINGGI: Product names - jika ada produk katalog disebut, confidence langsung tinggi
+        // (spotify & canva tetap dihitung: hybridHandler punya jawaban "belum tersedia" untuk keduanya)
+        const productMatches = [
+            ...analysis.entities.products,
+            ...['spotify', 'canva'].filter(product => lowerInput.includes(product))
         ];
-        
-        const productMatches = productNames.filter(product => lowerInput.includes(product));
         if (productMatches.length > 0) {
             confidence += 0.8; // Confidence tinggi untuk query produk
         }
         
-        // PRIORITAS SEDANG: Product-related keywords
-        const productKeywords = [
-            'harga', 'price', 'berapa', 'biaya', 'paket', 'garansi', 'warranty',
-            'info', 'detail', 'spek', 'fitur', 'ada', 'tersedia', 'ready', 'stock'
-        ];
-        
-        const keywordMatches = productKeywords.filter(keyword => lowerInput.includes(keyword));
-        if (keywordMatches.length > 0) {
-            confidence += keywordMatches.length * 0.2;
+        // PRIORITAS SEDANG: intent yang dijawab hybridHandler (info/harga/kendala) dari intentClassifier
+        const storeIntent = intentClassifier.classify(input)
+            .find(intent => HYBRID_INTENTS.includes(intent.type));
+        if (storeIntent) {
+            confidence += storeIntent.confidence * 0.4;
         }
-        
-        // PRIORITAS RENDAH: General patterns
-        const generalPatterns = [
-            'promo', 'diskon', 'error', 'masalah', 'gagal', 'tidak bisa'
-        ];
-        
-        const generalMatches = generalPatterns.filter(pattern => lowerInput.includes(pattern));
-        if (generalMatches.length > 0) {
-            confidence += generalMatches.length * 0.1;
+
+        // Istilah toko yang tidak termasuk intent mana pun
+        const storeTerms = ['garansi', 'warranty', 'paket', 'tersedia', 'ready', 'stock', 'promo', 'diskon'];
+        const termMatches = storeTerms.filter(term => lowerInput.includes(term));
+        if (termMatches.length > 0) {
+            confidence += termMatches.length * 0.2;
         }
         
         // Cap confidence at 1.0
@@ -662,7 +937,7 @@ netflix, spotify, canva, capcut, disney, youtube, dll
     }
 
     async assessLearningConfidence(input, sender) {
-        // Check if learning system has patterns for this input
+        // Check if learning system has patterns for this input (analyzeIntent memakai indonesianNlp)
         try {
             const analysis = learningManager.nlpProcessor.analyzeIntent(input);
             return analysis.confidence || 0;
@@ -728,6 +1003,25 @@ netflix, spotify, canva, capcut, disney, youtube, dll
         this.responseCache.clear();
         console.log('🧹 Response cache cleared');
     }
+
+    /**
+     * TRACE - jejak routing per chat untuk debugging & regression test
+     */
+    recordTrace(remoteJid, trace) {
+        this.traces.delete(remoteJid);
+        this.traces.set(remoteJid, { ...trace, at: Date.now() });
+        if (this.traces.size > this.maxTraces) {
+            this.traces.delete(this.traces.keys().next().value);
+        }
+    }
+
+    getLastTrace(remoteJid) {
+        return this.traces.get(remoteJid) || null;
+    }
+
+    clearTrace(remoteJid) {
+        this.traces.delete(remoteJid);
+    }
 }
 
 // Export singleton instance
@@ -1,120 +1,184 @@
-const fs = require('fs').promises;
-const path = require('path');
+/**
+ * ROLE MANAGER
+ * Satu model izin untuk panel web dan perintah admin WhatsApp.
+ *
+ * Izin ditulis "resource.action" (action: view / edit / delete), boleh wildcard:
+ * "stock.*" = semua action di stock, "*" = semua izin.
+ * - owner  : semua izin (akun owner di data/accounts.json / config.owner_number)
+ * - admin  : operasional harian (buyers, order, claim, stock, live chat handoff, ledger/refund, lihat loyalty & voucher)
+ * - viewer : hanya melihat, tidak bisa mengubah apa pun (kecuali password/2FA akunnya sendiri)
+ *
+ * Role moderator diambil dari field `role` di data/moderators.json (default admin).
+ */
 
-class RoleManager {
-  constructor() {
-    this.roles = {
-      owner: {
+const config = require('../config');
+const { loadJson } = require('./dataLoader');
+
+const ROLES = {
+    owner: {
         name: 'Owner',
-        permissions: ['all'],
-        canEdit: ['produk', 'promo', 'faq', 'sop', 'buyers', 'stock', 'users', 'settings'],
-        canView: ['all'],
-        canDelete: ['all']
-      },
-      admin: {
+        permissions: ['*']
+    },
+    admin: {
         name: 'Admin',
-        permissions: ['view', 'edit_stock', 'edit_claims', 'view_reports'],
-        canEdit: ['stock', 'claims', 'notifications'],
-        canView: ['dashboard', 'buyers', 'stock', 'claims', 'reports'],
-        canDelete: ['claims', 'notifications']
-      },
-      viewer: {
+        permissions: [
+            'account.*',
+            'dashboard.view', 'analytics.view', 'learning.view', 'bot.view', 'broadcast.view',
+            'buyers.view', 'buyers.edit', 'handoff.*',
+            'orders.*', 'claims.*', 'ledger.view', 'ledger.edit', 'loyalty.view',
+            'stock.view', 'stock.edit',
+            'blacklist.view', 'faq.view', 'sop.view', 'promo.view', 'vouchers.view', 'produk.view'
+        ]
+    },
+    viewer: {
         name: 'Viewer',
-        permissions: ['view'],
-        canEdit: [],
-        canView: ['dashboard', 'buyers', 'stock', 'reports'],
-        canDelete: []
-      }
-    };
-  }
-
-  async getUserRole(userId) {
-    try {
-      const users = await this.loadUsers();
-      const user = users.find(u => u.id === userId);
-      return user ? user.role : 'viewer';
-    } catch {
-      return 'viewer';
+        permissions: [
+            'account.*',
+            'dashboard.view', 'analytics.view', 'learning.view', 'bot.view',
+            'buyers.view', 'orders.view', 'claims.view', 'stock.view', 'handoff.view', 'ledger.view', 'loyalty.view',
+            'blacklist.view', 'faq.view', 'sop.view', 'promo.view', 'vouchers.view', 'produk.view'
+        ]
     }
-  }
-
-  async hasPermission(userId, action, resource) {
-    const role = await this.getUserRole(userId);
-    const roleConfig = this.roles[role];
-    
-    if (!roleConfig) return false;
-    
-    if (roleConfig.permissions.includes('all')) return true;
-    
-    if (action === 'edit') {
-      return roleConfig.canEdit.includes(resource) || roleConfig.canEdit.includes('all');
+};
+
+// Nama role lama yang masih tersimpan di session / moderators.json
+const ROLE_ALIASES = {
+    moderator: 'admin'
+};
+
+class RoleManager {
+    constructor() {
+        this.roles = ROLES;
     }
-    
-    if (action === 'view') {
-      return roleConfig.canView.includes(resource) || roleConfig.canView.includes('all');
+
+    /**
+     * ROLES
+     */
+    normalizeRole(role) {
+        const name = ROLE_ALIASES[role] || role;
+        return this.roles[name] ? name : null;
     }
-    
-    if (action === 'delete') {
-      return roleConfig.canDelete.includes(resource) || roleConfig.canDelete.includes('all');
+
+    getRoleName(role) {
+        const name = this.normalizeRole(role);
+        return name ? this.roles[name].name : 'Tanpa akses';
     }
-    
-    return false;
-  }
-
-  async loadUsers() {
-    try {
-      const usersPath = path.join(__dirname, '../database/users.json');
-      const data = await fs.readFile(usersPath, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return [];
+
+    getPermissions(role) {
+        const name = this.normalizeRole(role);
+        return name ? this.roles[name].permissions : [];
+    }
+
+    /**
+     * Cek izin role untuk resource + action
+     */
+    can(role, resource, action = 'view') {
+        const required = `${resource}.${action}`;
+        return this.getPermissions(role).some(permission => {
+            if (permission === '*') return true;
+            if (permission.endsWith('.*')) return permission.slice(0, -2) === resource;
+            return permission === required;
+        });
+    }
+
+    /**
+     * Role pengirim WhatsApp: owner_number -> owner, moderator aktif -> role-nya, lainnya null
+     */
+    async getRoleForNumber(number) {
+        const cleanNumber = String(number || '').split('@')[0];
+        if (!cleanNumber) return null;
+        if (cleanNumber === config.owner_number) return 'owner';
+
+        const moderators = await loadJson('moderators.json');
+        const moderator = Array.isArray(moderators)
+            ? moderators.find(mod => mod.number === cleanNumber && mod.active)
+            : null;
+        return moderator ? this.normalizeRole(moderator.role || 'admin') : null;
+    }
+
+    /**
+     * Halaman awal setelah login / saat akses ditolak
+     */
+    getHomePath(role) {
+        return this.normalizeRole(role) === 'owner' ? '/dashboard' : '/moderator/dashboard';
+    }
+
+    /**
+     * Role akun panel dibaca ulang dari data/accounts.json (+ moderators.json) di setiap
+     * request, jadi moderator yang dinonaktifkan/dihapus atau diganti role-nya langsung
+     * berlaku tanpa menunggu session habis. null = akun tidak aktif lagi.
+     */
+    async getCurrentRole(user) {
+        // Di-require di sini: accountManager ikut memuat roleManager
+        const { accountManager } = require('./accountManager');
+        const account = await accountManager.findAccount(user.username);
+        return account ? accountManager.resolveRole(account) : null;
+    }
+
+    /**
+     * EXPRESS MIDDLEWARE
+     * requirePermission('stock', 'edit') - belum login ke /login, tidak berizin 403
+     */
+    requirePermission(resource, action = 'view') {
+        return async (req, res, next) => {
+            const session = req.session;
+            if (!session || !session.isLoggedIn || !session.user) {
+                if (req.originalUrl.startsWith('/api/')) {
+                    return res.status(401).json({ error: 'Login required' });
+                }
+                return res.redirect('/login');
+            }
+
+            let currentRole;
+            try {
+                currentRole = await this.getCurrentRole(session.user);
+            } catch (error) {
+                return next(error);
+            }
+
+            if (!currentRole) {
+                console.warn(`⛔ Session ${session.user.username} diakhiri: akun tidak aktif lagi`);
+                session.isLoggedIn = false;
+                delete session.user;
+                session.toast = { type: 'error', msg: 'Akun Anda tidak aktif lagi atau tidak punya akses panel.' };
+                if (req.originalUrl.startsWith('/api/')) {
+                    return res.status(401).json({ error: 'Login required' });
+                }
+                return res.redirect('/login');
+            }
+            session.user.role = currentRole;
+
+            // Password sementara (akun baru / reset owner) harus diganti sebelum bisa ke halaman lain
+            if (session.user.mustChangePassword && !req.originalUrl.startsWith('/account')) {
+                session.toast = { type: 'error', msg: 'Ganti password sementara dulu sebelum melanjutkan.' };
+                return res.redirect('/account');
+            }
+
+            const role = session.user.role;
+            res.locals.currentRole = this.normalizeRole(role);
+            res.locals.can = (target, act = 'view') => this.can(role, target, act);
+
+            if (this.can(role, resource, action)) return next();
+
+            console.warn(`⛔ ${session.user.username} (${role}) ditolak: ${resource}.${action} ${req.method} ${req.originalUrl}`);
+
+            if (req.originalUrl.startsWith('/api/')) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            const home = this.getHomePath(role);
+            if (req.method === 'GET' && req.originalUrl.split('?')[0] === home) {
+                return res.status(403).send('Akses ditolak');
+            }
+
+            session.toast = { type: 'error', msg: `Akses ditolak: role ${this.getRoleName(role)} tidak punya izin ${resource}.${action}.` };
+            const back = req.method === 'GET' ? home : (req.get('Referer') || home);
+            res.redirect(back);
+        };
     }
-  }
-
-  async saveUsers(users) {
-    const usersPath = path.join(__dirname, '../database/users.json');
-    await fs.writeFile(usersPath, JSON.stringify(users, null, 2));
-  }
-
-  async addUser(userData) {
-    const users = await this.loadUsers();
-    const newUser = {
-      id: userData.id || Date.now().toString(),
-      username: userData.username,
-      password: userData.password,
-      role: userData.role || 'viewer',
-      createdAt: new Date().toISOString(),
-      lastLogin: null
-    };
-    
-    users.push(newUser);
-    await this.saveUsers(users);
-    return newUser;
-  }
-
-  async updateUser(userId, updates) {
-    const users = await this.loadUsers();
-    const userIndex = users.findIndex(u => u.id === userId);
-    
-    if (userIndex === -1) return null;
-    
-    users[userIndex] = { ...users[userIndex], ...updates };
-    await this.saveUsers(users);
-    return users[userIndex];
-  }
-
-  async getDashboardData(userId) {
-    const role = await this.getUserRole(userId);
-    const roleConfig = this.roles[role];
-    
-    return {
-      role,
-      permissions: roleConfig.permissions,
-      canEdit: roleConfig.canEdit,
-      canView: roleConfig.canView,
-      canDelete: roleConfig.canDelete
-    };
-  }
 }
 
-module.exports = new RoleManager();
+// Create singleton
+const roleManager = new RoleManager();
+
+module.exports = { RoleManager, roleManager, ROLES };
@@ -110,11 +110,13 @@ class SecurityManager {
         const isSpam = spamScore > 0.7;
         
         if (isSpam) {
+            const reasons = this.getSpamReasons(message, context);
             this.logSecurityEvent('spam_detected', sender, {
                 message: message.substring(0, 100),
                 score: spamScore,
-                reasons: this.getSpamReasons(message, context)
+                reasons
             });
+            this.reportToBlacklist(sender, 'spam', reasons.join(', '));
         }
         
         return {
@@ -312,21 +314,33 @@ class SecurityManager {
         
         // Alert owner if configured
         this.alertOwner(threat);
+        
+        this.reportToBlacklist(threat.source, 'intrusion', threat.indicators.join(', '));
+    }
+    
+    // Pelanggaran dari nomor WhatsApp bisa berujung blacklist otomatis
+    reportToBlacklist(source, kind, detail) {
+        const { blacklistManager } = require('./blacklistManager');
+        blacklistManager.recordViolation(source, kind, detail).catch(error => {
+            console.error('Error recording blacklist violation:', error);
+        });
     }
     
     /**
      * RATE LIMITING
      */
     
-    checkRateLimit(source, action = 'message') {
+    // options: { limit, windowMs } untuk batas selain pesan per menit (mis. percobaan login)
+    checkRateLimit(source, action = 'message', options = {}) {
         const now = Date.now();
+        const windowMs = options.windowMs || 60000;
         const userRequests = this.rateLimitMap.get(source) || [];
         
         // Clean old requests
-        const validRequests = userRequests.filter(time => now - time < 60000);
+        const validRequests = userRequests.filter(time => now - time < windowMs);
         
         // Check limit
-        const limit = this.securityConfig.maxRequestsPerMinute;
+        const limit = options.limit || this.securityConfig.maxRequestsPerMinute;
         if (validRequests.length >= limit) {
             this.logSecurityEvent('rate_limit_exceeded', source, {
                 requests: validRequests.length,
@@ -337,7 +351,7 @@ class SecurityManager {
             return {
                 allowed: false,
                 remaining: 0,
-                resetTime: Math.min(...validRequests) + 60000
+                resetTime: Math.min(...validRequests) + windowMs
             };
         }
         
@@ -348,10 +362,14 @@ class SecurityManager {
         return {
             allowed: true,
             remaining: limit - validRequests.length,
-            resetTime: now + 60000
+            resetTime: now + windowMs
         };
     }
     
+    resetRateLimit(source) {
+        this.rateLimitMap.delete(source);
+    }
+    
     /**
      * SESSION SECURITY
      */
@@ -1,5 +1,8 @@
 const sessions = new Map();
 
+// Default umur action session (detik)
+const DEFAULT_TIMEOUT = 60;
+
 function getSession(remoteJid, action = '') {
     // Jika session tidak ada, kembalikan null
     if (!sessions.has(remoteJid)) {
@@ -8,39 +11,57 @@ function getSession(remoteJid, action = '') {
 
     const session = sessions.get(remoteJid);
     const now = new Date();
-    
+
     // Hitung perbedaan waktu dalam detik
     const timeDifference = (now - session.startTime) / 1000;
-    
-    // Jika lebih dari 60 detik, perbarui startTime dan action
-    if (timeDifference > 60) {
+
+    // Jika lewat timeout, perbarui startTime dan action (data flow ikut dibuang)
+    if (timeDifference > (session.timeout || DEFAULT_TIMEOUT)) {
         session.startTime = now;
         session.action = action;
+        session.data = {};
+        session.timeout = DEFAULT_TIMEOUT;
         sessions.set(remoteJid, session); // Simpan session yang diperbarui
     }
 
     return session; // Kembalikan session
 }
 
-function updateSession(remoteJid, action = '') {
+/**
+ * Tanpa `data`: perilaku lama (buat session jika belum ada).
+ * Dengan `data`: pindah ke action baru, merge data, dan perpanjang timeout
+ * (dipakai flow multi-step seperti order).
+ */
+function updateSession(remoteJid, action = '', data = null, timeout = null) {
     // Buat session baru jika tidak ada
     if (!sessions.has(remoteJid)) {
         const sessionData = {
             startTime: new Date(),
             remoteJid: remoteJid,
-            action: action
+            action: action,
+            data: {},
+            timeout: timeout || DEFAULT_TIMEOUT
         };
         sessions.set(remoteJid, sessionData);
     }
-    
-    // Ambil dan perbarui session jika sudah lebih dari 60 detik
+
+    if (data !== null) {
+        const session = getSession(remoteJid, action);
+        session.action = action;
+        session.data = { ...(session.data || {}), ...data };
+        session.startTime = new Date();
+        if (timeout) session.timeout = timeout;
+        return session;
+    }
+
+    // Ambil dan perbarui session jika sudah lebih dari timeout
     return getSession(remoteJid, action);
 }
 
 function resetSession(remoteJid) {
     if (sessions.has(remoteJid)) {
         sessions.delete(remoteJid);
-    } 
+    }
 }
 
 
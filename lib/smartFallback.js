@@ -2,6 +2,7 @@ const { ResponseFilter } = require('./responseFilter');
 const { GEMINI_TEXT } = require('./gemini');
 const { loadJson, saveJson } = require('./dataLoader');
 const { botLaws } = require('./botLaws');
+const { knowledgeRetriever } = require('./knowledgeRetriever');
 
 class SmartFallback {
     constructor(learningManager) {
@@ -45,14 +46,19 @@ class SmartFallback {
             }
 
             // Step 2: Use Gemini but with business context
-            const contextualPrompt = this.buildContextualPrompt(message, context);
-            const geminiResponse = await GEMINI_TEXT(sender, contextualPrompt);
+            const references = await knowledgeRetriever.buildContext(message);
+            const rawResponse = await GEMINI_TEXT(sender, message, 'cs', {
+                llmRole: 'fallback',
+                system: `${this.buildContextualPrompt(message, context)}\n\n${references.system}`
+            });
+            const geminiResponse = rawResponse && knowledgeRetriever.applyCitations(rawResponse, references.citations).text;
             
             if (!geminiResponse) {
                 return {
                     text: "Maaf, saya perlu bantuan untuk menjawab pertanyaan ini. Mohon hubungi admin untuk bantuan lebih lanjut.",
                     confidence: 0.2,
-                    source: 'fallback_error'
+                    source: 'fallback_error',
+                    handoff: true // responseRouter membuka live chat dengan admin
                 };
             }
 
@@ -77,11 +83,30 @@ class SmartFallback {
                     text: `Maaf, saya tidak dapat memberikan jawaban yang sesuai untuk pertanyaan ini. Tim kami akan review dan meningkatkan response. Mohon hubungi admin untuk bantuan langsung.`,
                     confidence: 0.1,
                     source: 'laws_blocked_fallback',
+                    handoff: true,
                     learned: false,
                     lawViolations: lawValidation.violations
                 };
             }
 
+            // Step 3b: Harga di jawaban harus ada di katalog, jangan dipelajari kalau tidak
+            const priceCheck = await knowledgeRetriever.checkPrices(geminiResponse);
+            if (!priceCheck.valid) {
+                console.warn(`💸 Smart fallback menyebut harga di luar katalog: ${priceCheck.invalid.map(p => p.text).join(', ')}`);
+                await this.storeUnknownCase(message, geminiResponse, {
+                    shouldLearn: false,
+                    reason: 'price_mismatch',
+                    analysis: { invalidPrices: priceCheck.invalid }
+                }, sender);
+
+                return {
+                    text: "Untuk info harga terbaru, ketik *harga [nama produk]* (contoh: *harga netflix*) ya Kak 😊",
+                    confidence: 0.3,
+                    source: 'price_guard_fallback',
+                    learned: false
+                };
+            }
+
             // Step 4: Filter and analyze Gemini response (if laws passed)
             const filterResult = await this.responseFilter.filterGeminiResponse(
                 message, 
@@ -130,7 +155,7 @@ class SmartFallback {
 
     buildContextualPrompt(message, context) {
         const vylozzoneContext = `
-Context: Anda adalah customer service resmi Vylozzone, marketplace digital terpercaya untuk aplikasi premium.
+Anda adalah customer service resmi Vylozzone, marketplace digital terpercaya untuk aplikasi premium.
 
 IDENTITAS BISNIS:
 • Vylozzone - Digital marketplace untuk aplikasi premium & streaming accounts
@@ -162,8 +187,6 @@ TONE & STYLE GUIDELINES:
 • Fokus pada solusi bisnis Vylozzone, bukan solusi teknis generik
 • Professional namun ramah, solution-oriented
 
-Pertanyaan customer: "${message}"
-
 INSTRUKSI RESPONSE:
 Berikan jawaban yang spesifik untuk bisnis Vylozzone, professional, dan actionable. Jika customer ada masalah, selalu minta nomor order + screenshot untuk follow-up. Jangan berikan solusi template generik.`;
 
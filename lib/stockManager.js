@@ -1,74 +1,332 @@
-const fs = require('fs').promises;
-const path = require('path');
-const { loadJson, saveJson } = require('./dataLoader');
+const { loadJson, updateJson } = require('./dataLoader');
+const { productCatalog } = require('./productCatalog');
 
-class StockManager {
-  constructor() {
-    this.stockPath = path.join(__dirname, '../data/stock.json');
-    this.expiredPath = path.join(__dirname, '../data/expired.json');
-  }
+/**
+ * Inventory akun siap kirim (data/stock.json)
+ *
+ * Satu entry = satu akun untuk satu varian katalog, berisi beberapa slot
+ * (profil) yang masing-masing dikirim ke satu customer:
+ * { id, productId, variantId, email, password, cost, dateCreated, exp,
+ *   slots: [{ slot, pin, status, orderId, userNumber, duration, dateCreated, exp }] }
+ *
+ * cost = harga beli akun (Rp), dibagi rata ke slot sebagai modal per penjualan (lib/ledgerManager)
+ */
+const SLOT_STATUS = {
+  AVAILABLE: 'available',
+  RESERVED: 'reserved',
+  DELIVERED: 'delivered'
+};
 
+class StockManager {
   async loadStock() {
-    return await loadJson('stock.json') || [];
+    const stock = await loadJson('stock.json');
+    return Array.isArray(stock) ? stock : [];
   }
 
-  async saveStock(data) {
-    await saveJson('stock.json', data);
+  // Transaksi stock.json (lib/storage): reserve/deliver/release dari bot dan panel
+  // dijalankan satu per satu supaya dua order tidak pernah mendapat slot yang sama
+  async updateStock(work) {
+    return await updateJson('stock.json', (stock, tx) => {
+      if (!Array.isArray(stock)) tx.data = stock = [];
+      return work(stock, tx);
+    });
   }
 
   async loadExpired() {
     return await loadJson('expired.json') || [];
   }
 
-  async saveExpired(data) {
-    await saveJson('expired.json', data);
+  async updateExpired(work) {
+    return await updateJson('expired.json', (expired, tx) => {
+      if (!Array.isArray(expired)) tx.data = expired = [];
+      return work(expired, tx);
+    });
   }
 
-  // Cek dan reset stock yang expired
-  async checkExpiredStock() {
+  isAccountExpired(account, now = new Date()) {
+    return !!account.exp && new Date(account.exp) <= now;
+  }
+
+  // Jumlah slot siap kirim untuk satu varian (pengganti field quantity lama)
+  countAvailable(stock, productId, variantId) {
+    return stock
+      .filter(account => account.productId === productId && account.variantId === variantId)
+      .filter(account => !this.isAccountExpired(account))
+      .reduce((total, account) =>
+        total + (account.slots || []).filter(slot => slot.status === SLOT_STATUS.AVAILABLE).length, 0);
+  }
+
+  async getSummary() {
     const stock = await this.loadStock();
-    const expired = await this.loadExpired();
-    const now = new Date();
-    
-    let resetCount = 0;
-    const updatedStock = [];
-    const newExpired = [];
-
-    for (const item of stock) {
-      if (item.expired && new Date(item.expired) <= now) {
-        // Stock expired - reset ke 0
-        const expiredItem = {
-          ...item,
-          stock: 0,
-          expiredAt: new Date().toISOString(),
-          resetReason: 'Auto-reset: expired'
-        };
-        
-        newExpired.push(expiredItem);
-        resetCount++;
-        
-        // Buat notifikasi untuk owner/admin
-        await this.createNotification({
-          type: 'stock_expired',
-          product: item.nama,
-          sku: item.sku,
-          message: `Stock ${item.nama} (${item.sku}) telah expired dan direset ke 0`,
-          timestamp: new Date().toISOString()
+    const summary = {};
+
+    for (const account of stock) {
+      const key = `${account.productId}/${account.variantId}`;
+      if (!summary[key]) {
+        summary[key] = { productId: account.productId, variantId: account.variantId, accounts: 0, available: 0, reserved: 0, delivered: 0 };
+      }
+      summary[key].accounts += 1;
+      for (const slot of account.slots || []) {
+        if (slot.status === SLOT_STATUS.AVAILABLE && this.isAccountExpired(account)) continue;
+        summary[key][slot.status] = (summary[key][slot.status] || 0) + 1;
+      }
+    }
+
+    return Object.values(summary);
+  }
+
+  // Tambah akun baru (dari panel /stock)
+  async addAccount({ productId, variantId, email, password, pins = [], slotCount = 1, cost = 0, dateCreated, exp }) {
+    const product = await productCatalog.getProduct(productId);
+    const variant = product && (product.variants || []).find(v => v.id === variantId);
+    if (!variant) {
+      return { success: false, message: `Varian ${productId}/${variantId} tidak ada di katalog.` };
+    }
+
+    const count = Math.max(parseInt(slotCount) || 1, pins.length, 1);
+    const account = {
+      id: `STK-${Date.now()}`,
+      productId: product.id,
+      variantId: variant.id,
+      email: email.trim(),
+      password: password || '',
+      cost: Math.max(parseInt(String(cost).replace(/\D/g, '')) || 0, 0),
+      dateCreated: dateCreated || new Date().toISOString().split('T')[0],
+      exp: exp || null,
+      slots: Array.from({ length: count }, (_, index) => ({
+        slot: index + 1,
+        pin: pins[index] || '',
+        status: SLOT_STATUS.AVAILABLE
+      }))
+    };
+
+    await this.updateStock(stock => {
+      stock.push(account);
+    });
+    await this.syncAvailability(account.productId, account.variantId);
+
+    return { success: true, account };
+  }
+
+  async deleteAccount(id) {
+    const removed = await this.updateStock(stock => {
+      const index = stock.findIndex(account => account.id === id);
+      return index === -1 ? null : stock.splice(index, 1)[0];
+    });
+
+    if (removed) {
+      await this.syncAvailability(removed.productId, removed.variantId);
+    }
+    return !!removed;
+  }
+
+  /**
+   * Reservasi satu slot untuk order yang sudah dibayar. Akun yang masa
+   * aktifnya menutup durasi order diutamakan, yang paling cepat expired dulu.
+   */
+  async reserveSlot(order) {
+    const reserved = await this.updateStock(stock => {
+      const now = new Date();
+      const orderEnd = new Date(now.getTime() + (order.days || 0) * 24 * 60 * 60 * 1000);
+
+      const candidates = stock
+        .filter(account => account.productId === order.productId && account.variantId === order.variantId)
+        .filter(account => !this.isAccountExpired(account, now))
+        .filter(account => (account.slots || []).some(slot => slot.status === SLOT_STATUS.AVAILABLE))
+        .sort((a, b) => {
+          const coversA = !a.exp || new Date(a.exp) >= orderEnd;
+          const coversB = !b.exp || new Date(b.exp) >= orderEnd;
+          if (coversA !== coversB) return coversA ? -1 : 1;
+          return (a.exp ? new Date(a.exp).getTime() : Infinity) - (b.exp ? new Date(b.exp).getTime() : Infinity);
         });
-      } else {
-        updatedStock.push(item);
+
+      const account = candidates[0];
+      if (!account) return null;
+
+      const slot = account.slots.find(s => s.status === SLOT_STATUS.AVAILABLE);
+      slot.status = SLOT_STATUS.RESERVED;
+      slot.orderId = order.id;
+      slot.userNumber = order.customer;
+      slot.reservedAt = now.toISOString();
+      return this.toCredential(account, slot);
+    });
+
+    if (reserved) {
+      await this.syncAvailability(order.productId, order.variantId);
+    }
+    return reserved;
+  }
+
+  async markDelivered(credential, transaksi) {
+    return await this.updateSlot(credential, slot => {
+      slot.status = SLOT_STATUS.DELIVERED;
+      slot.duration = transaksi.durasi;
+      slot.dateCreated = transaksi.dateGiven;
+      slot.exp = transaksi.exp;
+      slot.deliveredAt = new Date().toISOString();
+    });
+  }
+
+  // Kembalikan slot ke stok (pengiriman gagal)
+  async releaseSlot(credential) {
+    const released = await this.updateSlot(credential, slot => {
+      slot.status = SLOT_STATUS.AVAILABLE;
+      delete slot.orderId;
+      delete slot.userNumber;
+      delete slot.reservedAt;
+    });
+
+    if (released) {
+      await this.syncAvailability(credential.productId, credential.variantId);
+    }
+    return released;
+  }
+
+  // Slot yang masih direservasi untuk order (klaim pengiriman yang terhenti di tengah jalan)
+  async releaseReservedForOrder(orderId) {
+    const released = await this.updateStock(stock => {
+      const freed = [];
+      for (const account of stock) {
+        for (const slot of account.slots || []) {
+          if (slot.status !== SLOT_STATUS.RESERVED || slot.orderId !== orderId) continue;
+          slot.status = SLOT_STATUS.AVAILABLE;
+          delete slot.orderId;
+          delete slot.userNumber;
+          delete slot.reservedAt;
+          freed.push({ productId: account.productId, variantId: account.variantId });
+        }
       }
+      return freed;
+    });
+
+    for (const { productId, variantId } of released) {
+      await this.syncAvailability(productId, variantId);
     }
+    return released.length;
+  }
+
+  async updateSlot(credential, mutate) {
+    return await this.updateStock(stock => {
+      const account = stock.find(a => a.id === credential.stockId);
+      const slot = account && account.slots.find(s => s.slot === credential.slot);
+      if (!slot) return false;
+
+      mutate(slot);
+      return true;
+    });
+  }
+
+  toCredential(account, slot) {
+    return {
+      stockId: account.id,
+      productId: account.productId,
+      variantId: account.variantId,
+      email: account.email,
+      password: account.password,
+      slot: slot.slot,
+      pin: slot.pin,
+      accountExp: account.exp,
+      cost: this.slotCost(account)
+    };
+  }
+
+  // Modal satu slot (akun lama tanpa cost dianggap 0)
+  slotCost(account) {
+    const slots = (account.slots || []).length || 1;
+    return account.cost ? Math.round(account.cost / slots) : 0;
+  }
+
+  /**
+   * Tandai varian "kosong" di katalog saat slot habis, dan aktif lagi saat
+   * restock. Varian tanpa akun di inventory tidak diatur otomatis.
+   */
+  async syncAvailability(productId, variantId) {
+    try {
+      const stock = await this.loadStock();
+      const managed = stock.some(account => account.productId === productId && account.variantId === variantId);
+      const available = !managed || this.countAvailable(stock, productId, variantId) > 0;
+
+      // Diubah di isi catalog.json terbaru, edit produk dari panel tidak tertimpa
+      const changed = await productCatalog.updateProduct(productId, product => {
+        const variant = (product.variants || []).find(v => v.id === variantId);
+        if (!variant) return false;
+
+        const current = (variant.durations || []).every(duration => duration.available !== false);
+        if (current === available) return false;
+
+        for (const duration of variant.durations) {
+          if (available) {
+            delete duration.available;
+          } else {
+            duration.available = false;
+          }
+        }
+        return true;
+      });
 
-    if (resetCount > 0) {
-      await this.saveStock(updatedStock);
-      await this.saveExpired([...expired, ...newExpired]);
-      
-      console.log(`Auto-reset ${resetCount} expired stock items`);
+      if (changed) {
+        console.log(`📦 ${productId}/${variantId} ${available ? 'tersedia lagi' : 'SOLD OUT'}`);
+      }
+    } catch (error) {
+      console.error('Error syncing stock availability:', error);
+    }
+  }
+
+  // Cek akun yang sudah expired: pindahkan ke expired.json
+  async checkExpiredStock() {
+    const now = new Date();
+
+    const newExpired = await this.updateStock((stock, tx) => {
+      const active = [];
+      const expiredAccounts = [];
+
+      for (const account of stock) {
+        if (this.isAccountExpired(account, now)) {
+          expiredAccounts.push({
+            ...account,
+            expiredAt: now.toISOString(),
+            resetReason: 'Auto-reset: expired'
+          });
+        } else {
+          active.push(account);
+        }
+      }
+
+      if (expiredAccounts.length > 0) {
+        tx.data = active;
+      }
+      return expiredAccounts;
+    });
+
+    if (newExpired.length > 0) {
+      await this.updateExpired(expired => {
+        expired.push(...newExpired);
+      });
+    }
+
+    for (const account of newExpired) {
+      // Buat notifikasi untuk owner/admin
+      await this.createNotification({
+        type: 'stock_expired',
+        product: `${account.productId}/${account.variantId}`,
+        sku: account.id,
+        message: `Akun ${account.email} (${account.productId}/${account.variantId}) telah expired dan dikeluarkan dari stock`,
+        timestamp: now.toISOString()
+      });
+    }
+
+    const variants = new Set(newExpired.map(account => `${account.productId}/${account.variantId}`));
+    for (const key of variants) {
+      const [productId, variantId] = key.split('/');
+      await this.syncAvailability(productId, variantId);
+    }
+
+    if (newExpired.length > 0) {
+      console.log(`Auto-reset ${newExpired.length} expired stock accounts`);
     }
 
     return {
-      resetCount,
+      resetCount: newExpired.length,
       expiredItems: newExpired
     };
   }
@@ -83,21 +341,21 @@ class StockManager {
         console.error('Error in auto-reset:', error);
       }
     }, 60 * 60 * 1000); // 1 jam
-    
+
     // Jalankan juga saat startup
     this.checkExpiredStock();
   }
 
   // Buat notifikasi untuk stock events
   async createNotification(notification) {
-    const notifications = await loadJson('notifications.json') || [];
-    notifications.push({
-      ...notification,
-      id: Date.now().toString(),
-      read: false
+    await updateJson('notifications.json', (notifications, tx) => {
+      if (!Array.isArray(notifications)) tx.data = notifications = [];
+      notifications.push({
+        ...notification,
+        id: Date.now().toString(),
+        read: false
+      });
     });
-    
-    await saveJson('notifications.json', notifications);
   }
 
   // Get expired stock report
@@ -105,43 +363,31 @@ class StockManager {
     const expired = await this.loadExpired();
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
-    
-    return expired.filter(item => 
+
+    return expired.filter(item =>
       new Date(item.expiredAt) >= cutoffDate
     );
   }
 
-  // Restore stock dari expired
-  async restoreExpiredStock(sku, newStock, newExpiredDate) {
-    const stock = await this.loadStock();
-    const expired = await this.loadExpired();
-    
-    const expiredIndex = expired.findIndex(e => e.sku === sku);
-    if (expiredIndex === -1) return false;
-    
-    const expiredItem = expired[expiredIndex];
-    const stockIndex = stock.findIndex(s => s.sku === sku);
-    
-    if (stockIndex !== -1) {
-      // Update existing stock
-      stock[stockIndex].stock = newStock;
-      stock[stockIndex].expired = newExpiredDate;
-    } else {
-      // Add new stock
-      stock.push({
-        ...expiredItem,
-        stock: newStock,
-        expired: newExpiredDate
+  // Restore akun dari expired dengan tanggal expired baru
+  async restoreExpiredStock(id, newExpiredDate) {
+    // Keluarkan dari expired.json dulu, baru masukkan ke stock.json
+    const restored = await this.updateExpired(expired => {
+      const expiredIndex = expired.findIndex(e => e.id === id);
+      if (expiredIndex === -1) return null;
+
+      const { expiredAt, resetReason, ...account } = expired.splice(expiredIndex, 1)[0];
+      account.exp = newExpiredDate;
+      return account;
+    });
+
+    if (restored) {
+      await this.updateStock(stock => {
+        stock.push(restored);
       });
+      await this.syncAvailability(restored.productId, restored.variantId);
     }
-    
-    // Remove from expired
-    expired.splice(expiredIndex, 1);
-    
-    await this.saveStock(stock);
-    await this.saveExpired(expired);
-    
-    return true;
+    return !!restored;
   }
 }
 
@@ -0,0 +1,441 @@
+/**
+ * STORAGE
+ * Lapisan penyimpanan transaksional untuk data/*.json (dan database/users.json).
+ *
+ * Bot (index.js) dan panel (app.js) sama-sama menulis file yang sama, jadi pola
+ * loadJson -> ubah -> saveJson bisa saling menimpa. Semua perubahan lewat
+ * transaction(): baca ulang di dalam lock, ubah, lalu tulis atomik.
+ *
+ * Backend:
+ * - json (default): satu file per dokumen, lock antar-proses lewat file .lock,
+ *   tulis ke file sementara lalu rename (file tidak pernah setengah tertulis)
+ * - sqlite: dokumen yang sama disimpan per baris di data/storage.db (butuh
+ *   paket opsional better-sqlite3), konflik antar-proses dicek lewat versi
+ *
+ * Collection memberi ID tetap ke setiap record, supaya edit/hapus dari panel
+ * tidak lagi memakai index array yang bisa bergeser.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const LOCK_TIMEOUT = 10 * 1000;
+const LOCK_STALE = 30 * 1000;
+const LOCK_RETRY = 25;
+const MAX_CONFLICT_RETRIES = 8;
+
+// Koleksi yang recordnya punya ID tetap (dipakai Collection dan scripts/migrateStorage.js)
+const COLLECTIONS = {
+    'faq.json': { prefix: 'FAQ' },
+    'sop.json': { prefix: 'SOP' },
+    // promo.json lama berupa satu object { banner }, dijadikan array promo aktif
+    'promo.json': {
+        prefix: 'PRM',
+        normalize: data => (data && !Array.isArray(data) && data.banner ? [{ banner: data.banner, active: true }] : data)
+    },
+    'buyers.json': { prefix: 'BYR' },
+    'log_claim.json': { prefix: 'LOG' },
+    'moderators.json': { prefix: 'MOD' },
+    'stock.json': { prefix: 'STK' },
+    'orders.json': { prefix: 'ORD' },
+    'outbox.json': { prefix: 'MSG' },
+    'broadcasts.json': { prefix: 'BRC' },
+    'handoffs.json': { prefix: 'HND' },
+    'feedback.json': { prefix: 'FBK' },
+    'ledger.json': { prefix: 'LDG' },
+    'vouchers.json': { prefix: 'VCR' },
+    '../database/users.json': { root: 'users' }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * JSON BACKEND - satu file per dokumen
+ */
+class JsonBackend {
+    constructor(baseDir = DATA_DIR) {
+        this.type = 'json';
+        this.baseDir = baseDir;
+        this.tempCounter = 0;
+    }
+
+    resolve(name) {
+        return path.join(this.baseDir, name);
+    }
+
+    // File lama ada yang tersimpan UTF-16 (dari Notepad) atau ber-BOM
+    decode(buffer) {
+        if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.slice(2).toString('utf16le');
+        const text = buffer.toString('utf8');
+        return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    }
+
+    async exists(name) {
+        try {
+            await fs.access(this.resolve(name));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async load(name, fallback) {
+        const filePath = this.resolve(name);
+        let stat;
+        let content;
+        try {
+            [stat, content] = await Promise.all([fs.stat(filePath), fs.readFile(filePath)]);
+        } catch (error) {
+            if (error.code === 'ENOENT') return { data: fallback, version: 0 };
+            throw error;
+        }
+
+        const text = this.decode(content);
+        if (!text.trim()) return { data: fallback, version: stat.mtimeMs };
+
+        try {
+            const data = JSON.parse(text);
+            return { data: data === null ? fallback : data, version: stat.mtimeMs };
+        } catch (error) {
+            // File rusak disalin dulu, isi yang baru menimpa saat ditulis berikutnya
+            const backupPath = `${filePath}.corrupted.${Date.now()}`;
+            await fs.copyFile(filePath, backupPath).catch(() => {});
+            console.error(`File ${name} memiliki format JSON yang tidak valid (${error.message}), di-backup ke ${backupPath}`);
+            return { data: fallback, version: stat.mtimeMs };
+        }
+    }
+
+    async store(name, data) {
+        const filePath = this.resolve(name);
+        const json = JSON.stringify(data, null, 2);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Salinan versi sebelumnya, seperti saveJson lama
+        await fs.copyFile(filePath, `${filePath}.backup`).catch(() => {});
+
+        const tempPath = `${filePath}.${process.pid}.${++this.tempCounter}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(json, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+        return true;
+    }
+
+    async version(name) {
+        try {
+            return (await fs.stat(this.resolve(name))).mtimeMs;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Lock antar-proses: file <nama>.lock dibuat eksklusif (wx). Lock yang
+     * tertinggal dari proses yang mati dianggap basi setelah LOCK_STALE.
+     */
+    async lock(name) {
+        const lockPath = `${this.resolve(name)}.lock`;
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        const started = Date.now();
+
+        while (true) {
+            try {
+                const handle = await fs.open(lockPath, 'wx');
+                await handle.writeFile(`${process.pid} ${new Date().toISOString()}`);
+                await handle.close();
+                return () => fs.unlink(lockPath).catch(() => {});
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const stat = await fs.stat(lockPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > LOCK_STALE) {
+                console.warn(`Storage: lock basi ${name} dilepas`);
+                await fs.unlink(lockPath).catch(() => {});
+                continue;
+            }
+            if (Date.now() - started > LOCK_TIMEOUT) {
+                throw new Error(`Timeout menunggu lock ${name}`);
+            }
+            await sleep(LOCK_RETRY + Math.floor(Math.random() * LOCK_RETRY));
+        }
+    }
+}
+
+/**
+ * SQLITE BACKEND - tabel documents(name, data, version), satu baris per dokumen.
+ * Tidak memakai lock; store() hanya berhasil kalau versi belum diubah proses lain.
+ */
+class SqliteBackend {
+    constructor(dbPath) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('Backend sqlite butuh paket better-sqlite3 (npm install better-sqlite3)');
+        }
+
+        this.type = 'sqlite';
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(`CREATE TABLE IF NOT EXISTS documents (
+            name TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            updated_at TEXT NOT NULL
+        )`);
+        this.selectStmt = this.db.prepare('SELECT data, version FROM documents WHERE name = ?');
+        this.insertStmt = this.db.prepare('INSERT OR IGNORE INTO documents (name, data, version, updated_at) VALUES (?, ?, 1, ?)');
+        this.updateStmt = this.db.prepare('UPDATE documents SET data = ?, version = version + 1, updated_at = ? WHERE name = ? AND version = ?');
+    }
+
+    async exists(name) {
+        return Boolean(this.selectStmt.get(name));
+    }
+
+    async load(name, fallback) {
+        const row = this.selectStmt.get(name);
+        if (!row) return { data: fallback, version: 0 };
+        return { data: JSON.parse(row.data), version: row.version };
+    }
+
+    async store(name, data, expectedVersion) {
+        const json = JSON.stringify(data);
+        const now = new Date().toISOString();
+        const result = expectedVersion
+            ? this.updateStmt.run(json, now, name, expectedVersion)
+            : this.insertStmt.run(name, json, now);
+        return result.changes === 1;
+    }
+
+    async version(name) {
+        const row = this.selectStmt.get(name);
+        return row ? row.version : 0;
+    }
+
+    async lock() {
+        return () => {};
+    }
+}
+
+/**
+ * COLLECTION - array record dengan ID tetap di dalam satu dokumen
+ */
+class Collection {
+    constructor(storage, name, { idField = 'id', prefix = 'REC', root = null, normalize = null } = {}) {
+        this.storage = storage;
+        this.name = name;
+        this.idField = idField;
+        this.prefix = prefix;
+        this.root = root;
+        this.normalize = normalize || (data => data);
+    }
+
+    // Array record di dalam dokumen (users.json menyimpannya di { users: [] })
+    records(data) {
+        data = this.normalize(data);
+        if (!this.root) return Array.isArray(data) ? data : null;
+        return data && Array.isArray(data[this.root]) ? data[this.root] : null;
+    }
+
+    emptyDocument() {
+        return this.root ? { [this.root]: [] } : [];
+    }
+
+    // work(records, tx) di dalam transaksi; dokumen yang bentuknya salah diganti dokumen kosong
+    mutate(work) {
+        return this.storage.transaction(this.name, async (data, tx) => {
+            tx.data = this.normalize(data);
+            if (!this.records(tx.data)) tx.data = this.emptyDocument();
+            return work(this.records(tx.data), tx);
+        }, this.emptyDocument());
+    }
+
+    matches(record, id) {
+        return record && record[this.idField] !== undefined && String(record[this.idField]) === String(id);
+    }
+
+    nextId() {
+        return this.storage.generateId(this.prefix);
+    }
+
+    async all() {
+        return this.records(await this.storage.read(this.name, this.emptyDocument())) || [];
+    }
+
+    async get(id) {
+        return (await this.all()).find(record => this.matches(record, id)) || null;
+    }
+
+    async find(predicate) {
+        return (await this.all()).filter(predicate);
+    }
+
+    async insert(record) {
+        return this.mutate(records => {
+            const entry = record[this.idField] === undefined || record[this.idField] === null
+                ? { [this.idField]: this.nextId(), ...record }
+                : record;
+            records.push(entry);
+            return entry;
+        });
+    }
+
+    /**
+     * changes: object (digabung) atau function(record) yang mengubah record di tempat.
+     * Return { before, after } atau null kalau ID tidak ada.
+     */
+    async update(id, changes) {
+        return this.mutate(records => {
+            const record = records.find(item => this.matches(item, id));
+            if (!record) return null;
+
+            const before = JSON.parse(JSON.stringify(record));
+            if (typeof changes === 'function') {
+                changes(record);
+            } else {
+                Object.assign(record, changes, { [this.idField]: record[this.idField] });
+            }
+            return { before, after: record };
+        });
+    }
+
+    async remove(id) {
+        return this.mutate(records => {
+            const index = records.findIndex(item => this.matches(item, id));
+            return index === -1 ? null : records.splice(index, 1)[0];
+        });
+    }
+
+    // Record lama tanpa ID diberi ID baru; return jumlah yang diberi
+    async ensureIds() {
+        return this.mutate(records => {
+            let assigned = 0;
+            for (const record of records) {
+                if (record && typeof record === 'object' && (record[this.idField] === undefined || record[this.idField] === null)) {
+                    record[this.idField] = this.nextId();
+                    assigned++;
+                }
+            }
+            return assigned;
+        });
+    }
+}
+
+class Storage {
+    constructor(backend) {
+        this.backend = backend;
+        this.queues = new Map();
+        this.collections = new Map();
+    }
+
+    // Antrian per dokumen di dalam proses, lock backend untuk antar-proses
+    enqueue(name, task) {
+        const previous = this.queues.get(name) || Promise.resolve();
+        const run = previous.then(task, task);
+        const tail = run.catch(() => {});
+        this.queues.set(name, tail);
+        tail.then(() => {
+            if (this.queues.get(name) === tail) this.queues.delete(name);
+        });
+        return run;
+    }
+
+    async exists(name) {
+        return this.backend.exists(name);
+    }
+
+    // { data, version } - version berubah setiap kali dokumen ditulis (dipakai cache/index)
+    async load(name, fallback = []) {
+        return this.backend.load(name, fallback);
+    }
+
+    async read(name, fallback = []) {
+        return (await this.load(name, fallback)).data;
+    }
+
+    async version(name) {
+        return this.backend.version(name);
+    }
+
+    /**
+     * Baca-ubah-tulis atomik. work(data, tx) boleh mengubah data di tempat atau
+     * mengganti seluruh isi lewat tx.data = ...; return value work diteruskan ke
+     * pemanggil. Dokumen hanya ditulis kalau isinya berubah.
+     *
+     * Pada backend sqlite, work bisa diulang kalau proses lain menulis lebih dulu,
+     * jadi work cukup mengubah data (efek samping lakukan setelah transaction).
+     */
+    async transaction(name, work, fallback = []) {
+        return this.enqueue(name, async () => {
+            for (let attempt = 1; ; attempt++) {
+                const release = await this.backend.lock(name);
+                try {
+                    const { data, version } = await this.backend.load(name, fallback);
+                    const original = JSON.stringify(data);
+                    const tx = { data };
+                    const result = await work(tx.data, tx);
+
+                    if (tx.data !== undefined && JSON.stringify(tx.data) !== original) {
+                        const stored = await this.backend.store(name, tx.data, version);
+                        if (!stored) {
+                            if (attempt >= MAX_CONFLICT_RETRIES) throw new Error(`Konflik tulis ${name}, coba lagi`);
+                            await sleep(LOCK_RETRY * attempt);
+                            continue;
+                        }
+                    }
+                    return result;
+                } finally {
+                    await release();
+                }
+            }
+        });
+    }
+
+    async write(name, data) {
+        return this.transaction(name, (current, tx) => {
+            tx.data = data;
+        });
+    }
+
+    collection(name, options = {}) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Collection(this, name, { ...COLLECTIONS[name], ...options }));
+        }
+        return this.collections.get(name);
+    }
+
+    generateId(prefix = 'REC') {
+        return `${prefix}-${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    }
+}
+
+function createBackend(settings = config.storage || {}) {
+    if (settings.backend === 'sqlite') {
+        try {
+            return new SqliteBackend(path.resolve(__dirname, '..', settings.sqlite_path || 'data/storage.db'));
+        } catch (error) {
+            console.error(`Storage: ${error.message}, kembali ke backend json`);
+        }
+    }
+    return new JsonBackend();
+}
+
+// Create singleton
+const storage = new Storage(createBackend());
+
+module.exports = { Storage, JsonBackend, SqliteBackend, Collection, COLLECTIONS, createBackend, storage };
@@ -0,0 +1,374 @@
+/**
+ * SURVEY MANAGER
+ * Survey kepuasan (CSAT) setelah order dikirim atau klaim ditutup.
+ *
+ * Survey dijadwalkan oleh proses yang menyelesaikan transaksi (bot / panel) di
+ * data/feedback.json, lalu dikirim oleh bot setelah config.csat_delay_minutes
+ * supaya customer sempat mencoba akunnya. Customer membalas nilai ("5", "4/5",
+ * "5 bintang", "⭐⭐⭐⭐"), boleh langsung dengan komentar ("5 mantap"); kalau hanya
+ * nilai, bot menanyakan komentar opsional (satu balasan, beberapa menit saja). Survey
+ * yang tidak dijawab dalam config.csat_expire_hours ditandai expired. Pertanyaan dan
+ * angka yang diikuti satuan ("2 bulan netflix berapa?", "5rb") diproses seperti biasa.
+ *
+ * Record lama di feedback.json ({ user_id, order_id, rating, pesan }) tetap
+ * dihitung di statistik.
+ */
+
+const moment = require('moment-timezone');
+const config = require('../config');
+const { loadJson } = require('./dataLoader');
+const { storage } = require('./storage');
+const { outbox } = require('./outbox');
+const { indonesianNlp } = require('./indonesianNlp');
+
+const TIMEZONE = 'Asia/Jakarta';
+const FEEDBACK_FILE = 'feedback.json';
+
+const SURVEY_STATUS = {
+    SCHEDULED: 'scheduled',
+    SENT: 'sent',
+    RATED: 'rated',       // nilai sudah masuk, menunggu komentar
+    ANSWERED: 'answered',
+    EXPIRED: 'expired'
+};
+
+// Komentar ditunggu sebentar saja (satu balasan), setelah itu pesan customer diproses seperti biasa
+const COMMENT_WINDOW = 10 * 60 * 1000;
+const MAX_COMMENT = 500;
+const SKIP_WORDS = ['skip', 'lewati', 'tidak', 'tidak ada', 'gak', 'ga', 'nggak', 'enggak', 'no', '-'];
+
+// Pertanyaan / permintaan baru saat bot menunggu komentar tidak dianggap komentar
+// (dicek pada teks ternormalisasi: "brp" -> "berapa", "gmn" -> "bagaimana")
+const REQUEST_PATTERN = /\b(berapa|bagaimana|kapan|apakah|dimana|bisakah|order|beli|klaim|claim|harga|pricelist|menu|stok|stock)\b/;
+
+// "5 bulan", "3 profil", "2 rb": angka jumlah/durasi/harga, bukan nilai survey
+const UNIT_PATTERN = /^(rb|ribu|k|jt|juta|bulan|bln|hari|hr|minggu|mgg|tahun|thn|profil|user|orang|akun|device|perangkat|slot|x)\b/i;
+
+class SurveyManager {
+    constructor() {
+        this.surveys = storage.collection(FEEDBACK_FILE);
+        this.timer = null;
+        this.checkInterval = 60 * 1000;
+    }
+
+    normalizeNumber(value) {
+        const digits = String(value || '').split('@')[0].replace(/\D/g, '');
+        return digits.startsWith('0') ? `62${digits.slice(1)}` : digits;
+    }
+
+    /**
+     * JADWAL - dipanggil setelah order dikirim (source order) / klaim CLOSED (source claim).
+     * handledBy: nomor moderator / username panel yang menyelesaikan.
+     */
+    async schedule({ source, customer, name = '', orderId = null, ticket = null, product = '', handledBy = null }) {
+        const number = this.normalizeNumber(customer);
+        if (!number) return null;
+
+        try {
+            const now = new Date();
+            const result = await this.surveys.mutate(records => {
+                // Satu survey per order / klaim
+                const existing = records.find(r => (orderId && r.order_id === orderId && r.source === source) ||
+                                                   (ticket && r.ticket === ticket));
+                if (existing) return null;
+
+                const survey = {
+                    id: this.surveys.nextId(),
+                    user_id: outbox.toJid(number),
+                    number,
+                    name,
+                    source,
+                    order_id: orderId,
+                    ticket,
+                    product,
+                    handledBy,
+                    status: SURVEY_STATUS.SCHEDULED,
+                    createdAt: now.toISOString(),
+                    dueAt: new Date(now.getTime() + config.csat_delay_minutes * 60 * 1000).toISOString(),
+                    sentAt: null,
+                    rating: null,
+                    pesan: null,
+                    ratedAt: null,
+                    answeredAt: null
+                };
+                records.push(survey);
+                return survey;
+            });
+
+            if (result) console.log(`⭐ Survey ${result.id} dijadwalkan untuk ${number} (${orderId || ticket})`);
+            return result;
+        } catch (error) {
+            // Survey gagal dijadwalkan tidak boleh menggagalkan pengiriman order / penutupan klaim
+            console.error('Error scheduling survey:', error);
+            return null;
+        }
+    }
+
+    /**
+     * PENGIRIMAN (proses bot)
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Error running surveys:', error));
+        }, this.checkInterval);
+    }
+
+    async tick(sock = global.sock) {
+        const expired = await this.expireStale();
+        const sent = await this.sendDue(sock);
+        return { sent, expired };
+    }
+
+    async sendDue(sock = global.sock) {
+        if (!sock || !sock.user) return 0;
+
+        const now = Date.now();
+        const records = await this.surveys.all();
+        // Customer yang masih punya survey terbuka tidak dikirimi survey kedua dulu
+        const waiting = new Set(records.filter(r => this.isOpen(r)).map(r => r.number));
+        const due = records.filter(r => r.status === SURVEY_STATUS.SCHEDULED && new Date(r.dueAt).getTime() <= now);
+
+        let sent = 0;
+        for (const survey of due) {
+            if (waiting.has(survey.number)) continue;
+
+            try {
+                await sock.sendMessage(survey.user_id, { text: this.buildPrompt(survey) });
+            } catch (error) {
+                console.warn(`Survey ${survey.id}: gagal kirim ke ${survey.number}:`, error.message);
+                continue;
+            }
+
+            await this.surveys.update(survey.id, { status: SURVEY_STATUS.SENT, sentAt: new Date().toISOString() });
+            waiting.add(survey.number);
+            sent++;
+        }
+        return sent;
+    }
+
+    // Survey tanpa jawaban jadi expired, nilai tanpa komentar dianggap selesai
+    async expireStale() {
+        const now = Date.now();
+        const expireBefore = now - config.csat_expire_hours * 60 * 60 * 1000;
+        const isUnanswered = survey => survey.status === SURVEY_STATUS.SENT && new Date(survey.sentAt).getTime() < expireBefore;
+        const isRatedOnly = survey => survey.status === SURVEY_STATUS.RATED && new Date(survey.ratedAt).getTime() < now - COMMENT_WINDOW;
+
+        // Cek dulu tanpa menulis file, tick jalan setiap menit
+        const stale = await this.surveys.find(survey => isUnanswered(survey) || isRatedOnly(survey));
+        if (stale.length === 0) return 0;
+
+        return this.surveys.mutate(records => {
+            let changed = 0;
+            for (const survey of records) {
+                if (isUnanswered(survey)) {
+                    survey.status = SURVEY_STATUS.EXPIRED;
+                    changed++;
+                } else if (isRatedOnly(survey)) {
+                    survey.status = SURVEY_STATUS.ANSWERED;
+                    survey.answeredAt = survey.ratedAt;
+                    changed++;
+                }
+            }
+            return changed;
+        });
+    }
+
+    buildPrompt(survey) {
+        const subject = survey.source === 'claim'
+            ? `Klaim *${survey.ticket}*${survey.product ? ` (${survey.product})` : ''} sudah selesai ditangani`
+            : `Order *${survey.order_id}*${survey.product ? ` (${survey.product})` : ''} sudah kami kirim`;
+
+        return `Halo Kak${survey.name ? ` ${survey.name}` : ''} 👋\n\n` +
+               `${subject}. Seberapa puas Kakak dengan pelayanan kami?\n\n` +
+               `Balas dengan angka *1-5*:\n` +
+               `5 = Sangat puas\n4 = Puas\n3 = Biasa saja\n2 = Kurang puas\n1 = Kecewa\n\n` +
+               `_Cukup angkanya saja ya, komentar bisa dikirim setelahnya._`;
+    }
+
+    /**
+     * JAWABAN CUSTOMER - route "survey" di lib/responseRouter
+     */
+    isOpen(survey) {
+        return survey.status === SURVEY_STATUS.SENT ||
+               (survey.status === SURVEY_STATUS.RATED && Date.now() - new Date(survey.ratedAt).getTime() < COMMENT_WINDOW);
+    }
+
+    async getOpen(remoteJid) {
+        if (!String(remoteJid).endsWith('@s.whatsapp.net')) return null;
+
+        const number = this.normalizeNumber(remoteJid);
+        const open = await this.surveys.find(r => r.number === number && this.isOpen(r));
+        return open.sort((a, b) => String(b.sentAt).localeCompare(String(a.sentAt)))[0] || null;
+    }
+
+    /**
+     * Nilai 1-5 di awal balasan, sisanya komentar: "5", "4/5", "5 bintang", "⭐⭐⭐⭐",
+     * "5 mantap" -> { rating, comment }. Pertanyaan dan angka bersatuan -> null.
+     */
+    parseRating(input) {
+        const text = String(input || '').trim();
+        if (this.isRequest(text)) return null;
+
+        const stars = text.match(/^(⭐{1,5})\s*([\s\S]*)$/u);
+        if (stars) return { rating: [...stars[1]].length, comment: stars[2].trim() };
+
+        const match = text.match(/^([1-5])(?:\s*\/\s*5)?(?:\s*bintang)?(?=$|[\s.,!:;-])[\s.,!:;-]*([\s\S]*)$/i);
+        if (!match || /^[1-5][.,]\d/.test(text) || UNIT_PATTERN.test(match[2])) return null;
+        return { rating: Number(match[1]), comment: match[2].trim() };
+    }
+
+    isRequest(input) {
+        return REQUEST_PATTERN.test(indonesianNlp.normalize(input)) || String(input).includes('?');
+    }
+
+    /**
+     * Dipakai determineRoute: pesan ini jawaban survey yang sedang terbuka?
+     */
+    async isAwaitingReply(remoteJid, input) {
+        const survey = await this.getOpen(remoteJid);
+        if (!survey) return false;
+        if (survey.status === SURVEY_STATUS.RATED) return !this.isRequest(input);
+        return this.parseRating(input) !== null;
+    }
+
+    async handleReply(remoteJid, input) {
+        const survey = await this.getOpen(remoteJid);
+        if (!survey) return null;
+
+        const now = new Date().toISOString();
+
+        if (survey.status === SURVEY_STATUS.SENT) {
+            const parsed = this.parseRating(input);
+            if (!parsed) return null;
+
+            const { rating, comment } = parsed;
+            await this.surveys.update(survey.id, {
+                rating,
+                pesan: comment ? comment.slice(0, MAX_COMMENT) : null,
+                status: comment ? SURVEY_STATUS.ANSWERED : SURVEY_STATUS.RATED,
+                ratedAt: now,
+                answeredAt: comment ? now : null
+            });
+            this.trackAnalytics(rating, comment);
+
+            const thanks = rating >= 4
+                ? `Terima kasih atas nilai *${rating}/5*-nya, Kak! 🥰`
+                : `Terima kasih atas penilaiannya, Kak. Maaf kalau pelayanan kami belum memuaskan 🙏`;
+            if (comment) {
+                return `${thanks}\n\nMasukan Kakak sudah kami catat dan akan kami sampaikan ke tim 🙏`;
+            }
+            return `${thanks}\n\n` +
+                   (rating >= 4 ? 'Ada masukan untuk kami?' : 'Boleh ceritakan apa yang kurang?') +
+                   ` Balas di chat ini, atau ketik *skip*.`;
+        }
+
+        // Menunggu komentar
+        const text = input.trim();
+        const skipped = SKIP_WORDS.includes(text.toLowerCase());
+        await this.surveys.update(survey.id, {
+            pesan: skipped ? null : text.slice(0, MAX_COMMENT),
+            status: SURVEY_STATUS.ANSWERED,
+            answeredAt: now
+        });
+        if (!skipped) this.trackAnalytics(null, text);
+
+        return skipped
+            ? 'Siap, terima kasih Kak 🙏'
+            : 'Masukan Kakak sudah kami catat dan akan kami sampaikan ke tim, terima kasih Kak 🙏';
+    }
+
+    // Metrik in-memory bot (lazy require: analyticsManager ikut memuat responseRouter)
+    trackAnalytics(rating, comment) {
+        try {
+            const { analyticsManager } = require('./analyticsManager');
+            analyticsManager.trackUserFeedback({ rating, comment });
+        } catch (error) {
+            console.warn('Survey: gagal mencatat analytics:', error.message);
+        }
+    }
+
+    /**
+     * STATISTIK - dihitung dari feedback.json supaya panel (proses terpisah) melihat angka yang sama.
+     *
+     * CSAT = % nilai 4-5. NPS versi skala 5: % nilai 5 (promoter) dikurangi % nilai 1-3 (detractor).
+     */
+    async getStats({ days = 30 } = {}) {
+        const records = await this.surveys.all();
+        const rated = records.filter(r => Number.isInteger(r.rating) && r.rating >= 1 && r.rating <= 5);
+        const sent = records.filter(r => r.sentAt);
+        const sourceOf = record => record.source || (record.order_id ? 'order' : 'lainnya');
+
+        const summarize = list => {
+            const total = list.length;
+            if (total === 0) return { responses: 0, averageScore: 0, csat: 0, nps: 0 };
+
+            const count = test => list.filter(r => test(r.rating)).length;
+            return {
+                responses: total,
+                averageScore: Math.round(list.reduce((sum, r) => sum + r.rating, 0) / total * 100) / 100,
+                csat: Math.round(count(rating => rating >= 4) / total * 1000) / 10,
+                nps: Math.round((count(rating => rating === 5) - count(rating => rating <= 3)) / total * 1000) / 10
+            };
+        };
+
+        const groupBy = keyOf => {
+            const groups = {};
+            for (const record of rated) {
+                const key = keyOf(record);
+                (groups[key] = groups[key] || []).push(record);
+            }
+            return Object.fromEntries(Object.entries(groups).map(([key, list]) => [key, summarize(list)]));
+        };
+
+        // Tren harian (WIB) untuk N hari terakhir; record lama tanpa tanggal hanya masuk total
+        const trend = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = moment.tz(TIMEZONE).subtract(i, 'days').format('YYYY-MM-DD');
+            const list = rated.filter(r => r.ratedAt && moment.tz(r.ratedAt, TIMEZONE).format('YYYY-MM-DD') === date);
+            trend.push({ date, ...summarize(list) });
+        }
+
+        const moderatorNames = await this.getModeratorNames();
+        const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        rated.forEach(r => distribution[r.rating]++);
+
+        return {
+            ...summarize(rated),
+            surveysSent: sent.length,
+            responseRate: sent.length ? Math.round(sent.filter(r => r.rating).length / sent.length * 1000) / 10 : 0,
+            pending: records.filter(r => r.status === SURVEY_STATUS.SCHEDULED).length,
+            distribution,
+            bySource: groupBy(sourceOf),
+            byModerator: groupBy(r => moderatorNames[r.handledBy] || r.handledBy || '-'),
+            trend,
+            recentComments: rated
+                .filter(r => r.pesan)
+                .sort((a, b) => String(b.answeredAt || '').localeCompare(String(a.answeredAt || '')))
+                .slice(0, 10)
+                .map(r => ({
+                    rating: r.rating,
+                    comment: r.pesan,
+                    source: sourceOf(r),
+                    ref: r.order_id || r.ticket || null,
+                    handledBy: moderatorNames[r.handledBy] || r.handledBy || null,
+                    at: r.answeredAt || null
+                }))
+        };
+    }
+
+    // Nomor -> nama moderator (owner juga), username panel dipakai apa adanya
+    async getModeratorNames() {
+        const moderators = await loadJson('moderators.json');
+        const names = { [config.owner_number]: config.owner_name };
+        for (const mod of Array.isArray(moderators) ? moderators : []) {
+            if (mod.number && mod.name) names[mod.number] = mod.name;
+        }
+        return names;
+    }
+}
+
+// Create singleton
+const surveyManager = new SurveyManager();
+
+module.exports = { SurveyManager, surveyManager, SURVEY_STATUS };
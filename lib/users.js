@@ -1,42 +1,21 @@
-const fs        = require('fs');
-const path      = require('path');
 const moment    = require('moment');
 const config    = require('../config');
+const { storage } = require('./storage');
 const { databaseOptimizer } = require('./databaseOptimizer');
-const CONSTANTS = require('./constants');
 
-const filePath = path.join(__dirname, '../database/users.json');
+// database/users.json ({ users: [] }) lewat lib/storage: dibaca tiap pesan dan
+// ditulis bot maupun perintah owner, jadi setiap perubahan memakai transaksi
+const usersCollection = storage.collection('../database/users.json');
 
-function resetUsersJson() {
-
-    // Membuat objek kosong
-    const emptyData = {
-        users: []
-    };
-
-    // Menyimpan objek kosong ke dalam users.json
-    fs.writeFile(filePath, JSON.stringify(emptyData, null, 2), (err) => {
-        if (err) {
-            console.error('Gagal mereset users.json:', err);
-            return;
-        }
-    });
-}
-
-
-
-// Fungsi untuk membaca data dari file JSON
-function readData() {
-    const data = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(data);
-}
-
-// Fungsi untuk menulis data ke file JSON
-function writeData(data) {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+async function resetUsersJson() {
+    try {
+        // Menyimpan objek kosong ke dalam users.json
+        await storage.write(usersCollection.name, usersCollection.emptyDocument());
+    } catch (err) {
+        console.error('Gagal mereset users.json:', err);
+    }
 }
 
-
 // Fungsi untuk mengecek apakah user adalah user premium
 function isPremiumUser(user) {
     const currentTime = moment(); // Waktu sekarang
@@ -65,111 +44,91 @@ function checkLimit(user) {
 }
 
 // Fungsi untuk mengurangi limit user biasa
-function reduceLimit(id) {
-    const data = readData();
-    const user = data.users.find(u => u.id === id);
-    if (user) {
-        if (isPremiumUser(user)) {
-        } else {
-            const remainingLimit = checkLimit(user);
-            if (remainingLimit > 0) {
-                user.limit -= 1;
-                writeData(data);
-            }
+async function reduceLimit(id) {
+    await usersCollection.update(id, user => {
+        if (isPremiumUser(user)) return;
+
+        const remainingLimit = checkLimit(user);
+        if (remainingLimit > 0) {
+            user.limit -= 1;
         }
-    }
+    });
 }
 
 
-function addUser(id, premiumDurationDays) {
-    const data = readData();
+async function addUser(id, premiumDurationDays) {
+    await usersCollection.mutate(users => {
+        // Cek apakah pengguna dengan id yang sama sudah ada
+        const user = users.find(user => user.id === id);
 
-    // Cek apakah pengguna dengan id yang sama sudah ada
-    const user = data.users.find(user => user.id === id);
+        if (user) {
+            // Jika pengguna sudah ada, perbarui premium_end
+            console.log(`User with ID ${id} already exists. Updating premium duration.`);
 
-    if (user) {
-        // Jika pengguna sudah ada, perbarui premium_end
-        console.log(`User with ID ${id} already exists. Updating premium duration.`);
+            const premiumStart = moment(); // Waktu saat ini
+            let premiumEnd;
 
-        const premiumStart = moment(); // Waktu saat ini
-        let premiumEnd;
+            // Jika premiumDurationDays -1, maka user biasa (tanpa premium)
+            if (premiumDurationDays === -1) {
+                premiumEnd = moment().subtract(1, 'days'); // Set premium_end ke waktu yang sudah berlalu
+            } else {
+                premiumEnd = premiumStart.clone().add(premiumDurationDays, 'days'); // Tambahkan durasi premium (misal 30 hari)
+            }
 
-        // Jika premiumDurationDays -1, maka user biasa (tanpa premium)
-        if (premiumDurationDays === -1) {
-            premiumEnd = moment().subtract(1, 'days'); // Set premium_end ke waktu yang sudah berlalu
+            // Update premium_end pada pengguna yang ada
+            user.premium_start = premiumStart.format(); // Perbarui premium_start
+            user.premium_end = premiumEnd.format();      // Perbarui premium_end
         } else {
-            premiumEnd = premiumStart.clone().add(premiumDurationDays, 'days'); // Tambahkan durasi premium (misal 30 hari)
-        }
-
-        // Update premium_end pada pengguna yang ada
-        user.premium_start = premiumStart.format(); // Perbarui premium_start
-        user.premium_end = premiumEnd.format();      // Perbarui premium_end
-    } else {
-        // Tambahkan pengguna baru jika belum ada
-        const premiumStart = moment(); // Waktu saat ini
-        let premiumEnd;
+            // Tambahkan pengguna baru jika belum ada
+            const premiumStart = moment(); // Waktu saat ini
+            let premiumEnd;
+
+            // Jika premiumDurationDays -1, maka user biasa (tanpa premium)
+            if (premiumDurationDays === -1) {
+                premiumEnd = moment().subtract(1, 'days'); // Set premium_end ke waktu yang sudah berlalu
+            } else {
+                premiumEnd = premiumStart.clone().add(premiumDurationDays, 'days'); // Tambahkan durasi premium (misal 30 hari)
+            }
 
-        // Jika premiumDurationDays -1, maka user biasa (tanpa premium)
-        if (premiumDurationDays === -1) {
-            premiumEnd = moment().subtract(1, 'days'); // Set premium_end ke waktu yang sudah berlalu
-        } else {
-            premiumEnd = premiumStart.clone().add(premiumDurationDays, 'days'); // Tambahkan durasi premium (misal 30 hari)
+            users.push({
+                id: id,
+                premium_start: premiumStart.format(),  // Format ISO string
+                premium_end: premiumEnd.format()
+            });
         }
-
-        data.users.push({
-            id: id,
-            premium_start: premiumStart.format(),  // Format ISO string
-            premium_end: premiumEnd.format()
-        });
-    }
-
-    writeData(data);
+    });
 }
 
 
 
 // Fungsi untuk mengedit user secara dinamis
-function editUser(id, premiumDurationDays) {
-    const data = readData();
-    const user = data.users.find(u => u.id === id);
-
-    if (user) {
+async function editUser(id, premiumDurationDays) {
+    await usersCollection.update(id, user => {
         const premiumStart = moment(); // Waktu saat ini
         const premiumEnd = premiumStart.clone().add(premiumDurationDays, 'days'); // Tambahkan durasi baru
 
         user.premium_start = premiumStart.format();
         user.premium_end = premiumEnd.format();
-
-        writeData(data);
-    } 
+    });
 }
 
 // Fungsi untuk menghapus user
-function deleteUser(id) {
-    const data = readData();
-    const updatedUsers = data.users.filter(u => u.id !== id);
-    if (updatedUsers.length === data.users.length) {
-    } else {
-        data.users = updatedUsers;
-        writeData(data);
-    }
+async function deleteUser(id) {
+    await usersCollection.remove(id);
 }
 
 // Fungsi untuk mendapatkan data user
-function getUser(id) {
-    const data = readData();
-    const user = data.users.find(u => u.id === id);
-    if (user) {
-        return user;
-    } else {
-        return null;
-    }
+// Dipanggil tiap pesan: lewat index users.json:id (dibangun ulang saat versi file berubah)
+async function getUser(id) {
+    const [found] = await databaseOptimizer.findByIndex('users.json:id', id) || [];
+    // Salinan, karena checkLimit mengisi default limit langsung di object user
+    return found ? { ...found.data } : null;
 }
 
-function getUserPremium() {
-    const data = readData();
+async function getUserPremium() {
+    const users = await usersCollection.all();
     const currentDate = moment(); // Tanggal dan waktu saat ini
-    const premiumUsers = data.users.filter(user => moment(user.premium_end).isSameOrAfter(currentDate)); // Hanya ambil user yang premium masih aktif
+    const premiumUsers = users.filter(user => moment(user.premium_end).isSameOrAfter(currentDate)); // Hanya ambil user yang premium masih aktif
 
     const total = premiumUsers.length; // Menghitung total pengguna premium
     let userListText = `*DAFTAR LIST PREMIUM* (${total})\n\n`; // Menambahkan header dengan total pengguna premium
@@ -186,15 +145,15 @@ function getUserPremium() {
     return userListText.trim(); // Mengembalikan daftar pengguna dalam format teks
 }
 
-function getAllUsers() {
-    const data = readData();
-    const total = data.users.length; // Menghitung total pengguna
+async function getAllUsers() {
+    const users = await usersCollection.all();
+    const total = users.length; // Menghitung total pengguna
     let userListText = `*DAFTAR SEMUA USER* (${total})\n\n`; // Menambahkan header dengan total pengguna
 
     // Mengurutkan semua pengguna berdasarkan premium_end (tanggal terawal lebih dulu)
-    data.users.sort((a, b) => new Date(a.premium_end) - new Date(b.premium_end));
+    users.sort((a, b) => new Date(a.premium_end) - new Date(b.premium_end));
 
-    data.users.forEach(user => {
+    users.forEach(user => {
         // Mengambil hanya nomor dari user.id (tanpa @s.whatsapp.net)
         const number = user.id.split('@')[0];
         userListText += `⌬ ${number}, - ${moment(user.premium_end).format('YYYY-MM-DD')}\n`;
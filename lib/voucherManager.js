@@ -0,0 +1,347 @@
+/**
+ * VOUCHER MANAGER
+ * Kode voucher diskon (data/vouchers.json) yang bisa dipakai customer saat order di chat.
+ *
+ * Aturan per voucher:
+ * - type percent (value = persen, maxDiscount opsional) atau fixed (value = rupiah)
+ * - products: ID produk katalog yang berlaku (kosong = semua produk)
+ * - minPurchase: harga normal paket minimal
+ * - maxUses (kuota total) dan maxUsesPerCustomer (per nomor WhatsApp), 0 = tanpa batas
+ * - validFrom / validUntil: tanggal WIB, inklusif
+ * - stackable: boleh digabung dengan diskon tier member (voucher dihitung dari harga member);
+ *   kalau tidak, hanya potongan voucher yang dipakai. Satu order maksimal satu voucher.
+ *
+ * Pemakaian dicatat di voucher.redemptions saat order dibuat dan dilepas lagi kalau
+ * order dibatalkan (oleh customer/admin atau otomatis karena tidak dibayar), jadi kuota
+ * selalu dihitung dari redemption yang masih aktif. Redemption yang order-nya gagal
+ * dibuat dilepas saat itu juga; sisa yang tetap tanpa order dilepas releaseOrphans.
+ */
+
+const moment = require('moment-timezone');
+const { storage } = require('./storage');
+const { productCatalog } = require('./productCatalog');
+
+const TIMEZONE = 'Asia/Jakarta';
+const VOUCHERS_FILE = 'vouchers.json';
+
+const VOUCHER_TYPES = {
+    PERCENT: 'percent',
+    FIXED: 'fixed'
+};
+
+const REDEMPTION_STATUS = {
+    ACTIVE: 'active',
+    RELEASED: 'released'
+};
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+class VoucherManager {
+    constructor() {
+        this.vouchers = storage.collection(VOUCHERS_FILE);
+    }
+
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    async list() {
+        const vouchers = await this.vouchers.all();
+        return vouchers.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    async getByCode(code) {
+        const normalized = this.normalizeCode(code);
+        const [voucher] = await this.vouchers.find(v => v.code === normalized);
+        return voucher || null;
+    }
+
+    /**
+     * SIMPAN (panel) - data mentah form, id kosong = voucher baru
+     */
+    validate(data, existing) {
+        const toInt = value => Math.max(parseInt(String(value ?? '').replace(/[^\d]/g, ''), 10) || 0, 0);
+        const toDate = value => {
+            if (!value) return null;
+            const parsed = moment.tz(String(value), 'YYYY-MM-DD', true, TIMEZONE);
+            return parsed.isValid() ? parsed.format('YYYY-MM-DD') : undefined;
+        };
+
+        const voucher = {
+            code: this.normalizeCode(data.code),
+            description: String(data.description || '').trim(),
+            type: data.type === VOUCHER_TYPES.FIXED ? VOUCHER_TYPES.FIXED : VOUCHER_TYPES.PERCENT,
+            value: toInt(data.value),
+            maxDiscount: toInt(data.maxDiscount),
+            products: [].concat(data.products || [])
+                .flatMap(product => String(product).split(','))
+                .map(product => product.trim().toLowerCase())
+                .filter(Boolean),
+            minPurchase: toInt(data.minPurchase),
+            maxUses: toInt(data.maxUses),
+            maxUsesPerCustomer: toInt(data.maxUsesPerCustomer),
+            validFrom: toDate(data.validFrom),
+            validUntil: toDate(data.validUntil),
+            stackable: data.stackable === true || data.stackable === 'on',
+            active: data.active === true || data.active === 'on'
+        };
+
+        if (!CODE_PATTERN.test(voucher.code)) {
+            return { error: 'Kode voucher 3-20 karakter, hanya huruf, angka, - dan _.' };
+        }
+        if (existing.some(v => v.code === voucher.code && v.id !== data.id)) {
+            return { error: `Kode voucher ${voucher.code} sudah dipakai.` };
+        }
+        if (!voucher.value) {
+            return { error: 'Nilai diskon wajib diisi.' };
+        }
+        if (voucher.type === VOUCHER_TYPES.PERCENT && voucher.value > 100) {
+            return { error: 'Diskon persen maksimal 100.' };
+        }
+        if (voucher.validFrom === undefined || voucher.validUntil === undefined) {
+            return { error: 'Tanggal berlaku tidak valid.' };
+        }
+        if (voucher.validFrom && voucher.validUntil && voucher.validFrom > voucher.validUntil) {
+            return { error: 'Tanggal mulai harus sebelum tanggal berakhir.' };
+        }
+        return { voucher };
+    }
+
+    async save(data, by) {
+        return this.vouchers.mutate(records => {
+            const { voucher, error } = this.validate(data, records);
+            if (error) return { success: false, message: error };
+
+            const now = new Date().toISOString();
+            if (data.id) {
+                const record = records.find(v => v.id === data.id);
+                if (!record) return { success: false, message: 'Voucher tidak ditemukan.' };
+
+                const before = JSON.parse(JSON.stringify(record));
+                Object.assign(record, voucher, { updatedAt: now, updatedBy: by });
+                return { success: true, before, voucher: record };
+            }
+
+            const created = {
+                id: this.vouchers.nextId(),
+                ...voucher,
+                uses: 0,
+                redemptions: [],
+                createdAt: now,
+                createdBy: by
+            };
+            records.push(created);
+            return { success: true, before: null, voucher: created };
+        });
+    }
+
+    async toggleActive(id) {
+        return this.vouchers.update(id, voucher => {
+            voucher.active = !voucher.active;
+        });
+    }
+
+    async remove(id) {
+        return this.vouchers.remove(id);
+    }
+
+    /**
+     * VALIDASI PEMAKAIAN
+     */
+    activeRedemptions(voucher, customer = null) {
+        return (voucher.redemptions || []).filter(r =>
+            r.status !== REDEMPTION_STATUS.RELEASED && (!customer || r.customer === customer));
+    }
+
+    // Alasan voucher tidak bisa dipakai (teks untuk customer), null = boleh
+    checkVoucher(voucher, { customer, productId, subtotal }) {
+        const today = moment.tz(TIMEZONE).format('YYYY-MM-DD');
+
+        if (!voucher || !voucher.active) {
+            return 'Kode voucher tidak ditemukan atau sudah tidak aktif.';
+        }
+        if (voucher.validFrom && today < voucher.validFrom) {
+            return `Voucher ${voucher.code} baru berlaku mulai ${moment(voucher.validFrom).format('DD/MM/YYYY')}.`;
+        }
+        if (voucher.validUntil && today > voucher.validUntil) {
+            return `Voucher ${voucher.code} sudah berakhir pada ${moment(voucher.validUntil).format('DD/MM/YYYY')}.`;
+        }
+        if (voucher.products.length > 0 && !voucher.products.includes(productId)) {
+            return `Voucher ${voucher.code} hanya berlaku untuk ${voucher.products.join(', ')}.`;
+        }
+        if (subtotal < voucher.minPurchase) {
+            return `Voucher ${voucher.code} minimal pembelian ${productCatalog.formatPrice(voucher.minPurchase)}.`;
+        }
+        if (voucher.maxUses && this.activeRedemptions(voucher).length >= voucher.maxUses) {
+            return `Kuota voucher ${voucher.code} sudah habis.`;
+        }
+        if (voucher.maxUsesPerCustomer && this.activeRedemptions(voucher, customer).length >= voucher.maxUsesPerCustomer) {
+            return `Kakak sudah memakai voucher ${voucher.code} (maksimal ${voucher.maxUsesPerCustomer}x per customer).`;
+        }
+        return null;
+    }
+
+    discountOn(voucher, amount) {
+        if (voucher.type === VOUCHER_TYPES.FIXED) return Math.min(voucher.value, amount);
+
+        // Dibulatkan ke bawah per Rp 100 seperti diskon member
+        const discount = Math.floor(amount * voucher.value / 100 / 100) * 100;
+        return Math.min(voucher.maxDiscount ? Math.min(discount, voucher.maxDiscount) : discount, amount);
+    }
+
+    /**
+     * Harga akhir paket dengan voucher + diskon member (pricing dari loyaltyManager.getPricing).
+     * pricing di hasil = diskon member yang tetap dipakai (null kalau tidak digabung).
+     */
+    computeQuote(voucher, pkg, pricing) {
+        const memberPrice = productCatalog.applyDiscount(pkg.price, pricing);
+
+        if (voucher.stackable || memberPrice === pkg.price) {
+            const discount = this.discountOn(voucher, memberPrice);
+            return { success: true, price: memberPrice - discount, discount, pricing, memberDropped: false };
+        }
+
+        const discount = this.discountOn(voucher, pkg.price);
+        if (pkg.price - discount >= memberPrice) {
+            return {
+                success: false,
+                message: `Voucher ${voucher.code} tidak bisa digabung dengan diskon member ${pricing.tierName}, ` +
+                         `dan harga member Kakak sudah lebih murah 😊`
+            };
+        }
+        return { success: true, price: pkg.price - discount, discount, pricing: null, memberDropped: true };
+    }
+
+    describe(voucher) {
+        const amount = voucher.type === VOUCHER_TYPES.PERCENT
+            ? `${voucher.value}%${voucher.maxDiscount ? ` (maks ${productCatalog.formatPrice(voucher.maxDiscount)})` : ''}`
+            : productCatalog.formatPrice(voucher.value);
+        return `Diskon ${amount}`;
+    }
+
+    // Cek tanpa mencatat (customer memasukkan kode di konfirmasi order)
+    async quote(code, { customer, pkg, pricing = null }) {
+        const voucher = await this.getByCode(code);
+        const reason = this.checkVoucher(voucher, { customer, productId: pkg.productId, subtotal: pkg.price });
+        if (reason) return { success: false, message: reason };
+
+        const quote = this.computeQuote(voucher, pkg, pricing);
+        return quote.success ? { ...quote, code: voucher.code, description: this.describe(voucher) } : quote;
+    }
+
+    /**
+     * Catat pemakaian saat order dibuat. Kuota dicek ulang di dalam transaksi supaya
+     * dua order bersamaan tidak melewati batas.
+     */
+    async redeem(code, { customer, pkg, pricing = null }) {
+        const normalized = this.normalizeCode(code);
+        return this.vouchers.mutate(records => {
+            const voucher = records.find(v => v.code === normalized);
+            const reason = this.checkVoucher(voucher, { customer, productId: pkg.productId, subtotal: pkg.price });
+            if (reason) return { success: false, message: reason };
+
+            const quote = this.computeQuote(voucher, pkg, pricing);
+            if (!quote.success) return quote;
+
+            voucher.redemptions = voucher.redemptions || [];
+            const redemption = {
+                id: `${voucher.code}-${voucher.redemptions.length + 1}`,
+                customer,
+                orderId: null,
+                productId: pkg.productId,
+                discount: quote.discount,
+                status: REDEMPTION_STATUS.ACTIVE,
+                at: new Date().toISOString()
+            };
+            voucher.redemptions.push(redemption);
+            voucher.uses = this.activeRedemptions(voucher).length;
+
+            return { ...quote, code: voucher.code, description: this.describe(voucher), redemptionId: redemption.id };
+        });
+    }
+
+    async linkOrder(code, redemptionId, orderId) {
+        const normalized = this.normalizeCode(code);
+        return this.vouchers.mutate(records => {
+            const voucher = records.find(v => v.code === normalized);
+            const redemption = voucher && (voucher.redemptions || []).find(r => r.id === redemptionId);
+            if (redemption) redemption.orderId = orderId;
+            return redemption || null;
+        });
+    }
+
+    // Order dibatalkan: kuota voucher dikembalikan
+    async release(code, orderId) {
+        return this.releaseWhere(code, r => r.orderId === orderId);
+    }
+
+    // Order gagal dibuat setelah voucher dicatat (redemption belum punya orderId)
+    async releaseRedemption(code, redemptionId) {
+        return this.releaseWhere(code, r => r.id === redemptionId && !r.orderId);
+    }
+
+    async releaseWhere(code, match) {
+        const normalized = this.normalizeCode(code);
+        return this.vouchers.mutate(records => {
+            const voucher = records.find(v => v.code === normalized);
+            const redemption = voucher && this.activeRedemptions(voucher).find(match);
+            if (!redemption) return null;
+
+            this.markReleased(voucher, redemption);
+            return redemption;
+        });
+    }
+
+    markReleased(voucher, redemption) {
+        redemption.status = REDEMPTION_STATUS.RELEASED;
+        redemption.releasedAt = new Date().toISOString();
+        voucher.uses = this.activeRedemptions(voucher).length;
+    }
+
+    /**
+     * Redemption aktif yang tidak pernah tersambung ke order (proses berhenti di antara
+     * redeem dan linkOrder) dan sudah lebih tua dari maxAgeMs. Return jumlah yang dilepas.
+     */
+    async releaseOrphans(maxAgeMs) {
+        const limit = Date.now() - maxAgeMs;
+        return this.vouchers.mutate(records => {
+            let released = 0;
+            for (const voucher of records) {
+                const orphans = this.activeRedemptions(voucher)
+                    .filter(r => !r.orderId && new Date(r.at).getTime() < limit);
+                orphans.forEach(redemption => this.markReleased(voucher, redemption));
+                released += orphans.length;
+            }
+            return released;
+        });
+    }
+
+    /**
+     * LAPORAN - pemakaian per kode (analytics marketing & panel)
+     */
+    async getStats() {
+        const vouchers = await this.list();
+        const byCode = vouchers.map(voucher => {
+            const active = this.activeRedemptions(voucher);
+            return {
+                code: voucher.code,
+                active: !!voucher.active,
+                redemptions: active.length,
+                released: (voucher.redemptions || []).length - active.length,
+                discountTotal: active.reduce((sum, r) => sum + (r.discount || 0), 0),
+                customers: new Set(active.map(r => r.customer)).size
+            };
+        });
+
+        return {
+            totalRedemptions: byCode.reduce((sum, row) => sum + row.redemptions, 0),
+            totalDiscount: byCode.reduce((sum, row) => sum + row.discountTotal, 0),
+            byCode
+        };
+    }
+}
+
+// Create singleton
+const voucherManager = new VoucherManager();
+
+module.exports = { VoucherManager, voucherManager, VOUCHER_TYPES, REDEMPTION_STATUS };
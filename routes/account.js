@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const { roleManager } = require("../lib/roleManager");
+const { accountManager, PASSWORD_MIN_LENGTH } = require("../lib/accountManager");
+const { auditLog } = require("../lib/auditLog");
+
+// Helper: izin akun sendiri (account) dan kelola akun lain (accounts, owner)
+const requirePermission = (resource, action) => roleManager.requirePermission(resource, action);
+
+// Helper: catat aksi akun ke audit log (password/secret tidak ikut dicatat)
+function auditAccount(req, action, target, note = '') {
+  return auditLog.record({ actor: auditLog.panelActor(req), action, resource: 'accounts', target, note });
+}
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+// Akun saya + kelola akun (owner)
+router.get('/', requirePermission('account', 'view'), async (req, res) => {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+
+  try {
+    const account = await accountManager.findAccount(req.session.user.username);
+    const totpSetup = req.session.totpSetup
+      ? { secret: req.session.totpSetup, uri: accountManager.getTotpUri(account, req.session.totpSetup) }
+      : null;
+    const accounts = roleManager.can(req.session.user.role, 'accounts', 'view')
+      ? await accountManager.listAccounts()
+      : [];
+
+    res.render("account", {
+      toast,
+      user: req.session.user,
+      account: {
+        username: account.username,
+        name: account.name,
+        number: account.number,
+        hasPassword: Boolean(account.passwordHash),
+        totp: Boolean(account.totpSecret),
+        lastLogin: account.lastLogin
+      },
+      totpSetup,
+      accounts,
+      home: roleManager.getHomePath(req.session.user.role),
+      passwordMinLength: PASSWORD_MIN_LENGTH
+    });
+  } catch (error) {
+    console.error('Error loading account page:', error);
+    res.redirect(roleManager.getHomePath(req.session.user.role));
+  }
+});
+
+// Ganti password sendiri
+router.post('/password', requirePermission('account', 'edit'), async (req, res) => {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+
+  try {
+    if (newPassword !== confirmPassword) {
+      setToast(req, "error", "Konfirmasi password tidak sama.");
+      return res.redirect("/account");
+    }
+
+    const result = await accountManager.changePassword(req.session.user.username, currentPassword || '', newPassword || '');
+    if (result.success) {
+      req.session.user.mustChangePassword = false;
+      await auditAccount(req, 'change_password', req.session.user.username);
+    }
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error changing password:', error);
+    setToast(req, "error", "Gagal mengganti password.");
+  }
+  res.redirect("/account");
+});
+
+// TOTP: buat secret baru (belum aktif sampai dikonfirmasi dengan kode)
+router.post('/totp/setup', requirePermission('account', 'edit'), (req, res) => {
+  req.session.totpSetup = accountManager.generateTotpSecret();
+  res.redirect("/account");
+});
+
+router.post('/totp/enable', requirePermission('account', 'edit'), async (req, res) => {
+  try {
+    if (!req.session.totpSetup) {
+      setToast(req, "error", "Buat secret TOTP dulu.");
+      return res.redirect("/account");
+    }
+    const result = await accountManager.enableTotp(req.session.user.username, req.session.totpSetup, req.body.code);
+    if (result.success) {
+      delete req.session.totpSetup;
+      await auditAccount(req, 'enable_totp', req.session.user.username);
+    }
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error enabling TOTP:', error);
+    setToast(req, "error", "Gagal mengaktifkan TOTP.");
+  }
+  res.redirect("/account");
+});
+
+router.post('/totp/disable', requirePermission('account', 'edit'), async (req, res) => {
+  try {
+    const result = await accountManager.disableTotp(req.session.user.username, req.body.code);
+    if (result.success) await auditAccount(req, 'disable_totp', req.session.user.username);
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error disabling TOTP:', error);
+    setToast(req, "error", "Gagal mematikan TOTP.");
+  }
+  res.redirect("/account");
+});
+
+// Kelola akun lain (owner)
+router.post('/users/add', requirePermission('accounts', 'edit'), async (req, res) => {
+  try {
+    const result = await accountManager.createAccount(req.body);
+    if (result.success) {
+      const note = req.body.number ? `WA ${req.body.number}` : `role ${req.body.role}`;
+      await auditAccount(req, 'create', String(req.body.username).trim().toLowerCase(), note);
+    }
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error creating account:', error);
+    setToast(req, "error", "Gagal membuat akun.");
+  }
+  res.redirect("/account");
+});
+
+router.post('/users/reset', requirePermission('accounts', 'edit'), async (req, res) => {
+  try {
+    const result = await accountManager.adminResetPassword(req.body.username);
+    if (result.success) await auditAccount(req, 'reset_password', req.body.username);
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error resetting account:', error);
+    setToast(req, "error", "Gagal reset password.");
+  }
+  res.redirect("/account");
+});
+
+router.post('/users/toggle', requirePermission('accounts', 'edit'), async (req, res) => {
+  try {
+    if (req.body.username === req.session.user.username) {
+      setToast(req, "error", "Tidak bisa menonaktifkan akun sendiri.");
+      return res.redirect("/account");
+    }
+    const result = await accountManager.setActive(req.body.username, req.body.active === 'true');
+    if (result.success) await auditAccount(req, req.body.active === 'true' ? 'activate' : 'deactivate', req.body.username);
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error toggling account:', error);
+    setToast(req, "error", "Gagal mengubah status akun.");
+  }
+  res.redirect("/account");
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { roleManager } = require('../lib/roleManager');
+const { auditLog } = require('../lib/auditLog');
+
+// Helper: izin audit (lib/roleManager, hanya owner)
+const requirePermission = action => roleManager.requirePermission('audit', action);
+
+// Helper: filter dari query string
+function getFilters(query) {
+  const filters = {};
+  for (const key of ['actor', 'via', 'resource', 'action', 'q', 'from', 'to']) {
+    if (query[key]) filters[key] = String(query[key]).trim();
+  }
+  return filters;
+}
+
+router.get("/", requirePermission('view'), async (req, res) => {
+  const filters = getFilters(req.query);
+  try {
+    const [entries, facets] = await Promise.all([
+      auditLog.query({ ...filters, limit: 500 }),
+      auditLog.getFacets()
+    ]);
+    res.render("audit", { entries, facets, filters, auditLog });
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    res.render("audit", { entries: [], facets: { resources: [], actions: [] }, filters, auditLog });
+  }
+});
+
+router.get("/export.csv", requirePermission('view'), async (req, res) => {
+  try {
+    const entries = await auditLog.query({ ...getFilters(req.query), limit: Infinity });
+    const filename = `audit_log_${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM supaya Excel membaca UTF-8 dengan benar
+    res.send(`﻿${auditLog.toCsv(entries)}`);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).send('Gagal mengekspor audit log.');
+  }
+});
+
+module.exports = router;
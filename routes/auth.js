@@ -1,94 +1,235 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
+const { roleManager } = require("../lib/roleManager");
+const { accountManager } = require("../lib/accountManager");
+const { securityManager } = require("../lib/securityManager");
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
+// Batas percobaan login: per IP dan per akun, jendela 15 menit
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const LOGIN_LIMIT_IP = 20;
+const LOGIN_LIMIT_ACCOUNT = 5;
+const PENDING_TTL = 5 * 60 * 1000;
 
 // Helper: set toast
 function setToast(req, type, msg) {
   req.session.toast = { type, msg };
 }
 
+// Helper: render halaman login (mode: password / code / verify / 2fa)
+function renderLogin(req, res, mode, extra = {}) {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+  const pending = req.session.pendingLogin;
+  const purpose = (pending && pending.purpose) || 'login';
+  res.render("login", { toast, error: null, mode, purpose, ...extra });
+}
+
+// Helper: throttle percobaan login lewat securityManager
+function checkThrottle(req, login) {
+  const ip = securityManager.checkRateLimit(`login-ip:${req.ip}`, 'login', { limit: LOGIN_LIMIT_IP, windowMs: LOGIN_WINDOW });
+  if (!ip.allowed) return ip;
+  if (!login) return ip;
+  return securityManager.checkRateLimit(`login:${String(login).trim().toLowerCase()}`, 'login', { limit: LOGIN_LIMIT_ACCOUNT, windowMs: LOGIN_WINDOW });
+}
+
+function throttleMessage(limit) {
+  const minutes = Math.max(1, Math.ceil((limit.resetTime - Date.now()) / 60000));
+  return `Terlalu banyak percobaan login. Coba lagi dalam ${minutes} menit.`;
+}
+
+// Helper: login selesai (setelah password/kode dan TOTP kalau aktif)
+async function completeLogin(req, res, account, role) {
+  delete req.session.pendingLogin;
+  securityManager.resetRateLimit(`login:${account.username.toLowerCase()}`);
+  await accountManager.recordLogin(account.username);
+
+  req.session.regenerate(error => {
+    if (error) {
+      console.error('Session regenerate error:', error);
+      return res.redirect("/login");
+    }
+    req.session.isLoggedIn = true;
+    req.session.user = {
+      username: account.username,
+      name: account.name,
+      number: account.number || undefined,
+      role,
+      mustChangePassword: Boolean(account.mustChangePassword),
+      loginTime: new Date().toISOString()
+    };
+    setToast(req, "success", `Login berhasil sebagai ${roleManager.getRoleName(role)}: ${account.name || account.username}!`);
+    res.redirect(account.mustChangePassword ? "/account" : roleManager.getHomePath(role));
+  });
+}
+
+// Helper: lanjut ke TOTP kalau aktif, kalau tidak langsung login
+async function proceedLogin(req, res, account, role) {
+  if (account.totpSecret) {
+    req.session.pendingLogin = { username: account.username, step: '2fa', expiresAt: Date.now() + PENDING_TTL };
+    return res.redirect("/login/2fa");
+  }
+  return completeLogin(req, res, account, role);
+}
+
+// Helper: ambil login yang sedang menunggu kode / TOTP
+function getPending(req, step) {
+  const pending = req.session.pendingLogin;
+  if (!pending || pending.step !== step || Date.now() > pending.expiresAt) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  return pending;
+}
+
 // Login Page
 router.get(["/", "/login"], (req, res) => {
   if (req.session && req.session.isLoggedIn) {
     // Redirect based on role
-    if (req.session.user && req.session.user.role === 'moderator') {
-      return res.redirect("/moderator/dashboard");
-    }
-    return res.redirect("/dashboard");
+    return res.redirect(roleManager.getHomePath(req.session.user && req.session.user.role));
   }
-  
-  const toast = req.session.toast || null;
-  delete req.session.toast;
-  res.render("login", { toast, error: null });
+  renderLogin(req, res, 'password');
 });
 
 // Login Process
 router.post("/login", async (req, res) => {
   const { username, password } = req.body;
-  const config = require('../config');
-  const ADMIN_PASS = config.isProduction ? process.env.ADMIN_PASS : "Konfirmasi";
-  
+
   try {
-    // Check admin login
-    if (username === "admin" && password === ADMIN_PASS) {
-      req.session.isLoggedIn = true;
-      req.session.user = {
-        username: "admin",
-        role: "admin",
-        loginTime: new Date().toISOString()
-      };
-      setToast(req, "success", "Login berhasil sebagai Admin!");
-      return res.redirect("/dashboard");
+    const limit = checkThrottle(req, username);
+    if (!limit.allowed) {
+      return renderLogin(req, res, 'password', { error: throttleMessage(limit) });
     }
-    
-    // Check moderator login
-    try {
-      const moderators = await loadJson('moderators.json');
-      const moderator = moderators.find(mod => 
-        mod.number === username && 
-        mod.active === true
-      );
-      
-      if (moderator && password === ADMIN_PASS) {
-        req.session.isLoggedIn = true;
-        req.session.user = {
-          username: moderator.name,
-          number: moderator.number,
-          role: "moderator",
-          loginTime: new Date().toISOString()
-        };
-        setToast(req, "success", `Login berhasil sebagai Moderator: ${moderator.name}!`);
-        return res.redirect("/moderator/dashboard");
-      }
-    } catch (modError) {
-      console.log('No moderators file found or error loading:', modError.message);
-    }
-    
-    // Fallback: old login system (password only)
-    if (!username && password === ADMIN_PASS) {
-      req.session.isLoggedIn = true;
-      req.session.user = {
-        username: "admin",
-        role: "admin",
-        loginTime: new Date().toISOString()
-      };
-      return res.redirect("/dashboard");
+
+    const result = await accountManager.authenticate(username, password);
+    if (!result.success) {
+      securityManager.logSecurityEvent('failed_auth', req.ip, { username, method: 'password' });
+      return renderLogin(req, res, 'password', { error: result.message });
     }
-    
-    // Login failed
-    setToast(req, "error", "Username atau password salah!");
-    res.render('login', { error: 'Username atau password salah!', toast: null });
-    
+
+    return await proceedLogin(req, res, result.account, result.role);
   } catch (error) {
     console.error('Login error:', error);
-    setToast(req, "error", "Terjadi kesalahan saat login.");
-    res.render('login', { error: 'Terjadi kesalahan sistem', toast: null });
+    renderLogin(req, res, 'password', { error: 'Terjadi kesalahan sistem' });
+  }
+});
+
+// Kode sekali pakai via WhatsApp (purpose: login / reset)
+router.get("/login/code", (req, res) => {
+  renderLogin(req, res, 'code', { purpose: req.query.purpose === 'reset' ? 'reset' : 'login' });
+});
+
+router.post("/login/code", async (req, res) => {
+  const purpose = req.body.purpose === 'reset' ? 'reset' : 'login';
+  const login = (req.body.username || '').trim();
+
+  try {
+    const limit = checkThrottle(req, login);
+    if (!limit.allowed) {
+      return renderLogin(req, res, 'code', { purpose, error: throttleMessage(limit) });
+    }
+
+    const account = await accountManager.findAccount(login);
+    if (account && await accountManager.resolveRole(account)) {
+      await accountManager.sendCode(account, purpose);
+    }
+
+    // Pesan sama untuk akun ada / tidak ada, supaya username tidak bisa ditebak
+    req.session.pendingLogin = {
+      username: account ? account.username : login,
+      step: 'code',
+      purpose,
+      expiresAt: Date.now() + PENDING_TTL
+    };
+    setToast(req, "success", "Kalau akun terdaftar dengan nomor WhatsApp, kode 6 digit sudah dikirim lewat bot.");
+    res.redirect("/login/code/verify");
+  } catch (error) {
+    console.error('Login code error:', error);
+    renderLogin(req, res, 'code', { purpose, error: 'Gagal mengirim kode, coba lagi.' });
+  }
+});
+
+router.get("/login/code/verify", (req, res) => {
+  if (!getPending(req, 'code')) return res.redirect("/login/code");
+  renderLogin(req, res, 'verify');
+});
+
+router.post("/login/code/verify", async (req, res) => {
+  const pending = getPending(req, 'code');
+  if (!pending) {
+    setToast(req, "error", "Kode kedaluwarsa, minta kode baru.");
+    return res.redirect("/login/code");
+  }
+
+  try {
+    // Password baru dicek dulu supaya kode tidak terbuang karena salah ketik password
+    if (pending.purpose === 'reset') {
+      const invalid = req.body.newPassword !== req.body.confirmPassword
+        ? 'Konfirmasi password tidak sama.'
+        : accountManager.validatePassword(req.body.newPassword);
+      if (invalid) return renderLogin(req, res, 'verify', { error: invalid });
+    }
+
+    if (!accountManager.verifyCode(pending.username, req.body.code, pending.purpose)) {
+      securityManager.logSecurityEvent('failed_auth', req.ip, { username: pending.username, method: 'code' });
+      return renderLogin(req, res, 'verify', { error: 'Kode salah atau sudah kedaluwarsa.' });
+    }
+
+    const account = await accountManager.findAccount(pending.username);
+    const role = await accountManager.resolveRole(account);
+    if (!role) {
+      delete req.session.pendingLogin;
+      return renderLogin(req, res, 'password', { error: 'Akun tidak aktif atau tidak punya akses panel.' });
+    }
+
+    if (pending.purpose === 'reset') {
+      await accountManager.setPassword(account.username, req.body.newPassword);
+      delete req.session.pendingLogin;
+      setToast(req, "success", "Password baru tersimpan. Silakan login.");
+      return res.redirect("/login");
+    }
+
+    return await proceedLogin(req, res, account, role);
+  } catch (error) {
+    console.error('Login code verify error:', error);
+    renderLogin(req, res, 'verify', { error: 'Terjadi kesalahan sistem' });
+  }
+});
+
+// Faktor kedua: TOTP
+router.get("/login/2fa", (req, res) => {
+  if (!getPending(req, '2fa')) return res.redirect("/login");
+  renderLogin(req, res, '2fa');
+});
+
+router.post("/login/2fa", async (req, res) => {
+  const pending = getPending(req, '2fa');
+  if (!pending) {
+    setToast(req, "error", "Sesi login kedaluwarsa, ulangi login.");
+    return res.redirect("/login");
+  }
+
+  try {
+    const limit = checkThrottle(req, pending.username);
+    if (!limit.allowed) {
+      delete req.session.pendingLogin;
+      return renderLogin(req, res, 'password', { error: throttleMessage(limit) });
+    }
+
+    const account = await accountManager.findAccount(pending.username);
+    if (!account || !accountManager.verifyTotp(account.totpSecret, req.body.code)) {
+      securityManager.logSecurityEvent('failed_auth', req.ip, { username: pending.username, method: 'totp' });
+      return renderLogin(req, res, '2fa', { error: 'Kode authenticator salah.' });
+    }
+
+    const role = await accountManager.resolveRole(account);
+    if (!role) {
+      delete req.session.pendingLogin;
+      return renderLogin(req, res, 'password', { error: 'Akun tidak aktif atau tidak punya akses panel.' });
+    }
+    return await completeLogin(req, res, account, role);
+  } catch (error) {
+    console.error('Login 2FA error:', error);
+    renderLogin(req, res, '2fa', { error: 'Terjadi kesalahan sistem' });
   }
 });
 
@@ -1,32 +1,82 @@
 const express = require('express');
 const router = express.Router();
-const { loadBlacklist, saveJson } = require('../lib/dataLoader');
+const { blacklistManager, BLACKLIST_SCOPE } = require('../lib/blacklistManager');
+const { roleManager } = require('../lib/roleManager');
+const { auditLog } = require('../lib/auditLog');
 
-router.get("/", async (req, res) => {
-  const blacklist = await loadBlacklist() || [];
-  const toast = req.session.toast || null;
-  delete req.session.toast;
-  res.render("blacklist", { blacklist, toast });
+// Helper: izin blacklist (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('blacklist', action);
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+// Siapa yang melakukan perubahan (untuk audit trail)
+function getActor(req) {
+  const user = req.session.user || {};
+  return user.number || user.username || 'admin';
+}
+
+router.get("/", requirePermission('view'), async (req, res) => {
+  try {
+    const [blacklist, audit] = await Promise.all([
+      blacklistManager.getEntries(),
+      blacklistManager.getAudit(50)
+    ]);
+    const toast = req.session.toast || null;
+    delete req.session.toast;
+    res.render("blacklist", { blacklist, audit, blacklistManager, toast });
+  } catch (error) {
+    console.error('Error loading blacklist:', error);
+    const toast = { type: "error", msg: "Gagal memuat blacklist" };
+    res.render("blacklist", { blacklist: [], audit: [], blacklistManager, toast });
+  }
 });
 
-router.post("/add", async (req, res) => {
-  let blacklistList = await loadBlacklist() || [];
-  const { user, reason } = req.body;
-  blacklistList.push({
-    user: user.trim(),
-    reason: reason.trim(),
-    date: new Date().toISOString()
-  });
-  await saveJson('blacklist.json', blacklistList);
-  req.session.toast = { type: "success", msg: "User berhasil di-blacklist!" };
+router.post("/save", requirePermission('edit'), async (req, res) => {
+  try {
+    const { user, reason, scope, expiresAt, silent } = req.body;
+    const before = await blacklistManager.getEntry(user);
+    const result = await blacklistManager.add({
+      number: user,
+      reason,
+      scope: scope || BLACKLIST_SCOPE.FULL,
+      expiresAt: expiresAt ? `${expiresAt}T23:59:59+07:00` : null,
+      silent: silent === 'on',
+      by: getActor(req),
+      source: 'panel'
+    });
+    if (result.success) {
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: before ? 'update' : 'create',
+        resource: 'blacklist',
+        target: result.entry.user,
+        before,
+        after: result.entry
+      });
+    }
+    setToast(req, result.success ? "success" : "error", result.success ? "User berhasil di-blacklist!" : result.message);
+  } catch (error) {
+    console.error('Error adding blacklist:', error);
+    setToast(req, "error", "Gagal menambah blacklist.");
+  }
   res.redirect('/blacklist');
 });
 
-router.post("/delete", async (req, res) => {
-  let blacklistList = await loadBlacklist() || [];
-  blacklistList.splice(req.body.index, 1);
-  await saveJson('blacklist.json', blacklistList);
-  req.session.toast = { type: "success", msg: "Blacklist dihapus!" };
+router.post("/delete", requirePermission('delete'), async (req, res) => {
+  try {
+    const before = await blacklistManager.getEntry(req.body.user);
+    const result = await blacklistManager.remove(req.body.user, getActor(req));
+    if (result.success) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'delete', resource: 'blacklist', target: req.body.user, before });
+    }
+    setToast(req, result.success ? "success" : "error", result.success ? "Blacklist dihapus!" : result.message);
+  } catch (error) {
+    console.error('Error deleting blacklist:', error);
+    setToast(req, "error", "Gagal menghapus blacklist.");
+  }
   res.redirect('/blacklist');
 });
 
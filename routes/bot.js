@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
+const { botBridge } = require("../lib/botBridge");
+
+// Helper: izin bot (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('bot', action);
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+// Helper: QR login WhatsApp sebagai gambar (hanya ada di RUN_MODE=single)
+async function renderQr(qr) {
+  if (!qr) return null;
+  try {
+    return await require('qrcode').toDataURL(qr);
+  } catch (error) {
+    console.error('Error rendering QR:', error.message);
+    return null;
+  }
+}
+
+// Status bot page
+router.get('/', requirePermission('view'), async (req, res) => {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+
+  try {
+    const status = await botBridge.getStatus();
+    const qrImage = await renderQr(status.connection.qr);
+    res.render("bot", { status, qrImage, toast });
+  } catch (error) {
+    console.error('Error loading bot status:', error);
+    res.render("bot", { status: null, qrImage: null, toast: { type: "error", msg: "Gagal memuat status bot" } });
+  }
+});
+
+// Status JSON untuk polling / monitoring luar (QR / kode pairing tidak ikut)
+router.get('/status.json', requirePermission('view'), async (req, res) => {
+  try {
+    const status = await botBridge.getStatus();
+    const { qr, pairingCode, ...connection } = status.connection;
+    res.json({ ...status, connection: { ...connection, waitingForScan: !!(qr || pairingCode) } });
+  } catch (error) {
+    console.error('Error loading bot status:', error);
+    res.status(500).json({ error: 'Failed to load bot status' });
+  }
+});
+
+// Kirim pesan WhatsApp dari panel
+router.post('/send', requirePermission('edit'), async (req, res) => {
+  const to = (req.body.to || '').trim();
+  const text = (req.body.text || '').trim();
+
+  if (!/^[0-9+\s-]{8,20}$/.test(to) || !text) {
+    setToast(req, "error", "Nomor tujuan dan isi pesan wajib diisi dengan benar.");
+    return res.redirect("/bot");
+  }
+
+  try {
+    const result = await botBridge.sendText(to, text, { source: 'panel', by: req.session.user.username });
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'send',
+      resource: 'bot',
+      target: to,
+      after: { text, delivered: result.delivered, outboxId: result.id }
+    });
+
+    if (result.delivered) {
+      setToast(req, "success", "Pesan terkirim.");
+    } else if (result.queued) {
+      setToast(req, "success", "Bot tidak terhubung di proses panel, pesan dititipkan ke outbox dan dikirim bot nanti.");
+    } else {
+      setToast(req, "error", "Pesan gagal dikirim.");
+    }
+  } catch (error) {
+    console.error('Error sending message from panel:', error);
+    setToast(req, "error", "Gagal mengirim pesan.");
+  }
+  res.redirect("/bot");
+});
+
+// Tandai alert monitoring selesai (hanya mode single, alert ada di memori proses ini)
+router.post('/alerts/:id/resolve', requirePermission('edit'), async (req, res) => {
+  if (botBridge.resolveAlert(req.params.id)) {
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'resolve_alert',
+      resource: 'bot',
+      target: req.params.id
+    });
+    setToast(req, "success", "Alert ditandai selesai.");
+  } else {
+    setToast(req, "error", "Alert tidak ditemukan atau panel tidak satu proses dengan bot.");
+  }
+  res.redirect("/bot");
+});
+
+module.exports = router;
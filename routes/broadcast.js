@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment-timezone');
+const { storage } = require("../lib/storage");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
+const { broadcastManager } = require("../lib/broadcastManager");
+
+// Helper: izin broadcast (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('broadcast', action);
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+// Helper: segmen dari form composer
+function parseSegment(body) {
+  if (body.source === 'users') {
+    return { source: 'users', premiumOnly: body.premiumOnly === 'on' };
+  }
+
+  const products = [].concat(body.products || []).filter(Boolean);
+  return {
+    source: 'buyers',
+    products,
+    royalOnly: body.royalOnly === 'on',
+    subscription: ['active', 'expired'].includes(body.subscription) ? body.subscription : 'all',
+    purchasedFrom: body.purchasedFrom || null,
+    purchasedTo: body.purchasedTo || null
+  };
+}
+
+// Helper: data halaman (daftar broadcast + pilihan composer)
+async function loadPageData(selectedId = null) {
+  const [broadcasts, options, promos, optOut, selected] = await Promise.all([
+    broadcastManager.list(),
+    broadcastManager.getSegmentOptions(),
+    storage.collection("promo.json").all(),
+    broadcastManager.getOptOutList(),
+    selectedId ? broadcastManager.get(selectedId) : null
+  ]);
+  return { broadcasts, options, promos: promos.filter(p => p.active), optOut, selected };
+}
+
+// Broadcast page
+router.get('/', requirePermission('view'), async (req, res) => {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+
+  try {
+    res.render("broadcast", { ...await loadPageData(), toast });
+  } catch (error) {
+    console.error('Error loading broadcast page:', error);
+    res.render("broadcast", {
+      broadcasts: [], options: { products: [] }, promos: [], optOut: [], selected: null,
+      toast: { type: "error", msg: "Gagal memuat data broadcast" }
+    });
+  }
+});
+
+// Hitung penerima sebelum broadcast dibuat (dipanggil composer lewat fetch)
+router.post('/preview', requirePermission('edit'), async (req, res) => {
+  try {
+    res.json(await broadcastManager.preview(parseSegment(req.body)));
+  } catch (error) {
+    console.error('Error previewing broadcast:', error);
+    res.status(500).json({ error: 'Gagal menghitung penerima' });
+  }
+});
+
+// Buat / jadwalkan broadcast
+router.post('/create', requirePermission('edit'), async (req, res) => {
+  try {
+    const { title, text, scheduledAt } = req.body;
+    let schedule = null;
+    if (scheduledAt) {
+      const parsed = moment.tz(scheduledAt, 'YYYY-MM-DDTHH:mm', 'Asia/Jakarta');
+      if (!parsed.isValid()) {
+        setToast(req, "error", "Jadwal kirim tidak valid.");
+        return res.redirect("/broadcast");
+      }
+      schedule = parsed.toISOString();
+    }
+
+    const result = await broadcastManager.create({
+      title,
+      text,
+      segment: parseSegment(req.body),
+      scheduledAt: schedule,
+      createdBy: req.session.user.username
+    });
+
+    if (result.success) {
+      const { recipients, ...after } = result.broadcast;
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: 'create',
+        resource: 'broadcast',
+        target: result.broadcast.id,
+        after
+      });
+    }
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error creating broadcast:', error);
+    setToast(req, "error", "Gagal membuat broadcast.");
+  }
+  res.redirect("/broadcast");
+});
+
+// Batalkan broadcast yang belum selesai
+router.post('/:id/cancel', requirePermission('edit'), async (req, res) => {
+  try {
+    const result = await broadcastManager.cancel(req.params.id);
+    if (result.success) {
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: 'cancel',
+        resource: 'broadcast',
+        target: req.params.id,
+        before: { status: result.before.status },
+        after: { status: result.after.status, stats: broadcastManager.summarize(result.after) }
+      });
+    }
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error cancelling broadcast:', error);
+    setToast(req, "error", "Gagal membatalkan broadcast.");
+  }
+  res.redirect("/broadcast");
+});
+
+// Opt-out manual (mis. customer minta lewat admin)
+router.post('/optout/add', requirePermission('edit'), async (req, res) => {
+  const number = (req.body.number || '').trim();
+  if (await broadcastManager.setOptOut(number, true, 'panel')) {
+    await auditLog.record({ actor: auditLog.panelActor(req), action: 'optout_add', resource: 'broadcast', target: broadcastManager.normalizeNumber(number) });
+    setToast(req, "success", "Nomor ditambahkan ke daftar opt-out.");
+  } else {
+    setToast(req, "error", "Nomor tidak valid.");
+  }
+  res.redirect("/broadcast");
+});
+
+router.post('/optout/remove', requirePermission('edit'), async (req, res) => {
+  const number = (req.body.number || '').trim();
+  if (await broadcastManager.setOptOut(number, false, 'panel')) {
+    await auditLog.record({ actor: auditLog.panelActor(req), action: 'optout_remove', resource: 'broadcast', target: broadcastManager.normalizeNumber(number) });
+    setToast(req, "success", "Nomor dihapus dari daftar opt-out.");
+  } else {
+    setToast(req, "error", "Nomor tidak valid.");
+  }
+  res.redirect("/broadcast");
+});
+
+// Detail broadcast + status per penerima
+router.get('/:id', requirePermission('view'), async (req, res) => {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+
+  try {
+    const data = await loadPageData(req.params.id);
+    if (!data.selected) {
+      setToast(req, "error", "Broadcast tidak ditemukan.");
+      return res.redirect("/broadcast");
+    }
+    res.render("broadcast", { ...data, toast });
+  } catch (error) {
+    console.error('Error loading broadcast detail:', error);
+    setToast(req, "error", "Gagal memuat detail broadcast.");
+    res.redirect("/broadcast");
+  }
+});
+
+module.exports = router;
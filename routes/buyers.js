@@ -1,146 +1,263 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
-
-// Daftar APK valid (harus sama dengan dropdown form)
-const VALID_APK = [
-  "alight motion", "apple music", "bstation", "canva", "capcut", "catchplay", "chatgpt", "disney",
-  "get contact", "hbo max", "iqiyi", "netflix", "picsart", "prime vidio", "remini",
-  "vidio", "vision+", "viu", "wetv", "youtube"
-];
-
-// Helper normalisasi input APK/durasi
-function normalisasi(text) {
-  if (!text) return '';
-  return text.trim().toLowerCase();
+const { storage } = require("../lib/storage");
+const { orderManager, ORDER_STATUS } = require("../lib/orderManager");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
+const { ledgerManager, ENTRY_TYPES } = require("../lib/ledgerManager");
+const { loyaltyManager } = require("../lib/loyaltyManager");
+const { productCatalog } = require("../lib/productCatalog");
+
+// Jenis transaksi form -> jenis entry ledger (garansi = ganti akun)
+const LEDGER_TYPES = {
+  sale: ENTRY_TYPES.SALE,
+  replace: ENTRY_TYPES.REPLACE,
+  warranty: ENTRY_TYPES.REPLACE,
+  upgrade: ENTRY_TYPES.UPGRADE
+};
+
+// Helper: produk katalog untuk input APK (id, nama, alias). apk disimpan sebagai ID katalog,
+// sama seperti transaksi yang dicatat bot, supaya pengingat dan statistik per produk cocok
+async function resolveApk(apk) {
+  return apk ? await productCatalog.getProduct(apk) : null;
+}
+
+// Helper: pilihan dropdown APK
+async function getApkOptions() {
+  const products = await productCatalog.getProducts();
+  return products.map(product => ({ id: product.id, name: product.name }));
 }
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
+// buyers.json dengan ID tetap per buyer (lib/storage)
+const buyersCollection = storage.collection("buyers.json");
+
+// Helper: hitung ulang statistik dari semua transaksi buyer
+function rebuildStatistik(buyer) {
+  buyer.statistik = {};
+  buyer.data.forEach(transaksi => {
+    const apk = transaksi.apk;
+    const dur = transaksi.durasi;
+    
+    if (!buyer.statistik[apk]) {
+      buyer.statistik[apk] = { total: 0, rincian: {} };
+    }
+    buyer.statistik[apk].total += 1;
+    if (!buyer.statistik[apk].rincian[dur]) {
+      buyer.statistik[apk].rincian[dur] = 0;
+    }
+    buyer.statistik[apk].rincian[dur] += 1;
+  });
 }
 
+// Helper: izin buyers (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('buyers', action);
+
 // ====== ROUTE GET (Tampilkan halaman buyers) ======
-router.get('/', requireLogin, async (req, res) => {
+router.get('/', requirePermission('view'), async (req, res) => {
   try {
-    let buyersData = await loadJson("buyers.json");
-    if (!Array.isArray(buyersData)) buyersData = [];
+    await buyersCollection.ensureIds();
+    const buyersData = await buyersCollection.all();
     
     const toast = req.session.toast || null;
     delete req.session.toast;
     
     res.render("buyers", { 
       buyers: buyersData, 
-      validApk: VALID_APK,
+      validApk: await getApkOptions(),
+      paymentMethods: ledgerManager.getPaymentMethods(),
       toast 
     });
   } catch (error) {
     console.error('Error loading buyers page:', error);
     const toast = { type: "error", msg: "Gagal memuat halaman buyers" };
-    res.render("buyers", { buyers: [], validApk: VALID_APK, toast });
+    res.render("buyers", { buyers: [], validApk: await getApkOptions().catch(() => []), paymentMethods: ledgerManager.getPaymentMethods(), toast });
   }
 });
 
 // ====== ROUTE SAVE ======
-router.post('/save', async (req, res) => {
-  const { user, apk, email, durasi, dateGiven, exp, invite, type, notes, isRoyal } = req.body;
+router.post('/save', requirePermission('edit'), async (req, res) => {
+  let order = null;
+  let fulfilledFrom = null;
+  try {
+    const { user, apk, email, durasi, dateGiven, exp, invite, type, notes, isRoyal, orderId, whatsapp,
+            amount, paymentMethod, cost } = req.body;
+    const whatsappNorm = (whatsapp || '').replace(/\D/g, '');
 
-  // Validasi input kosong
-  if (!user || !apk || !email || !durasi || !dateGiven || !exp) {
-    req.session.toast = { type: "error", msg: "Kolom wajib harus diisi (User, APK, Email, Durasi, Date Given, Exp)." };
-    return res.redirect('/buyers');
-  }
+    // Validasi input kosong
+    if (!user || !apk || !email || !durasi || !dateGiven || !exp) {
+      req.session.toast = { type: "error", msg: "Kolom wajib harus diisi (User, APK, Email, Durasi, Date Given, Exp)." };
+      return res.redirect('/buyers');
+    }
+
+    // Validasi APK (produk katalog)
+    const product = await resolveApk(apk);
+    if (!product) {
+      req.session.toast = { type: "error", msg: "Kategori APK tidak valid." };
+      return res.redirect('/buyers');
+    }
+    const apkNorm = product.id;
+    const durasiNorm = durasi.trim(); // durasi bisa bebas
 
-  // Normalisasi
-  const apkNorm = normalisasi(apk);
-  const durasiNorm = durasi.trim(); // durasi bisa bebas
+    // Validasi durasi
+    if (!durasiNorm) {
+      req.session.toast = { type: "error", msg: "Durasi tidak boleh kosong." };
+      return res.redirect('/buyers');
+    }
 
-  // Validasi APK
-  if (!VALID_APK.includes(apkNorm)) {
-    req.session.toast = { type: "error", msg: "Kategori APK tidak valid." };
-    return res.redirect('/buyers');
-  }
+    // Nomor order (opsional) harus ada di orders.json
+    order = orderId ? await orderManager.getOrder(orderId) : null;
+    if (orderId && !order) {
+      req.session.toast = { type: "error", msg: `Nomor order ${orderId} tidak ditemukan.` };
+      return res.redirect('/buyers');
+    }
 
-  // Validasi durasi
-  if (!durasiNorm) {
-    req.session.toast = { type: "error", msg: "Durasi tidak boleh kosong." };
-    return res.redirect('/buyers');
-  }
+    const typeNorm = LEDGER_TYPES[type] ? type : 'sale';
+    // Nominal kosong: pakai total order yang ditautkan (ganti akun / garansi tidak dibayar)
+    const amountNorm = ledgerManager.toAmount(amount) ||
+      (order && LEDGER_TYPES[typeNorm] !== ENTRY_TYPES.REPLACE ? order.price || 0 : 0);
+
+    // Order belum selesai ditandai FULFILLED lebih dulu (compare-and-set), baru ledger & buyers ditulis:
+    // order yang sedang/sudah dikirim bot atau sudah dibatalkan tidak tercatat dua kali.
+    // Ganti akun / garansi / upgrade boleh ditautkan ke order yang sudah selesai.
+    const timestamp = new Date().toISOString();
+    const completesOrder = order && !(order.status === ORDER_STATUS.FULFILLED && typeNorm !== 'sale');
+    if (completesOrder) {
+      const result = await orderManager.transition(order.id, {
+        from: [ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.AWAITING_VERIFICATION],
+        to: ORDER_STATUS.FULFILLED,
+        actor: 'panel',
+        apply: current => { current.fulfilledAt = timestamp; }
+      });
+      if (!result.success) {
+        req.session.toast = { type: "error", msg: `Transaksi tidak disimpan: ${result.message}` };
+        return res.redirect('/buyers');
+      }
+      fulfilledFrom = order.status;
+    }
+
+    // Data transaksi baru
+    const transaksi = {
+      ...(order ? { orderId: order.id } : {}),
+      apk: apkNorm,
+      email,
+      durasi: durasiNorm,
+      dateGiven,
+      exp,
+      invite: invite || '',
+      type: typeNorm, // sale, replace, warranty, upgrade
+      notes: notes || '',
+      amount: amountNorm,
+      paymentMethod: (paymentMethod || '').trim() || null,
+      cost: ledgerManager.toAmount(cost),
+      timestamp
+    };
 
-  // Load buyers.json
-  let buyersData = await loadJson("buyers.json");
-  if (!Array.isArray(buyersData)) buyersData = [];
-
-  // Cari user
-  let idx = buyersData.findIndex(b => b.user === user);
-
-  // Data transaksi baru
-  const transaksi = {
-    apk: apkNorm,
-    email,
-    durasi: durasiNorm,
-    dateGiven,
-    exp,
-    invite: invite || '',
-    type: type || 'sale', // sale, replace, warranty, upgrade
-    notes: notes || '',
-    timestamp: new Date().toISOString()
-  };
-
-  if (idx === -1) {
-    // User baru
-    buyersData.push({
-      user,
-      isRoyal: isRoyal === 'true',
-      joinDate: new Date().toISOString().split('T')[0],
-      totalTransactions: 1,
-      statistik: {
-        [apkNorm]: {
-          total: 1,
-          rincian: { [durasiNorm]: 1 }
-        }
-      },
-      data: [ transaksi ]
+    const entry = await ledgerManager.record({
+      type: LEDGER_TYPES[typeNorm],
+      amount: transaksi.amount,
+      cost: transaksi.cost,
+      paymentMethod: transaksi.paymentMethod,
+      orderId: order ? order.id : null,
+      buyer: user,
+      customer: whatsappNorm || (order ? order.customer : null),
+      productId: apkNorm,
+      item: `${apkNorm} ${durasiNorm}`,
+      date: dateGiven,
+      note: notes || '',
+      by: auditLog.panelActor(req).id
     });
-  } else {
-    // User sudah ada
-    buyersData[idx].data.push(transaksi);
-    buyersData[idx].totalTransactions = buyersData[idx].data.length;
+    transaksi.ledgerId = entry.id;
+
+    // Cari user dan simpan dalam satu transaksi buyers.json
+    const { before, after } = await buyersCollection.mutate(buyersData => {
+      const buyer = buyersData.find(b => b.user === user);
+
+      if (!buyer) {
+        // User baru
+        const created = {
+          id: buyersCollection.nextId(),
+          user,
+          ...(whatsappNorm ? { whatsapp: whatsappNorm } : {}),
+          isRoyal: isRoyal === 'true',
+          joinDate: new Date().toISOString().split('T')[0],
+          totalTransactions: 1,
+          statistik: {
+            [apkNorm]: {
+              total: 1,
+              rincian: { [durasiNorm]: 1 }
+            }
+          },
+          data: [ transaksi ]
+        };
+        buyersData.push(created);
+        return { before: null, after: created };
+      }
+
+      // User sudah ada
+      const snapshot = auditLog.snapshot(buyer);
+      buyer.data.push(transaksi);
+      buyer.totalTransactions = buyer.data.length;
     
-    // Update royal status if needed
-    if (isRoyal === 'true') {
-      buyersData[idx].isRoyal = true;
-    }
+      // Update royal status if needed
+      if (isRoyal === 'true') {
+        buyer.isRoyal = true;
+      }
 
-    // Update statistik
-    if (!buyersData[idx].statistik[apkNorm]) {
-      buyersData[idx].statistik[apkNorm] = { total: 0, rincian: {} };
-    }
-    buyersData[idx].statistik[apkNorm].total += 1;
-    if (!buyersData[idx].statistik[apkNorm].rincian[durasiNorm]) {
-      buyersData[idx].statistik[apkNorm].rincian[durasiNorm] = 0;
-    }
-    buyersData[idx].statistik[apkNorm].rincian[durasiNorm] += 1;
-  }
+      // Nomor WA dipakai untuk pengingat perpanjangan
+      if (whatsappNorm) {
+        buyer.whatsapp = whatsappNorm;
+      }
 
-  // Simpan file
-  await saveJson("buyers.json", buyersData);
+      // Update statistik
+      if (!buyer.statistik[apkNorm]) {
+        buyer.statistik[apkNorm] = { total: 0, rincian: {} };
+      }
+      buyer.statistik[apkNorm].total += 1;
+      if (!buyer.statistik[apkNorm].rincian[durasiNorm]) {
+        buyer.statistik[apkNorm].rincian[durasiNorm] = 0;
+      }
+      buyer.statistik[apkNorm].rincian[durasiNorm] += 1;
+      return { before: snapshot, after: buyer };
+    });
+    fulfilledFrom = null; // transaksi sudah tercatat, order tetap selesai walau langkah berikutnya gagal
 
-  req.session.toast = { type: "success", msg: "Transaksi berhasil ditambahkan." };
-  res.redirect('/buyers');
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: before ? 'update' : 'create',
+      resource: 'buyers',
+      target: user,
+      before,
+      after,
+      note: `Transaksi ${apkNorm} ${durasiNorm}`
+    });
+    await loyaltyManager.refreshBuyer({ whatsapp: after.whatsapp, user: after.user });
+
+    req.session.toast = { type: "success", msg: "Transaksi berhasil ditambahkan." };
+    res.redirect('/buyers');
+  } catch (error) {
+    console.error('Error saving buyer transaction:', error);
+    // Order yang ditandai selesai tapi transaksinya belum tercatat dikembalikan supaya bisa dicatat ulang
+    if (fulfilledFrom) {
+      await orderManager.transition(order.id, {
+        from: [ORDER_STATUS.FULFILLED],
+        to: fulfilledFrom,
+        actor: 'panel',
+        note: `Pencatatan transaksi gagal: ${error.message}`,
+        apply: current => { delete current.fulfilledAt; }
+      }).catch(rollbackError => console.error('Error rolling back order status:', rollbackError.message));
+    }
+    req.session.toast = { type: "error", msg: "Gagal menyimpan transaksi." };
+    res.redirect('/buyers');
+  }
 });
 
 // ====== ROUTE DELETE ======
-router.post('/delete', requireLogin, async (req, res) => {
+router.post('/delete', requirePermission('delete'), async (req, res) => {
   try {
-    const { idx } = req.body;
-    let buyersData = await loadJson("buyers.json");
-    if (!Array.isArray(buyersData)) buyersData = [];
+    const removed = await buyersCollection.remove(req.body.id);
     
-    if (idx >= 0 && idx < buyersData.length) {
-      buyersData.splice(idx, 1);
-      await saveJson("buyers.json", buyersData);
+    if (removed) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'delete', resource: 'buyers', target: removed.user, before: removed });
       req.session.toast = { type: "success", msg: "Buyer berhasil dihapus." };
     } else {
       req.session.toast = { type: "error", msg: "Buyer tidak ditemukan." };
@@ -155,9 +272,9 @@ router.post('/delete', requireLogin, async (req, res) => {
 });
 
 // ====== ROUTE EDIT ======
-router.post('/edit', requireLogin, async (req, res) => {
+router.post('/edit', requirePermission('edit'), async (req, res) => {
   try {
-    const { idx, user, apk, email, durasi, dateGiven, exp, invite } = req.body;
+    const { id, user, apk, email, durasi, dateGiven, exp, invite } = req.body;
     
     // Validasi input
     if (!user || !apk || !email || !durasi || !dateGiven || !exp || !invite) {
@@ -165,21 +282,14 @@ router.post('/edit', requireLogin, async (req, res) => {
       return res.redirect('/buyers');
     }
     
-    const apkNorm = normalisasi(apk);
-    if (!VALID_APK.includes(apkNorm)) {
+    const product = await resolveApk(apk);
+    if (!product) {
       req.session.toast = { type: "error", msg: "Kategori APK tidak valid." };
       return res.redirect('/buyers');
     }
+    const apkNorm = product.id;
     
-    let buyersData = await loadJson("buyers.json");
-    if (!Array.isArray(buyersData)) buyersData = [];
-    
-    if (idx >= 0 && idx < buyersData.length) {
-      // Update data buyer
-      const buyer = buyersData[idx];
-      const oldApk = buyer.data[buyer.data.length - 1]?.apk;
-      const oldDurasi = buyer.data[buyer.data.length - 1]?.durasi;
-      
+    const updated = await buyersCollection.update(id, buyer => {
       // Update transaksi terakhir
       if (buyer.data.length > 0) {
         const lastTransaction = buyer.data[buyer.data.length - 1];
@@ -193,24 +303,12 @@ router.post('/edit', requireLogin, async (req, res) => {
       
       // Update user name
       buyer.user = user;
-      
-      // Recalculate statistik (simplified - bisa diperbaiki lebih detail)
-      buyer.statistik = {};
-      buyer.data.forEach(transaksi => {
-        const apk = transaksi.apk;
-        const dur = transaksi.durasi;
-        
-        if (!buyer.statistik[apk]) {
-          buyer.statistik[apk] = { total: 0, rincian: {} };
-        }
-        buyer.statistik[apk].total += 1;
-        if (!buyer.statistik[apk].rincian[dur]) {
-          buyer.statistik[apk].rincian[dur] = 0;
-        }
-        buyer.statistik[apk].rincian[dur] += 1;
-      });
-      
-      await saveJson("buyers.json", buyersData);
+      rebuildStatistik(buyer);
+    });
+    
+    if (updated) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'update', resource: 'buyers', target: updated.before.user, before: updated.before, after: updated.after });
+      await loyaltyManager.refreshBuyer({ whatsapp: updated.after.whatsapp, user: updated.after.user });
       req.session.toast = { type: "success", msg: "Buyer berhasil diupdate." };
     } else {
       req.session.toast = { type: "error", msg: "Buyer tidak ditemukan." };
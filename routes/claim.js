@@ -1,22 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
+const { storage } = require("../lib/storage");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
+// Helper: izin claims (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('claims', action);
 
 // Helper: set toast
 function setToast(req, type, msg) {
   req.session.toast = { type, msg };
 }
 
+// log_claim.json dengan ID tetap per record (lib/storage)
+const claimCollection = storage.collection("log_claim.json");
+
 // Claim page
-router.get('/', requireLogin, async (req, res) => {
+router.get('/', requirePermission('view'), async (req, res) => {
   try {
-    const claim = await loadJson("log_claim.json") || [];
+    await claimCollection.ensureIds();
+    const claim = await claimCollection.all();
     const toast = req.session.toast || null;
     delete req.session.toast;
     
@@ -29,14 +32,20 @@ router.get('/', requireLogin, async (req, res) => {
 });
 
 // Resolve claim
-router.post('/resolve', requireLogin, async (req, res) => {
+router.post('/resolve', requirePermission('edit'), async (req, res) => {
   try {
-    const { idx } = req.body;
-    let claim = await loadJson("log_claim.json") || [];
+    const updated = await claimCollection.update(req.body.id, { status: "RESOLVED" });
     
-    if (claim[idx]) {
-      claim[idx].status = "RESOLVED";
-      await saveJson("log_claim.json", claim);
+    if (updated) {
+      const { before, after } = updated;
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: 'resolve',
+        resource: 'claims',
+        target: after.ticket || after.id,
+        before,
+        after
+      });
       setToast(req, "success", "Claim berhasil di-mark sebagai resolved.");
     } else {
       setToast(req, "error", "Claim tidak ditemukan.");
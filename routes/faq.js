@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
+const { storage } = require("../lib/storage");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
+// Helper: izin faq (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('faq', action);
+
+// FAQ dengan ID tetap per record (lib/storage)
+const faqCollection = storage.collection("faq.json");
 
 // Helper: set toast
 function setToast(req, type, msg) {
@@ -14,9 +16,10 @@ function setToast(req, type, msg) {
 }
 
 // FAQ page
-router.get('/', requireLogin, async (req, res) => {
+router.get('/', requirePermission('view'), async (req, res) => {
   try {
-    const faq = await loadJson("faq.json") || [];
+    await faqCollection.ensureIds();
+    const faq = await faqCollection.all();
     const toast = req.session.toast || null;
     delete req.session.toast;
     
@@ -29,18 +32,15 @@ router.get('/', requireLogin, async (req, res) => {
 });
 
 // Save FAQ
-router.post('/save', requireLogin, async (req, res) => {
+router.post('/save', requirePermission('edit'), async (req, res) => {
   try {
-    let { idx, question, answer, keywords } = req.body;
+    let { id, question, answer, keywords } = req.body;
     
     if (!question || !answer) {
       setToast(req, "error", "Pertanyaan dan jawaban wajib diisi.");
       return res.redirect("/faq");
     }
     
-    let faq = await loadJson("faq.json") || [];
-    if (!Array.isArray(faq)) faq = [];
-    
     // Process keywords - convert comma separated to array
     let keywordArray = [];
     if (keywords && keywords.trim()) {
@@ -58,22 +58,31 @@ router.post('/save', requireLogin, async (req, res) => {
       response: [answer] // Support both formats
     };
     
-    if (idx === "" || idx === undefined) {
+    let before = null;
+    let after;
+    if (!id) {
       // Tambah baru
-      faq.push(faqItem);
+      after = await faqCollection.insert(faqItem);
       setToast(req, "success", "FAQ berhasil ditambahkan.");
     } else {
       // Update existing
-      if (faq[idx]) {
-        faq[idx] = faqItem;
-        setToast(req, "success", "FAQ berhasil diperbarui.");
-      } else {
+      const updated = await faqCollection.update(id, faqItem);
+      if (!updated) {
         setToast(req, "error", "FAQ tidak ditemukan.");
         return res.redirect("/faq");
       }
+      ({ before, after } = updated);
+      setToast(req, "success", "FAQ berhasil diperbarui.");
     }
     
-    await saveJson("faq.json", faq);
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: before ? 'update' : 'create',
+      resource: 'faq',
+      target: faqItem.question,
+      before,
+      after
+    });
     res.redirect("/faq");
   } catch (error) {
     console.error('Error saving FAQ:', error);
@@ -83,14 +92,12 @@ router.post('/save', requireLogin, async (req, res) => {
 });
 
 // Delete FAQ
-router.post('/delete', requireLogin, async (req, res) => {
+router.post('/delete', requirePermission('delete'), async (req, res) => {
   try {
-    const { idx } = req.body;
-    let faq = await loadJson("faq.json") || [];
+    const before = await faqCollection.remove(req.body.id);
     
-    if (faq[idx]) {
-      faq.splice(idx, 1);
-      await saveJson("faq.json", faq);
+    if (before) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'delete', resource: 'faq', target: before.question, before });
       setToast(req, "success", "FAQ berhasil dihapus.");
     } else {
       setToast(req, "error", "FAQ tidak ditemukan.");
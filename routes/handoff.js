@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const config = require("../config");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
+const { handoffManager } = require("../lib/handoffManager");
+
+// Helper: izin live chat handoff (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('handoff', action);
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+async function renderPage(req, res, selectedId = null) {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+
+  const [handoffs, selected] = await Promise.all([
+    handoffManager.list(),
+    selectedId ? handoffManager.get(selectedId) : null
+  ]);
+  if (selectedId && !selected) {
+    setToast(req, "error", "Handoff tidak ditemukan.");
+    return res.redirect("/handoff");
+  }
+  res.render("handoff", { handoffs, selected, timeoutMinutes: config.handoff_timeout_minutes, toast });
+}
+
+// Live chat page
+router.get('/', requirePermission('view'), async (req, res) => {
+  try {
+    await renderPage(req, res);
+  } catch (error) {
+    console.error('Error loading handoffs:', error);
+    res.render("handoff", { handoffs: [], selected: null, timeoutMinutes: config.handoff_timeout_minutes, toast: { type: "error", msg: "Gagal memuat data live chat" } });
+  }
+});
+
+// Ambil alih chat customer (bot berhenti membalas otomatis)
+router.post('/takeover', requirePermission('edit'), async (req, res) => {
+  try {
+    const result = await handoffManager.takeover((req.body.number || '').trim(), req.session.user.username);
+    if (!result.success) {
+      setToast(req, "error", result.message);
+      return res.redirect("/handoff");
+    }
+
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'takeover',
+      resource: 'handoff',
+      target: result.handoff.number,
+      after: handoffManager.summarize(result.handoff)
+    });
+    setToast(req, "success", result.message);
+    return res.redirect(`/handoff/${result.handoff.id}`);
+  } catch (error) {
+    console.error('Error taking over chat:', error);
+    setToast(req, "error", "Gagal mengambil alih chat.");
+    res.redirect("/handoff");
+  }
+});
+
+// Balas customer dari panel
+router.post('/:id/reply', requirePermission('edit'), async (req, res) => {
+  try {
+    const handoff = await handoffManager.get(req.params.id);
+    if (!handoff || handoff.status !== 'open') {
+      setToast(req, "error", "Handoff sudah ditutup.");
+      return res.redirect(`/handoff/${req.params.id}`);
+    }
+
+    const result = await handoffManager.reply(handoff.number, req.body.text || '', req.session.user.username);
+    if (result.success) {
+      // Isi balasan tersimpan di thread, audit log cukup mencatat siapa membalas
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: 'reply',
+        resource: 'handoff',
+        target: handoff.number,
+        before: handoffManager.summarize(handoff),
+        after: handoffManager.summarize(result.handoff)
+      });
+    }
+    setToast(req, result.success ? "success" : "error", result.message);
+  } catch (error) {
+    console.error('Error replying handoff:', error);
+    setToast(req, "error", "Gagal mengirim balasan.");
+  }
+  res.redirect(`/handoff/${req.params.id}`);
+});
+
+// Tutup handoff, bot membalas otomatis lagi
+router.post('/:id/close', requirePermission('edit'), async (req, res) => {
+  try {
+    const handoff = await handoffManager.get(req.params.id);
+    const closed = handoff && handoff.status === 'open'
+      ? await handoffManager.close(handoff.number, { by: req.session.user.username, reason: 'agent' })
+      : null;
+
+    if (closed) {
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: 'close',
+        resource: 'handoff',
+        target: closed.number,
+        before: handoffManager.summarize(handoff),
+        after: handoffManager.summarize(closed)
+      });
+      setToast(req, "success", "Handoff ditutup, bot membalas otomatis lagi.");
+    } else {
+      setToast(req, "error", "Handoff tidak ditemukan atau sudah ditutup.");
+    }
+  } catch (error) {
+    console.error('Error closing handoff:', error);
+    setToast(req, "error", "Gagal menutup handoff.");
+  }
+  res.redirect(`/handoff/${req.params.id}`);
+});
+
+// Thread percakapan
+router.get('/:id', requirePermission('view'), async (req, res) => {
+  try {
+    await renderPage(req, res, req.params.id);
+  } catch (error) {
+    console.error('Error loading handoff thread:', error);
+    setToast(req, "error", "Gagal memuat percakapan.");
+    res.redirect("/handoff");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
+const { orderManager } = require("../lib/orderManager");
+const { ledgerManager, ENTRY_TYPES, TYPE_LABELS } = require("../lib/ledgerManager");
+const { loyaltyManager } = require("../lib/loyaltyManager");
+
+// Helper: izin ledger (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('ledger', action);
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+// Helper: filter dari query string
+function getFilters(query) {
+  const filters = {};
+  for (const key of ['from', 'to', 'type', 'productId']) {
+    if (query[key]) filters[key] = String(query[key]).trim();
+  }
+  return filters;
+}
+
+// Laporan omzet / margin + daftar transaksi
+router.get('/', requirePermission('view'), async (req, res) => {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+  const filters = getFilters(req.query);
+
+  try {
+    const [report, entries] = await Promise.all([
+      ledgerManager.getReport({ days: 30, months: 12 }),
+      ledgerManager.list(filters)
+    ]);
+    res.render("ledger", {
+      report,
+      entries: entries.slice(0, 300),
+      totalEntries: entries.length,
+      filters,
+      typeLabels: TYPE_LABELS,
+      paymentMethods: ledgerManager.getPaymentMethods(),
+      toast
+    });
+  } catch (error) {
+    console.error('Error loading ledger:', error);
+    res.render("ledger", {
+      report: null,
+      entries: [],
+      totalEntries: 0,
+      filters,
+      typeLabels: TYPE_LABELS,
+      paymentMethods: [],
+      toast: { type: "error", msg: "Gagal memuat ledger" }
+    });
+  }
+});
+
+// Catat refund (status pending sampai ditandai sudah dibayar)
+router.post('/refund', requirePermission('edit'), async (req, res) => {
+  try {
+    const { orderId, buyer, customer, productId, amount, paymentMethod, note } = req.body;
+    const order = orderId ? await orderManager.getOrder(orderId.trim()) : null;
+    if (orderId && !order) {
+      setToast(req, "error", `Nomor order ${orderId} tidak ditemukan.`);
+      return res.redirect("/ledger");
+    }
+
+    // Nominal kosong + order ditautkan = refund penuh
+    const refundAmount = ledgerManager.toAmount(amount) || (order ? order.price || 0 : 0);
+    if (!refundAmount) {
+      setToast(req, "error", "Nominal refund wajib diisi.");
+      return res.redirect("/ledger");
+    }
+    if (!order && !(productId || '').trim()) {
+      setToast(req, "error", "Isi nomor order atau produk refund.");
+      return res.redirect("/ledger");
+    }
+
+    const entry = await ledgerManager.record({
+      type: ENTRY_TYPES.REFUND,
+      amount: refundAmount,
+      paymentMethod: (paymentMethod || '').trim() || null,
+      orderId: order ? order.id : null,
+      buyer: (buyer || '').trim() || (order ? order.customerName : ''),
+      customer: (customer || '').replace(/\D/g, '') || (order ? order.customer : null),
+      productId: order ? order.productId : productId.trim(),
+      item: order ? `${order.variantName} ${order.label}` : '',
+      note: (note || '').trim(),
+      by: req.session.user.username
+    });
+
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'refund',
+      resource: 'ledger',
+      target: entry.id,
+      after: entry,
+      note: entry.orderId ? `Refund order ${entry.orderId}` : ''
+    });
+    // Refund order mengurangi poin member buyer
+    if (entry.orderId) {
+      await loyaltyManager.refreshBuyer({ whatsapp: entry.customer, user: entry.buyer });
+    }
+    setToast(req, "success", `Refund ${entry.id} Rp ${entry.amount.toLocaleString('id-ID')} dicatat, status pending.`);
+    res.redirect("/ledger");
+  } catch (error) {
+    console.error('Error recording refund:', error);
+    setToast(req, "error", "Gagal mencatat refund.");
+    res.redirect("/ledger");
+  }
+});
+
+// Tandai refund sudah ditransfer ke customer
+router.post('/:id/paid', requirePermission('edit'), async (req, res) => {
+  try {
+    const entry = await ledgerManager.markRefundPaid(req.params.id, req.session.user.username);
+    if (!entry) {
+      setToast(req, "error", "Refund tidak ditemukan atau sudah dibayar.");
+      return res.redirect("/ledger");
+    }
+
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'refund_paid',
+      resource: 'ledger',
+      target: entry.id,
+      after: entry
+    });
+    setToast(req, "success", `Refund ${entry.id} ditandai sudah dibayar.`);
+    res.redirect("/ledger");
+  } catch (error) {
+    console.error('Error marking refund paid:', error);
+    setToast(req, "error", "Gagal mengubah status refund.");
+    res.redirect("/ledger");
+  }
+});
+
+router.get("/export.csv", requirePermission('view'), async (req, res) => {
+  try {
+    const entries = await ledgerManager.list(getFilters(req.query));
+    const filename = `ledger_${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM supaya Excel membaca UTF-8 dengan benar
+    res.send(`﻿${ledgerManager.toCsv(entries)}`);
+  } catch (error) {
+    console.error('Error exporting ledger:', error);
+    res.status(500).send('Gagal mengekspor ledger.');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
+const { loyaltyManager } = require("../lib/loyaltyManager");
+
+// Helper: izin loyalty (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('loyalty', action);
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+// Tier & leaderboard buyer
+router.get('/', requirePermission('view'), async (req, res) => {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+
+  try {
+    const [settings, leaderboard] = await Promise.all([
+      loyaltyManager.getSettings(),
+      loyaltyManager.getLeaderboard()
+    ]);
+    res.render("loyalty", { settings, leaderboard, toast });
+  } catch (error) {
+    console.error('Error loading loyalty:', error);
+    res.render("loyalty", {
+      settings: null,
+      leaderboard: [],
+      toast: { type: "error", msg: "Gagal memuat data loyalty" }
+    });
+  }
+});
+
+// Simpan aturan poin + tier (baris tier dengan nama kosong dihapus)
+router.post('/settings', requirePermission('edit'), async (req, res) => {
+  try {
+    const { pointValue, legacyPoints } = req.body;
+    const tiers = Object.values(req.body.tiers || {})
+      .filter(tier => (tier.name || '').trim())
+      .map(tier => ({ ...tier, priorityClaims: tier.priorityClaims === 'on' }));
+
+    if (tiers.length === 0) {
+      setToast(req, "error", "Minimal harus ada satu tier.");
+      return res.redirect("/loyalty");
+    }
+
+    const before = await loyaltyManager.getSettings();
+    const result = await loyaltyManager.saveSettings({ pointValue, legacyPoints, tiers });
+    if (!result.success) {
+      setToast(req, "error", result.message);
+      return res.redirect("/loyalty");
+    }
+
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'update',
+      resource: 'loyalty',
+      target: 'loyalty.json',
+      before,
+      after: result.settings
+    });
+
+    // Tier buyer langsung mengikuti aturan baru
+    const levelUps = await loyaltyManager.recalculate();
+    setToast(req, "success", `Aturan loyalty disimpan. ${levelUps.length} buyer naik level.`);
+    res.redirect("/loyalty");
+  } catch (error) {
+    console.error('Error saving loyalty settings:', error);
+    setToast(req, "error", "Gagal menyimpan aturan loyalty.");
+    res.redirect("/loyalty");
+  }
+});
+
+// Hitung ulang tier semua buyer dari buyers.json
+router.post('/recalculate', requirePermission('edit'), async (req, res) => {
+  try {
+    const levelUps = await loyaltyManager.recalculate();
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'recalculate',
+      resource: 'loyalty',
+      target: 'buyers.json',
+      note: levelUps.map(levelUp => `${levelUp.buyer.user}: ${levelUp.from} -> ${levelUp.loyalty.level}`).join(', ')
+    });
+    setToast(req, "success", `Tier buyer dihitung ulang. ${levelUps.length} buyer naik level.`);
+    res.redirect("/loyalty");
+  } catch (error) {
+    console.error('Error recalculating loyalty:', error);
+    setToast(req, "error", "Gagal menghitung ulang tier buyer.");
+    res.redirect("/loyalty");
+  }
+});
+
+module.exports = router;
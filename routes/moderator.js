@@ -1,20 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
+const { loadJson } = require("../lib/dataLoader");
+const { storage } = require("../lib/storage");
+const { claimManager, CLAIM_STATUS } = require("../lib/claimManager");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
-
-// Helper: moderator access required
-function requireModerator(req, res, next) {
-  if (req.session && req.session.isLoggedIn && req.session.user && req.session.user.role === 'moderator') {
-    return next();
-  }
-  res.redirect("/login");
-}
+// Helper: izin per resource (lib/roleManager)
+const requirePermission = (resource, action) => roleManager.requirePermission(resource, action);
 
 // Helper: set toast
 function setToast(req, type, msg) {
@@ -22,7 +15,7 @@ function setToast(req, type, msg) {
 }
 
 // Moderator Dashboard
-router.get('/dashboard', requireModerator, async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const [buyers, claimsReplace, claimsReset, logClaim] = await Promise.all([
       loadJson("buyers.json"),
@@ -50,7 +43,7 @@ router.get('/dashboard', requireModerator, async (req, res) => {
 });
 
 // Moderator Buyers Management
-router.get('/buyers', requireModerator, async (req, res) => {
+router.get('/buyers', requirePermission('buyers', 'view'), async (req, res) => {
   try {
     let buyers = await loadJson("buyers.json");
     if (!Array.isArray(buyers)) buyers = [];
@@ -70,17 +63,10 @@ router.get('/buyers', requireModerator, async (req, res) => {
 });
 
 // Moderator Claims Management
-router.get('/claims', requireModerator, async (req, res) => {
+router.get('/claims', requirePermission('claims', 'view'), async (req, res) => {
   try {
-    const [claimsReplace, claimsReset] = await Promise.all([
-      loadJson("claimsReplace.json"),
-      loadJson("claimsReset.json")
-    ]);
-    
-    const allClaims = [
-      ...(Array.isArray(claimsReplace) ? claimsReplace.map(c => ({...c, type: 'replace'})) : []),
-      ...(Array.isArray(claimsReset) ? claimsReset.map(c => ({...c, type: 'reset'})) : [])
-    ];
+    await claimManager.ensureTickets();
+    const allClaims = await claimManager.getAllClaims();
     
     // Sort by date (newest first)
     allClaims.sort((a, b) => new Date(b.tanggal) - new Date(a.tanggal));
@@ -88,44 +74,51 @@ router.get('/claims', requireModerator, async (req, res) => {
     const toast = req.session.toast || null;
     delete req.session.toast;
     
-    res.render("moderator_claims", { claims: allClaims, toast, user: req.session.user });
+    res.render("moderator_claims", { claims: allClaims, toast, user: req.session.user, claimManager });
   } catch (error) {
     console.error('Error loading claims:', error);
     const toast = { type: "error", msg: "Gagal memuat data claims" };
-    res.render("moderator_claims", { claims: [], toast, user: req.session.user });
+    res.render("moderator_claims", { claims: [], toast, user: req.session.user, claimManager });
   }
 });
 
-// Resolve Claim
-router.post('/claims/resolve', requireModerator, async (req, res) => {
+// Update status claim (lifecycle sama dengan panel admin)
+router.post('/claims/resolve', requirePermission('claims', 'edit'), async (req, res) => {
   try {
-    const { claimId, claimType } = req.body;
-    
-    const fileName = claimType === 'replace' ? 'claimsReplace.json' : 'claimsReset.json';
-    const claims = await loadJson(fileName);
-    
-    const claimIndex = claims.findIndex(c => c.id == claimId);
-    if (claimIndex !== -1) {
-      claims[claimIndex].status = 'resolved';
-      claims[claimIndex].resolvedBy = req.session.user.username;
-      claims[claimIndex].resolvedDate = new Date().toISOString();
-      
-      await saveJson(fileName, claims);
-      setToast(req, "success", "Claim berhasil diselesaikan.");
-    } else {
-      setToast(req, "error", "Claim tidak ditemukan.");
+    const { ticket, status, note, email, password, pin } = req.body;
+    const number = req.session.user.number || req.session.user.username;
+    const before = await claimManager.getClaim(ticket);
+    
+    const result = await claimManager.applyStatus(ticket, status, {
+      actor: number,
+      note: (note || '').trim(),
+      assignee: status === CLAIM_STATUS.IN_PROGRESS ? number : undefined,
+      email: (email || '').trim() || undefined,
+      password: (password || '').trim(),
+      pin: (pin || '').trim()
+    });
+    if (result.success) {
+      await auditLog.record({
+        actor: auditLog.panelActor(req),
+        action: status,
+        resource: 'claims',
+        target: ticket,
+        before,
+        after: await claimManager.getClaim(ticket)
+      });
     }
     
+    setToast(req, result.success ? "success" : "error", result.message);
     res.redirect("/moderator/claims");
   } catch (error) {
     console.error('Error resolving claim:', error);
-    setToast(req, "error", "Gagal menyelesaikan claim.");
+    setToast(req, "error", "Gagal memproses claim.");
     res.redirect("/moderator/claims");
   }
 });
 
 // Add Buyer (via form)
-router.post('/buyers/add', requireModerator, async (req, res) => {
+router.post('/buyers/add', requirePermission('buyers', 'edit'), async (req, res) => {
   try {
     const { nama, produk, harga } = req.body;
     
@@ -144,9 +137,8 @@ router.post('/buyers/add', requireModerator, async (req, res) => {
       status: 'completed'
     };
     
-    const buyers = await loadJson('buyers.json');
-    buyers.push(buyerData);
-    await saveJson('buyers.json', buyers);
+    await storage.collection('buyers.json').insert(buyerData);
+    await auditLog.record({ actor: auditLog.panelActor(req), action: 'create', resource: 'buyers', target: buyerData.id, after: buyerData });
     
     setToast(req, "success", "Buyer berhasil ditambahkan.");
     res.redirect("/moderator/buyers");
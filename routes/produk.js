@@ -1,62 +1,87 @@
 const express = require('express');
 const router = express.Router();
-const fs = require("fs").promises;
-const path = require("path");
+const { productCatalog } = require('../lib/productCatalog');
+const { roleManager } = require('../lib/roleManager');
+const { auditLog } = require('../lib/auditLog');
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
+// Helper: izin produk (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('produk', action);
 
 // Helper: set toast
 function setToast(req, type, msg) {
   req.session.toast = { type, msg };
 }
 
-// Helper: list produk files
-const produkDir = path.join(__dirname, "../data/produk");
-
-async function listProdukFiles() {
+// Helper: produk dari katalog + preview template WhatsApp
+async function loadProdukData() {
   try {
-    await fs.mkdir(produkDir, { recursive: true });
-    const files = await fs.readdir(produkDir);
-    return files.filter(f => f.endsWith(".txt")).map(f => f.replace(".txt", ""));
+    const products = await productCatalog.getProducts();
+
+    return products.map(product => ({
+      name: product.id,
+      product: product,
+      json: JSON.stringify(product, null, 2),
+      content: productCatalog.renderProduct(product),
+      startingPrice: productCatalog.getStartingPrice(product),
+      packageCount: productCatalog.getPackages(product).length,
+      warranty: productCatalog.formatWarranty(productCatalog.getWarrantyDays(product))
+    }));
   } catch (error) {
-    console.error('Error listing produk files:', error);
+    console.error('Error loading produk data:', error);
     return [];
   }
 }
 
-async function loadProdukData() {
+// Helper: parse JSON produk dari form
+function parseProdukJson(content) {
   try {
-    const files = await listProdukFiles();
-    const produk = [];
-    
-    for (let name of files) {
-      let content = "";
-      try {
-        content = await fs.readFile(path.join(produkDir, name + ".txt"), "utf8");
-      } catch (error) {
-        console.error(`Error reading ${name}.txt:`, error);
-      }
-      produk.push({ name, content });
-    }
-    
-    return produk;
+    return { product: JSON.parse(content), error: null };
   } catch (error) {
-    console.error('Error loading produk data:', error);
-    return [];
+    return { product: null, error: `JSON tidak valid: ${error.message}` };
   }
 }
 
+// Helper: simpan produk + toast hasil validasi
+async function saveProduk(req, res, content, previousId) {
+  if (!content) {
+    setToast(req, "error", "Data produk (JSON) wajib diisi!");
+    return res.redirect("/produk");
+  }
+
+  const { product, error } = parseProdukJson(content);
+  if (error) {
+    setToast(req, "error", error);
+    return res.redirect("/produk");
+  }
+
+  const before = await productCatalog.getProduct(previousId || product.id);
+  const result = await productCatalog.saveProduct(product, previousId);
+  if (!result.success) {
+    setToast(req, "error", `Produk tidak disimpan: ${result.errors.slice(0, 5).join('; ')}`);
+    return res.redirect("/produk");
+  }
+
+  await auditLog.record({
+    actor: auditLog.panelActor(req),
+    action: before ? 'update' : 'create',
+    resource: 'produk',
+    target: product.id,
+    before,
+    after: product,
+    note: previousId && previousId !== product.id ? `id lama: ${previousId}` : ''
+  });
+
+  setToast(req, "success", `Produk ${product.id} berhasil disimpan.`);
+  res.redirect("/produk");
+}
+
 // Produk page
-router.get('/', requireLogin, async (req, res) => {
+router.get('/', requirePermission('view'), async (req, res) => {
   try {
     const produk = await loadProdukData();
     const toast = req.session.toast || null;
     delete req.session.toast;
-    
+
     res.render("produk", { produk, toast });
   } catch (error) {
     console.error('Error loading produk page:', error);
@@ -65,25 +90,10 @@ router.get('/', requireLogin, async (req, res) => {
   }
 });
 
-// Save produk
-router.post('/save', requireLogin, async (req, res) => {
+// Save produk (tambah baru / timpa id yang sama)
+router.post('/save', requirePermission('edit'), async (req, res) => {
   try {
-    const { produk, content } = req.body;
-    
-    if (!produk || !content) {
-      setToast(req, "error", "Nama produk & konten wajib diisi!");
-      return res.redirect("/produk");
-    }
-    
-    // Sanitize filename
-    const filename = produk.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    const filepath = path.join(produkDir, filename + ".txt");
-    
-    await fs.mkdir(produkDir, { recursive: true });
-    await fs.writeFile(filepath, content, "utf8");
-    
-    setToast(req, "success", "Produk berhasil disimpan.");
-    res.redirect("/produk");
+    await saveProduk(req, res, req.body.content, null);
   } catch (error) {
     console.error('Error saving produk:', error);
     setToast(req, "error", "Gagal menyimpan produk.");
@@ -91,30 +101,43 @@ router.post('/save', requireLogin, async (req, res) => {
   }
 });
 
+// Edit produk (boleh ganti id)
+router.post('/edit', requirePermission('edit'), async (req, res) => {
+  try {
+    const { oldName, content } = req.body;
+
+    if (!oldName) {
+      setToast(req, "error", "Produk yang diedit tidak valid.");
+      return res.redirect("/produk");
+    }
+
+    await saveProduk(req, res, content, oldName);
+  } catch (error) {
+    console.error('Error editing produk:', error);
+    setToast(req, "error", "Gagal mengedit produk.");
+    res.redirect("/produk");
+  }
+});
+
 // Delete produk
-router.post('/delete', requireLogin, async (req, res) => {
+router.post('/delete', requirePermission('delete'), async (req, res) => {
   try {
     const { produk } = req.body;
-    
+
     if (!produk) {
       setToast(req, "error", "Nama produk tidak valid.");
       return res.redirect("/produk");
     }
-    
-    const filename = produk.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    const filepath = path.join(produkDir, filename + ".txt");
-    
-    try {
-      await fs.unlink(filepath);
+
+    const before = await productCatalog.getProduct(produk);
+    const deleted = await productCatalog.deleteProduct(produk);
+    if (deleted) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'delete', resource: 'produk', target: produk, before });
       setToast(req, "success", "Produk berhasil dihapus.");
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        setToast(req, "error", "File produk tidak ditemukan.");
-      } else {
-        throw error;
-      }
+    } else {
+      setToast(req, "error", "Produk tidak ditemukan di katalog.");
     }
-    
+
     res.redirect("/produk");
   } catch (error) {
     console.error('Error deleting produk:', error);
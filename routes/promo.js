@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
+const { storage } = require("../lib/storage");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
+// Helper: izin promo (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('promo', action);
+
+// Promo dengan ID tetap per record (lib/storage)
+const promoCollection = storage.collection("promo.json");
 
 // Helper: set toast
 function setToast(req, type, msg) {
@@ -14,9 +16,10 @@ function setToast(req, type, msg) {
 }
 
 // Promo page
-router.get('/', requireLogin, async (req, res) => {
+router.get('/', requirePermission('view'), async (req, res) => {
   try {
-    const promo = await loadJson("promo.json") || [];
+    await promoCollection.ensureIds();
+    const promo = await promoCollection.all();
     const toast = req.session.toast || null;
     delete req.session.toast;
     
@@ -29,39 +32,45 @@ router.get('/', requireLogin, async (req, res) => {
 });
 
 // Save promo
-router.post('/save', requireLogin, async (req, res) => {
+router.post('/save', requirePermission('edit'), async (req, res) => {
   try {
-    let { idx, banner, active } = req.body;
+    let { id, banner, active } = req.body;
     
     if (!banner) {
       setToast(req, "error", "Banner promo wajib diisi.");
       return res.redirect("/promo");
     }
     
-    let promo = await loadJson("promo.json") || [];
-    if (!Array.isArray(promo)) promo = [];
-    
     const promoData = {
       banner: banner.trim(),
       active: !!active
     };
     
-    if (idx === "" || idx === undefined) {
+    let before = null;
+    let after;
+    if (!id) {
       // Tambah baru
-      promo.push(promoData);
+      after = await promoCollection.insert(promoData);
       setToast(req, "success", "Promo berhasil ditambahkan.");
     } else {
       // Update existing
-      if (promo[idx]) {
-        promo[idx] = promoData;
-        setToast(req, "success", "Promo berhasil diperbarui.");
-      } else {
+      const updated = await promoCollection.update(id, promoData);
+      if (!updated) {
         setToast(req, "error", "Promo tidak ditemukan.");
         return res.redirect("/promo");
       }
+      ({ before, after } = updated);
+      setToast(req, "success", "Promo berhasil diperbarui.");
     }
     
-    await saveJson("promo.json", promo);
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: before ? 'update' : 'create',
+      resource: 'promo',
+      target: promoData.banner,
+      before,
+      after
+    });
     res.redirect("/promo");
   } catch (error) {
     console.error('Error saving promo:', error);
@@ -71,14 +80,12 @@ router.post('/save', requireLogin, async (req, res) => {
 });
 
 // Delete promo
-router.post('/delete', requireLogin, async (req, res) => {
+router.post('/delete', requirePermission('delete'), async (req, res) => {
   try {
-    const { idx } = req.body;
-    let promo = await loadJson("promo.json") || [];
+    const before = await promoCollection.remove(req.body.id);
     
-    if (promo[idx]) {
-      promo.splice(idx, 1);
-      await saveJson("promo.json", promo);
+    if (before) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'delete', resource: 'promo', target: before.banner, before });
       setToast(req, "success", "Promo berhasil dihapus.");
     } else {
       setToast(req, "error", "Promo tidak ditemukan.");
@@ -93,15 +100,16 @@ router.post('/delete', requireLogin, async (req, res) => {
 });
 
 // Toggle promo status
-router.post('/toggle', requireLogin, async (req, res) => {
+router.post('/toggle', requirePermission('edit'), async (req, res) => {
   try {
-    const { idx } = req.body;
-    let promo = await loadJson("promo.json") || [];
+    const updated = await promoCollection.update(req.body.id, item => {
+      item.active = !item.active;
+    });
     
-    if (promo[idx]) {
-      promo[idx].active = !promo[idx].active;
-      await saveJson("promo.json", promo);
-      const status = promo[idx].active ? "diaktifkan" : "dinonaktifkan";
+    if (updated) {
+      const { before, after } = updated;
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'toggle', resource: 'promo', target: before.banner, before, after });
+      const status = after.active ? "diaktifkan" : "dinonaktifkan";
       setToast(req, "success", `Promo berhasil ${status}.`);
     } else {
       setToast(req, "error", "Promo tidak ditemukan.");
@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
+const { storage } = require("../lib/storage");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
+// Helper: izin sop (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('sop', action);
+
+// SOP dengan ID tetap per record (lib/storage)
+const sopCollection = storage.collection("sop.json");
 
 // Helper: set toast
 function setToast(req, type, msg) {
@@ -14,9 +16,10 @@ function setToast(req, type, msg) {
 }
 
 // SOP page
-router.get('/', requireLogin, async (req, res) => {
+router.get('/', requirePermission('view'), async (req, res) => {
   try {
-    const sop = await loadJson("sop.json") || [];
+    await sopCollection.ensureIds();
+    const sop = await sopCollection.all();
     const toast = req.session.toast || null;
     delete req.session.toast;
     
@@ -29,43 +32,51 @@ router.get('/', requireLogin, async (req, res) => {
 });
 
 // Save SOP
-router.post('/save', requireLogin, async (req, res) => {
+router.post('/save', requirePermission('edit'), async (req, res) => {
   try {
-    let { idx, trigger, response } = req.body;
+    let { id, trigger, response, errorText } = req.body;
     
     if (!trigger || !response) {
       setToast(req, "error", "Trigger dan response wajib diisi.");
       return res.redirect("/sop");
     }
     
-    let sop = await loadJson("sop.json") || [];
-    if (!Array.isArray(sop)) sop = [];
-    
     // Process trigger - split by comma and clean up
     const triggerArray = trigger.split(",").map(t => t.trim()).filter(t => t.length > 0);
     const responseArray = Array.isArray(response) ? response : [response];
     
     const sopData = {
       trigger: triggerArray,
-      response: responseArray
+      response: responseArray,
+      // Teks error di screenshot customer (dibaca OCR) yang dijawab dengan SOP ini
+      errorText: (errorText || '').split(",").map(t => t.trim()).filter(t => t.length > 0)
     };
     
-    if (idx === "" || idx === undefined) {
+    let before = null;
+    let after;
+    if (!id) {
       // Tambah baru
-      sop.push(sopData);
+      after = await sopCollection.insert(sopData);
       setToast(req, "success", "SOP berhasil ditambahkan.");
     } else {
-      // Update existing
-      if (sop[idx]) {
-        sop[idx] = sopData;
-        setToast(req, "success", "SOP berhasil diperbarui.");
-      } else {
+      // Update existing (field lain seperti kasus tetap dipertahankan)
+      const updated = await sopCollection.update(id, sopData);
+      if (!updated) {
         setToast(req, "error", "SOP tidak ditemukan.");
         return res.redirect("/sop");
       }
+      ({ before, after } = updated);
+      setToast(req, "success", "SOP berhasil diperbarui.");
     }
     
-    await saveJson("sop.json", sop);
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: before ? 'update' : 'create',
+      resource: 'sop',
+      target: sopData.trigger.join(', '),
+      before,
+      after
+    });
     res.redirect("/sop");
   } catch (error) {
     console.error('Error saving SOP:', error);
@@ -75,14 +86,12 @@ router.post('/save', requireLogin, async (req, res) => {
 });
 
 // Delete SOP
-router.post('/delete', requireLogin, async (req, res) => {
+router.post('/delete', requirePermission('delete'), async (req, res) => {
   try {
-    const { idx } = req.body;
-    let sop = await loadJson("sop.json") || [];
+    const before = await sopCollection.remove(req.body.id);
     
-    if (sop[idx]) {
-      sop.splice(idx, 1);
-      await saveJson("sop.json", sop);
+    if (before) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'delete', resource: 'sop', target: [].concat(before.trigger).join(', '), before });
       setToast(req, "success", "SOP berhasil dihapus.");
     } else {
       setToast(req, "error", "SOP tidak ditemukan.");
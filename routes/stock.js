@@ -1,88 +1,108 @@
 const express = require('express');
 const router = express.Router();
-const { loadJson, saveJson } = require("../lib/dataLoader");
+const stockManager = require("../lib/stockManager");
+const { productCatalog } = require("../lib/productCatalog");
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
 
-// Helper: login required
-function requireLogin(req, res, next) {
-  if (req.session && req.session.isLoggedIn) return next();
-  res.redirect("/login");
-}
+// Helper: izin stock (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('stock', action);
 
 // Helper: set toast
 function setToast(req, type, msg) {
   req.session.toast = { type, msg };
 }
 
+// Helper: daftar varian katalog untuk dropdown form
+async function loadVariantOptions() {
+  const products = await productCatalog.getProducts();
+  const options = [];
+
+  for (const product of products) {
+    for (const variant of product.variants || []) {
+      options.push({
+        value: `${product.id}/${variant.id}`,
+        label: `${product.name} - ${variant.name}`,
+        productName: product.name,
+        variantName: variant.name
+      });
+    }
+  }
+  return options;
+}
+
 // Stock page
-router.get('/', requireLogin, async (req, res) => {
+router.get('/', requirePermission('view'), async (req, res) => {
   try {
-    const stock = await loadJson("stock.json") || [];
+    const stock = await stockManager.loadStock();
+    const summary = await stockManager.getSummary();
+    const variants = await loadVariantOptions();
     const toast = req.session.toast || null;
     delete req.session.toast;
     
-    res.render("stock", { stock, toast });
+    res.render("stock", { stock, summary, variants, toast });
   } catch (error) {
     console.error('Error loading stock data:', error);
     const toast = { type: "error", msg: "Gagal memuat data stock" };
-    res.render("stock", { stock: [], toast });
+    res.render("stock", { stock: [], summary: [], variants: [], toast });
   }
 });
 
-// Save stock
-router.post('/save', requireLogin, async (req, res) => {
+// Tambah akun (beberapa slot sekaligus)
+router.post('/add', requirePermission('edit'), async (req, res) => {
   try {
-    let { idx, product, quantity, price, status } = req.body;
+    const { variant, email, password, pins, slotCount, cost, dateCreated, exp } = req.body;
     
-    if (!product || !quantity || !price) {
-      setToast(req, "error", "Produk, quantity, dan harga wajib diisi.");
+    if (!variant || !email) {
+      setToast(req, "error", "Varian produk dan email akun wajib diisi.");
       return res.redirect("/stock");
     }
     
-    let stock = await loadJson("stock.json") || [];
-    if (!Array.isArray(stock)) stock = [];
+    const [productId, variantId] = variant.split('/');
+    const pinList = (pins || '').split(/[,\n]/).map(pin => pin.trim()).filter(Boolean);
     
-    const stockData = {
-      product: product.trim(),
-      quantity: parseInt(quantity) || 0,
-      price: parseFloat(price) || 0,
-      status: status || 'available',
-      lastUpdated: new Date().toISOString()
-    };
+    const result = await stockManager.addAccount({
+      productId,
+      variantId,
+      email,
+      password,
+      pins: pinList,
+      slotCount,
+      cost,
+      dateCreated,
+      exp
+    });
     
-    if (idx === "" || idx === undefined) {
-      // Tambah baru
-      stock.push(stockData);
-      setToast(req, "success", "Stock berhasil ditambahkan.");
-    } else {
-      // Update existing
-      if (stock[idx]) {
-        stock[idx] = stockData;
-        setToast(req, "success", "Stock berhasil diperbarui.");
-      } else {
-        setToast(req, "error", "Stock tidak ditemukan.");
-        return res.redirect("/stock");
-      }
+    if (!result.success) {
+      setToast(req, "error", result.message);
+      return res.redirect("/stock");
     }
     
-    await saveJson("stock.json", stock);
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'create',
+      resource: 'stock',
+      target: result.account.id,
+      after: result.account
+    });
+    setToast(req, "success", `Akun ${result.account.email} (${result.account.slots.length} slot) berhasil ditambahkan.`);
     res.redirect("/stock");
   } catch (error) {
-    console.error('Error saving stock:', error);
-    setToast(req, "error", "Gagal menyimpan stock.");
+    console.error('Error adding stock:', error);
+    setToast(req, "error", "Gagal menambahkan akun stock.");
     res.redirect("/stock");
   }
 });
 
-// Delete stock
-router.post('/delete', requireLogin, async (req, res) => {
+// Delete akun
+router.post('/delete', requirePermission('delete'), async (req, res) => {
   try {
-    const { idx } = req.body;
-    let stock = await loadJson("stock.json") || [];
+    const { id } = req.body;
+    const before = (await stockManager.loadStock()).find(account => account.id === id);
     
-    if (stock[idx]) {
-      stock.splice(idx, 1);
-      await saveJson("stock.json", stock);
-      setToast(req, "success", "Stock berhasil dihapus.");
+    if (await stockManager.deleteAccount(id)) {
+      await auditLog.record({ actor: auditLog.panelActor(req), action: 'delete', resource: 'stock', target: id, before });
+      setToast(req, "success", "Akun stock berhasil dihapus.");
     } else {
       setToast(req, "error", "Stock tidak ditemukan.");
     }
@@ -95,27 +115,4 @@ router.post('/delete', requireLogin, async (req, res) => {
   }
 });
 
-// Update stock quantity
-router.post('/update-quantity', requireLogin, async (req, res) => {
-  try {
-    const { idx, quantity } = req.body;
-    let stock = await loadJson("stock.json") || [];
-    
-    if (stock[idx]) {
-      stock[idx].quantity = parseInt(quantity) || 0;
-      stock[idx].lastUpdated = new Date().toISOString();
-      await saveJson("stock.json", stock);
-      setToast(req, "success", "Quantity stock berhasil diperbarui.");
-    } else {
-      setToast(req, "error", "Stock tidak ditemukan.");
-    }
-    
-    res.redirect("/stock");
-  } catch (error) {
-    console.error('Error updating stock quantity:', error);
-    setToast(req, "error", "Gagal memperbarui quantity stock.");
-    res.redirect("/stock");
-  }
-});
-
 module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { roleManager } = require("../lib/roleManager");
+const { auditLog } = require("../lib/auditLog");
+const { productCatalog } = require("../lib/productCatalog");
+const { voucherManager, VOUCHER_TYPES } = require("../lib/voucherManager");
+
+// Helper: izin voucher (lib/roleManager)
+const requirePermission = action => roleManager.requirePermission('vouchers', action);
+
+// Helper: set toast
+function setToast(req, type, msg) {
+  req.session.toast = { type, msg };
+}
+
+// Riwayat pemakaian tidak ikut dicatat di audit log (bisa panjang)
+function withoutRedemptions(voucher) {
+  if (!voucher) return voucher;
+  const { redemptions, ...rest } = voucher;
+  return rest;
+}
+
+// Daftar voucher + form
+router.get('/', requirePermission('view'), async (req, res) => {
+  const toast = req.session.toast || null;
+  delete req.session.toast;
+
+  try {
+    const [vouchers, stats, products] = await Promise.all([
+      voucherManager.list(),
+      voucherManager.getStats(),
+      productCatalog.getProducts()
+    ]);
+    res.render("vouchers", {
+      vouchers,
+      stats,
+      products,
+      voucherTypes: VOUCHER_TYPES,
+      edit: vouchers.find(voucher => voucher.id === req.query.edit) || null,
+      toast
+    });
+  } catch (error) {
+    console.error('Error loading vouchers:', error);
+    res.render("vouchers", {
+      vouchers: [],
+      stats: null,
+      products: [],
+      voucherTypes: VOUCHER_TYPES,
+      edit: null,
+      toast: { type: "error", msg: "Gagal memuat voucher" }
+    });
+  }
+});
+
+// Tambah / ubah voucher
+router.post('/save', requirePermission('edit'), async (req, res) => {
+  try {
+    const result = await voucherManager.save(req.body, req.session.user.username);
+    if (!result.success) {
+      setToast(req, "error", result.message);
+      return res.redirect(req.body.id ? `/vouchers?edit=${encodeURIComponent(req.body.id)}` : "/vouchers");
+    }
+
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: result.before ? 'update' : 'create',
+      resource: 'vouchers',
+      target: result.voucher.code,
+      before: withoutRedemptions(result.before),
+      after: withoutRedemptions(result.voucher)
+    });
+    setToast(req, "success", `Voucher ${result.voucher.code} disimpan.`);
+    res.redirect("/vouchers");
+  } catch (error) {
+    console.error('Error saving voucher:', error);
+    setToast(req, "error", "Gagal menyimpan voucher.");
+    res.redirect("/vouchers");
+  }
+});
+
+// Aktif / nonaktifkan tanpa membuka form
+router.post('/:id/toggle', requirePermission('edit'), async (req, res) => {
+  try {
+    const updated = await voucherManager.toggleActive(req.params.id);
+    if (!updated) {
+      setToast(req, "error", "Voucher tidak ditemukan.");
+      return res.redirect("/vouchers");
+    }
+
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: updated.after.active ? 'activate' : 'deactivate',
+      resource: 'vouchers',
+      target: updated.after.code
+    });
+    setToast(req, "success", `Voucher ${updated.after.code} ${updated.after.active ? 'diaktifkan' : 'dinonaktifkan'}.`);
+    res.redirect("/vouchers");
+  } catch (error) {
+    console.error('Error toggling voucher:', error);
+    setToast(req, "error", "Gagal mengubah status voucher.");
+    res.redirect("/vouchers");
+  }
+});
+
+router.post('/:id/delete', requirePermission('delete'), async (req, res) => {
+  try {
+    const removed = await voucherManager.remove(req.params.id);
+    if (!removed) {
+      setToast(req, "error", "Voucher tidak ditemukan.");
+      return res.redirect("/vouchers");
+    }
+
+    await auditLog.record({
+      actor: auditLog.panelActor(req),
+      action: 'delete',
+      resource: 'vouchers',
+      target: removed.code,
+      before: withoutRedemptions(removed)
+    });
+    setToast(req, "success", `Voucher ${removed.code} dihapus.`);
+    res.redirect("/vouchers");
+  } catch (error) {
+    console.error('Error deleting voucher:', error);
+    setToast(req, "error", "Gagal menghapus voucher.");
+    res.redirect("/vouchers");
+  }
+});
+
+module.exports = router;
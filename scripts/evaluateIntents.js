@@ -0,0 +1,78 @@
+/**
+ * EVALUASI INTENT CLASSIFIER
+ * Latih model dari seed + data train, lalu ukur precision/recall per intent pada
+ * contoh berlabel yang disisihkan (held-out). Pembagian train/test deterministik,
+ * jadi hasil antar-run bisa dibandingkan setelah owner menambah label.
+ *
+ * Pemakaian:
+ *   npm run eval:intents
+ *   node scripts/evaluateIntents.js --test-ratio 0.3 --save --json
+ *
+ *   --test-ratio <0-1>  porsi contoh berlabel untuk test (default 0.2)
+ *   --save              simpan laporan ke learning/intent_eval.json
+ *   --json              cetak laporan mentah (JSON)
+ */
+
+const { intentClassifier } = require('../lib/intentClassifier');
+
+function parseArgs(argv) {
+    const args = { testRatio: 0.2, save: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--test-ratio') args.testRatio = parseFloat(argv[++i]);
+        else if (argv[i] === '--save') args.save = true;
+        else if (argv[i] === '--json') args.json = true;
+    }
+    if (!(args.testRatio > 0 && args.testRatio < 1)) {
+        throw new Error('--test-ratio harus di antara 0 dan 1');
+    }
+    return args;
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`.padStart(7);
+
+function printMetrics(title, metrics) {
+    console.log(`\n${title}`);
+    console.log(`${'intent'.padEnd(12)}${'precision'.padStart(10)}${'recall'.padStart(9)}${'f1'.padStart(9)}${'n'.padStart(6)}`);
+    for (const [intent, metric] of Object.entries(metrics.perIntent)) {
+        if (metric.support === 0 && metric.precision === 0) continue;
+        console.log(
+            `${intent.padEnd(12)}${percent(metric.precision).padStart(10)}${percent(metric.recall).padStart(9)}` +
+            `${percent(metric.f1).padStart(9)}${String(metric.support).padStart(6)}`
+        );
+    }
+    console.log(`accuracy ${percent(metrics.accuracy).trim()}, macro F1 ${percent(metrics.macroF1).trim()}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const report = await intentClassifier.evaluate({ testRatio: args.testRatio, save: args.save });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(`Train: ${report.trainSize} contoh (termasuk seed), test: ${report.testSize} contoh`);
+    if (report.testSize === 0) {
+        console.log('Belum ada contoh berlabel. Tambah lewat WhatsApp owner: intent label [intent] [teks] / intent tag [id] [intent]');
+        return;
+    }
+
+    printMetrics('Naive Bayes', report.classifier);
+    printMetrics('Baseline kata kunci', report.keywordBaseline);
+
+    if (report.previous) {
+        const delta = report.classifier.macroF1 - report.previous.macroF1;
+        console.log(`\nDibanding evaluasi ${new Date(report.previous.evaluatedAt).toLocaleString('id-ID')}: macro F1 ${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)} poin`);
+    }
+
+    if (report.errors.length > 0) {
+        console.log('\nSalah klasifikasi:');
+        report.errors.forEach(error => console.log(`  "${error.text}" -> ${error.predicted} (seharusnya ${error.expected})`));
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Evaluasi gagal:', error.message);
+    process.exitCode = 1;
+});
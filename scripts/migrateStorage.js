@@ -0,0 +1,139 @@
+/**
+ * MIGRASI STORAGE
+ * Rapikan file data/*.json (dan database/users.json) untuk lib/storage:
+ * - record koleksi (faq, sop, promo, buyers, ...) yang belum punya ID diberi ID tetap
+ * - promo.json format lama { banner } dijadikan array promo
+ * - file UTF-16 / ber-BOM (mis. disimpan dari Notepad) ditulis ulang sebagai UTF-8
+ * Dengan --to-sqlite, semua dokumen disalin ke database sqlite (STORAGE_SQLITE_PATH).
+ *
+ * Jalankan saat bot dan panel berhenti.
+ *
+ * Pemakaian:
+ *   npm run migrate:storage -- --dry-run
+ *   npm run migrate:storage
+ *   npm run migrate:storage -- --to-sqlite [--force]
+ *
+ *   --dry-run    hanya tampilkan yang akan diubah
+ *   --to-sqlite  salin ke sqlite (file json tidak diubah); lalu set STORAGE_BACKEND=sqlite
+ *   --force      timpa dokumen yang sudah ada di sqlite
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { Storage, JsonBackend, SqliteBackend, Collection, COLLECTIONS } = require('../lib/storage');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+function parseArgs(argv) {
+    return {
+        dryRun: argv.includes('--dry-run'),
+        toSqlite: argv.includes('--to-sqlite'),
+        force: argv.includes('--force')
+    };
+}
+
+async function listDocuments() {
+    const files = (await fs.readdir(DATA_DIR)).filter(file => file.endsWith('.json')).sort();
+    return [...files, '../database/users.json'];
+}
+
+function detectLegacyEncoding(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'UTF-16LE';
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'UTF-8 BOM';
+    return null;
+}
+
+// Normalisasi + ID untuk satu dokumen; return { data, notes }
+function prepareDocument(name, data, idSource) {
+    const options = COLLECTIONS[name];
+    if (!options) return { data, notes: [] };
+
+    const collection = new Collection(idSource, name, options);
+    const notes = [];
+    const normalized = collection.normalize(data);
+    if (normalized !== data) notes.push('format lama dinormalisasi');
+
+    const records = collection.records(normalized) || [];
+    let assigned = 0;
+    for (const record of records) {
+        if (record && typeof record === 'object' && (record[collection.idField] === undefined || record[collection.idField] === null)) {
+            record[collection.idField] = collection.nextId();
+            assigned++;
+        }
+    }
+    if (assigned > 0) notes.push(`${assigned} record diberi ID`);
+
+    return { data: normalized, notes };
+}
+
+async function migrateToJson(name, backend, args) {
+    const release = args.dryRun ? () => {} : await backend.lock(name);
+    try {
+        const raw = await fs.readFile(backend.resolve(name)).catch(() => null);
+        if (!raw) return { status: 'tidak ada' };
+
+        const { data } = await backend.load(name, null);
+        if (data === null) return { status: 'kosong / rusak, dilewati' };
+
+        const legacyEncoding = detectLegacyEncoding(raw);
+        const prepared = prepareDocument(name, data, new Storage(backend));
+        const notes = legacyEncoding ? [`${legacyEncoding} -> UTF-8`, ...prepared.notes] : prepared.notes;
+        if (notes.length === 0) return { status: 'ok' };
+
+        if (!args.dryRun) await backend.store(name, prepared.data);
+        return { status: args.dryRun ? 'akan diubah' : 'diubah', notes };
+    } finally {
+        await release();
+    }
+}
+
+async function migrateToSqlite(name, source, target, args) {
+    const { data } = await source.load(name, null);
+    if (data === null) return { status: 'tidak ada / kosong, dilewati' };
+
+    if (await target.exists(name) && !args.force) {
+        return { status: 'sudah ada di sqlite, dilewati (pakai --force untuk menimpa)' };
+    }
+
+    const prepared = prepareDocument(name, data, target);
+    if (!args.dryRun) await target.write(name, prepared.data);
+    return { status: args.dryRun ? 'akan disalin' : 'disalin', notes: prepared.notes };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const jsonBackend = new JsonBackend();
+    const source = new Storage(jsonBackend);
+    let target = null;
+
+    if (args.toSqlite) {
+        const dbPath = path.resolve(__dirname, '..', config.storage.sqlite_path);
+        target = new Storage(new SqliteBackend(dbPath));
+        console.log(`Tujuan: sqlite ${dbPath}`);
+    } else {
+        console.log('Tujuan: file json (ditulis ulang di tempat)');
+    }
+    if (args.dryRun) console.log('Mode dry-run: tidak ada yang ditulis');
+
+    const summary = {};
+    for (const name of await listDocuments()) {
+        const result = args.toSqlite
+            ? await migrateToSqlite(name, source, target, args)
+            : await migrateToJson(name, jsonBackend, args);
+
+        summary[result.status] = (summary[result.status] || 0) + 1;
+        const notes = result.notes && result.notes.length > 0 ? ` (${result.notes.join(', ')})` : '';
+        console.log(`  ${name.padEnd(28)} ${result.status}${notes}`);
+    }
+
+    console.log(`\nSelesai: ${Object.entries(summary).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+    if (args.toSqlite && !args.dryRun) {
+        console.log('Set STORAGE_BACKEND=sqlite di .env lalu restart bot dan panel.');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migrasi gagal:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,54 @@
+/**
+ * FAKE SOCKET
+ * Pengganti socket Baileys untuk replay percakapan: setiap sendMessage dicatat,
+ * media diambil dari buffer yang didaftarkan runner, tidak ada koneksi WhatsApp.
+ */
+
+const { EventEmitter } = require('events');
+
+class FakeSocket {
+    constructor({ botNumber = '6280000000000' } = {}) {
+        this.user = { id: `${botNumber}:1@s.whatsapp.net`, name: 'Replay Bot' };
+        this.ev = new EventEmitter();
+        this.sent = [];
+        this.media = new Map(); // message id -> Buffer
+        this.counter = 0;
+    }
+
+    async sendMessage(jid, content, options = {}) {
+        const key = { remoteJid: jid, fromMe: true, id: `REPLAY${++this.counter}` };
+        this.sent.push({
+            jid,
+            content,
+            options,
+            text: content.text || content.caption || ''
+        });
+        return { key, message: content, status: 1 };
+    }
+
+    registerMedia(messageId, buffer) {
+        this.media.set(messageId, buffer);
+    }
+
+    // Dipakai imageHandler.downloadImage sebagai ganti downloadMediaMessage dari baileys
+    async downloadMediaMessage(message) {
+        const buffer = this.media.get(message.key.id);
+        if (!buffer) {
+            throw new Error(`Media untuk pesan ${message.key.id} tidak terdaftar`);
+        }
+        return buffer;
+    }
+
+    async updateMediaMessage(message) {
+        return message;
+    }
+
+    // Ambil dan kosongkan pesan yang terkirim sejak pemanggilan terakhir
+    takeSent() {
+        const sent = this.sent;
+        this.sent = [];
+        return sent;
+    }
+}
+
+module.exports = { FakeSocket };
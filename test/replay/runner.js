@@ -0,0 +1,359 @@
+/**
+ * REPLAY HARNESS
+ * Memutar ulang percakapan tertulis lewat pipeline asli bot:
+ * serializeMessage -> processMessage (lib/ai.js) -> responseRouter, dengan FakeSocket
+ * sebagai pengganti Baileys dan MockProvider sebagai pengganti Gemini.
+ *
+ * Runner menyalin proyek ke folder sementara dan menjalankan transcript di sana,
+ * jadi data/, learning/ dan database/ milik bot yang sedang jalan tidak tersentuh.
+ *
+ * Pemakaian:
+ *   npm test
+ *   node test/replay/runner.js [filter nama file] [--verbose]
+ *
+ * Format transcript (test/replay/transcripts/*.json):
+ * {
+ *   "name": "Harga Netflix dari katalog",
+ *   "llm": [{ "match": "garansi", "reply": "..." }],      // balasan MockProvider; match teks atau "/regex/i"
+ *   "files": { "data/buyers.json": [...] },               // isi file sebelum transcript dimulai (opsional)
+ *   "steps": [
+ *     {
+ *       "from": "customer",                                // "owner", alias lain, atau nomor WA
+ *       "text": "harga netflix",
+ *       "image": "../fixtures/bukti.png",                  // opsional, relatif ke file transcript
+ *       "capture": { "order": "ORD-\\d{6}-\\d{3}" },       // simpan teks dari balasan untuk {{order}}
+ *       "expect": {
+ *         "route": "hybridHandler",                        // string atau array
+ *         "source": "product",
+ *         "replies": 1,                                    // jumlah pesan ke chat pengirim
+ *         "contains": ["Netflix"],
+ *         "notContains": ["gratis"],
+ *         "matches": "Rp\\s?\\d",
+ *         "llmCalls": 0,
+ *         "llmPromptContains": ["Metode pembayaran"],       // isi prompt yang dikirim ke LLM (referensi RAG)
+ *         "normalized": "harga netflix 12 bulan",           // hasil indonesianNlp.normalize(text)
+ *         "sentTo": [{ "to": "owner", "contains": "ORD-" }]  // pesan ke chat lain
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * Placeholder di "files", "text" dan "expect": {{number:alias}} (nomor WA alias),
+ * {{date:+30}} (tanggal YYYY-MM-DD relatif hari ini) dan {{nama}} hasil "capture".
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '../..');
+const TRANSCRIPT_DIR = path.join(__dirname, 'transcripts');
+const STEP_TIMEOUT = 20000;
+
+// Tidak ikut disalin ke sandbox
+const SANDBOX_EXCLUDE = new Set(['.git', 'node_modules', 'session', 'tmp', 'backups', 'logs']);
+
+/**
+ * SANDBOX - salin proyek lalu jalankan runner ini di salinannya
+ */
+function runInSandbox(args) {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'resbot-replay-'));
+    try {
+        fs.cpSync(ROOT, sandbox, {
+            recursive: true,
+            filter: src => !SANDBOX_EXCLUDE.has(path.relative(ROOT, src).split(path.sep)[0])
+        });
+        if (fs.existsSync(path.join(ROOT, 'node_modules'))) {
+            fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(sandbox, 'node_modules'), 'dir');
+        }
+
+        const child = spawnSync(process.execPath, [path.join(sandbox, 'test/replay/runner.js'), ...args], {
+            cwd: sandbox,
+            stdio: 'inherit',
+            env: { ...process.env, REPLAY_SANDBOX: '1' }
+        });
+        return child.status === null ? 1 : child.status;
+    } finally {
+        fs.rmSync(sandbox, { recursive: true, force: true });
+    }
+}
+
+/**
+ * LOG CAPTURE - log modul bot disimpan per langkah, hanya dicetak kalau gagal / --verbose
+ */
+function captureConsole(verbose) {
+    const captured = [];
+    const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+    for (const level of Object.keys(original)) {
+        console[level] = (...args) => {
+            const line = args.map(arg => (arg instanceof Error ? arg.stack : typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+            captured.push(`[${level}] ${line}`);
+            if (verbose) original[level](...args);
+        };
+    }
+    return {
+        take: () => captured.splice(0, captured.length),
+        print: (...args) => original.log(...args)
+    };
+}
+
+function toMatcher(match) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(match);
+    return regex ? new RegExp(regex[1], regex[2]) : match;
+}
+
+const asArray = value => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+const MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+/**
+ * Ganti placeholder {{...}} di semua string (rekursif untuk object/array)
+ */
+function expand(value, context) {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{([^}]+)\}\}/g, (match, name) => {
+            const [kind, arg] = name.split(':');
+            if (kind === 'number') return context.numberOf(arg);
+            if (kind === 'date') {
+                const date = new Date(Date.now() + parseInt(arg || '0', 10) * 86400000);
+                return date.toISOString().substring(0, 10);
+            }
+            if (name in context.vars) return context.vars[name];
+            throw new Error(`Placeholder ${match} belum terisi`);
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => expand(item, context));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expand(item, context)]));
+    }
+    return value;
+}
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} tidak selesai dalam ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * ASSERTIONS - return daftar pesan gagal (kosong = lulus)
+ */
+function checkExpectations(expect, result, jidOf) {
+    const failures = [];
+    const text = result.replies.map(reply => reply.text).join('\n');
+    const lowerText = text.toLowerCase();
+
+    if (expect.route !== undefined && !asArray(expect.route).includes(result.trace.route)) {
+        failures.push(`route: diharapkan ${asArray(expect.route).join(' | ')}, didapat ${result.trace.route}`);
+    }
+    if (expect.source !== undefined && !asArray(expect.source).includes(result.trace.source)) {
+        failures.push(`source: diharapkan ${asArray(expect.source).join(' | ')}, didapat ${result.trace.source}`);
+    }
+    if (expect.replies !== undefined && result.replies.length !== expect.replies) {
+        failures.push(`replies: diharapkan ${expect.replies}, didapat ${result.replies.length}`);
+    }
+    for (const needle of asArray(expect.contains)) {
+        if (!lowerText.includes(String(needle).toLowerCase())) failures.push(`balasan tidak memuat "${needle}"`);
+    }
+    for (const needle of asArray(expect.notContains)) {
+        if (lowerText.includes(String(needle).toLowerCase())) failures.push(`balasan memuat "${needle}"`);
+    }
+    if (expect.matches !== undefined && !new RegExp(expect.matches, 'i').test(text)) {
+        failures.push(`balasan tidak cocok dengan /${expect.matches}/`);
+    }
+    if (expect.normalized !== undefined && result.normalized !== expect.normalized) {
+        failures.push(`normalized: diharapkan "${expect.normalized}", didapat "${result.normalized}"`);
+    }
+    if (expect.llmCalls !== undefined && result.llmCalls.length !== expect.llmCalls) {
+        failures.push(`llmCalls: diharapkan ${expect.llmCalls}, didapat ${result.llmCalls.length}`);
+    }
+    const prompt = result.llmCalls
+        .map(call => call.messages.map(message => message.content).join('\n'))
+        .join('\n')
+        .toLowerCase();
+    for (const needle of asArray(expect.llmPromptContains)) {
+        if (!prompt.includes(String(needle).toLowerCase())) failures.push(`prompt LLM tidak memuat "${needle}"`);
+    }
+    for (const target of asArray(expect.sentTo)) {
+        const jid = jidOf(target.to);
+        const messages = result.others.filter(sent => sent.jid === jid);
+        if (messages.length === 0) {
+            failures.push(`tidak ada pesan ke ${target.to}`);
+            continue;
+        }
+        const joined = messages.map(sent => sent.text).join('\n').toLowerCase();
+        for (const needle of asArray(target.contains)) {
+            if (!joined.includes(String(needle).toLowerCase())) failures.push(`pesan ke ${target.to} tidak memuat "${needle}"`);
+        }
+    }
+
+    return failures;
+}
+
+/**
+ * REPLAY - dijalankan di dalam sandbox
+ */
+async function replay(args) {
+    const verbose = args.includes('--verbose');
+    const filter = args.find(arg => !arg.startsWith('--'));
+    const output = captureConsole(verbose);
+
+    const config = require('../../config');
+    const { llm, MockProvider } = require('../../lib/llmProvider');
+    const serializeMessage = require('../../lib/serializeMessage');
+    const { processMessage } = require('../../lib/ai');
+    const { responseRouter } = require('../../lib/responseRouter');
+    const { indonesianNlp } = require('../../lib/indonesianNlp');
+    const { getUser, addUser } = require('../../lib/users');
+    const { FakeSocket } = require('./fakeSocket');
+
+    const files = fs.readdirSync(TRANSCRIPT_DIR)
+        .filter(file => file.endsWith('.json') && (!filter || file.includes(filter)))
+        .sort();
+
+    let participantCounter = 0;
+    let passed = 0;
+    let failed = 0;
+
+    for (const file of files) {
+        const transcriptPath = path.join(TRANSCRIPT_DIR, file);
+        const transcript = JSON.parse(fs.readFileSync(transcriptPath, 'utf8'));
+        const name = transcript.name || file;
+
+        // Setiap alias dapat nomor unik per transcript, supaya sesi & cache tidak bocor antar transcript
+        const participants = { owner: config.owner_number };
+        const numberOf = from => {
+            if (/^\d+$/.test(String(from))) return String(from);
+            if (!participants[from]) {
+                participants[from] = `62811${String(++participantCounter).padStart(7, '0')}`;
+            }
+            return participants[from];
+        };
+        const jidOf = from => `${numberOf(from)}@s.whatsapp.net`;
+        const context = { numberOf, vars: {} };
+
+        for (const [target, content] of Object.entries(expand(transcript.files || {}, context))) {
+            const filePath = path.join(process.cwd(), target);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+        }
+
+        const mock = new MockProvider({
+            responses: (transcript.llm || []).map(rule => ({ match: toMatcher(rule.match), reply: rule.reply })),
+            defaultReply: transcript.llmDefault
+        });
+        llm.setProvider('mock', mock);
+        llm.setRole('chat', 'mock');
+        llm.setRole('fallback', 'mock');
+
+        const sock = new FakeSocket();
+        const failures = [];
+
+        for (const [index, rawStep] of (transcript.steps || []).entries()) {
+            const remoteJid = jidOf(rawStep.from || 'customer');
+            const id = `REPLAYIN${participantCounter}${index}${Date.now()}`;
+
+            responseRouter.clearTrace(remoteJid);
+            sock.takeSent();
+            const callsBefore = mock.calls.length;
+
+            let step = rawStep;
+            try {
+                step = { ...rawStep, text: expand(rawStep.text, context) };
+                const raw = {
+                    key: { remoteJid, fromMe: false, id },
+                    pushName: step.pushName || step.from || 'customer',
+                    messageTimestamp: Math.floor(Date.now() / 1000),
+                    message: step.image
+                        ? { imageMessage: { caption: step.text || '', mimetype: MIME_TYPES[path.extname(step.image).toLowerCase()] || 'image/jpeg' } }
+                        : { conversation: step.text || '' }
+                };
+                if (step.image) {
+                    sock.registerMedia(id, fs.readFileSync(path.resolve(path.dirname(transcriptPath), step.image)));
+                }
+
+                const message = serializeMessage({ type: 'notify', messages: [raw] }, sock);
+                if (!message) throw new Error('serializeMessage menolak pesan');
+                if (!(await getUser(message.sender))) await addUser(message.sender, -1);
+
+                await withTimeout(
+                    processMessage(message.content || '', sock, message.sender, message.remoteJid, message.message,
+                        message.messageType, message.pushName, message.isQuoted),
+                    STEP_TIMEOUT,
+                    `Langkah ${index + 1}`
+                );
+                // Beri kesempatan pengiriman susulan (notifikasi owner, dsb.)
+                await new Promise(resolve => setTimeout(resolve, step.waitMs || 50));
+            } catch (error) {
+                failures.push({ step: index + 1, text: step.text, problems: [`error: ${error.message}`], logs: output.take() });
+                continue;
+            }
+
+            const sent = sock.takeSent();
+            const result = {
+                trace: responseRouter.getLastTrace(remoteJid) || { route: null, source: null },
+                replies: sent.filter(item => item.jid === remoteJid),
+                others: sent.filter(item => item.jid !== remoteJid),
+                llmCalls: mock.calls.slice(callsBefore),
+                normalized: indonesianNlp.normalize(step.text || '')
+            };
+            const logs = output.take();
+
+            for (const [variable, pattern] of Object.entries(step.capture || {})) {
+                const found = sent.map(item => item.text).join('\n').match(new RegExp(pattern));
+                if (found) context.vars[variable] = found[0];
+            }
+
+            if (verbose) {
+                output.print(`   > [${step.from || 'customer'}] ${step.text || `(gambar ${step.image})`}`);
+                result.replies.forEach(reply => output.print(`   < ${reply.text.split('\n').join('\n     ')}`));
+                result.others.forEach(other => output.print(`   → ${other.jid.split('@')[0]}: ${other.text.split('\n')[0]}`));
+                output.print(`     route=${result.trace.route} source=${result.trace.source} llm=${result.llmCalls.length}`);
+            }
+
+            let problems;
+            try {
+                problems = checkExpectations(expand(step.expect || {}, context), result, jidOf);
+            } catch (error) {
+                problems = [`error: ${error.message}`];
+            }
+            if (problems.length > 0) {
+                failures.push({ step: index + 1, text: step.text, problems, replies: result.replies, logs });
+            }
+        }
+
+        if (failures.length === 0) {
+            passed++;
+            output.print(`✅ ${name} (${(transcript.steps || []).length} langkah)`);
+            continue;
+        }
+
+        failed++;
+        output.print(`❌ ${name} [${file}]`);
+        for (const failure of failures) {
+            output.print(`   langkah ${failure.step}: "${failure.text || ''}"`);
+            failure.problems.forEach(problem => output.print(`     - ${problem}`));
+            (failure.replies || []).forEach(reply => output.print(`     < ${reply.text.substring(0, 300).split('\n').join('\n       ')}`));
+            if (!verbose) failure.logs.slice(-10).forEach(line => output.print(`     ${line.substring(0, 300)}`));
+        }
+    }
+
+    output.print(`\n${passed} lulus, ${failed} gagal dari ${files.length} transcript`);
+    return failed === 0 && files.length > 0 ? 0 : 1;
+}
+
+const args = process.argv.slice(2);
+
+if (process.env.REPLAY_SANDBOX === '1') {
+    replay(args)
+        .then(code => process.exit(code))
+        .catch(error => {
+            process.stderr.write(`❌ Replay gagal: ${error.stack || error.message}\n`);
+            process.exit(1);
+        });
+} else {
+    process.exitCode = runInSandbox(args);
+}